@@ -56,7 +56,7 @@ function generateRandomName() {
 
 // Generate random vehicle type
 function getRandomVehicleType() {
-  const types = ['sedan', 'suv', 'luxury', 'economy'];
+  const types = ['standard', 'standard', 'xl', 'premium'];
   return types[Math.floor(Math.random() * types.length)];
 }
 
@@ -64,17 +64,187 @@ const setupWeek3 = async () => {
         estimated_fare DECIMAL(8, 2) NOT NULL,
         actual_fare DECIMAL(8, 2),
         vehicle_type VARCHAR(20) DEFAULT 'standard',
-        status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'assigned', 'accepted', 'cancelled', 'completed')),
+        status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('scheduled', 'pending', 'assigned', 'accepted', 'driver_en_route', 'arrived', 'in_progress', 'completed', 'cancelled', 'no_show')),
         cancellation_reason TEXT,
+        scheduled_for TIMESTAMP,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        activated_at TIMESTAMP,
         assigned_at TIMESTAMP,
         accepted_at TIMESTAMP,
+        en_route_at TIMESTAMP,
+        arrived_at TIMESTAMP,
+        started_at TIMESTAMP,
         cancelled_at TIMESTAMP,
-        completed_at TIMESTAMP
+        completed_at TIMESTAMP,
+        no_show_at TIMESTAMP
       )
     `);
     console.log(' Bookings table created');
     
+    // Trip lifecycle: widen the status check and add a timestamp per state on existing tables
+    console.log('\n Adding trip lifecycle states to bookings...');
+    await pool.query(`
+      ALTER TABLE bookings
+        ADD COLUMN IF NOT EXISTS scheduled_for TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS activated_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS en_route_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS arrived_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS started_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS no_show_at TIMESTAMP
+    `);
+    await pool.query('ALTER TABLE bookings DROP CONSTRAINT IF EXISTS bookings_status_check');
+    await pool.query(`
+      ALTER TABLE bookings ADD CONSTRAINT bookings_status_check
+        CHECK (status IN ('scheduled', 'pending', 'assigned', 'accepted', 'driver_en_route', 'arrived', 'in_progress', 'completed', 'cancelled', 'no_show'))
+    `);
+    console.log(' Trip lifecycle states added');
+    
+    // Pricing columns: server-side fare estimate and the distance recorded during the trip
+    console.log('\n Adding pricing columns to bookings...');
+    await pool.query(`
+      ALTER TABLE bookings
+        ADD COLUMN IF NOT EXISTS city VARCHAR(50),
+        ADD COLUMN IF NOT EXISTS estimated_distance_km DECIMAL(8, 3),
+        ADD COLUMN IF NOT EXISTS estimated_duration_min DECIMAL(8, 2),
+        ADD COLUMN IF NOT EXISTS fare_breakdown JSONB,
+        ADD COLUMN IF NOT EXISTS surge_multiplier DECIMAL(4, 2) DEFAULT 1.0,
+        ADD COLUMN IF NOT EXISTS trip_distance_km DECIMAL(8, 3) DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS trip_last_lat DECIMAL(10, 8),
+        ADD COLUMN IF NOT EXISTS trip_last_lng DECIMAL(11, 8)
+    `);
+    console.log(' Pricing columns added');
+    
+    // Matching strategy chosen for the booking (NULL uses MATCHING_STRATEGY)
+    await pool.query(`
+      ALTER TABLE bookings ADD COLUMN IF NOT EXISTS strategy VARCHAR(30)
+    `);
+    
+    // Fencing token of the last booking lock holder that wrote the row
+    await pool.query(`
+      ALTER TABLE bookings ADD COLUMN IF NOT EXISTS lock_token BIGINT NOT NULL DEFAULT 0
+    `);
+    
+    // Create booking status history table (one row per state machine transition)
+    console.log('\n Creating booking_status_history table...');
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS booking_status_history (
+        id SERIAL PRIMARY KEY,
+        booking_id INTEGER NOT NULL REFERENCES bookings(id),
+        from_status VARCHAR(20),
+        to_status VARCHAR(20) NOT NULL,
+        event VARCHAR(20) NOT NULL,
+        actor_type VARCHAR(20) NOT NULL CHECK (actor_type IN ('rider', 'driver', 'system')),
+        actor_id INTEGER,
+        reason TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    console.log(' Booking status history table created');
+    
+    // Create booking stops table (intermediate waypoints between pickup and dropoff)
+    console.log('\n Creating booking_stops table...');
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS booking_stops (
+        id SERIAL PRIMARY KEY,
+        booking_id INTEGER NOT NULL REFERENCES bookings(id),
+        sequence INTEGER NOT NULL,
+        lat DECIMAL(10, 8) NOT NULL,
+        lng DECIMAL(11, 8) NOT NULL,
+        status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'reached', 'removed', 'skipped')),
+        reached_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    console.log(' Booking stops table created');
+    
+    // Create booking offers table (one row per driver offer in the dispatch cascade)
+    console.log('\n Creating booking_offers table...');
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS booking_offers (
+        id SERIAL PRIMARY KEY,
+        booking_id INTEGER NOT NULL REFERENCES bookings(id),
+        driver_id INTEGER NOT NULL REFERENCES drivers(id),
+        rank INTEGER NOT NULL,
+        status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'declined', 'expired', 'cancelled')),
+        decline_reason TEXT,
+        distance DECIMAL(8, 3),
+        strategy VARCHAR(30),
+        match_reason TEXT,
+        offered_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        expires_at TIMESTAMP NOT NULL,
+        responded_at TIMESTAMP
+      )
+    `);
+    await pool.query(`
+      ALTER TABLE booking_offers
+        ADD COLUMN IF NOT EXISTS strategy VARCHAR(30),
+        ADD COLUMN IF NOT EXISTS match_reason TEXT
+    `);
+    console.log(' Booking offers table created');
+    
+    // Create trips and trip_stops tables (shared pool rides: one driver, ordered stops)
+    console.log('\n Creating trips and trip_stops tables...');
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS trips (
+        id SERIAL PRIMARY KEY,
+        driver_id INTEGER NOT NULL REFERENCES drivers(id),
+        seats INTEGER NOT NULL,
+        status VARCHAR(20) DEFAULT 'active' CHECK (status IN ('active', 'completed')),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        completed_at TIMESTAMP
+      )
+    `);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS trip_stops (
+        id SERIAL PRIMARY KEY,
+        trip_id INTEGER NOT NULL REFERENCES trips(id),
+        booking_id INTEGER NOT NULL REFERENCES bookings(id),
+        stop_type VARCHAR(10) NOT NULL CHECK (stop_type IN ('pickup', 'dropoff')),
+        lat DECIMAL(10, 8) NOT NULL,
+        lng DECIMAL(11, 8) NOT NULL,
+        sequence INTEGER NOT NULL,
+        status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'completed', 'skipped')),
+        completed_at TIMESTAMP
+      )
+    `);
+    await pool.query(`
+      ALTER TABLE bookings
+        ADD COLUMN IF NOT EXISTS ride_type VARCHAR(10) DEFAULT 'private',
+        ADD COLUMN IF NOT EXISTS trip_id INTEGER REFERENCES trips(id)
+    `);
+    console.log(' Trips tables created');
+    
+    // Create idempotency keys table (fallback store for replayed responses when Redis is down)
+    console.log('\n Creating idempotency_keys table...');
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS idempotency_keys (
+        key VARCHAR(512) PRIMARY KEY,
+        request_hash VARCHAR(64) NOT NULL,
+        status VARCHAR(20) NOT NULL CHECK (status IN ('in_progress', 'completed')),
+        response_code INTEGER,
+        response_body JSONB,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        expires_at TIMESTAMP NOT NULL
+      )
+    `);
+    console.log(' Idempotency keys table created');
+    
+    // Create admin audit log (forced lock releases and other operator actions)
+    console.log('\n Creating admin_audit_log table...');
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS admin_audit_log (
+        id SERIAL PRIMARY KEY,
+        action VARCHAR(50) NOT NULL,
+        target VARCHAR(255) NOT NULL,
+        actor VARCHAR(100) NOT NULL,
+        reason TEXT,
+        details JSONB,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    console.log(' Admin audit log table created');
+    
     // Create indexes for better performance
     console.log('\n Creating indexes...');
     
@@ -94,10 +264,50 @@ const setupWeek3 = async () => {
       CREATE INDEX IF NOT EXISTS idx_bookings_created_at ON bookings(created_at)
     `);
     
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_bookings_scheduled_for ON bookings(scheduled_for) WHERE status = 'scheduled'
+    `);
+    
     await pool.query(`
       CREATE INDEX IF NOT EXISTS idx_riders_phone ON riders(phone)
     `);
     
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_booking_offers_booking_id ON booking_offers(booking_id)
+    `);
+    
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_booking_status_history_booking_id ON booking_status_history(booking_id)
+    `);
+    
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_booking_offers_driver_status ON booking_offers(driver_id, status)
+    `);
+    
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_booking_offers_pending_expires_at ON booking_offers(expires_at) WHERE status = 'pending'
+    `);
+    
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_booking_stops_booking_sequence ON booking_stops(booking_id, sequence)
+    `);
+    
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires_at ON idempotency_keys(expires_at)
+    `);
+    
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_admin_audit_log_created_at ON admin_audit_log(created_at)
+    `);
+    
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_trips_driver_status ON trips(driver_id, status)
+    `);
+    
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_trip_stops_trip_sequence ON trip_stops(trip_id, sequence)
+    `);
+    
     console.log(' Indexes created');
     
     // Clear any existing locks in Redis
@@ -163,6 +373,13 @@ const setupWeek3 = async () => {
     console.log('\n What was created:');
     console.log('  • riders table - stores rider information');
     console.log('  • bookings table - stores booking requests and ride data');
+    console.log('  • booking_offers table - records every driver offer and its outcome');
+    console.log('  • booking_status_history table - records every booking status change');
+    console.log('  • booking_stops table - intermediate stops of private rides, in order');
+    console.log('  • trips table - shared pool rides, one driver each');
+    console.log('  • trip_stops table - ordered pickups and dropoffs of each pool trip');
+    console.log('  • idempotency_keys table - stored responses for retried requests');
+    console.log('  • admin_audit_log table - records admin actions such as forced lock releases');
     console.log('  • Database indexes for optimal performance');
     console.log('  • Redis lock cleanup and testing');
     console.log('\n Ready to start Week 3!');
@@ -38,7 +38,7 @@ async function setupWeek2() {
     
     // Get all online drivers with locations from PostgreSQL
     const result = await pool.query(`
-      SELECT id, lat, lng 
+      SELECT id, lat, lng, vehicle_type 
       FROM drivers 
       WHERE status = 'online' 
         AND lat IS NOT NULL 
@@ -51,7 +51,7 @@ async function setupWeek2() {
     let successCount = 0;
     for (const driver of result.rows) {
       try {
-        await addDriverLocation(driver.id, driver.lat, driver.lng);
+        await addDriverLocation(driver.id, driver.lat, driver.lng, driver.vehicle_type);
         successCount++;
       } catch (error) {
         console.error(` Failed to add driver ${driver.id}:`, error.message);
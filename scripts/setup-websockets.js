@@ -123,6 +123,17 @@ const setupWeek4 = async () => {
       ON queue_messages(scheduled_at);
     `);
     
+    // Queue history: queueService upserts each lifecycle change, newest wins
+    await pool.query(`
+      ALTER TABLE queue_messages
+        ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    `);
+    
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_queue_messages_created 
+      ON queue_messages(queue_name, created_at);
+    `);
+    
     // Week 4: Create notification preferences
     await pool.query(`
       CREATE TABLE IF NOT EXISTS notification_preferences (
@@ -19,7 +19,6 @@ const sampleBooking = {
   pickup_lng: -74.0060,
   dropoff_lat: 40.7589,
   dropoff_lng: -73.9851,
-  estimated_fare: 15.50,
   vehicle_type: 'standard'
 };
 
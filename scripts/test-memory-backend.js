@@ -0,0 +1,212 @@
+const assert = require('assert');
+const { setRedisBackend, clock, resetMemoryRedis } = require('../src/redisBackend');
+
+// Every service must create its clients on the in-memory store
+setRedisBackend('memory');
+
+const redisClient = require('../src/redisClient');
+const lockService = require('../src/lockService');
+const queueService = require('../src/queueService');
+const eventService = require('../src/eventService');
+
+/**
+ * In-Memory Redis Backend Test Script
+ *
+ * Runs the Redis-backed services (GEO search, locks, queues, events) against
+ * the in-process store from memoryRedis.js, including the JS equivalents of
+ * their Lua scripts. Needs neither Redis nor a running server. Booking flows
+ * also need PostgreSQL and are not covered here; queue history writes to
+ * PostgreSQL are best effort and only log an error when it is missing.
+ */
+
+const NYC = { lat: 40.7128, lng: -74.0060 };
+
+/**
+ * Wait until check() returns true, or fail after timeoutMs
+ */
+const waitFor = async (check, timeoutMs = 2000, label = 'condition') => {
+  const deadline = Date.now() + timeoutMs;
+  while (!(await check())) {
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out waiting for ${label}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+/**
+ * GEO index: drivers in range are found, nearest first, per vehicle class
+ */
+const testGeoSearch = async () => {
+  console.log(' Testing GEO search...');
+  await redisClient.initializeRedis();
+
+  await redisClient.addDriverLocation(1, NYC.lat, NYC.lng, 'standard');
+  await redisClient.addDriverLocation(2, NYC.lat + 0.01, NYC.lng, 'premium');
+  await redisClient.addDriverLocation(3, 41.5, -73.0, 'standard');
+
+  const nearby = await redisClient.findNearbyDrivers(NYC.lat, NYC.lng, 5);
+  assert.deepStrictEqual(nearby.map(d => d.id), [1, 2], 'drivers within 5km, nearest first');
+
+  const standard = await redisClient.findNearbyDrivers(NYC.lat, NYC.lng, 5, 10, 'standard');
+  assert.deepStrictEqual(standard.map(d => d.id), [1], 'only standard drivers in the class index');
+
+  const location = await redisClient.getDriverLocation(1);
+  assert.ok(Math.abs(location.lat - NYC.lat) < 0.0001 && Math.abs(location.lng - NYC.lng) < 0.0001, 'stored position');
+
+  await redisClient.removeDriverLocation(2);
+  const afterRemove = await redisClient.findNearbyDrivers(NYC.lat, NYC.lng, 5);
+  assert.deepStrictEqual(afterRemove.map(d => d.id), [1], 'removed driver is gone');
+  console.log('   GEO search OK');
+};
+
+/**
+ * Mutexes: exclusive, fenced, released, and expired after their TTL
+ */
+const testLocks = async () => {
+  console.log(' Testing distributed locks...');
+
+  let inside = 0;
+  let maxInside = 0;
+  const tokens = [];
+  await Promise.all([1, 2, 3].map(() => lockService.withLock('test:mutex', async ({ fencingToken }) => {
+    inside++;
+    maxInside = Math.max(maxInside, inside);
+    tokens.push(fencingToken);
+    await new Promise(resolve => setTimeout(resolve, 20));
+    inside--;
+  }, { retryAttempts: 50, retryDelayMs: 10 })));
+
+  assert.strictEqual(maxInside, 1, 'one holder at a time');
+  assert.ok(tokens.every((token, i) => i === 0 || token > tokens[i - 1]), 'fencing tokens increase');
+  assert.strictEqual((await lockService.isLocked('test:mutex')).locked, false, 'released after use');
+
+  await assert.rejects(
+    lockService.withLock('test:busy', () => lockService.withLock('test:busy', () => null, { retryAttempts: 1 })),
+    { code: 'LOCK_UNAVAILABLE' },
+    'a held lock is unavailable'
+  );
+
+  clock.freeze();
+  try {
+    const held = await lockService.acquireLock('test:expiry', 1, 1, 10);
+    assert.ok(held.success, 'acquired');
+    clock.advance(1500);
+    assert.strictEqual((await lockService.isLocked('test:expiry')).locked, false, 'expired after its TTL');
+  } finally {
+    clock.reset();
+  }
+  console.log('   Distributed locks OK');
+};
+
+/**
+ * Read/write locks: readers share, a writer waits for the readers it overlaps
+ */
+const testReadWriteLocks = async () => {
+  console.log(' Testing read/write locks...');
+  const order = [];
+
+  const search = lockService.withReadLocks(['test:rw:2', 'test:rw:1'], async () => {
+    order.push('read start');
+    await new Promise(resolve => setTimeout(resolve, 100));
+    order.push('read end');
+  });
+  await waitFor(() => order.length > 0, 1000, 'readers');
+
+  const unrelated = lockService.withWriteLock('test:rw:3', async () => order.push('write 3'));
+  const overlapping = lockService.withWriteLock('test:rw:1', async () => order.push('write 1'),
+    { retryAttempts: 50, retryDelayMs: 10 });
+  await Promise.all([search, unrelated, overlapping]);
+
+  assert.deepStrictEqual(order, ['read start', 'write 3', 'read end', 'write 1'], 'writer waits only for its own resource');
+  console.log('   Read/write locks OK');
+};
+
+/**
+ * Queues: an enqueued message is delivered once and acknowledged
+ */
+const testQueue = async () => {
+  console.log(' Testing message queue...');
+  await queueService.initializeRedis();
+
+  const received = [];
+  const worker = queueService.process('notification_queue', async (message, { signal }) => {
+    assert.ok(signal instanceof AbortSignal, 'handler gets an abort signal');
+    received.push(message.data);
+  });
+
+  await queueService.enqueue('notification_queue', { n: 1 });
+  await queueService.enqueue('notification_queue', { n: 2 }, { priority: 'high' });
+  await waitFor(() => received.length === 2, 3000, 'queued messages');
+  await worker.stop();
+
+  assert.deepStrictEqual(received.map(data => data.n).sort(), [1, 2], 'each message delivered once');
+  const health = await queueService.getQueueHealth('notification_queue');
+  assert.strictEqual(health.pending, 0, 'nothing left pending');
+  assert.strictEqual(health.processing, 0, 'nothing left in processing');
+  assert.strictEqual(health.processed, 2, 'both acknowledged');
+  console.log('   Message queue OK');
+};
+
+/**
+ * Events: published events reach subscribers and are stored
+ */
+const testEvents = async () => {
+  console.log(' Testing events...');
+  await eventService.initializeRedis();
+
+  const received = [];
+  await eventService.subscribeToEvent('memory_test', (event) => received.push(event));
+  const published = await eventService.publishEvent('memory_test', { ok: true });
+  await waitFor(() => received.length === 1, 1000, 'event delivery');
+
+  assert.strictEqual(received[0].id, published.id, 'subscriber got the event');
+  const stored = await eventService.getStoredEvent(published.id);
+  assert.deepStrictEqual(stored.data, { ok: true }, 'event stored');
+  console.log('   Events OK');
+};
+
+/**
+ * Run all in-memory backend tests
+ */
+const runMemoryBackendTests = async () => {
+  console.log(' In-Memory Redis Backend Tests\n');
+  console.log('='.repeat(50));
+  resetMemoryRedis();
+
+  try {
+    await testGeoSearch();
+    await testLocks();
+    await testReadWriteLocks();
+    await testQueue();
+    await testEvents();
+  } finally {
+    await queueService.closeQueueService();
+    await eventService.closeEventService();
+    await redisClient.closeRedis();
+  }
+
+  console.log('='.repeat(50));
+  console.log(' All in-memory backend tests passed');
+};
+
+// Run tests if this script is executed directly
+if (require.main === module) {
+  runMemoryBackendTests()
+    .then(() => {
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('\n Testing failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  testGeoSearch,
+  testLocks,
+  testReadWriteLocks,
+  testQueue,
+  testEvents,
+  runMemoryBackendTests
+};
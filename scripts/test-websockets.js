@@ -41,6 +41,7 @@ const testStats = {
   events: {
     booking_created: 0,
     booking_assigned: 0,
+    booking_offer: 0,
     booking_accepted: 0,
     booking_completed: 0,
     driver_location_update: 0,
@@ -219,6 +220,10 @@ const setupMessageHandlers = (ws, user) => {
           console.log(` Booking assigned to ${user.user_type}:${user.user_id}:`, message.data);
           break;
           
+        case 'booking_offer':
+          console.log(` Booking offer for ${user.user_type}:${user.user_id}:`, message.data);
+          break;
+          
         case 'location_update':
           console.log(` Location update for ${user.user_type}:${user.user_id}:`, message.data);
           break;
@@ -280,19 +285,19 @@ const testBookingFlow = async () => {
       pickup_lng: -74.0060,
       dropoff_lat: 40.7589,
       dropoff_lng: -73.9851,
-      estimated_fare: 15.50
+      vehicle_type: 'standard'
     };
     
     const bookingResponse = await axios.post(`${BASE_URL}/api/bookings`, bookingData);
     const booking = bookingResponse.data.data;
-    console.log(' Booking created:', booking.id);
+    console.log(' Booking created:', booking.id, '(quoted fare:', booking.estimated_fare + ')');
     
     // Wait a moment for events to propagate
     await new Promise(resolve => setTimeout(resolve, 1000));
     
     // Assign driver
     const assignResponse = await axios.post(`${BASE_URL}/api/bookings/${booking.id}/assign`);
-    console.log(' Driver assigned:', assignResponse.data.data.driver.name);
+    console.log(' Booking offered to driver:', assignResponse.data.data.driver.name);
     
     // Wait for real-time updates
     await new Promise(resolve => setTimeout(resolve, 2000));
@@ -306,12 +311,25 @@ const testBookingFlow = async () => {
     // Wait for real-time updates
     await new Promise(resolve => setTimeout(resolve, 2000));
     
+    // Driver reaches the pickup and the rider gets in
+    await axios.post(`${BASE_URL}/api/bookings/${booking.id}/arrive`, {
+      driver_id: assignResponse.data.data.driver.id
+    });
+    console.log(' Driver arrived at pickup');
+    
+    await axios.post(`${BASE_URL}/api/bookings/${booking.id}/start`, {
+      driver_id: assignResponse.data.data.driver.id
+    });
+    console.log(' Trip started');
+    
+    // Wait for real-time updates
+    await new Promise(resolve => setTimeout(resolve, 2000));
+    
     // Complete ride
     const completeResponse = await axios.post(`${BASE_URL}/api/bookings/${booking.id}/complete`, {
-      driver_id: assignResponse.data.data.driver.id,
-      actual_fare: 16.25
+      driver_id: assignResponse.data.data.driver.id
     });
-    console.log(' Ride completed');
+    console.log(' Ride completed, fare:', completeResponse.data.data.actual_fare);
     
   } catch (error) {
     console.error(' Booking flow test failed:', error.message);
@@ -0,0 +1,118 @@
+/**
+ * Assignment Solver
+ *
+ * This module solves the min-cost bipartite assignment problem with the
+ * Hungarian algorithm (potentials form, O(n^2 m)). Rows are bookings and
+ * columns are drivers; pairs that must not be matched carry Infinity.
+ */
+
+// Stand-in for Infinity inside the algorithm, which needs finite arithmetic
+const FORBIDDEN_COST = 1e9;
+
+/**
+ * Solve an assignment problem where rows <= columns
+ * @param {number[][]} cost - n x m cost matrix with n <= m
+ * @returns {number[]} Column assigned to each row
+ */
+const solveRowsAtMostColumns = (cost) => {
+  const n = cost.length;
+  const m = cost[0].length;
+
+  // 1-indexed potentials and matching, as in the classic formulation
+  const u = new Array(n + 1).fill(0);
+  const v = new Array(m + 1).fill(0);
+  const matchedRow = new Array(m + 1).fill(0); // column -> row
+  const way = new Array(m + 1).fill(0);
+
+  for (let row = 1; row <= n; row++) {
+    matchedRow[0] = row;
+    let column = 0;
+    const minSlack = new Array(m + 1).fill(Infinity);
+    const used = new Array(m + 1).fill(false);
+
+    do {
+      used[column] = true;
+      const currentRow = matchedRow[column];
+      let delta = Infinity;
+      let nextColumn = 0;
+
+      for (let j = 1; j <= m; j++) {
+        if (!used[j]) {
+          const slack = cost[currentRow - 1][j - 1] - u[currentRow] - v[j];
+          if (slack < minSlack[j]) {
+            minSlack[j] = slack;
+            way[j] = column;
+          }
+          if (minSlack[j] < delta) {
+            delta = minSlack[j];
+            nextColumn = j;
+          }
+        }
+      }
+
+      for (let j = 0; j <= m; j++) {
+        if (used[j]) {
+          u[matchedRow[j]] += delta;
+          v[j] -= delta;
+        } else {
+          minSlack[j] -= delta;
+        }
+      }
+
+      column = nextColumn;
+    } while (matchedRow[column] !== 0);
+
+    // Flip the augmenting path
+    do {
+      const previous = way[column];
+      matchedRow[column] = matchedRow[previous];
+      column = previous;
+    } while (column !== 0);
+  }
+
+  const assignment = new Array(n).fill(-1);
+  for (let j = 1; j <= m; j++) {
+    if (matchedRow[j] !== 0) {
+      assignment[matchedRow[j] - 1] = j - 1;
+    }
+  }
+  return assignment;
+};
+
+/**
+ * Find the assignment of rows to columns with the lowest total cost
+ * @param {number[][]} cost - Cost matrix; Infinity marks a forbidden pair
+ * @returns {Array<{row: number, column: number, cost: number}>} Matched pairs,
+ *   excluding rows that could only be matched through a forbidden pair
+ */
+const solveAssignment = (cost) => {
+  if (cost.length === 0 || cost[0].length === 0) {
+    return [];
+  }
+
+  const finite = cost.map(row => row.map(value => (Number.isFinite(value) ? value : FORBIDDEN_COST)));
+  const transposed = finite.length > finite[0].length;
+  const matrix = transposed
+    ? finite[0].map((_, column) => finite.map(row => row[column]))
+    : finite;
+
+  const assignment = solveRowsAtMostColumns(matrix);
+  const pairs = [];
+
+  assignment.forEach((assigned, index) => {
+    if (assigned === -1) {
+      return;
+    }
+    const row = transposed ? assigned : index;
+    const column = transposed ? index : assigned;
+    if (Number.isFinite(cost[row][column])) {
+      pairs.push({ row, column, cost: cost[row][column] });
+    }
+  });
+
+  return pairs.sort((a, b) => a.row - b.row);
+};
+
+module.exports = {
+  solveAssignment
+};
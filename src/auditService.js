@@ -0,0 +1,54 @@
+const { Pool } = require('pg');
+require('dotenv').config();
+
+/**
+ * Audit Service
+ *
+ * This module records operator actions taken through the admin API (such as
+ * force-releasing a stuck lock) in the admin_audit_log table, so there is a
+ * trail of who did what, to which resource and why.
+ */
+
+const pool = new Pool({
+  host: process.env.DB_HOST || 'localhost',
+  port: process.env.DB_PORT || 5432,
+  database: process.env.DB_NAME || 'uber_matching',
+  user: process.env.DB_USER || 'postgres',
+  password: process.env.DB_PASSWORD || 'password'
+});
+
+/**
+ * Record an admin action
+ * @param {Object} entry - Audit entry
+ * @param {string} entry.action - What was done (e.g. 'lock.force_release')
+ * @param {string} entry.target - What it was done to (e.g. the lock resource)
+ * @param {string} entry.actor - Who did it
+ * @param {string} entry.reason - Why, as given by the operator
+ * @param {Object} entry.details - Anything else worth keeping (e.g. the previous owner)
+ * @returns {Promise<Object>} The audit row
+ */
+const recordAdminAction = async ({ action, target, actor, reason = null, details = null }) => {
+  const result = await pool.query(`
+    INSERT INTO admin_audit_log (action, target, actor, reason, details)
+    VALUES ($1, $2, $3, $4, $5)
+    RETURNING *
+  `, [action, target, actor, reason, details ? JSON.stringify(details) : null]);
+
+  return result.rows[0];
+};
+
+/**
+ * Close audit service
+ */
+const closeAuditService = async () => {
+  try {
+    await pool.end();
+  } catch (error) {
+    console.error(' Error closing audit service:', error);
+  }
+};
+
+module.exports = {
+  recordAdminAction,
+  closeAuditService
+};
@@ -1,5 +1,11 @@
 const { Pool } = require('pg');
-const { withLock, isLocked, getLockStats } = require('./lockService');
+const { StaleLockError, withLock, withLocks, isLocked, getLockStats } = require('./lockService');
+const { normalizeVehicleType, getCompatibleClasses } = require('./vehicleClasses');
+const { haversineKm, calculateFare, capFare, estimateFare } = require('./pricingService');
+const { getSurgeMultiplier } = require('./surgeService');
+const { DEFAULT_STRATEGY, isValidStrategy, rankCandidates } = require('./matchingStrategies');
+const { canApply, assertCanApply, transition, recordCreation, getHistory } = require('./bookingStateMachine');
+const { createTrip, closeBookingStops } = require('./poolingService');
 require('dotenv').config();
 
 /**
@@ -18,8 +24,116 @@ const pool = new Pool({
   password: process.env.DB_PASSWORD || 'password'
 });
 
+// How long a driver must wait at the pickup before reporting a no-show
+const NO_SHOW_WAIT_MS = parseInt(process.env.NO_SHOW_WAIT_MS) || 300000;
+
+// How far ahead a scheduled ride may be booked
+const SCHEDULE_WINDOW = {
+  minLeadMinutes: parseInt(process.env.SCHEDULE_MIN_LEAD_MINUTES) || 30,
+  maxLeadDays: parseInt(process.env.SCHEDULE_MAX_LEAD_DAYS) || 7
+};
+
+/**
+ * Check a requested pickup time against the scheduling window
+ * @param {string|Date} scheduledFor - Requested pickup time
+ * @returns {string|null} Error message, or null when the time is acceptable
+ */
+const checkScheduleWindow = (scheduledFor) => {
+  const pickupAt = new Date(scheduledFor).getTime();
+  
+  if (Number.isNaN(pickupAt)) {
+    return 'scheduled_for must be a valid date';
+  }
+  
+  const leadMs = pickupAt - Date.now();
+  
+  if (leadMs < SCHEDULE_WINDOW.minLeadMinutes * 60000) {
+    return `Scheduled rides must be booked at least ${SCHEDULE_WINDOW.minLeadMinutes} minutes ahead`;
+  }
+  
+  if (leadMs > SCHEDULE_WINDOW.maxLeadDays * 86400000) {
+    return `Scheduled rides can be booked at most ${SCHEDULE_WINDOW.maxLeadDays} days ahead`;
+  }
+  
+  return null;
+};
+
+// Ride types: a private ride, or a pool ride that may share the car
+const RIDE_TYPES = ['private', 'pool'];
+
+// Most intermediate stops a booking may have
+const MAX_BOOKING_STOPS = parseInt(process.env.MAX_BOOKING_STOPS) || 5;
+
+// Statuses in which the rider may still change the stops
+const STOP_EDITABLE_STATUSES = ['scheduled', 'pending', 'assigned', 'accepted', 'driver_en_route', 'arrived', 'in_progress'];
+
+// Statuses in which a booking keeps its driver busy
+const DRIVER_ACTIVE_STATUSES = ['assigned', 'accepted', 'driver_en_route', 'arrived', 'in_progress'];
+
+/**
+ * Build the failure result returned by booking operations
+ * @param {Error} error - The error
+ * @returns {Object} { success: false, error, code }
+ */
+const failure = (error) => {
+  return {
+    success: false,
+    error: error.message,
+    code: error.code
+  };
+};
+
+/**
+ * Put a driver back online unless they still have a booking under way
+ *
+ * Drivers on a pool trip stay busy until their last rider is dropped off.
+ * @param {Object} db - pg Pool or client
+ * @param {number} driverId - The driver ID
+ */
+const releaseDriverIfIdle = async (db, driverId) => {
+  await db.query(`
+    UPDATE drivers SET status = 'online', updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+      AND NOT EXISTS (SELECT 1 FROM bookings WHERE driver_id = $1 AND status = ANY($2::text[]))
+  `, [driverId, DRIVER_ACTIVE_STATUSES]);
+};
+
+/**
+ * Stamp a booking with the caller's lock fencing token before writing rows
+ * that hang off it, so a holder whose lock expired cannot write after a newer one
+ * @param {Object} db - pg Pool or client
+ * @param {number} bookingId - The booking ID
+ * @param {number} fencingToken - Fencing token of the booking lock
+ */
+const fenceBooking = async (db, bookingId, fencingToken) => {
+  const result = await db.query(`
+    UPDATE bookings SET lock_token = $2
+    WHERE id = $1 AND lock_token <= $2
+    RETURNING lock_token
+  `, [bookingId, fencingToken]);
+  
+  if (result.rows.length === 0) {
+    const current = await db.query('SELECT lock_token FROM bookings WHERE id = $1', [bookingId]);
+    if (current.rows.length > 0) {
+      throw new StaleLockError(`booking:${bookingId}`, fencingToken, Number(current.rows[0].lock_token));
+    }
+  }
+};
+
 /**
  * Create a new booking request
+ *
+ * The surge multiplier in effect at the pickup cell is locked into the booking.
+ * If the rider sends the multiplier they were quoted (surge_multiplier) and
+ * surge has risen since, the booking is rejected so the rider can re-confirm.
+ *
+ * With scheduled_for the booking is created 'scheduled' instead of 'pending'
+ * and is only matched once the scheduler activates it. Current surge says
+ * nothing about a future pickup, so scheduled rides are quoted without it.
+ *
+ * ride_type 'pool' lets the booking share a car with other pool riders.
+ * Private rides may list intermediate stops ({ lat, lng }) visited in order
+ * between pickup and dropoff; the estimate covers the whole route.
  * @param {Object} bookingData - Booking data
  * @returns {Promise<Object>}
  */
@@ -30,109 +144,1111 @@ const createBooking = async (bookingData) => {
     pickup_lng,
     dropoff_lat,
     dropoff_lng,
-    estimated_fare,
-    vehicle_type = 'standard'
+    vehicle_type,
+    surge_multiplier,
+    strategy,
+    scheduled_for,
+    ride_type = 'private',
+    stops = []
   } = bookingData;
   
+  const vehicleClass = normalizeVehicleType(vehicle_type);
+  if (!vehicleClass) {
+    return {
+      success: false,
+      error: `Unsupported vehicle type: ${vehicle_type}`
+    };
+  }
+  
+  if (strategy && !isValidStrategy(strategy)) {
+    return {
+      success: false,
+      error: `Unknown matching strategy: ${strategy}`
+    };
+  }
+  
+  if (!RIDE_TYPES.includes(ride_type)) {
+    return {
+      success: false,
+      error: `Unsupported ride type: ${ride_type}`
+    };
+  }
+  
+  if (stops.length > 0 && ride_type === 'pool') {
+    return {
+      success: false,
+      error: 'Pool rides cannot have intermediate stops'
+    };
+  }
+  
+  if (stops.length > MAX_BOOKING_STOPS) {
+    return {
+      success: false,
+      error: `A booking can have at most ${MAX_BOOKING_STOPS} stops`
+    };
+  }
+  
+  if (scheduled_for) {
+    const scheduleError = checkScheduleWindow(scheduled_for);
+    if (scheduleError) {
+      return {
+        success: false,
+        error: scheduleError
+      };
+    }
+  }
+  
+  try {
+    const surgeMultiplier = scheduled_for ? 1 : await getSurgeMultiplier(pickup_lat, pickup_lng);
+    
+    if (surge_multiplier !== undefined && surgeMultiplier > parseFloat(surge_multiplier)) {
+      return {
+        success: false,
+        error: `Surge pricing changed to ${surgeMultiplier}x, please confirm the new fare`,
+        surge_multiplier: surgeMultiplier
+      };
+    }
+    
+    // The fare is always quoted by the server, never taken from the client
+    const estimate = estimateFare({ ...bookingData, vehicle_type: vehicleClass }, { surgeMultiplier });
+    
+    const client = await pool.connect();
+    const bookingStops = [];
+    let result;
+    
+    // The booking, its creation history and its stops are written together
+    try {
+      await client.query('BEGIN');
+      
+      result = await client.query(`
+        INSERT INTO bookings (
+          rider_id, pickup_lat, pickup_lng, dropoff_lat, dropoff_lng,
+          estimated_fare, vehicle_type, city, estimated_distance_km,
+          estimated_duration_min, fare_breakdown, surge_multiplier, strategy,
+          scheduled_for, ride_type, status, created_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, CURRENT_TIMESTAMP)
+        RETURNING *
+      `, [
+        rider_id, pickup_lat, pickup_lng, dropoff_lat, dropoff_lng,
+        estimate.total, vehicleClass, estimate.city, estimate.distance_km,
+        estimate.duration_min, JSON.stringify(estimate), surgeMultiplier, strategy || null,
+        scheduled_for ? new Date(scheduled_for) : null, ride_type, scheduled_for ? 'scheduled' : 'pending'
+      ]);
+      
+      await recordCreation(client, result.rows[0], { type: 'rider', id: rider_id });
+      
+      for (let i = 0; i < stops.length; i++) {
+        const stopResult = await client.query(`
+          INSERT INTO booking_stops (booking_id, sequence, lat, lng)
+          VALUES ($1, $2, $3, $4)
+          RETURNING *
+        `, [result.rows[0].id, i + 1, stops[i].lat, stops[i].lng]);
+        bookingStops.push(stopResult.rows[0]);
+      }
+      
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+    
+    return {
+      success: true,
+      data: { ...result.rows[0], stops: bookingStops },
+      fare: estimate
+    };
+  } catch (error) {
+    console.error('Error creating booking:', error);
+    return failure(error);
+  }
+};
+
+/**
+ * Move a scheduled booking to 'pending' so it can be matched
+ * @param {number} bookingId - The booking ID
+ * @returns {Promise<Object>}
+ */
+const activateScheduledBooking = async (bookingId) => {
+  try {
+    const result = await withLock(`booking:${bookingId}`, async ({ fencingToken }) => {
+      const bookingResult = await pool.query(
+        'SELECT * FROM bookings WHERE id = $1',
+        [bookingId]
+      );
+      
+      if (bookingResult.rows.length === 0) {
+        throw new Error('Booking not found');
+      }
+      
+      const booking = await transition(pool, bookingResult.rows[0], 'activate', {
+        fencingToken: fencingToken,
+        reason: 'scheduled pickup approaching'
+      });
+      
+      return {
+        success: true,
+        booking: booking,
+        message: 'Scheduled booking activated for matching'
+      };
+    }, {
+      operation: 'activateScheduledBooking',
+      ttlSeconds: 30,
+      retryAttempts: 3,
+      retryDelayMs: 100
+    });
+    
+    return result;
+    
+  } catch (error) {
+    console.error('Error activating scheduled booking:', error);
+    return failure(error);
+  }
+};
+
+// How long a driver has to accept or decline an offer before it expires
+const OFFER_TIMEOUT_MS = parseInt(process.env.OFFER_TIMEOUT_MS) || 15000;
+
+// How many nearby drivers a matching strategy gets to choose from
+const CANDIDATE_POOL_SIZE = 40;
+
+/**
+ * Rank available drivers near the pickup location
+ *
+ * Only drivers whose vehicle class can serve the booking are considered;
+ * upgrade candidates (e.g. premium serving a standard booking) only once they
+ * have been idle long enough. The matching strategy (see matchingStrategies.js)
+ * decides the order and attaches a reason to each candidate.
+ * @param {Object} booking - The booking row
+ * @param {number[]} excludeDriverIds - Drivers that were already offered this booking
+ * @param {number} limit - Maximum number of candidates
+ * @param {string} strategy - Strategy name; defaults to the booking's, then config
+ * @returns {Promise<Array>} Candidates ordered best first
+ */
+const rankDriverCandidates = async (booking, excludeDriverIds = [], limit = 5, strategy = null) => {
+  const compatibleClasses = getCompatibleClasses(booking.vehicle_type);
+  
+  // Fetch the closest drivers, then filter on class rules below
+  const driversResult = await pool.query(`
+    SELECT d.id, d.name, d.phone, d.lat, d.lng, d.vehicle_type, d.rating,
+           (6371 * acos(cos(radians($1)) * cos(radians(d.lat)) * 
+            cos(radians(d.lng) - radians($2)) + sin(radians($1)) * 
+            sin(radians(d.lat)))) AS distance,
+           EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - COALESCE(
+             (SELECT MAX(b.completed_at) FROM bookings b WHERE b.driver_id = d.id),
+             d.created_at
+           )))::int AS idle_seconds
+    FROM drivers d
+    WHERE d.status = 'online' 
+      AND d.lat IS NOT NULL 
+      AND d.lng IS NOT NULL
+      AND NOT (d.id = ANY($3::int[]))
+      AND (6371 * acos(cos(radians($1)) * cos(radians(d.lat)) * 
+           cos(radians(d.lng) - radians($2)) + sin(radians($1)) * 
+           sin(radians(d.lat)))) <= 10
+    ORDER BY distance, d.rating DESC
+    LIMIT $4
+  `, [booking.pickup_lat, booking.pickup_lng, excludeDriverIds, Math.max(limit * 4, CANDIDATE_POOL_SIZE)]);
+  
+  const candidates = [];
+  for (const driver of driversResult.rows) {
+    const rule = compatibleClasses.find(c => c.vehicleType === normalizeVehicleType(driver.vehicle_type));
+    
+    if (!rule || (rule.upgrade && driver.idle_seconds < rule.minIdleSeconds)) {
+      continue;
+    }
+    
+    candidates.push({
+      ...driver,
+      vehicle_class: rule.vehicleType,
+      upgrade: rule.upgrade
+    });
+  }
+  
+  return rankCandidates(strategy || booking.strategy || DEFAULT_STRATEGY, booking, candidates).slice(0, limit);
+};
+
+/**
+ * Offer a booking to one driver, holding both the booking and driver locks
+ *
+ * The driver is reserved, the booking moves to 'assigned' and the offer is
+ * recorded in one transaction.
+ * @param {number} bookingId - The booking ID
+ * @param {Object} driver - Ranked candidate
+ * @param {number} offerTimeoutMs - Acceptance window in milliseconds
+ * @param {number} fencingToken - Fencing token of the booking lock
+ * @param {AbortSignal} signal - Aborted if either lock is lost
+ * @returns {Promise<Object|null>} The offer, or null if the driver is no longer available
+ */
+const offerToDriver = async (bookingId, driver, offerTimeoutMs, fencingToken, signal) => {
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    // Re-read under the locks: the booking may have been offered or cancelled since ranking
+    const bookingResult = await client.query('SELECT * FROM bookings WHERE id = $1', [bookingId]);
+    
+    if (bookingResult.rows.length === 0) {
+      throw new Error('Booking not found');
+    }
+    
+    // Reserve the driver while the offer is open
+    const driverResult = await client.query(
+      'UPDATE drivers SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 AND status = $3 RETURNING id',
+      ['busy', driver.id, 'online']
+    );
+    
+    if (driverResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+    
+    const offeredBooking = await transition(client, bookingResult.rows[0], 'offer', {
+      fencingToken: fencingToken,
+      actor: { type: 'system' },
+      set: { driver_id: driver.id }
+    });
+    
+    // Record the offer with why this driver was picked
+    const offerResult = await client.query(`
+      INSERT INTO booking_offers (booking_id, driver_id, rank, distance, strategy, match_reason, expires_at)
+      SELECT $1::int, $2::int, COUNT(*) + 1, $3::decimal, $4::varchar, $5::text,
+             CURRENT_TIMESTAMP + $6::int * INTERVAL '1 millisecond'
+      FROM booking_offers WHERE booking_id = $1
+      RETURNING *
+    `, [bookingId, driver.id, driver.distance, driver.strategy, driver.reason, offerTimeoutMs]);
+    
+    // Roll back if a lock was lost while we worked
+    signal.throwIfAborted();
+    await client.query('COMMIT');
+    
+    return {
+      booking: offeredBooking,
+      offer: offerResult.rows[0]
+    };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Offer a booking to the next best driver (atomic operation with locking)
+ *
+ * The booking moves to 'assigned' with the offered driver reserved (busy) until
+ * the driver accepts, declines or the offer expires. Drivers that already
+ * received an offer for this booking are skipped. Each offer is made holding
+ * both booking:<id> and driver:<id>, so two bookings can never reserve the
+ * same driver; a driver whose lock is taken is passed over for the next one.
+ * @param {number} bookingId - The booking ID
+ * @param {Object} options - Offer options
+ * @param {number} options.offerTimeoutMs - Acceptance window in milliseconds
+ * @param {string} options.strategy - Matching strategy, overriding the booking's
+ * @returns {Promise<Object>}
+ */
+const assignDriver = async (bookingId, options = {}) => {
+  const { offerTimeoutMs = OFFER_TIMEOUT_MS, strategy = null } = options;
+  
+  try {
+    // Get booking details
+    const bookingResult = await pool.query(
+      'SELECT * FROM bookings WHERE id = $1',
+      [bookingId]
+    );
+    
+    if (bookingResult.rows.length === 0) {
+      throw new Error('Booking not found');
+    }
+    
+    const booking = bookingResult.rows[0];
+    assertCanApply(booking, 'offer');
+    
+    // Skip drivers that have already seen this booking
+    const offeredResult = await pool.query(
+      'SELECT COUNT(*)::int AS count, COALESCE(array_agg(driver_id), ARRAY[]::int[]) AS driver_ids FROM booking_offers WHERE booking_id = $1',
+      [bookingId]
+    );
+    const { count: offerCount, driver_ids: offeredDriverIds } = offeredResult.rows[0];
+    
+    // Find available drivers near pickup location
+    const candidates = await rankDriverCandidates(booking, offeredDriverIds, 5, strategy);
+    
+    if (candidates.length === 0) {
+      throw new Error(offerCount > 0
+        ? 'No remaining drivers to offer this booking to'
+        : `No available ${booking.vehicle_type} drivers found`);
+    }
+    
+    // Offer to the best ranked driver that can still be reserved
+    for (const driver of candidates) {
+      let offered;
+      
+      try {
+        // Use distributed locks on the booking and the driver to prevent race conditions
+        offered = await withLocks([`booking:${bookingId}`, `driver:${driver.id}`], async ({ fencingTokens, signal }) => {
+          return await offerToDriver(bookingId, driver, offerTimeoutMs, fencingTokens[`booking:${bookingId}`], signal);
+        }, {
+          operation: 'assignDriver',
+          ttlSeconds: 30,
+          retryAttempts: 3,
+          retryDelayMs: 100
+        });
+      } catch (error) {
+        // Another booking is being offered to this driver
+        if (error.code === 'LOCK_UNAVAILABLE' && error.resource === `driver:${driver.id}`) {
+          continue;
+        }
+        throw error;
+      }
+      
+      if (offered) {
+        console.log(` Booking ${bookingId} -> driver ${driver.id} (${driver.reason})`);
+        
+        return {
+          success: true,
+          booking: offered.booking,
+          driver: driver,
+          offer: offered.offer,
+          message: 'Booking offered to driver'
+        };
+      }
+    }
+    
+    throw new Error('All nearby drivers are currently busy');
+    
+  } catch (error) {
+    console.error('Error assigning driver:', error);
+    return failure(error);
+  }
+};
+
+/**
+ * Load bookings collected for batch matching with their driver candidates
+ *
+ * Bookings that are no longer pending are skipped. Candidates are ranked with
+ * the batch strategy, which attaches the pair cost used for matching, and
+ * exclude drivers already offered the booking or currently holding a lock.
+ * @param {number[]} bookingIds - The booking IDs
+ * @param {number} limit - Maximum candidates per booking
+ * @returns {Promise<Array<{booking: Object, candidates: Object[]}>>}
+ */
+const getBatchCandidates = async (bookingIds, limit = 10) => {
+  const bookingsResult = await pool.query(
+    'SELECT * FROM bookings WHERE id = ANY($1::int[]) ORDER BY created_at',
+    [bookingIds]
+  );
+  
+  const batch = [];
+  for (const booking of bookingsResult.rows) {
+    if (!canApply(booking.status, 'offer')) {
+      continue;
+    }
+    
+    const offeredResult = await pool.query(
+      'SELECT COALESCE(array_agg(driver_id), ARRAY[]::int[]) AS driver_ids FROM booking_offers WHERE booking_id = $1',
+      [booking.id]
+    );
+    const ranked = await rankDriverCandidates(booking, offeredResult.rows[0].driver_ids, limit, 'batch');
+    
+    const candidates = [];
+    for (const driver of ranked) {
+      const driverLockStatus = await isLocked(`driver:${driver.id}`);
+      if (!driverLockStatus.locked) {
+        candidates.push(driver);
+      }
+    }
+    
+    batch.push({ booking, candidates });
+  }
+  
+  return batch;
+};
+
+/**
+ * Offer several bookings to their matched drivers in one transaction
+ *
+ * Every booking and driver lock is taken first (withLocks orders them, so
+ * concurrent batches and single offers cannot deadlock). If any booking or
+ * driver is no longer available the whole batch is rolled back.
+ * @param {Array<{bookingId: number, driver: Object}>} assignments - Matched pairs
+ * @param {Object} options - Offer options
+ * @param {number} options.offerTimeoutMs - Acceptance window in milliseconds
+ * @returns {Promise<Object>} { success, offers: [{ booking, driver, offer }] }
+ */
+const commitBatchOffers = async (assignments, options = {}) => {
+  const { offerTimeoutMs = OFFER_TIMEOUT_MS } = options;
+  
+  const resources = assignments.flatMap(({ bookingId, driver }) => [`booking:${bookingId}`, `driver:${driver.id}`]);
+  
+  const commit = async ({ fencingTokens, signal }) => {
+    const client = await pool.connect();
+    
+    try {
+      await client.query('BEGIN');
+      const offers = [];
+      
+      for (const { bookingId, driver } of assignments) {
+        const bookingResult = await client.query('SELECT * FROM bookings WHERE id = $1', [bookingId]);
+        if (bookingResult.rows.length === 0) {
+          throw new Error(`Booking ${bookingId} not found`);
+        }
+        
+        const booking = await transition(client, bookingResult.rows[0], 'offer', {
+          fencingToken: fencingTokens[`booking:${bookingId}`],
+          actor: { type: 'system' },
+          reason: 'batch',
+          set: { driver_id: driver.id }
+        });
+        
+        const driverResult = await client.query(
+          'UPDATE drivers SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 AND status = $3 RETURNING id',
+          ['busy', driver.id, 'online']
+        );
+        if (driverResult.rows.length === 0) {
+          throw new Error(`Driver ${driver.id} is no longer available`);
+        }
+        
+        const offerResult = await client.query(`
+          INSERT INTO booking_offers (booking_id, driver_id, rank, distance, strategy, match_reason, expires_at)
+          SELECT $1::int, $2::int, COUNT(*) + 1, $3::decimal, $4::varchar, $5::text,
+                 CURRENT_TIMESTAMP + $6::int * INTERVAL '1 millisecond'
+          FROM booking_offers WHERE booking_id = $1
+          RETURNING *
+        `, [bookingId, driver.id, driver.distance, driver.strategy, driver.reason, offerTimeoutMs]);
+        
+        offers.push({ booking, driver, offer: offerResult.rows[0] });
+      }
+      
+      // Roll back if a lock was lost while we worked
+      signal.throwIfAborted();
+      await client.query('COMMIT');
+      return { success: true, offers };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  };
+  
+  try {
+    return await withLocks(resources, commit, {
+      operation: 'commitBatchOffers',
+      ttlSeconds: 30,
+      retryAttempts: 3,
+      retryDelayMs: 100
+    });
+  } catch (error) {
+    console.error('Error committing batch offers:', error);
+    return failure(error);
+  }
+};
+
+/**
+ * Driver accepts a booking offer (atomic operation)
+ *
+ * The offer, the booking and any pool trip are written in one transaction,
+ * rolled back if the booking lock is lost before it commits.
+ * @param {number} bookingId - The booking ID
+ * @param {number} driverId - The driver ID
+ * @returns {Promise<Object>}
+ */
+const acceptBooking = async (bookingId, driverId) => {
+  try {
+    const result = await withLock(`booking:${bookingId}`, async ({ fencingToken, signal }) => {
+      const client = await pool.connect();
+      
+      try {
+        await client.query('BEGIN');
+        
+        // Verify booking is assigned to this driver
+        const bookingResult = await client.query(
+          'SELECT * FROM bookings WHERE id = $1 AND driver_id = $2',
+          [bookingId, driverId]
+        );
+        
+        if (bookingResult.rows.length === 0) {
+          throw new Error('Booking not found or not assigned to this driver');
+        }
+        
+        const booking = bookingResult.rows[0];
+        assertCanApply(booking, 'accept');
+        
+        // Close the open offer; an expired offer can no longer be accepted
+        const offerResult = await client.query(`
+          UPDATE booking_offers
+          SET status = 'accepted', responded_at = CURRENT_TIMESTAMP
+          WHERE booking_id = $1 AND driver_id = $2 AND status = 'pending'
+            AND expires_at > CURRENT_TIMESTAMP
+          RETURNING *
+        `, [bookingId, driverId]);
+        
+        if (offerResult.rows.length === 0) {
+          throw new Error('Offer has expired or was already answered');
+        }
+        
+        // Update booking status to accepted
+        let acceptedBooking = await transition(client, booking, 'accept', {
+          fencingToken: fencingToken,
+          actor: { type: 'driver', id: driverId }
+        });
+        
+        // A pool ride opens a shared trip that later pool bookings can join
+        let trip = null;
+        if (acceptedBooking.ride_type === 'pool') {
+          trip = await createTrip(client, acceptedBooking);
+          acceptedBooking = { ...acceptedBooking, trip_id: trip.id };
+        }
+        
+        // Roll back if the lock was lost while we worked
+        signal.throwIfAborted();
+        await client.query('COMMIT');
+        
+        return {
+          success: true,
+          booking: acceptedBooking,
+          offer: offerResult.rows[0],
+          trip: trip,
+          message: 'Booking accepted successfully'
+        };
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+      
+    }, {
+      operation: 'acceptBooking',
+      ttlSeconds: 30,
+      retryAttempts: 3,
+      retryDelayMs: 100
+    });
+    
+    return result;
+    
+  } catch (error) {
+    console.error('Error accepting booking:', error);
+    return failure(error);
+  }
+};
+
+/**
+ * Close an open offer and return the booking to 'pending'
+ *
+ * Holds both booking:<id> and driver:<id>, like the offer itself, and writes
+ * in one transaction. The driver only goes back online if no other booking
+ * of theirs is still under way.
+ * @param {number} bookingId - The booking ID
+ * @param {Object} match - Which offer to close ({ driverId } or { offerId })
+ * @param {string} outcome - 'declined' or 'expired'
+ * @param {string} reason - Optional decline reason
+ * @returns {Promise<Object>}
+ */
+const releaseOffer = async (bookingId, match, outcome, reason = null) => {
+  // Find the offered driver first so their lock can be taken with the booking's
+  const pendingResult = await pool.query(`
+    SELECT driver_id FROM booking_offers
+    WHERE booking_id = $1 AND status = 'pending'
+      AND ($2::int IS NULL OR driver_id = $2)
+      AND ($3::int IS NULL OR id = $3)
+  `, [bookingId, match.driverId || null, match.offerId || null]);
+  
+  if (pendingResult.rows.length === 0) {
+    throw new Error('No open offer for this booking');
+  }
+  
+  const driverId = pendingResult.rows[0].driver_id;
+  
+  return await withLocks([`booking:${bookingId}`, `driver:${driverId}`], async ({ fencingTokens, signal }) => {
+    const client = await pool.connect();
+    
+    try {
+      await client.query('BEGIN');
+      
+      const offerResult = await client.query(`
+        UPDATE booking_offers
+        SET status = $1, decline_reason = $2, responded_at = CURRENT_TIMESTAMP
+        WHERE booking_id = $3 AND driver_id = $4 AND status = 'pending'
+          AND ($5::int IS NULL OR id = $5)
+        RETURNING *
+      `, [outcome, reason, bookingId, driverId, match.offerId || null]);
+      
+      if (offerResult.rows.length === 0) {
+        throw new Error('No open offer for this booking');
+      }
+      
+      const offer = offerResult.rows[0];
+      
+      // Put the booking back up for dispatch if it is still held for this driver
+      const bookingResult = await client.query(
+        'SELECT * FROM bookings WHERE id = $1 AND driver_id = $2',
+        [bookingId, driverId]
+      );
+      
+      let releasedBooking = null;
+      if (bookingResult.rows.length > 0 && canApply(bookingResult.rows[0].status, 'release')) {
+        releasedBooking = await transition(client, bookingResult.rows[0], 'release', {
+          fencingToken: fencingTokens[`booking:${bookingId}`],
+          actor: outcome === 'declined' ? { type: 'driver', id: driverId } : { type: 'system' },
+          reason: reason || outcome,
+          set: { driver_id: null, assigned_at: null }
+        });
+      }
+      
+      // Make the driver available again unless another booking still needs them
+      await releaseDriverIfIdle(client, driverId);
+      
+      // Roll back if a lock was lost while we worked
+      signal.throwIfAborted();
+      await client.query('COMMIT');
+      
+      return {
+        success: true,
+        booking: releasedBooking,
+        offer: offer,
+        message: outcome === 'declined' ? 'Offer declined' : 'Offer expired'
+      };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+    
+  }, {
+    operation: 'releaseOffer',
+    ttlSeconds: 30,
+    retryAttempts: 3,
+    retryDelayMs: 100
+  });
+};
+
+/**
+ * Driver declines a booking offer (atomic operation)
+ * @param {number} bookingId - The booking ID
+ * @param {number} driverId - The driver ID
+ * @param {string} reason - Optional decline reason
+ * @returns {Promise<Object>}
+ */
+const declineBooking = async (bookingId, driverId, reason = null) => {
+  try {
+    return await releaseOffer(bookingId, { driverId }, 'declined', reason);
+  } catch (error) {
+    console.error('Error declining booking:', error);
+    return failure(error);
+  }
+};
+
+/**
+ * Expire an unanswered booking offer (atomic operation)
+ * @param {number} bookingId - The booking ID
+ * @param {number} offerId - The offer ID
+ * @returns {Promise<Object>}
+ */
+const expireOffer = async (bookingId, offerId) => {
+  try {
+    return await releaseOffer(bookingId, { offerId }, 'expired');
+  } catch (error) {
+    console.error('Error expiring offer:', error);
+    return failure(error);
+  }
+};
+
+/**
+ * Find pending offers whose acceptance window has passed
+ * @param {number} limit - Most offers to return (default: 100)
+ * @returns {Promise<Object[]>} { id, booking_id } of each overdue offer, oldest first
+ */
+const getOverdueOffers = async (limit = 100) => {
+  const result = await pool.query(`
+    SELECT id, booking_id FROM booking_offers
+    WHERE status = 'pending' AND expires_at < CURRENT_TIMESTAMP
+    ORDER BY expires_at
+    LIMIT $1
+  `, [limit]);
+  
+  return result.rows;
+};
+
+/**
+ * Get every offer made for a booking, in cascade order
+ * @param {number} bookingId - The booking ID
+ * @returns {Promise<Object>}
+ */
+const getBookingOffers = async (bookingId) => {
+  try {
+    const result = await pool.query(`
+      SELECT o.*, d.name as driver_name
+      FROM booking_offers o
+      LEFT JOIN drivers d ON o.driver_id = d.id
+      WHERE o.booking_id = $1
+      ORDER BY o.rank
+    `, [bookingId]);
+    
+    return {
+      success: true,
+      data: result.rows,
+      count: result.rows.length
+    };
+  } catch (error) {
+    console.error('Error getting booking offers:', error);
+    return failure(error);
+  }
+};
+
+/**
+ * Cancel a booking (atomic operation)
+ * @param {number} bookingId - The booking ID
+ * @param {string} reason - Cancellation reason
+ * @param {number} userId - User ID (rider or driver)
+ * @param {string} userType - 'rider' or 'driver'
+ * @returns {Promise<Object>}
+ */
+const cancelBooking = async (bookingId, reason, userId, userType) => {
+  try {
+    const result = await withLock(`booking:${bookingId}`, async ({ fencingToken }) => {
+      // Get booking details
+      const bookingResult = await pool.query(
+        'SELECT * FROM bookings WHERE id = $1',
+        [bookingId]
+      );
+      
+      if (bookingResult.rows.length === 0) {
+        throw new Error('Booking not found');
+      }
+      
+      const booking = bookingResult.rows[0];
+      
+      // Verify user has permission to cancel
+      if (userType === 'rider' && booking.rider_id !== userId) {
+        throw new Error('Unauthorized: Not your booking');
+      }
+      
+      if (userType === 'driver' && booking.driver_id !== userId) {
+        throw new Error('Unauthorized: Not your booking');
+      }
+      
+      // Update booking status
+      const cancelledBooking = await transition(pool, booking, 'cancel', {
+        fencingToken: fencingToken,
+        actor: { type: userType, id: userId },
+        reason: reason,
+        set: { cancellation_reason: reason }
+      });
+      
+      // Close any offer still waiting on the driver
+      await pool.query(`
+        UPDATE booking_offers
+        SET status = 'cancelled', responded_at = CURRENT_TIMESTAMP
+        WHERE booking_id = $1 AND status = 'pending'
+      `, [bookingId]);
+      
+      // If driver was assigned, make them available again
+      if (booking.driver_id) {
+        await closeBookingStops(pool, cancelledBooking, null);
+        await releaseDriverIfIdle(pool, booking.driver_id);
+      }
+      
+      return {
+        success: true,
+        booking: cancelledBooking,
+        message: 'Booking cancelled successfully'
+      };
+      
+    }, {
+      operation: 'cancelBooking',
+      ttlSeconds: 30,
+      retryAttempts: 3,
+      retryDelayMs: 100
+    });
+    
+    return result;
+    
+  } catch (error) {
+    console.error('Error cancelling booking:', error);
+    return failure(error);
+  }
+};
+
+/**
+ * Record a driver location ping against their active trip
+ *
+ * The first ping after accepting moves the booking to 'driver_en_route'.
+ * Pings while 'in_progress' add up the distance that is billed; pool riders
+ * riding together each pay for an equal share of it.
+ * @param {number} driverId - The driver ID
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {Promise<Object>} Includes the bookings that went en route (departed)
+ */
+const recordTripProgress = async (driverId, lat, lng) => {
   try {
-    const result = await pool.query(`
-      INSERT INTO bookings (
-        rider_id, pickup_lat, pickup_lng, dropoff_lat, dropoff_lng,
-        estimated_fare, vehicle_type, status, created_at
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, 'pending', CURRENT_TIMESTAMP)
-      RETURNING *
-    `, [rider_id, pickup_lat, pickup_lng, dropoff_lat, dropoff_lng, estimated_fare, vehicle_type]);
+    const bookingResult = await pool.query(
+      'SELECT id, status, ride_type, trip_last_lat, trip_last_lng FROM bookings WHERE driver_id = $1 AND status = ANY($2::text[])',
+      [driverId, ['accepted', 'in_progress']]
+    );
+    
+    if (bookingResult.rows.length === 0) {
+      return { success: true, recorded: false, departed: [] };
+    }
+    
+    // On a pool trip every accepted rider is now being driven to
+    const departed = [];
+    for (const booking of bookingResult.rows.filter(row => row.status === 'accepted')) {
+      departed.push(await advanceTrip(booking.id, driverId, 'depart'));
+    }
+    
+    // Riders on board share the distance driven while they ride together
+    const onBoard = bookingResult.rows.filter(row => row.status === 'in_progress');
+    let segmentKm = 0;
+    
+    for (const booking of onBoard) {
+      segmentKm = booking.trip_last_lat === null
+        ? 0
+        : haversineKm(
+          parseFloat(booking.trip_last_lat), parseFloat(booking.trip_last_lng),
+          parseFloat(lat), parseFloat(lng)
+        );
+      const billedKm = booking.ride_type === 'pool' ? segmentKm / onBoard.length : segmentKm;
+      
+      await pool.query(`
+        UPDATE bookings 
+        SET trip_distance_km = COALESCE(trip_distance_km, 0) + $1, trip_last_lat = $2, trip_last_lng = $3
+        WHERE id = $4
+      `, [billedKm, lat, lng, booking.id]);
+    }
     
     return {
       success: true,
-      data: result.rows[0]
+      recorded: onBoard.length > 0,
+      bookingIds: onBoard.map(booking => booking.id),
+      departed: departed,
+      segmentKm
     };
   } catch (error) {
-    console.error('Error creating booking:', error);
-    return {
-      success: false,
-      error: error.message
-    };
+    console.error('Error recording trip progress:', error);
+    return failure(error);
   }
 };
 
 /**
- * Find and assign a driver to a booking (atomic operation with locking)
+ * Apply a driver trip event (depart, arrive, start, no_show) to their booking
+ *
+ * Starting the trip marks the pool pickup reached; a no-show skips the
+ * booking's remaining stops and frees the driver. Those writes commit in the
+ * same transaction as the transition, under the booking lock.
  * @param {number} bookingId - The booking ID
- * @returns {Promise<Object>}
+ * @param {number} driverId - The driver ID
+ * @param {string} event - State machine event
+ * @returns {Promise<Object>} The updated booking
  */
-const assignDriver = async (bookingId) => {
-  try {
-    // Use distributed lock to prevent race conditions
-    const result = await withLock(`booking:${bookingId}`, async () => {
-      // Get booking details
-      const bookingResult = await pool.query(
-        'SELECT * FROM bookings WHERE id = $1 AND status = $2',
-        [bookingId, 'pending']
+const advanceTrip = async (bookingId, driverId, event) => {
+  return await withLock(`booking:${bookingId}`, async ({ fencingToken, signal }) => {
+    const client = await pool.connect();
+    
+    try {
+      await client.query('BEGIN');
+      
+      const bookingResult = await client.query(
+        'SELECT * FROM bookings WHERE id = $1 AND driver_id = $2',
+        [bookingId, driverId]
       );
       
       if (bookingResult.rows.length === 0) {
-        throw new Error('Booking not found or already processed');
+        throw new Error('Booking not found or not assigned to this driver');
       }
       
       const booking = bookingResult.rows[0];
+      assertCanApply(booking, event);
       
-      // Find available drivers near pickup location
-      // For now, accept any vehicle type to demonstrate locking functionality
-      const driversResult = await pool.query(`
-        SELECT id, name, phone, lat, lng, vehicle_type, rating,
-               (6371 * acos(cos(radians($1)) * cos(radians(lat)) * 
-                cos(radians(lng) - radians($2)) + sin(radians($1)) * 
-                sin(radians(lat)))) AS distance
-        FROM drivers
-        WHERE status = 'online' 
-          AND lat IS NOT NULL 
-          AND lng IS NOT NULL
-          AND (6371 * acos(cos(radians($1)) * cos(radians(lat)) * 
-               cos(radians(lng) - radians($2)) + sin(radians($1)) * 
-               sin(radians(lat)))) <= 10
-        ORDER BY distance, rating DESC
-        LIMIT 5
-      `, [booking.pickup_lat, booking.pickup_lng]);
-      
-      if (driversResult.rows.length === 0) {
-        throw new Error('No available drivers found');
+      if (event === 'no_show') {
+        const waitedMs = Date.now() - new Date(booking.arrived_at).getTime();
+        if (waitedMs < NO_SHOW_WAIT_MS) {
+          throw new Error(`Driver must wait ${Math.ceil((NO_SHOW_WAIT_MS - waitedMs) / 1000)}s more before reporting a no-show`);
+        }
       }
       
-      // Try to assign the closest driver
-      for (const driver of driversResult.rows) {
-        // Check if driver is already locked (busy)
-        const driverLockStatus = await isLocked(`driver:${driver.id}`);
-        
-        if (!driverLockStatus.locked) {
-          // Update booking with driver assignment
-          const updateResult = await pool.query(`
-            UPDATE bookings 
-            SET driver_id = $1, status = 'assigned', assigned_at = CURRENT_TIMESTAMP
-            WHERE id = $2 AND status = 'pending'
-            RETURNING *
-          `, [driver.id, bookingId]);
-          
-          if (updateResult.rows.length > 0) {
-            // Update driver status to busy
-            await pool.query(
-              'UPDATE drivers SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
-              ['busy', driver.id]
-            );
-            
-            return {
-              success: true,
-              booking: updateResult.rows[0],
-              driver: driver,
-              message: 'Driver assigned successfully'
-            };
-          }
-        }
+      const updatedBooking = await transition(client, booking, event, {
+        fencingToken: fencingToken,
+        actor: { type: 'driver', id: driverId }
+      });
+      
+      if (event === 'start') {
+        await closeBookingStops(client, updatedBooking, 'pickup');
+      } else if (event === 'no_show') {
+        await closeBookingStops(client, updatedBooking, null);
+        await releaseDriverIfIdle(client, driverId);
       }
       
-      throw new Error('All nearby drivers are currently busy');
+      // Roll back if the lock was lost while we worked
+      signal.throwIfAborted();
+      await client.query('COMMIT');
+      
+      return updatedBooking;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }, {
+    operation: 'advanceTrip',
+    ttlSeconds: 30,
+    retryAttempts: 3,
+    retryDelayMs: 100
+  });
+};
+
+/**
+ * Driver reports arriving at the pickup (atomic operation)
+ * @param {number} bookingId - The booking ID
+ * @param {number} driverId - The driver ID
+ * @returns {Promise<Object>}
+ */
+const markDriverArrived = async (bookingId, driverId) => {
+  try {
+    const booking = await advanceTrip(bookingId, driverId, 'arrive');
+    return {
+      success: true,
+      booking: booking,
+      message: 'Driver arrived at pickup'
+    };
+  } catch (error) {
+    console.error('Error marking driver arrived:', error);
+    return failure(error);
+  }
+};
+
+/**
+ * Driver starts the trip once the rider is in the car (atomic operation)
+ * @param {number} bookingId - The booking ID
+ * @param {number} driverId - The driver ID
+ * @returns {Promise<Object>}
+ */
+const startTrip = async (bookingId, driverId) => {
+  try {
+    const booking = await advanceTrip(bookingId, driverId, 'start');
+    
+    return {
+      success: true,
+      booking: booking,
+      message: 'Trip started'
+    };
+  } catch (error) {
+    console.error('Error starting trip:', error);
+    return failure(error);
+  }
+};
+
+/**
+ * Driver reports that the rider did not show up (atomic operation)
+ *
+ * Only allowed once the driver has waited NO_SHOW_WAIT_MS at the pickup.
+ * The driver becomes available again unless other pool riders are on board.
+ * @param {number} bookingId - The booking ID
+ * @param {number} driverId - The driver ID
+ * @returns {Promise<Object>}
+ */
+const markNoShow = async (bookingId, driverId) => {
+  try {
+    const booking = await advanceTrip(bookingId, driverId, 'no_show');
+    
+    return {
+      success: true,
+      booking: booking,
+      message: 'Rider marked as no-show'
+    };
+  } catch (error) {
+    console.error('Error marking no-show:', error);
+    return failure(error);
+  }
+};
+
+/**
+ * Complete a ride (atomic operation)
+ *
+ * The actual fare is computed from the distance recorded while the trip was in
+ * progress and its duration; when no location pings arrived the estimated
+ * distance is used.
+ * The surge multiplier locked in at booking time is applied. Pool riders never
+ * pay more than their quote, however long the detours for co-riders were.
+ * @param {number} bookingId - The booking ID
+ * @param {number} driverId - The driver ID
+ * @returns {Promise<Object>}
+ */
+const completeRide = async (bookingId, driverId) => {
+  try {
+    const result = await withLock(`booking:${bookingId}`, async ({ fencingToken, signal }) => {
+      const client = await pool.connect();
       
+      try {
+        await client.query('BEGIN');
+        
+        // Verify the trip is in progress with this driver
+        const bookingResult = await client.query(`
+          SELECT *, EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - started_at)) / 60 AS trip_duration_min
+          FROM bookings WHERE id = $1 AND driver_id = $2
+        `, [bookingId, driverId]);
+        
+        if (bookingResult.rows.length === 0) {
+          throw new Error('Booking not found or not accepted by this driver');
+        }
+        
+        const booking = bookingResult.rows[0];
+        assertCanApply(booking, 'complete');
+        const recordedKm = parseFloat(booking.trip_distance_km) || 0;
+        let fare = calculateFare({
+          city: booking.city || 'default',
+          vehicleType: booking.vehicle_type,
+          distanceKm: recordedKm > 0 ? recordedKm : parseFloat(booking.estimated_distance_km) || 0,
+          durationMin: parseFloat(booking.trip_duration_min) || 0,
+          surgeMultiplier: parseFloat(booking.surge_multiplier) || 1
+        });
+        
+        if (booking.ride_type === 'pool') {
+          fare = capFare(fare, parseFloat(booking.estimated_fare));
+        }
+        
+        // Update booking status to completed
+        const completedBooking = await transition(client, booking, 'complete', {
+          fencingToken: fencingToken,
+          actor: { type: 'driver', id: driverId },
+          set: { actual_fare: fare.total }
+        });
+        
+        // Intermediate stops the trip never got to are no longer on the route
+        await client.query(`
+          UPDATE booking_stops SET status = 'skipped', updated_at = CURRENT_TIMESTAMP
+          WHERE booking_id = $1 AND status = 'pending'
+        `, [bookingId]);
+        
+        // Make driver available again once the last rider is out
+        await closeBookingStops(client, completedBooking, 'dropoff');
+        await releaseDriverIfIdle(client, driverId);
+        
+        // Roll back if the lock was lost while we worked
+        signal.throwIfAborted();
+        await client.query('COMMIT');
+        
+        return {
+          success: true,
+          booking: completedBooking,
+          fare: fare,
+          message: 'Ride completed successfully'
+        };
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
     }, {
+      operation: 'completeRide',
       ttlSeconds: 30,
       retryAttempts: 3,
       retryDelayMs: 100
@@ -141,48 +1257,161 @@ const assignDriver = async (bookingId) => {
     return result;
     
   } catch (error) {
-    console.error('Error assigning driver:', error);
-    return {
-      success: false,
-      error: error.message
-    };
+    console.error('Error completing ride:', error);
+    return failure(error);
   }
 };
 
 /**
- * Driver accepts a booking (atomic operation)
+ * Get the stops of a booking that are still on the route, in order
+ * @param {Object} db - pg Pool or client
  * @param {number} bookingId - The booking ID
- * @param {number} driverId - The driver ID
+ * @returns {Promise<Object[]>} Pending and reached stops
+ */
+const getRouteStops = async (db, bookingId) => {
+  const result = await db.query(`
+    SELECT * FROM booking_stops
+    WHERE booking_id = $1 AND status IN ('pending', 'reached')
+    ORDER BY sequence
+  `, [bookingId]);
+  return result.rows;
+};
+
+/**
+ * Re-quote a booking for its current route and store the new estimate
+ *
+ * The surge multiplier locked in at booking time still applies.
+ * @param {Object} db - pg Pool or client
+ * @param {Object} booking - The booking row
+ * @returns {Promise<Object>} { booking, fare, stops }
+ */
+const refreshEstimate = async (db, booking) => {
+  const stops = await getRouteStops(db, booking.id);
+  const estimate = estimateFare({ ...booking, stops }, {
+    surgeMultiplier: parseFloat(booking.surge_multiplier) || 1
+  });
+  
+  const result = await db.query(`
+    UPDATE bookings
+    SET estimated_fare = $1, estimated_distance_km = $2, estimated_duration_min = $3, fare_breakdown = $4
+    WHERE id = $5
+    RETURNING *
+  `, [estimate.total, estimate.distance_km, estimate.duration_min, JSON.stringify(estimate), booking.id]);
+  
+  return {
+    booking: result.rows[0],
+    fare: estimate,
+    stops: stops
+  };
+};
+
+/**
+ * Load a booking the rider may still change the stops of
+ * @param {Object} db - pg Pool or client
+ * @param {number} bookingId - The booking ID
+ * @param {number} riderId - The rider ID
+ * @returns {Promise<Object>} The booking row
+ */
+const getEditableBooking = async (db, bookingId, riderId) => {
+  const bookingResult = await db.query('SELECT * FROM bookings WHERE id = $1', [bookingId]);
+  
+  if (bookingResult.rows.length === 0) {
+    throw new Error('Booking not found');
+  }
+  
+  const booking = bookingResult.rows[0];
+  
+  if (booking.rider_id !== riderId) {
+    throw new Error('Unauthorized: Not your booking');
+  }
+  
+  if (booking.ride_type === 'pool') {
+    throw new Error('Pool rides cannot have intermediate stops');
+  }
+  
+  if (!STOP_EDITABLE_STATUSES.includes(booking.status)) {
+    throw new Error(`Stops cannot be changed once the booking is ${booking.status}`);
+  }
+  
+  return booking;
+};
+
+/**
+ * Rider adds an intermediate stop (atomic operation)
+ *
+ * The stop goes at the given 1-based position among the remaining stops, or
+ * last; it cannot go before a stop that was already reached. The stops are
+ * renumbered, the stop inserted and the booking re-estimated in one transaction.
+ * @param {number} bookingId - The booking ID
+ * @param {number} riderId - The rider ID
+ * @param {Object} stop - { lat, lng, position }
  * @returns {Promise<Object>}
  */
-const acceptBooking = async (bookingId, driverId) => {
+const addBookingStop = async (bookingId, riderId, stop) => {
   try {
-    const result = await withLock(`booking:${bookingId}`, async () => {
-      // Verify booking is assigned to this driver
-      const bookingResult = await pool.query(
-        'SELECT * FROM bookings WHERE id = $1 AND driver_id = $2 AND status = $3',
-        [bookingId, driverId, 'assigned']
-      );
+    const result = await withLock(`booking:${bookingId}`, async ({ fencingToken, signal }) => {
+      const client = await pool.connect();
       
-      if (bookingResult.rows.length === 0) {
-        throw new Error('Booking not found or not assigned to this driver');
+      try {
+        await client.query('BEGIN');
+        
+        const booking = await getEditableBooking(client, bookingId, riderId);
+        await fenceBooking(client, bookingId, fencingToken);
+        const routeStops = await getRouteStops(client, bookingId);
+        
+        if (routeStops.length >= MAX_BOOKING_STOPS) {
+          throw new Error(`A booking can have at most ${MAX_BOOKING_STOPS} stops`);
+        }
+        
+        const reachedCount = routeStops.filter(routeStop => routeStop.status === 'reached').length;
+        const position = stop.position ? parseInt(stop.position) : routeStops.length + 1;
+        
+        if (position <= reachedCount || position > routeStops.length + 1) {
+          throw new Error(`Stop position must be between ${reachedCount + 1} and ${routeStops.length + 1}`);
+        }
+        
+        // Make room by shifting the stops at and after the position
+        let sequence;
+        if (position <= routeStops.length) {
+          sequence = routeStops[position - 1].sequence;
+          await client.query(
+            'UPDATE booking_stops SET sequence = sequence + 1 WHERE booking_id = $1 AND sequence >= $2',
+            [bookingId, sequence]
+          );
+        } else {
+          const lastResult = await client.query(
+            'SELECT COALESCE(MAX(sequence), 0) AS last FROM booking_stops WHERE booking_id = $1',
+            [bookingId]
+          );
+          sequence = parseInt(lastResult.rows[0].last) + 1;
+        }
+        
+        const stopResult = await client.query(`
+          INSERT INTO booking_stops (booking_id, sequence, lat, lng)
+          VALUES ($1, $2, $3, $4)
+          RETURNING *
+        `, [bookingId, sequence, stop.lat, stop.lng]);
+        
+        const updated = await refreshEstimate(client, booking);
+        
+        // Roll back if the lock was lost while we worked
+        signal.throwIfAborted();
+        await client.query('COMMIT');
+        
+        return {
+          success: true,
+          stop: stopResult.rows[0],
+          ...updated,
+          message: 'Stop added'
+        };
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
       }
-      
-      // Update booking status to accepted
-      const updateResult = await pool.query(`
-        UPDATE bookings 
-        SET status = 'accepted', accepted_at = CURRENT_TIMESTAMP
-        WHERE id = $1 AND driver_id = $2 AND status = 'assigned'
-        RETURNING *
-      `, [bookingId, driverId]);
-      
-      return {
-        success: true,
-        booking: updateResult.rows[0],
-        message: 'Booking accepted successfully'
-      };
-      
     }, {
+      operation: 'addBookingStop',
       ttlSeconds: 30,
       retryAttempts: 3,
       retryDelayMs: 100
@@ -191,73 +1420,61 @@ const acceptBooking = async (bookingId, driverId) => {
     return result;
     
   } catch (error) {
-    console.error('Error accepting booking:', error);
-    return {
-      success: false,
-      error: error.message
-    };
+    console.error('Error adding booking stop:', error);
+    return failure(error);
   }
 };
 
 /**
- * Cancel a booking (atomic operation)
+ * Rider removes an intermediate stop that was not reached yet (atomic operation)
+ *
+ * The stop is removed and the booking re-estimated in one transaction.
  * @param {number} bookingId - The booking ID
- * @param {string} reason - Cancellation reason
- * @param {number} userId - User ID (rider or driver)
- * @param {string} userType - 'rider' or 'driver'
+ * @param {number} stopId - The stop ID
+ * @param {number} riderId - The rider ID
  * @returns {Promise<Object>}
  */
-const cancelBooking = async (bookingId, reason, userId, userType) => {
+const removeBookingStop = async (bookingId, stopId, riderId) => {
   try {
-    const result = await withLock(`booking:${bookingId}`, async () => {
-      // Get booking details
-      const bookingResult = await pool.query(
-        'SELECT * FROM bookings WHERE id = $1',
-        [bookingId]
-      );
-      
-      if (bookingResult.rows.length === 0) {
-        throw new Error('Booking not found');
-      }
-      
-      const booking = bookingResult.rows[0];
+    const result = await withLock(`booking:${bookingId}`, async ({ fencingToken, signal }) => {
+      const client = await pool.connect();
       
-      // Verify user has permission to cancel
-      if (userType === 'rider' && booking.rider_id !== userId) {
-        throw new Error('Unauthorized: Not your booking');
-      }
-      
-      if (userType === 'driver' && booking.driver_id !== userId) {
-        throw new Error('Unauthorized: Not your booking');
-      }
-      
-      // Update booking status
-      const updateResult = await pool.query(`
-        UPDATE bookings 
-        SET status = 'cancelled', cancelled_at = CURRENT_TIMESTAMP, cancellation_reason = $1
-        WHERE id = $2 AND status IN ('pending', 'assigned', 'accepted')
-        RETURNING *
-      `, [reason, bookingId]);
-      
-      if (updateResult.rows.length === 0) {
-        throw new Error('Booking cannot be cancelled in current state');
-      }
-      
-      // If driver was assigned, make them available again
-      if (booking.driver_id) {
-        await pool.query(
-          'UPDATE drivers SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
-          ['online', booking.driver_id]
-        );
+      try {
+        await client.query('BEGIN');
+        
+        const booking = await getEditableBooking(client, bookingId, riderId);
+        await fenceBooking(client, bookingId, fencingToken);
+        
+        const stopResult = await client.query(`
+          UPDATE booking_stops SET status = 'removed', updated_at = CURRENT_TIMESTAMP
+          WHERE id = $1 AND booking_id = $2 AND status = 'pending'
+          RETURNING *
+        `, [stopId, bookingId]);
+        
+        if (stopResult.rows.length === 0) {
+          throw new Error('Stop not found or already reached');
+        }
+        
+        const updated = await refreshEstimate(client, booking);
+        
+        // Roll back if the lock was lost while we worked
+        signal.throwIfAborted();
+        await client.query('COMMIT');
+        
+        return {
+          success: true,
+          stop: stopResult.rows[0],
+          ...updated,
+          message: 'Stop removed'
+        };
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
       }
-      
-      return {
-        success: true,
-        booking: updateResult.rows[0],
-        message: 'Booking cancelled successfully'
-      };
-      
     }, {
+      operation: 'removeBookingStop',
       ttlSeconds: 30,
       retryAttempts: 3,
       retryDelayMs: 100
@@ -266,55 +1483,60 @@ const cancelBooking = async (bookingId, reason, userId, userType) => {
     return result;
     
   } catch (error) {
-    console.error('Error cancelling booking:', error);
-    return {
-      success: false,
-      error: error.message
-    };
+    console.error('Error removing booking stop:', error);
+    return failure(error);
   }
 };
 
 /**
- * Complete a ride (atomic operation)
+ * Driver marks the next stop of an in-progress trip as reached (atomic operation)
+ *
+ * Stops are visited in order, so only the first stop still pending can be reached.
  * @param {number} bookingId - The booking ID
+ * @param {number} stopId - The stop ID
  * @param {number} driverId - The driver ID
- * @param {number} actualFare - The actual fare charged
  * @returns {Promise<Object>}
  */
-const completeRide = async (bookingId, driverId, actualFare) => {
+const markStopReached = async (bookingId, stopId, driverId) => {
   try {
-    const result = await withLock(`booking:${bookingId}`, async () => {
-      // Verify booking is accepted by this driver
+    const result = await withLock(`booking:${bookingId}`, async ({ fencingToken }) => {
       const bookingResult = await pool.query(
-        'SELECT * FROM bookings WHERE id = $1 AND driver_id = $2 AND status = $3',
-        [bookingId, driverId, 'accepted']
+        'SELECT * FROM bookings WHERE id = $1 AND driver_id = $2',
+        [bookingId, driverId]
       );
       
       if (bookingResult.rows.length === 0) {
-        throw new Error('Booking not found or not accepted by this driver');
+        throw new Error('Booking not found or not assigned to this driver');
       }
       
-      // Update booking status to completed
-      const updateResult = await pool.query(`
-        UPDATE bookings 
-        SET status = 'completed', completed_at = CURRENT_TIMESTAMP, actual_fare = $1
-        WHERE id = $2 AND driver_id = $3 AND status = 'accepted'
-        RETURNING *
-      `, [actualFare, bookingId, driverId]);
+      const booking = bookingResult.rows[0];
       
-      // Make driver available again
-      await pool.query(
-        'UPDATE drivers SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
-        ['online', driverId]
-      );
+      if (booking.status !== 'in_progress') {
+        throw new Error('Stops can only be reached while the trip is in progress');
+      }
+      
+      const nextStop = (await getRouteStops(pool, bookingId)).find(routeStop => routeStop.status === 'pending');
+      
+      if (!nextStop || nextStop.id !== stopId) {
+        throw new Error(nextStop ? `Stop ${nextStop.id} must be reached first` : 'No stops left to reach');
+      }
+      
+      await fenceBooking(pool, bookingId, fencingToken);
+      
+      const stopResult = await pool.query(`
+        UPDATE booking_stops SET status = 'reached', reached_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING *
+      `, [stopId]);
       
       return {
         success: true,
-        booking: updateResult.rows[0],
-        message: 'Ride completed successfully'
+        booking: booking,
+        stop: stopResult.rows[0],
+        message: 'Stop reached'
       };
-      
     }, {
+      operation: 'markStopReached',
       ttlSeconds: 30,
       retryAttempts: 3,
       retryDelayMs: 100
@@ -323,11 +1545,30 @@ const completeRide = async (bookingId, driverId, actualFare) => {
     return result;
     
   } catch (error) {
-    console.error('Error completing ride:', error);
+    console.error('Error marking stop reached:', error);
+    return failure(error);
+  }
+};
+
+/**
+ * Get every stop of a booking, including removed ones
+ * @param {number} bookingId - The booking ID
+ * @returns {Promise<Object>}
+ */
+const getBookingStops = async (bookingId) => {
+  try {
+    const result = await pool.query(
+      'SELECT * FROM booking_stops WHERE booking_id = $1 ORDER BY sequence',
+      [bookingId]
+    );
     return {
-      success: false,
-      error: error.message
+      success: true,
+      data: result.rows,
+      count: result.rows.length
     };
+  } catch (error) {
+    console.error('Error getting booking stops:', error);
+    return failure(error);
   }
 };
 
@@ -361,10 +1602,26 @@ const getBooking = async (bookingId) => {
     };
   } catch (error) {
     console.error('Error getting booking:', error);
+    return failure(error);
+  }
+};
+
+/**
+ * Get the status history of a booking
+ * @param {number} bookingId - The booking ID
+ * @returns {Promise<Object>}
+ */
+const getBookingHistory = async (bookingId) => {
+  try {
+    const history = await getHistory(pool, bookingId);
     return {
-      success: false,
-      error: error.message
+      success: true,
+      data: history,
+      count: history.length
     };
+  } catch (error) {
+    console.error('Error getting booking history:', error);
+    return failure(error);
   }
 };
 
@@ -415,10 +1672,7 @@ const getUserBookings = async (userId, userType, status = null) => {
     };
   } catch (error) {
     console.error('Error getting user bookings:', error);
-    return {
-      success: false,
-      error: error.message
-    };
+    return failure(error);
   }
 };
 
@@ -435,20 +1689,39 @@ const getLockStatistics = async () => {
     };
   } catch (error) {
     console.error('Error getting lock statistics:', error);
-    return {
-      success: false,
-      error: error.message
-    };
+    return failure(error);
   }
 };
 
 module.exports = {
+  OFFER_TIMEOUT_MS,
+  NO_SHOW_WAIT_MS,
+  RIDE_TYPES,
+  MAX_BOOKING_STOPS,
+  SCHEDULE_WINDOW,
+  checkScheduleWindow,
   createBooking,
+  activateScheduledBooking,
   assignDriver,
+  getBatchCandidates,
+  commitBatchOffers,
   acceptBooking,
+  declineBooking,
+  expireOffer,
+  getOverdueOffers,
+  getBookingOffers,
   cancelBooking,
+  recordTripProgress,
+  markDriverArrived,
+  startTrip,
+  markNoShow,
   completeRide,
   getBooking,
+  getBookingHistory,
+  addBookingStop,
+  removeBookingStop,
+  markStopReached,
+  getBookingStops,
   getUserBookings,
   getLockStatistics
 };
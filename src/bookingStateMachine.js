@@ -0,0 +1,199 @@
+const { StaleLockError } = require('./lockService');
+
+/**
+ * Booking State Machine
+ *
+ * This module owns every booking status change. Each event below declares the
+ * statuses it may start from, the status it leads to and the timestamp column
+ * it stamps. Transitions are applied with a status guard so concurrent writers
+ * cannot skip a step, and each one is written to booking_status_history.
+ * Writers holding the booking lock also pass its fencing token, which is
+ * stored in lock_token so a writer whose lock has expired is turned away.
+ */
+
+// Booking statuses
+const BOOKING_STATUSES = [
+  'scheduled',
+  'pending',
+  'assigned',
+  'accepted',
+  'driver_en_route',
+  'arrived',
+  'in_progress',
+  'completed',
+  'cancelled',
+  'no_show'
+];
+
+// Events that move a booking between statuses
+const BOOKING_EVENTS = {
+  activate: { from: ['scheduled'], to: 'pending', timestamp: 'activated_at' }, // scheduled ride is due for matching
+  offer: { from: ['pending'], to: 'assigned', timestamp: 'assigned_at' },
+  release: { from: ['assigned'], to: 'pending' }, // offer declined or expired
+  accept: { from: ['assigned'], to: 'accepted', timestamp: 'accepted_at' },
+  join_pool: { from: ['pending'], to: 'accepted', timestamp: 'accepted_at' }, // inserted into a shared trip
+  depart: { from: ['accepted'], to: 'driver_en_route', timestamp: 'en_route_at' },
+  arrive: { from: ['accepted', 'driver_en_route'], to: 'arrived', timestamp: 'arrived_at' },
+  start: { from: ['arrived'], to: 'in_progress', timestamp: 'started_at' },
+  complete: { from: ['in_progress'], to: 'completed', timestamp: 'completed_at' },
+  no_show: { from: ['arrived'], to: 'no_show', timestamp: 'no_show_at' },
+  cancel: {
+    from: ['scheduled', 'pending', 'assigned', 'accepted', 'driver_en_route', 'arrived'],
+    to: 'cancelled',
+    timestamp: 'cancelled_at'
+  }
+};
+
+/**
+ * Raised when an event is not allowed from the booking's current status
+ */
+class InvalidTransitionError extends Error {
+  constructor(bookingId, from, event) {
+    const to = BOOKING_EVENTS[event] ? BOOKING_EVENTS[event].to : 'unknown';
+    super(`Booking ${bookingId} cannot go from ${from} to ${to} (${event})`);
+    this.name = 'InvalidTransitionError';
+    this.code = 'INVALID_TRANSITION';
+    this.bookingId = bookingId;
+    this.from = from;
+    this.to = to;
+    this.event = event;
+  }
+}
+
+/**
+ * Check whether an event is allowed from a status
+ * @param {string} status - Current status
+ * @param {string} event - Event name
+ * @returns {boolean}
+ */
+const canApply = (status, event) => {
+  return Boolean(BOOKING_EVENTS[event]) && BOOKING_EVENTS[event].from.includes(status);
+};
+
+/**
+ * Get the events allowed from a status
+ * @param {string} status - Current status
+ * @returns {string[]} Event names
+ */
+const getAllowedEvents = (status) => {
+  return Object.keys(BOOKING_EVENTS).filter(event => canApply(status, event));
+};
+
+/**
+ * Throw unless the event is allowed for the booking
+ * @param {Object} booking - The booking row
+ * @param {string} event - Event name
+ */
+const assertCanApply = (booking, event) => {
+  if (!canApply(booking.status, event)) {
+    throw new InvalidTransitionError(booking.id, booking.status, event);
+  }
+};
+
+/**
+ * Apply an event to a booking and record it in the history
+ *
+ * The update and the history insert run as one statement, guarded on the
+ * status the booking was read with.
+ * @param {Object} db - pg Pool or client
+ * @param {Object} booking - The booking row as last read
+ * @param {string} event - Event name
+ * @param {Object} options - Transition options
+ * @param {Object} options.actor - Who caused it ({ type: 'rider'|'driver'|'system', id })
+ * @param {string} options.reason - Optional reason
+ * @param {Object} options.set - Extra columns to update (column -> value)
+ * @param {number} options.fencingToken - Fencing token of the booking lock held by the caller
+ * @returns {Promise<Object>} The updated booking
+ */
+const transition = async (db, booking, event, options = {}) => {
+  const { actor = { type: 'system', id: null }, reason = null, set = {}, fencingToken = null } = options;
+
+  assertCanApply(booking, event);
+
+  const { to, timestamp } = BOOKING_EVENTS[event];
+  const params = [booking.id, booking.status, to, event, actor.type, actor.id || null, reason];
+  const assignments = ['status = $3'];
+
+  if (timestamp) {
+    assignments.push(`${timestamp} = CURRENT_TIMESTAMP`);
+  }
+
+  for (const [column, value] of Object.entries(set)) {
+    params.push(value);
+    assignments.push(`${column} = $${params.length}`);
+  }
+
+  const guards = ['id = $1', 'status = $2'];
+  if (fencingToken !== null) {
+    params.push(fencingToken);
+    assignments.push(`lock_token = $${params.length}`);
+    guards.push(`lock_token <= $${params.length}`);
+  }
+
+  const result = await db.query(`
+    WITH updated AS (
+      UPDATE bookings
+      SET ${assignments.join(', ')}
+      WHERE ${guards.join(' AND ')}
+      RETURNING *
+    ), history AS (
+      INSERT INTO booking_status_history (booking_id, from_status, to_status, event, actor_type, actor_id, reason)
+      SELECT id, $2::varchar, $3::varchar, $4::varchar, $5::varchar, $6::int, $7::text FROM updated
+    )
+    SELECT * FROM updated
+  `, params);
+
+  // Someone else moved the booking after we read it, or holds its lock now
+  if (result.rows.length === 0) {
+    const current = await db.query('SELECT status, lock_token FROM bookings WHERE id = $1', [booking.id]);
+    if (fencingToken !== null && current.rows.length > 0 && Number(current.rows[0].lock_token) > fencingToken) {
+      throw new StaleLockError(`booking:${booking.id}`, fencingToken, Number(current.rows[0].lock_token));
+    }
+    throw new InvalidTransitionError(
+      booking.id,
+      current.rows.length > 0 ? current.rows[0].status : 'missing',
+      event
+    );
+  }
+
+  return result.rows[0];
+};
+
+/**
+ * Record the status a booking was created with
+ * @param {Object} db - pg Pool or client
+ * @param {Object} booking - The new booking row
+ * @param {Object} actor - Who created it
+ */
+const recordCreation = async (db, booking, actor) => {
+  await db.query(`
+    INSERT INTO booking_status_history (booking_id, from_status, to_status, event, actor_type, actor_id)
+    VALUES ($1, NULL, $2, 'create', $3, $4)
+  `, [booking.id, booking.status, actor.type, actor.id || null]);
+};
+
+/**
+ * Get the status history of a booking, oldest first
+ * @param {Object} db - pg Pool or client
+ * @param {number} bookingId - The booking ID
+ * @returns {Promise<Object[]>}
+ */
+const getHistory = async (db, bookingId) => {
+  const result = await db.query(
+    'SELECT * FROM booking_status_history WHERE booking_id = $1 ORDER BY created_at, id',
+    [bookingId]
+  );
+  return result.rows;
+};
+
+module.exports = {
+  BOOKING_STATUSES,
+  BOOKING_EVENTS,
+  InvalidTransitionError,
+  canApply,
+  getAllowedEvents,
+  assertCanApply,
+  transition,
+  recordCreation,
+  getHistory
+};
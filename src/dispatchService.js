@@ -0,0 +1,549 @@
+const {
+  OFFER_TIMEOUT_MS,
+  assignDriver,
+  getBatchCandidates,
+  commitBatchOffers,
+  acceptBooking,
+  declineBooking,
+  expireOffer,
+  getOverdueOffers,
+  getBooking
+} = require('./bookingService');
+const { withLock, withSemaphore } = require('./lockService');
+const { solveAssignment } = require('./assignmentSolver');
+const { joinPoolTrip } = require('./poolingService');
+
+/**
+ * Dispatch Service
+ *
+ * This module runs the offer/decline cascade for a booking: offer it to one
+ * driver at a time, wait for an answer within the acceptance window, and move
+ * on to the next ranked candidate when the driver declines or stays silent.
+ * Offer state lives in the booking_offers table; only the timers are in memory.
+ * They are the fast path: a sweeper also expires overdue offers from the table,
+ * so offers whose timer died with a restarted or crashed server still expire.
+ *
+ * Bookings can instead be queued for batch matching: everything queued within
+ * a short window is matched at once with a min-cost assignment, and each
+ * resulting offer then follows the same cascade.
+ *
+ * Pool rides first try to join a nearby driver's shared trip and only go
+ * through the cascade when no trip can take them.
+ *
+ * Matching holds a permit from a per-city semaphore, so one busy city cannot
+ * run more than MATCHING_MAX_CONCURRENCY_PER_CITY matching jobs at once. A
+ * booking that finds its city full is retried with backoff, and reported as
+ * exhausted once MATCHING_THROTTLE_RETRIES retries found no permit.
+ */
+
+// 'cascade' offers each booking as soon as it is assigned; 'batch' collects
+// bookings for BATCH_WINDOW_MS and matches them together
+const DISPATCH_MODE = process.env.DISPATCH_MODE === 'batch' ? 'batch' : 'cascade';
+
+// Matching jobs allowed to run at once in one city
+const MATCHING_MAX_CONCURRENCY_PER_CITY = parseInt(process.env.MATCHING_MAX_CONCURRENCY_PER_CITY) || 10;
+
+// Throttled dispatches are retried after 1s, 2s, 4s, ... this many times
+const MATCHING_THROTTLE_RETRIES = 5;
+const MATCHING_THROTTLE_DELAY_MS = 1000;
+
+// Pending acceptance timers
+const offerTimers = new Map(); // bookingId -> { offerId, timer }
+
+// How often booking_offers is swept for overdue offers
+const OFFER_SWEEP_INTERVAL_MS = parseInt(process.env.OFFER_SWEEP_INTERVAL_MS) || 30000;
+let sweepInterval = null;
+
+// Throttled dispatches waiting to be retried
+const throttleTimers = new Map(); // bookingId -> timer
+
+// Dispatch statistics
+const dispatchStats = {
+  offersSent: 0,
+  offersAccepted: 0,
+  offersDeclined: 0,
+  offersExpired: 0,
+  offersSwept: 0,
+  bookingsExhausted: 0,
+  poolInsertions: 0,
+  matchingThrottled: 0,
+  batchesRun: 0,
+  batchBookings: 0,
+  batchMatched: 0,
+  batchFailures: 0,
+  lastBatchCost: null
+};
+
+// Batch matching configuration
+const batchConfig = {
+  windowMs: parseInt(process.env.BATCH_WINDOW_MS) || 2000,
+  candidatesPerBooking: 10
+};
+
+// Bookings waiting for the next batch
+const batchQueue = new Set();
+let batchTimer = null;
+
+// Notification hooks, set by the server that owns the transport
+const notifiers = {
+  onOffer: async () => {},
+  onAccepted: async () => {},
+  onOfferClosed: async () => {},
+  onExhausted: async () => {},
+  onPooled: async () => {}
+};
+
+/**
+ * Register notification hooks for dispatch events
+ * @param {Object} hooks - Any of onOffer, onAccepted, onOfferClosed, onExhausted, onPooled
+ */
+const setDispatchNotifiers = (hooks = {}) => {
+  Object.assign(notifiers, hooks);
+};
+
+/**
+ * Call a notification hook without letting it break the cascade
+ * @param {string} name - Hook name
+ * @param {...any} args - Hook arguments
+ */
+const notify = async (name, ...args) => {
+  try {
+    await notifiers[name](...args);
+  } catch (error) {
+    console.error(` Dispatch notifier ${name} failed:`, error);
+  }
+};
+
+/**
+ * Clear the acceptance timer for a booking
+ * @param {number} bookingId - The booking ID
+ */
+const clearOfferTimer = (bookingId) => {
+  const pending = offerTimers.get(bookingId);
+  if (pending) {
+    clearTimeout(pending.timer);
+    offerTimers.delete(bookingId);
+  }
+};
+
+/**
+ * Start the acceptance timer for an open offer
+ * @param {number} bookingId - The booking ID
+ * @param {Object} offer - The booking_offers row
+ * @param {number} timeoutMs - Acceptance window in milliseconds
+ */
+const startOfferTimer = (bookingId, offer, timeoutMs) => {
+  clearOfferTimer(bookingId);
+
+  const timer = setTimeout(() => {
+    offerTimers.delete(bookingId);
+    handleOfferTimeout(bookingId, offer.id).catch((error) => {
+      console.error(` Error handling offer timeout for booking ${bookingId}:`, error);
+    });
+  }, timeoutMs);
+
+  offerTimers.set(bookingId, { offerId: offer.id, timer });
+};
+
+/**
+ * Retry a dispatch that found its city's matching semaphore full, or give the
+ * booking up once the retries are spent
+ * @param {number} bookingId - The booking ID
+ * @param {Object} options - startDispatch options
+ * @param {string} city - Booking city
+ * @returns {Promise<Object>} Failure result; retrying is true while a retry is scheduled
+ */
+const retryThrottledDispatch = async (bookingId, options, city) => {
+  const attempt = options.throttleAttempt || 0;
+  const error = `Too many bookings are being matched in ${city}`;
+
+  dispatchStats.matchingThrottled++;
+
+  if (attempt >= MATCHING_THROTTLE_RETRIES) {
+    dispatchStats.bookingsExhausted++;
+    console.log(` Dispatch stopped for booking ${bookingId}: ${error} after ${attempt} retries`);
+    await notify('onExhausted', bookingId, error);
+    return { success: false, error: error, code: 'LOCK_UNAVAILABLE' };
+  }
+
+  const retryInMs = MATCHING_THROTTLE_DELAY_MS * 2 ** attempt;
+  clearTimeout(throttleTimers.get(bookingId));
+  throttleTimers.set(bookingId, setTimeout(() => {
+    throttleTimers.delete(bookingId);
+    startDispatch(bookingId, { ...options, throttleAttempt: attempt + 1 }).catch((retryError) => {
+      console.error(` Error retrying dispatch for booking ${bookingId}:`, retryError);
+    });
+  }, retryInMs));
+
+  console.log(` Dispatch for booking ${bookingId} throttled, retrying in ${retryInMs}ms`);
+  return {
+    success: false,
+    retrying: true,
+    retryInMs: retryInMs,
+    error: `${error}, matching will be retried in ${retryInMs / 1000}s`,
+    code: 'LOCK_UNAVAILABLE'
+  };
+};
+
+/**
+ * Offer a booking to the next ranked driver, or add a pool ride to a shared trip
+ * @param {number} bookingId - The booking ID
+ * @param {Object} options - Dispatch options
+ * @param {number} options.offerTimeoutMs - Acceptance window in milliseconds
+ * @param {string} options.strategy - Matching strategy, overriding the booking's
+ * @returns {Promise<Object>} Result of joinPoolTrip when pooled, else of assignDriver;
+ *   { success: false, retrying: true } when the city is busy and a retry is scheduled
+ */
+const startDispatch = async (bookingId, options = {}) => {
+  const { offerTimeoutMs = OFFER_TIMEOUT_MS, strategy = null } = options;
+
+  const bookingResult = await getBooking(bookingId);
+  const city = (bookingResult.success && bookingResult.data.city) || 'default';
+
+  let matched;
+  try {
+    // Waits up to ~5s for a permit before giving up
+    matched = await withSemaphore(`matching:${city}`, MATCHING_MAX_CONCURRENCY_PER_CITY, async () => {
+      const pooled = await joinPoolTrip(bookingId);
+      if (pooled.success) {
+        return { pooled };
+      }
+      return { result: await assignDriver(bookingId, { offerTimeoutMs, strategy }) };
+    }, {
+      ttlSeconds: 30,
+      retryAttempts: 10,
+      retryDelayMs: 100
+    });
+  } catch (error) {
+    if (error.code !== 'LOCK_UNAVAILABLE') {
+      console.error(` Error dispatching booking ${bookingId}:`, error);
+      return { success: false, error: error.message, code: error.code };
+    }
+
+    return retryThrottledDispatch(bookingId, options, city);
+  }
+
+  if (matched.pooled) {
+    dispatchStats.poolInsertions++;
+    await notify('onPooled', matched.pooled);
+    return matched.pooled;
+  }
+
+  const { result } = matched;
+
+  if (result.success) {
+    dispatchStats.offersSent++;
+    startOfferTimer(bookingId, result.offer, offerTimeoutMs);
+    console.log(` Booking ${bookingId} offered to driver ${result.driver.id} (rank ${result.offer.rank})`);
+    await notify('onOffer', result.booking, result.driver, result.offer);
+  } else {
+    dispatchStats.bookingsExhausted++;
+    console.log(` Dispatch stopped for booking ${bookingId}: ${result.error}`);
+    await notify('onExhausted', bookingId, result.error);
+  }
+
+  return result;
+};
+
+/**
+ * Accept side of an offer
+ * @param {number} bookingId - The booking ID
+ * @param {number} driverId - The driver ID
+ * @returns {Promise<Object>} Result of acceptBooking
+ */
+const acceptOffer = async (bookingId, driverId) => {
+  const result = await acceptBooking(bookingId, driverId);
+
+  if (result.success) {
+    clearOfferTimer(bookingId);
+    dispatchStats.offersAccepted++;
+    await notify('onAccepted', result.booking, result.offer);
+  }
+
+  return result;
+};
+
+/**
+ * Decline side of an offer; advances the cascade to the next candidate
+ * @param {number} bookingId - The booking ID
+ * @param {number} driverId - The driver ID
+ * @param {string} reason - Optional decline reason
+ * @returns {Promise<Object>} Result of declineBooking, with the next offer attached
+ */
+const declineOffer = async (bookingId, driverId, reason = null) => {
+  const result = await declineBooking(bookingId, driverId, reason);
+
+  if (!result.success) {
+    return result;
+  }
+
+  clearOfferTimer(bookingId);
+  dispatchStats.offersDeclined++;
+  await notify('onOfferClosed', result.offer);
+
+  const next = await startDispatch(bookingId);
+  return {
+    ...result,
+    next
+  };
+};
+
+/**
+ * Expire an unanswered offer and advance the cascade
+ * @param {number} bookingId - The booking ID
+ * @param {number} offerId - The offer ID
+ */
+const handleOfferTimeout = async (bookingId, offerId) => {
+  const result = await expireOffer(bookingId, offerId);
+
+  // The driver answered just before the timer fired
+  if (!result.success) {
+    return;
+  }
+
+  dispatchStats.offersExpired++;
+  console.log(`⏳ Offer ${offerId} for booking ${bookingId} expired`);
+  await notify('onOfferClosed', result.offer);
+  await startDispatch(bookingId);
+};
+
+/**
+ * Expire every overdue pending offer that no timer here is waiting on
+ * @returns {Promise<number>} Offers expired
+ */
+const sweepOverdueOffers = async () => {
+  let swept = 0;
+
+  for (const { id: offerId, booking_id: bookingId } of await getOverdueOffers()) {
+    const pending = offerTimers.get(bookingId);
+    if (pending && pending.offerId === offerId) {
+      continue;
+    }
+
+    const result = await expireOffer(bookingId, offerId);
+    if (!result.success) {
+      continue;
+    }
+
+    swept++;
+    dispatchStats.offersExpired++;
+    dispatchStats.offersSwept++;
+    console.log(`⏳ Overdue offer ${offerId} for booking ${bookingId} expired by the sweeper`);
+    await notify('onOfferClosed', result.offer);
+    await startDispatch(bookingId);
+  }
+
+  return swept;
+};
+
+/**
+ * Sweep overdue offers now and then every OFFER_SWEEP_INTERVAL_MS
+ */
+const startOfferSweeper = () => {
+  if (sweepInterval) {
+    return;
+  }
+
+  const run = () => {
+    sweepOverdueOffers().catch((error) => {
+      console.error(' Error sweeping overdue offers:', error);
+    });
+  };
+
+  run();
+  sweepInterval = setInterval(run, OFFER_SWEEP_INTERVAL_MS);
+  console.log(` Sweeping overdue offers every ${OFFER_SWEEP_INTERVAL_MS}ms`);
+};
+
+/**
+ * Queue a booking for the next batch; the batch runs when the window closes
+ * @param {number} bookingId - The booking ID
+ * @returns {Object} Queue position details
+ */
+const queueBatchDispatch = (bookingId) => {
+  batchQueue.add(bookingId);
+
+  if (!batchTimer) {
+    batchTimer = setTimeout(() => {
+      runBatchDispatch().catch((error) => {
+        console.error(' Error running batch dispatch:', error);
+      });
+    }, batchConfig.windowMs);
+  }
+
+  return {
+    success: true,
+    queued: true,
+    bookingId: bookingId,
+    batchSize: batchQueue.size,
+    windowMs: batchConfig.windowMs,
+    message: 'Booking queued for batch matching'
+  };
+};
+
+/**
+ * Match every queued booking at once and send the resulting offers
+ *
+ * Bookings left without a driver, or all of them if the batch cannot be
+ * committed, fall back to the one-at-a-time cascade.
+ * @param {Object} options - Dispatch options
+ * @param {number} options.offerTimeoutMs - Acceptance window in milliseconds
+ * @returns {Promise<Object>} Batch summary
+ */
+const runBatchDispatch = async (options = {}) => {
+  const { offerTimeoutMs = OFFER_TIMEOUT_MS } = options;
+
+  clearTimeout(batchTimer);
+  batchTimer = null;
+
+  const bookingIds = Array.from(batchQueue);
+  batchQueue.clear();
+
+  if (bookingIds.length === 0) {
+    return { success: true, bookings: 0, matched: 0 };
+  }
+
+  // One batch at a time across servers, so two batches never pick the same driver
+  let summary;
+  try {
+    summary = await withLock('dispatch:batch', async () => {
+      const batch = await getBatchCandidates(bookingIds, batchConfig.candidatesPerBooking);
+
+      // Columns are every distinct candidate driver; pairs not in a booking's
+      // candidate list are forbidden. Costs come from the batch matching strategy.
+      const driverIds = [...new Set(batch.flatMap(entry => entry.candidates.map(driver => driver.id)))];
+      const cost = batch.map(({ candidates }) => driverIds.map(driverId => {
+        const candidate = candidates.find(driver => driver.id === driverId);
+        return candidate ? candidate.cost : Infinity;
+      }));
+
+      const pairs = solveAssignment(cost);
+      const assignments = pairs.map(({ row, column }) => ({
+        bookingId: batch[row].booking.id,
+        driver: batch[row].candidates.find(driver => driver.id === driverIds[column])
+      }));
+
+      const committed = assignments.length > 0
+        ? await commitBatchOffers(assignments, { offerTimeoutMs })
+        : { success: true, offers: [] };
+
+      return {
+        batch,
+        pairs,
+        committed,
+        totalCost: pairs.reduce((total, pair) => total + pair.cost, 0)
+      };
+    }, {
+      operation: 'runBatchDispatch',
+      ttlSeconds: 30,
+      retryAttempts: 20,
+      retryDelayMs: 100
+    });
+  } catch (error) {
+    dispatchStats.batchFailures++;
+    console.error(' Batch matching failed, falling back to cascade:', error.message);
+    for (const bookingId of bookingIds) {
+      await startDispatch(bookingId, { offerTimeoutMs });
+    }
+    return { success: false, bookings: bookingIds.length, matched: 0, error: error.message };
+  }
+
+  const { batch, pairs, committed, totalCost } = summary;
+  const offeredIds = new Set();
+
+  dispatchStats.batchesRun++;
+  dispatchStats.batchBookings += batch.length;
+
+  if (committed.success) {
+    dispatchStats.batchMatched += committed.offers.length;
+    dispatchStats.lastBatchCost = Math.round(totalCost * 100) / 100;
+
+    for (const { booking, driver, offer } of committed.offers) {
+      offeredIds.add(booking.id);
+      dispatchStats.offersSent++;
+      startOfferTimer(booking.id, offer, offerTimeoutMs);
+      await notify('onOffer', booking, driver, offer);
+    }
+  } else {
+    dispatchStats.batchFailures++;
+    console.warn(`  Batch of ${batch.length} bookings could not be committed: ${committed.error}`);
+  }
+
+  console.log(` Batch matched ${offeredIds.size}/${batch.length} bookings (cost ${totalCost.toFixed(2)})`);
+
+  // Whatever the batch did not place goes through the regular cascade
+  for (const { booking } of batch) {
+    if (!offeredIds.has(booking.id)) {
+      await startDispatch(booking.id, { offerTimeoutMs });
+    }
+  }
+
+  return {
+    success: committed.success,
+    bookings: batch.length,
+    matched: offeredIds.size,
+    totalCost: totalCost,
+    pairs: pairs.length
+  };
+};
+
+/**
+ * Stop tracking a booking, e.g. after it was cancelled
+ * @param {number} bookingId - The booking ID
+ */
+const stopDispatch = (bookingId) => {
+  batchQueue.delete(bookingId);
+  clearOfferTimer(bookingId);
+  clearTimeout(throttleTimers.get(bookingId));
+  throttleTimers.delete(bookingId);
+};
+
+/**
+ * Get dispatch statistics
+ * @returns {Object} Dispatch statistics
+ */
+const getDispatchStats = () => {
+  return {
+    ...dispatchStats,
+    openOffers: offerTimers.size,
+    throttledRetries: throttleTimers.size,
+    offerTimeoutMs: OFFER_TIMEOUT_MS,
+    offerSweepIntervalMs: OFFER_SWEEP_INTERVAL_MS,
+    batchQueued: batchQueue.size,
+    batchWindowMs: batchConfig.windowMs,
+    maxMatchingPerCity: MATCHING_MAX_CONCURRENCY_PER_CITY
+  };
+};
+
+/**
+ * Stop the offer sweeper and clear all pending timers
+ */
+const closeDispatchService = () => {
+  clearInterval(sweepInterval);
+  sweepInterval = null;
+  for (const bookingId of offerTimers.keys()) {
+    clearOfferTimer(bookingId);
+  }
+  for (const timer of throttleTimers.values()) {
+    clearTimeout(timer);
+  }
+  throttleTimers.clear();
+  clearTimeout(batchTimer);
+  batchTimer = null;
+  batchQueue.clear();
+  console.log(' Dispatch service closed');
+};
+
+module.exports = {
+  DISPATCH_MODE,
+  setDispatchNotifiers,
+  startDispatch,
+  startOfferSweeper,
+  queueBatchDispatch,
+  runBatchDispatch,
+  acceptOffer,
+  declineOffer,
+  stopDispatch,
+  getDispatchStats,
+  closeDispatchService
+};
@@ -1,4 +1,4 @@
-const { createClient } = require('redis');
+const { createRedisClient } = require('./redisBackend');
 require('dotenv').config();
 
 /**
@@ -30,7 +30,7 @@ const subscriptions = new Map(); // eventType -> Set of handlers
 const initializeRedis = async () => {
   try {
     // Publisher client
-    publisher = createClient({
+    publisher = createRedisClient({
       url: `redis://${process.env.REDIS_HOST || 'localhost'}:${process.env.REDIS_PORT || 6379}`,
       socket: {
         reconnectStrategy: (retries) => {
@@ -50,7 +50,7 @@ const initializeRedis = async () => {
     await publisher.connect();
 
     // Subscriber client
-    subscriber = createClient({
+    subscriber = createRedisClient({
       url: `redis://${process.env.REDIS_HOST || 'localhost'}:${process.env.REDIS_PORT || 6379}`,
       socket: {
         reconnectStrategy: (retries) => {
@@ -70,7 +70,7 @@ const initializeRedis = async () => {
     await subscriber.connect();
 
     // General Redis client for data operations
-    redisClient = createClient({
+    redisClient = createRedisClient({
       url: `redis://${process.env.REDIS_HOST || 'localhost'}:${process.env.REDIS_PORT || 6379}`,
       socket: {
         reconnectStrategy: (retries) => {
@@ -0,0 +1,309 @@
+const { createRedisClient } = require('./redisBackend');
+const { Pool } = require('pg');
+const crypto = require('crypto');
+require('dotenv').config();
+
+/**
+ * Idempotency Service
+ *
+ * This module lets clients retry mutation requests safely. A request carrying
+ * an Idempotency-Key header is fingerprinted; the first one runs and its
+ * response is stored, later ones with the same key and body get that stored
+ * response back, and ones with the same key but a different body are rejected
+ * with 422. Records live in Redis, with the idempotency_keys table as the
+ * fallback when Redis is unavailable.
+ */
+
+let redisClient = null;
+
+const pool = new Pool({
+  host: process.env.DB_HOST || 'localhost',
+  port: process.env.DB_PORT || 5432,
+  database: process.env.DB_NAME || 'uber_matching',
+  user: process.env.DB_USER || 'postgres',
+  password: process.env.DB_PASSWORD || 'password'
+});
+
+// Idempotency configuration
+const idempotencyConfig = {
+  ttlSeconds: parseInt(process.env.IDEMPOTENCY_TTL_SECONDS) || 86400, // how long responses are replayed
+  inProgressTtlSeconds: 60, // a crashed request frees its key after this
+  maxKeyLength: 255
+};
+
+const HEADER = 'Idempotency-Key';
+
+/**
+ * Initialize Redis client for idempotency records
+ */
+const initializeRedis = async () => {
+  try {
+    redisClient = createRedisClient({
+      url: `redis://${process.env.REDIS_HOST || 'localhost'}:${process.env.REDIS_PORT || 6379}`,
+      socket: {
+        reconnectStrategy: (retries) => {
+          if (retries > 10) {
+            console.error(' Redis Idempotency connection failed after 10 attempts');
+            return false;
+          }
+          return retries * 100;
+        }
+      }
+    });
+
+    redisClient.on('error', (err) => {
+      console.error(' Redis Idempotency Error:', err);
+    });
+
+    await redisClient.connect();
+    console.log(' Idempotency Redis client initialized');
+  } catch (error) {
+    console.error(' Failed to initialize Idempotency Redis:', error);
+    throw error;
+  }
+};
+
+const useRedis = () => Boolean(redisClient && redisClient.isReady);
+
+/**
+ * Serialize a value with object keys sorted, so equal bodies hash equally
+ * @param {any} value - Value to serialize
+ * @returns {string} JSON
+ */
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+/**
+ * Fingerprint a request
+ * @param {Object} req - Express request
+ * @returns {string} SHA-256 hex digest of method, path and body
+ */
+const hashRequest = (req) => {
+  return crypto
+    .createHash('sha256')
+    .update(canonicalJson({ method: req.method, path: req.originalUrl.split('?')[0], body: req.body || {} }))
+    .digest('hex');
+};
+
+/**
+ * Identify the caller a key belongs to: its Authorization header when it
+ * sends one, else its address, hashed so credentials are never stored
+ * @param {Object} req - Express request
+ * @returns {string} Short SHA-256 hex digest
+ */
+const callerScope = (req) => {
+  return crypto
+    .createHash('sha256')
+    .update(req.get('Authorization') || req.ip || '')
+    .digest('hex')
+    .slice(0, 16);
+};
+
+/**
+ * Look up an idempotency record
+ * @param {string} key - Storage key
+ * @returns {Promise<Object|null>} { requestHash, status, responseCode, responseBody }
+ */
+const getRecord = async (key) => {
+  if (useRedis()) {
+    const stored = await redisClient.get(`idempotency:${key}`);
+    return stored ? JSON.parse(stored) : null;
+  }
+
+  const result = await pool.query(`
+    SELECT request_hash, status, response_code, response_body
+    FROM idempotency_keys
+    WHERE key = $1 AND expires_at > CURRENT_TIMESTAMP
+  `, [key]);
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const row = result.rows[0];
+  return {
+    requestHash: row.request_hash,
+    status: row.status,
+    responseCode: row.response_code,
+    responseBody: row.response_body
+  };
+};
+
+/**
+ * Claim a key for a request that is about to run
+ * @param {string} key - Storage key
+ * @param {string} requestHash - Request fingerprint
+ * @returns {Promise<boolean>} false when another request holds the key
+ */
+const reserveKey = async (key, requestHash) => {
+  const record = { requestHash, status: 'in_progress' };
+
+  if (useRedis()) {
+    const reserved = await redisClient.set(`idempotency:${key}`, JSON.stringify(record), {
+      NX: true,
+      EX: idempotencyConfig.inProgressTtlSeconds
+    });
+    return reserved === 'OK';
+  }
+
+  // Expired rows can be claimed again
+  const result = await pool.query(`
+    INSERT INTO idempotency_keys (key, request_hash, status, expires_at)
+    VALUES ($1, $2, 'in_progress', CURRENT_TIMESTAMP + $3::int * INTERVAL '1 second')
+    ON CONFLICT (key) DO UPDATE
+      SET request_hash = EXCLUDED.request_hash, status = 'in_progress',
+          response_code = NULL, response_body = NULL,
+          created_at = CURRENT_TIMESTAMP, expires_at = EXCLUDED.expires_at
+      WHERE idempotency_keys.expires_at <= CURRENT_TIMESTAMP
+    RETURNING key
+  `, [key, requestHash, idempotencyConfig.inProgressTtlSeconds]);
+  return result.rows.length > 0;
+};
+
+/**
+ * Store the response of a finished request for replay
+ * @param {string} key - Storage key
+ * @param {string} requestHash - Request fingerprint
+ * @param {number} responseCode - HTTP status code
+ * @param {Object} responseBody - JSON response body
+ */
+const completeKey = async (key, requestHash, responseCode, responseBody) => {
+  const record = { requestHash, status: 'completed', responseCode, responseBody };
+
+  if (useRedis()) {
+    await redisClient.set(`idempotency:${key}`, JSON.stringify(record), {
+      EX: idempotencyConfig.ttlSeconds
+    });
+    return;
+  }
+
+  await pool.query(`
+    UPDATE idempotency_keys
+    SET status = 'completed', response_code = $2, response_body = $3,
+        expires_at = CURRENT_TIMESTAMP + $4::int * INTERVAL '1 second'
+    WHERE key = $1
+  `, [key, responseCode, JSON.stringify(responseBody), idempotencyConfig.ttlSeconds]);
+};
+
+/**
+ * Free a key so the request can be retried (server errors are not replayed)
+ * @param {string} key - Storage key
+ */
+const releaseKey = async (key) => {
+  if (useRedis()) {
+    await redisClient.del(`idempotency:${key}`);
+    return;
+  }
+
+  await pool.query('DELETE FROM idempotency_keys WHERE key = $1', [key]);
+};
+
+/**
+ * Express middleware honoring the Idempotency-Key header
+ *
+ * Keys are scoped to the route and the caller, so the same key may be used
+ * on different routes, and one client never gets another's stored response.
+ * Requests without the header run as usual.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+const idempotencyMiddleware = async (req, res, next) => {
+  const idempotencyKey = req.get(HEADER);
+
+  if (!idempotencyKey) {
+    return next();
+  }
+
+  if (idempotencyKey.length > idempotencyConfig.maxKeyLength) {
+    return res.status(400).json({
+      success: false,
+      message: `${HEADER} must be at most ${idempotencyConfig.maxKeyLength} characters`
+    });
+  }
+
+  const key = `${req.method}:${req.originalUrl.split('?')[0]}:${callerScope(req)}:${idempotencyKey}`;
+  const requestHash = hashRequest(req);
+
+  try {
+    if (!(await reserveKey(key, requestHash))) {
+      const record = await getRecord(key);
+
+      // The holder finished or expired between the two calls
+      if (!record) {
+        return res.status(409).json({
+          success: false,
+          message: 'A request with this Idempotency-Key is being processed, retry shortly'
+        });
+      }
+
+      if (record.requestHash !== requestHash) {
+        return res.status(422).json({
+          success: false,
+          message: `${HEADER} was already used with a different request body`
+        });
+      }
+
+      if (record.status !== 'completed') {
+        return res.status(409).json({
+          success: false,
+          message: 'A request with this Idempotency-Key is being processed, retry shortly'
+        });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(record.responseCode).json(record.responseBody);
+    }
+  } catch (error) {
+    // Without a store the request still runs, just without replay protection
+    console.error(' Idempotency store unavailable:', error.message);
+    return next();
+  }
+
+  // Store the response before it is sent, so a retry never sees the key in progress
+  const sendJson = res.json.bind(res);
+  res.json = (body) => {
+    const store = res.statusCode >= 500
+      ? releaseKey(key)
+      : completeKey(key, requestHash, res.statusCode, body);
+
+    store
+      .catch((error) => {
+        console.error(` Error storing idempotent response for ${key}:`, error);
+      })
+      .finally(() => sendJson(body));
+
+    return res;
+  };
+
+  next();
+};
+
+/**
+ * Close idempotency service
+ */
+const closeIdempotencyService = async () => {
+  try {
+    if (redisClient) {
+      await redisClient.quit();
+      console.log(' Idempotency Redis client closed');
+    }
+
+    await pool.end();
+  } catch (error) {
+    console.error(' Error closing idempotency service:', error);
+  }
+};
+
+module.exports = {
+  initializeRedis,
+  idempotencyMiddleware,
+  closeIdempotencyService
+};
@@ -1,5 +1,7 @@
-const { createClient } = require('redis');
+const { createRedisClient, registerScript } = require('./redisBackend');
 const crypto = require('crypto');
+const os = require('os');
+const { updateLockMetrics } = require('./monitoringService');
 require('dotenv').config();
 
 /**
@@ -7,32 +9,129 @@ require('dotenv').config();
  * 
  * This module provides Redis-based distributed locking to prevent race conditions
  * and ensure atomic operations in a distributed system.
+ *
+ * Every successful acquire also gets a fencing token, a number that only grows
+ * per resource. A holder that stalls past its TTL may still be running when the
+ * next holder gets the lock, so writes guarded by a lock should store the token
+ * and refuse to go through when a larger one has already been written.
+ *
+ * With REDLOCK_NODES set, locks follow the Redlock scheme: a lock is held only
+ * when a majority of independent Redis nodes granted it within its validity
+ * time, so one node failing over cannot hand the same lock to two servers.
  */
 
 let redisClient = null;
+let nodeClients = []; // one client per lock node
 
-// Initialize Redis client (reuse existing connection)
+/**
+ * Raised when a write carries a fencing token older than the one already
+ * stored, i.e. the writer's lock expired and someone else has held it since
+ */
+class StaleLockError extends Error {
+  constructor(resource, fencingToken, currentToken) {
+    super(`Lock on ${resource} expired: fencing token ${fencingToken} is older than ${currentToken}`);
+    this.name = 'StaleLockError';
+    this.code = 'STALE_LOCK';
+    this.resource = resource;
+    this.fencingToken = fencingToken;
+    this.currentToken = currentToken;
+  }
+}
+
+/**
+ * Raised when the withLock(s) watchdog finds a lock is no longer ours while the
+ * callback is still running
+ */
+class LockLostError extends Error {
+  constructor(resource, lockId) {
+    super(`Lock on ${resource} was lost before the operation finished`);
+    this.name = 'LockLostError';
+    this.code = 'LOCK_LOST';
+    this.resource = resource;
+    this.lockId = lockId;
+  }
+}
+
+/**
+ * Raised when a lock cannot be acquired within its retry attempts
+ */
+class LockUnavailableError extends Error {
+  constructor(resource, reason) {
+    super(`Failed to acquire lock for ${resource}: ${reason}`);
+    this.name = 'LockUnavailableError';
+    this.code = 'LOCK_UNAVAILABLE';
+    this.resource = resource;
+  }
+}
+
+// Lock nodes: REDLOCK_NODES (comma-separated host:port) turns on quorum locking
+// across independent Redis servers; otherwise the single REDIS_HOST is used
+const LOCK_NODES = (process.env.REDLOCK_NODES || '')
+  .split(',')
+  .map(node => node.trim())
+  .filter(Boolean);
+
+// Redlock configuration
+const redlockConfig = {
+  clockDriftFactor: parseFloat(process.env.REDLOCK_CLOCK_DRIFT_FACTOR) || 0.01, // share of the TTL lost to clock drift
+  nodeTimeoutMs: parseInt(process.env.REDLOCK_NODE_TIMEOUT_MS) || 50 // per node, so a dead node cannot eat the TTL
+};
+
+// Number of nodes that must agree on a lock
+const quorum = () => Math.floor(nodeClients.length / 2) + 1;
+
+const isMultiNode = () => nodeClients.length > 1;
+
+/**
+ * Create the client for one lock node
+ * @param {string} url - Redis URL
+ * @returns {Object} Redis client (not connected yet)
+ */
+const createNodeClient = (url) => {
+  const client = createRedisClient({
+    url: url,
+    socket: {
+      reconnectStrategy: (retries) => {
+        if (retries > 10) {
+          console.error(` Redis connection to ${url} failed after 10 attempts`);
+          return false;
+        }
+        return retries * 100;
+      }
+    }
+  });
+
+  client.on('error', (err) => {
+    console.error(' Redis Lock Service Error:', err);
+  });
+
+  return client;
+};
+
+// Initialize Redis clients (reuse existing connections)
 const initializeRedis = async () => {
   try {
     if (!redisClient) {
-      redisClient = createClient({
-        url: `redis://${process.env.REDIS_HOST || 'localhost'}:${process.env.REDIS_PORT || 6379}`,
-        socket: {
-          reconnectStrategy: (retries) => {
-            if (retries > 10) {
-              console.error(' Redis connection failed after 10 attempts');
-              return false;
-            }
-            return retries * 100;
-          }
-        }
-      });
+      const urls = LOCK_NODES.length > 0
+        ? LOCK_NODES.map(node => `redis://${node}`)
+        : [`redis://${process.env.REDIS_HOST || 'localhost'}:${process.env.REDIS_PORT || 6379}`];
+      nodeClients = urls.map(createNodeClient);
 
-      redisClient.on('error', (err) => {
-        console.error(' Redis Lock Service Error:', err);
-      });
+      // A quorum is enough to start; the other nodes keep reconnecting
+      const connections = await Promise.allSettled(nodeClients.map(client => client.connect()));
+      const connected = connections.filter(connection => connection.status === 'fulfilled').length;
+
+      if (connected < quorum()) {
+        const failed = connections.find(connection => connection.status === 'rejected');
+        throw failed ? failed.reason : new Error('No lock nodes reachable');
+      }
 
-      await redisClient.connect();
+      if (isMultiNode()) {
+        console.log(` Redlock enabled: ${connected}/${nodeClients.length} lock nodes up, quorum ${quorum()}`);
+      }
+
+      // Stats and inspection read the first node
+      redisClient = nodeClients[0];
     }
     return redisClient;
   } catch (error) {
@@ -41,59 +140,497 @@ const initializeRedis = async () => {
   }
 };
 
+/**
+ * Run a command on every lock node
+ *
+ * In multi-node mode each node gets nodeTimeoutMs to answer.
+ * @param {Function} command - (client) => Promise
+ * @returns {Promise<Array<{ok: boolean, value?: any, error?: Error}>>} One result per node
+ */
+const runOnNodes = async (command) => {
+  if (!redisClient) {
+    await initializeRedis();
+  }
+
+  return Promise.all(nodeClients.map(async (client) => {
+    let timer = null;
+    try {
+      const pending = [command(client)];
+      if (isMultiNode()) {
+        pending.push(new Promise((resolve, reject) => {
+          timer = setTimeout(() => reject(new Error('Lock node timed out')), redlockConfig.nodeTimeoutMs);
+        }));
+      }
+      return { ok: true, value: await Promise.race(pending) };
+    } catch (error) {
+      return { ok: false, error: error };
+    } finally {
+      clearTimeout(timer);
+    }
+  }));
+};
+
+/**
+ * First error among node results, for reporting when no node answered
+ * @param {Object[]} results - Results from runOnNodes
+ * @returns {Error|null}
+ */
+const firstError = (results) => {
+  const failed = results.find(result => !result.ok);
+  return failed ? failed.error : null;
+};
+
 // Generate unique lock identifier
 const generateLockId = () => {
   return crypto.randomBytes(16).toString('hex');
 };
 
+// Current Redis time in milliseconds, for the scripts in this module
+const NOW_MS_LUA = `
+  local time = redis.call("TIME")
+  local nowMs = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+`;
+
+// Each script is followed by its JS equivalent for the in-memory backend
+const redisNowMs = (redis) => {
+  const time = redis.call('TIME');
+  return Number(time[0]) * 1000 + Math.floor(Number(time[1]) / 1000);
+};
+
+// Take the lock, record its owner and issue the next fencing token in one step;
+// 0 when the lock is held. Fence counters never expire, otherwise tokens would
+// start over. KEYS: lock, fence, owner info; ARGV: lockId, ttlSeconds, owner JSON
+const ACQUIRE_SCRIPT = `
+  if redis.call("SET", KEYS[1], ARGV[1], "NX", "EX", ARGV[2]) then
+    redis.call("SET", KEYS[3], ARGV[3], "EX", ARGV[2])
+    return redis.call("INCR", KEYS[2])
+  else
+    return 0
+  end
+`;
+registerScript(ACQUIRE_SCRIPT, (redis, KEYS, ARGV) => {
+  if (redis.call('SET', KEYS[0], ARGV[0], 'NX', 'EX', ARGV[1])) {
+    redis.call('SET', KEYS[2], ARGV[2], 'EX', ARGV[1]);
+    return redis.call('INCR', KEYS[1]);
+  }
+  return 0;
+});
+
+// Raise a node's fence counter to the token issued by the quorum
+const RAISE_FENCE_SCRIPT = `
+  if tonumber(redis.call("GET", KEYS[1]) or "0") < tonumber(ARGV[1]) then
+    redis.call("SET", KEYS[1], ARGV[1])
+  end
+  return 1
+`;
+registerScript(RAISE_FENCE_SCRIPT, (redis, KEYS, ARGV) => {
+  if (Number(redis.call('GET', KEYS[0]) || '0') < Number(ARGV[0])) {
+    redis.call('SET', KEYS[0], ARGV[0]);
+  }
+  return 1;
+});
+
+// Release and extend only touch a lock we own; KEYS[2], when given, is its owner info
+const RELEASE_SCRIPT = `
+  if redis.call("GET", KEYS[1]) == ARGV[1] then
+    if KEYS[2] then
+      redis.call("DEL", KEYS[2])
+    end
+    return redis.call("DEL", KEYS[1])
+  else
+    return 0
+  end
+`;
+registerScript(RELEASE_SCRIPT, (redis, KEYS, ARGV) => {
+  if (redis.call('GET', KEYS[0]) !== ARGV[0]) {
+    return 0;
+  }
+  if (KEYS[1]) {
+    redis.call('DEL', KEYS[1]);
+  }
+  return redis.call('DEL', KEYS[0]);
+});
+
+const EXTEND_SCRIPT = `
+  if redis.call("GET", KEYS[1]) == ARGV[1] then
+    if KEYS[2] then
+      redis.call("EXPIRE", KEYS[2], ARGV[2])
+    end
+    return redis.call("EXPIRE", KEYS[1], ARGV[2])
+  else
+    return 0
+  end
+`;
+registerScript(EXTEND_SCRIPT, (redis, KEYS, ARGV) => {
+  if (redis.call('GET', KEYS[0]) !== ARGV[0]) {
+    return 0;
+  }
+  if (KEYS[1]) {
+    redis.call('EXPIRE', KEYS[1], ARGV[1]);
+  }
+  return redis.call('EXPIRE', KEYS[0], ARGV[1]);
+});
+
+// Drop a lock whoever owns it; returns the lockId that was removed (admin use)
+const FORCE_RELEASE_SCRIPT = `
+  local lockId = redis.call("GET", KEYS[1])
+  redis.call("DEL", KEYS[1], KEYS[2])
+  return lockId
+`;
+registerScript(FORCE_RELEASE_SCRIPT, (redis, KEYS) => {
+  const lockId = redis.call('GET', KEYS[0]);
+  redis.call('DEL', KEYS[0], KEYS[1]);
+  return lockId;
+});
+
+const lockKey = (resource) => `lock:${resource}`;
+const ownerKey = (resource) => `lockinfo:${resource}`;
+
+/**
+ * Describe who is taking a lock, stored next to it for the admin listing
+ * @param {string} lockId - The lock ID
+ * @param {string|null} operation - What the holder is doing (e.g. 'acceptBooking')
+ * @returns {string} Owner JSON
+ */
+const describeOwner = (lockId, operation) => {
+  return JSON.stringify({
+    lockId: lockId,
+    host: os.hostname(),
+    pid: process.pid,
+    acquiredAt: new Date().toISOString(),
+    operation: operation || null
+  });
+};
+
+// Contention counters per resource prefix ('booking', 'driver', ...) since start
+const contentionStats = new Map(); // prefix -> { attempts, acquired, waits, failures }
+const contentionSince = new Date().toISOString();
+
 /**
- * Acquire a distributed lock
- * @param {string} resource - The resource to lock (e.g., 'driver:123')
+ * Count a lock acquisition event under the resource's prefix
+ * @param {string} resource - The resource
+ * @param {string} counter - attempts, acquired, waits or failures
+ * @param {number} count - Count to add (default: 1)
+ */
+const recordContention = (resource, counter, count = 1) => {
+  const prefix = resource.split(':')[0];
+  if (!contentionStats.has(prefix)) {
+    contentionStats.set(prefix, { attempts: 0, acquired: 0, waits: 0, failures: 0 });
+  }
+  contentionStats.get(prefix)[counter] += count;
+};
+
+/**
+ * Try once to take a lock on a quorum of nodes
+ *
+ * The lock only counts if it is still valid after subtracting the time spent
+ * asking the nodes and an allowance for clock drift; otherwise whatever was
+ * taken is released again. The fencing token is the highest one the nodes
+ * issued, and every node's counter is raised to it, so any later quorum
+ * (which shares at least one node with this one) issues a larger token.
+ * @param {string} resource - The resource to lock
+ * @param {string} lockId - Lock ID to store
+ * @param {number} ttlSeconds - Lock time-to-live in seconds
+ * @param {string|null} operation - What the holder is doing, stored as owner info
+ * @returns {Promise<{fencingToken: number, validityMs: number}|null>} null when the lock is held elsewhere
+ */
+const tryAcquire = async (resource, lockId, ttlSeconds, operation = null) => {
+  const fenceKey = `fence:${resource}`;
+  const startedAt = Date.now();
+
+  recordContention(resource, 'attempts');
+  const results = await runOnNodes(client => client.eval(ACQUIRE_SCRIPT, {
+    keys: [lockKey(resource), fenceKey, ownerKey(resource)],
+    arguments: [lockId, ttlSeconds.toString(), describeOwner(lockId, operation)]
+  }));
+
+  const tokens = results.filter(result => result.ok && result.value > 0).map(result => result.value);
+  const error = firstError(results);
+  if (error && tokens.length < quorum()) {
+    console.error(` Error acquiring lock for ${resource}:`, error.message);
+  }
+
+  const ttlMs = ttlSeconds * 1000;
+  const driftMs = Math.round(ttlMs * redlockConfig.clockDriftFactor) + 2;
+  const validityMs = ttlMs - (Date.now() - startedAt) - driftMs;
+
+  if (tokens.length >= quorum() && validityMs > 0) {
+    const fencingToken = Math.max(...tokens);
+
+    if (isMultiNode()) {
+      await runOnNodes(client => client.eval(RAISE_FENCE_SCRIPT, {
+        keys: [fenceKey],
+        arguments: [fencingToken.toString()]
+      }));
+    }
+
+    return { fencingToken, validityMs };
+  }
+
+  // Do not leave a minority of nodes locked until they expire
+  if (tokens.length > 0) {
+    await runOnNodes(client => client.eval(RELEASE_SCRIPT, {
+      keys: [lockKey(resource), ownerKey(resource)],
+      arguments: [lockId]
+    }));
+  }
+
+  return null;
+};
+
+// Fair waiting: waiters line up in lockwait:<resource> (scored by an arrival
+// counter kept in lockwait:<resource>:seq) and
+// only the one at the head may take the lock; releases are announced on
+// lock-released:<resource> so the head tries again at once instead of polling
+const lockWaitConfig = {
+  fair: process.env.LOCK_WAIT_MODE === 'fair', // default for acquireLock and withLock(s)
+  maxWaitMs: parseInt(process.env.LOCK_MAX_WAIT_MS) || 5000,
+  pollIntervalMs: 250 // catches locks that expire instead of being released
+};
+
+let subscriber = null; // release notifications (promise of the connected client)
+const releaseWatchers = new Map(); // resource -> Set of wake callbacks
+
+const waitQueueKey = (resource) => `lockwait:${resource}`;
+const waitDeadlineKey = (resource) => `lockwait:${resource}:deadlines`;
+const waitSequenceKey = (resource) => `lockwait:${resource}:seq`;
+const releaseChannel = (resource) => `lock-released:${resource}`;
+
+// Join the queue if not in it yet and report whether we are at its head.
+// Waiters past their deadline are dropped first, so a crashed waiter cannot
+// block the queue for longer than its maximum wait.
+// KEYS: queue, deadlines, seq; ARGV: waiter, maxWaitMs
+const WAIT_TURN_SCRIPT = `${NOW_MS_LUA}
+  local expired = redis.call("ZRANGEBYSCORE", KEYS[2], "-inf", nowMs)
+  for _, waiter in ipairs(expired) do
+    redis.call("ZREM", KEYS[1], waiter)
+    redis.call("ZREM", KEYS[2], waiter)
+  end
+  if not redis.call("ZSCORE", KEYS[1], ARGV[1]) then
+    redis.call("ZADD", KEYS[1], redis.call("INCR", KEYS[3]), ARGV[1])
+    redis.call("ZADD", KEYS[2], nowMs + tonumber(ARGV[2]), ARGV[1])
+    for _, key in ipairs(KEYS) do
+      if redis.call("PTTL", key) < tonumber(ARGV[2]) then
+        redis.call("PEXPIRE", key, ARGV[2])
+      end
+    end
+  end
+  local head = redis.call("ZRANGE", KEYS[1], 0, 0)
+  if head[1] == ARGV[1] then
+    return 1
+  end
+  return 0
+`;
+registerScript(WAIT_TURN_SCRIPT, (redis, KEYS, ARGV) => {
+  const nowMs = redisNowMs(redis);
+  for (const waiter of redis.call('ZRANGEBYSCORE', KEYS[1], '-inf', nowMs)) {
+    redis.call('ZREM', KEYS[0], waiter);
+    redis.call('ZREM', KEYS[1], waiter);
+  }
+  if (redis.call('ZSCORE', KEYS[0], ARGV[0]) === null) {
+    redis.call('ZADD', KEYS[0], redis.call('INCR', KEYS[2]), ARGV[0]);
+    redis.call('ZADD', KEYS[1], nowMs + Number(ARGV[1]), ARGV[0]);
+    for (const key of KEYS) {
+      if (redis.call('PTTL', key) < Number(ARGV[1])) {
+        redis.call('PEXPIRE', key, ARGV[1]);
+      }
+    }
+  }
+  return redis.call('ZRANGE', KEYS[0], 0, 0)[0] === ARGV[0] ? 1 : 0;
+});
+
+/**
+ * Get woken whenever a resource's lock is released
+ * @param {string} resource - The locked resource
+ * @param {Function} wake - Called on every release
+ * @returns {Promise<Function>} Stops watching
+ */
+const watchReleases = async (resource, wake) => {
+  // Concurrent first waiters share one connection attempt
+  if (!subscriber) {
+    const client = redisClient.duplicate();
+    client.on('error', (err) => {
+      console.error(' Redis Lock Subscriber Error:', err);
+    });
+    subscriber = client.connect().then(() => client);
+    subscriber.catch(() => {
+      subscriber = null;
+    });
+  }
+  const subscriberClient = await subscriber;
+  
+  let watchers = releaseWatchers.get(resource);
+  if (!watchers) {
+    watchers = new Set();
+    releaseWatchers.set(resource, watchers);
+    await subscriberClient.subscribe(releaseChannel(resource), () => {
+      (releaseWatchers.get(resource) || []).forEach(notify => notify());
+    });
+  }
+  watchers.add(wake);
+  
+  return async () => {
+    watchers.delete(wake);
+    if (watchers.size === 0 && releaseWatchers.get(resource) === watchers) {
+      releaseWatchers.delete(resource);
+      await subscriberClient.unsubscribe(releaseChannel(resource));
+    }
+  };
+};
+
+/**
+ * Leave a resource's wait queue and let the next waiter know
+ * @param {string} resource - The resource
+ * @param {string} lockId - The waiter's lock ID
+ */
+const leaveWaitQueue = async (resource, lockId) => {
+  await redisClient.zRem(waitQueueKey(resource), lockId);
+  await redisClient.zRem(waitDeadlineKey(resource), lockId);
+  await redisClient.publish(releaseChannel(resource), lockId);
+};
+
+/**
+ * Acquire a lock in arrival order, waiting at most maxWaitMs
+ *
+ * Each waiter checks its turn when a release is announced (or every
+ * pollIntervalMs, for locks that expire) and only tries the lock when it is
+ * first in the queue, so waiters are served in order and nobody waits longer
+ * than maxWaitMs.
+ * @param {string} resource - The resource to lock
  * @param {number} ttlSeconds - Lock time-to-live in seconds (default: 30)
- * @param {number} retryAttempts - Number of retry attempts (default: 3)
- * @param {number} retryDelayMs - Delay between retries in milliseconds (default: 100)
- * @returns {Promise<{success: boolean, lockId: string|null, error?: string}>}
+ * @param {number} maxWaitMs - Longest time to wait (default: LOCK_MAX_WAIT_MS)
+ * @param {string|null} operation - What the holder is doing, shown in the lock listing
+ * @returns {Promise<{success: boolean, lockId: string|null, fencingToken?: number, waitedMs?: number, error?: string}>}
  */
-const acquireLock = async (resource, ttlSeconds = 30, retryAttempts = 3, retryDelayMs = 100) => {
+const acquireLockFair = async (resource, ttlSeconds = 30, maxWaitMs = lockWaitConfig.maxWaitMs, operation = null) => {
   try {
     const client = redisClient || await initializeRedis();
-    const lockKey = `lock:${resource}`;
     const lockId = generateLockId();
+    const startedAt = Date.now();
     
-    let attempts = 0;
+    let wake = () => {};
+    let waited = false;
+    const stopWatching = await watchReleases(resource, () => wake());
     
-    while (attempts < retryAttempts) {
-      try {
-        // Try to acquire lock using SET with NX (not exists) and EX (expiration)
-        const result = await client.set(lockKey, lockId, {
-          EX: ttlSeconds,
-          NX: true
+    try {
+      while (Date.now() - startedAt < maxWaitMs) {
+        const turn = await client.eval(WAIT_TURN_SCRIPT, {
+          keys: [waitQueueKey(resource), waitDeadlineKey(resource), waitSequenceKey(resource)],
+          arguments: [lockId, maxWaitMs.toString()]
         });
         
-        if (result === 'OK') {
-          console.log(` Lock acquired: ${resource} (ID: ${lockId})`);
+        const acquired = turn === 1 ? await tryAcquire(resource, lockId, ttlSeconds, operation) : null;
+        
+        if (acquired) {
+          await client.zRem(waitQueueKey(resource), lockId);
+          await client.zRem(waitDeadlineKey(resource), lockId);
+          
+          const waitedMs = Date.now() - startedAt;
+          recordContention(resource, 'acquired');
+          if (waited) {
+            recordContention(resource, 'waits');
+          }
+          console.log(` Lock acquired: ${resource} (ID: ${lockId}, token: ${acquired.fencingToken}, waited ${waitedMs}ms)`);
           return {
             success: true,
             lockId: lockId,
+            fencingToken: acquired.fencingToken,
+            validityMs: acquired.validityMs,
             resource: resource,
-            ttl: ttlSeconds
+            ttl: ttlSeconds,
+            waitedMs: waitedMs
           };
         }
         
-        attempts++;
-        if (attempts < retryAttempts) {
-          console.log(`⏳ Lock acquisition failed, retrying... (${attempts}/${retryAttempts})`);
-          await new Promise(resolve => setTimeout(resolve, retryDelayMs * attempts));
-        }
-      } catch (error) {
-        console.error(` Error acquiring lock for ${resource}:`, error);
-        attempts++;
-        if (attempts < retryAttempts) {
-          await new Promise(resolve => setTimeout(resolve, retryDelayMs * attempts));
+        const remainingMs = maxWaitMs - (Date.now() - startedAt);
+        waited = true;
+        await new Promise((resolve) => {
+          const timer = setTimeout(resolve, Math.max(0, Math.min(remainingMs, lockWaitConfig.pollIntervalMs)));
+          wake = () => {
+            clearTimeout(timer);
+            resolve();
+          };
+        });
+      }
+    } finally {
+      await stopWatching();
+    }
+    
+    await leaveWaitQueue(resource, lockId);
+    recordContention(resource, 'failures');
+    return {
+      success: false,
+      lockId: null,
+      error: `Timed out after ${maxWaitMs}ms waiting for lock`
+    };
+    
+  } catch (error) {
+    console.error(' Critical error in acquireLockFair:', error);
+    return {
+      success: false,
+      lockId: null,
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Acquire a distributed lock
+ *
+ * With REDLOCK_NODES set the lock must be taken on a majority of the nodes.
+ * In fair mode (options.fair, or LOCK_WAIT_MODE=fair) the retry arguments are
+ * ignored and the caller waits its turn with acquireLockFair.
+ * @param {string} resource - The resource to lock (e.g., 'driver:123')
+ * @param {number} ttlSeconds - Lock time-to-live in seconds (default: 30)
+ * @param {number} retryAttempts - Number of retry attempts (default: 3)
+ * @param {number} retryDelayMs - Delay between retries in milliseconds (default: 100)
+ * @param {Object} options - Waiting options
+ * @param {boolean} options.fair - Wait in line instead of retrying (default: LOCK_WAIT_MODE)
+ * @param {number} options.maxWaitMs - Longest fair wait (default: LOCK_MAX_WAIT_MS)
+ * @param {string} options.operation - What the holder is doing, shown in the lock listing
+ * @returns {Promise<{success: boolean, lockId: string|null, fencingToken?: number, validityMs?: number, error?: string}>}
+ */
+const acquireLock = async (resource, ttlSeconds = 30, retryAttempts = 3, retryDelayMs = 100, options = {}) => {
+  const { fair = lockWaitConfig.fair, maxWaitMs = lockWaitConfig.maxWaitMs, operation = null } = options;
+  
+  if (fair) {
+    return await acquireLockFair(resource, ttlSeconds, maxWaitMs, operation);
+  }
+  
+  try {
+    const lockId = generateLockId();
+    
+    let attempts = 0;
+    
+    while (attempts < retryAttempts) {
+      const acquired = await tryAcquire(resource, lockId, ttlSeconds, operation);
+      
+      if (acquired) {
+        recordContention(resource, 'acquired');
+        if (attempts > 0) {
+          recordContention(resource, 'waits');
         }
+        console.log(` Lock acquired: ${resource} (ID: ${lockId}, token: ${acquired.fencingToken})`);
+        return {
+          success: true,
+          lockId: lockId,
+          fencingToken: acquired.fencingToken,
+          validityMs: acquired.validityMs,
+          resource: resource,
+          ttl: ttlSeconds
+        };
+      }
+      
+      attempts++;
+      if (attempts < retryAttempts) {
+        console.log(`⏳ Lock acquisition failed, retrying... (${attempts}/${retryAttempts})`);
+        // Random jitter keeps servers that collided on a quorum from colliding again
+        const jitterMs = isMultiNode() ? Math.floor(Math.random() * retryDelayMs) : 0;
+        await new Promise(resolve => setTimeout(resolve, retryDelayMs * attempts + jitterMs));
       }
     }
     
+    recordContention(resource, 'failures');
     return {
       success: false,
       lockId: null,
@@ -112,40 +649,43 @@ const acquireLock = async (resource, ttlSeconds = 30, retryAttempts = 3, retryDe
 
 /**
  * Release a distributed lock
+ *
+ * The release goes to every node, including ones the acquire may have missed.
  * @param {string} resource - The resource that was locked
  * @param {string} lockId - The lock ID returned by acquireLock
  * @returns {Promise<{success: boolean, error?: string}>}
  */
 const releaseLock = async (resource, lockId) => {
   try {
-    const client = redisClient || await initializeRedis();
-    const lockKey = `lock:${resource}`;
-    
     // Use Lua script to ensure atomic check-and-delete
-    const luaScript = `
-      if redis.call("GET", KEYS[1]) == ARGV[1] then
-        return redis.call("DEL", KEYS[1])
-      else
-        return 0
-      end
-    `;
-    
-    const result = await client.eval(luaScript, {
-      keys: [lockKey],
+    const results = await runOnNodes(client => client.eval(RELEASE_SCRIPT, {
+      keys: [lockKey(resource), ownerKey(resource)],
       arguments: [lockId]
-    });
+    }));
+    
+    const released = results.filter(result => result.ok && result.value === 1).length;
     
-    if (result === 1) {
+    if (released > 0) {
       console.log(`🔓 Lock released: ${resource} (ID: ${lockId})`);
+      
+      // Wake fair waiters; a failed publish only delays them until their next poll
+      await redisClient.publish(releaseChannel(resource), lockId).catch((error) => {
+        console.error(` Error announcing release of ${resource}:`, error.message);
+      });
+      
       return { success: true };
-    } else {
-      console.log(` Lock not released: ${resource} (ID: ${lockId}) - lock may have expired or been released by another process`);
-      return { 
-        success: false, 
-        error: 'Lock not found or already released' 
-      };
     }
     
+    if (!results.some(result => result.ok)) {
+      throw firstError(results);
+    }
+    
+    console.log(` Lock not released: ${resource} (ID: ${lockId}) - lock may have expired or been released by another process`);
+    return { 
+      success: false, 
+      error: 'Lock not found or already released' 
+    };
+    
   } catch (error) {
     console.error(' Error releasing lock:', error);
     return {
@@ -157,40 +697,40 @@ const releaseLock = async (resource, lockId) => {
 
 /**
  * Extend a lock's TTL
+ *
+ * In multi-node mode the lock is extended only if a quorum still holds it; it
+ * counts as lost once too many nodes say it belongs to someone else.
  * @param {string} resource - The resource that is locked
  * @param {string} lockId - The lock ID
  * @param {number} additionalSeconds - Additional seconds to add to TTL
- * @returns {Promise<{success: boolean, error?: string}>}
+ * @returns {Promise<{success: boolean, lost?: boolean, error?: string}>}
  */
 const extendLock = async (resource, lockId, additionalSeconds = 30) => {
   try {
-    const client = redisClient || await initializeRedis();
-    const lockKey = `lock:${resource}`;
-    
     // Use Lua script to check ownership and extend TTL
-    const luaScript = `
-      if redis.call("GET", KEYS[1]) == ARGV[1] then
-        return redis.call("EXPIRE", KEYS[1], ARGV[2])
-      else
-        return 0
-      end
-    `;
-    
-    const result = await client.eval(luaScript, {
-      keys: [lockKey],
+    const results = await runOnNodes(client => client.eval(EXTEND_SCRIPT, {
+      keys: [lockKey(resource), ownerKey(resource)],
       arguments: [lockId, additionalSeconds.toString()]
-    });
+    }));
+    
+    const extended = results.filter(result => result.ok && result.value === 1).length;
+    const notOwned = results.filter(result => result.ok && result.value !== 1).length;
     
-    if (result === 1) {
+    if (extended >= quorum()) {
       console.log(`Lock extended: ${resource} (ID: ${lockId}) by ${additionalSeconds}s`);
       return { success: true };
-    } else {
+    }
+    
+    if (notOwned > nodeClients.length - quorum()) {
       return { 
         success: false, 
+        lost: true,
         error: 'Lock not found or not owned by this process' 
       };
     }
     
+    throw firstError(results) || new Error('Lock held on too few nodes to extend');
+    
   } catch (error) {
     console.error(' Error extending lock:', error);
     return {
@@ -202,29 +742,35 @@ const extendLock = async (resource, lockId, additionalSeconds = 30) => {
 
 /**
  * Check if a resource is currently locked
+ *
+ * In multi-node mode a resource counts as locked if any node holds it.
  * @param {string} resource - The resource to check
  * @returns {Promise<{locked: boolean, lockId?: string, ttl?: number}>}
  */
 const isLocked = async (resource) => {
   try {
-    const client = redisClient || await initializeRedis();
-    const lockKey = `lock:${resource}`;
-    
-    const lockId = await client.get(lockKey);
-    const ttl = await client.ttl(lockKey);
+    const results = await runOnNodes(async (client) => ({
+      lockId: await client.get(lockKey(resource)),
+      ttl: await client.ttl(lockKey(resource))
+    }));
+    const held = results.find(result => result.ok && result.value.lockId);
     
-    if (lockId) {
+    if (held) {
       return {
         locked: true,
-        lockId: lockId,
-        ttl: ttl
-      };
-    } else {
-      return {
-        locked: false
+        lockId: held.value.lockId,
+        ttl: held.value.ttl
       };
     }
     
+    if (!results.some(result => result.ok)) {
+      throw firstError(results);
+    }
+    
+    return {
+      locked: false
+    };
+    
   } catch (error) {
     console.error(' Error checking lock status:', error);
     return {
@@ -235,44 +781,689 @@ const isLocked = async (resource) => {
 };
 
 /**
- * Execute a function with a distributed lock
- * @param {string} resource - The resource to lock
- * @param {Function} fn - The function to execute while holding the lock
+ * Keep a lock alive while its holder works
+ *
+ * Every intervalMs the lock's TTL is reset with renew. If the lock turns out
+ * to be gone or owned by someone else, the controller is aborted with a
+ * LockLostError; a failed Redis call is only retried on the next tick, since
+ * the lock may still be ours.
+ * @param {string} resource - The locked resource
+ * @param {string} lockId - The lock ID
+ * @param {Function} renew - () => extend result ({ success, lost })
+ * @param {number} intervalMs - Time between renewals
+ * @param {AbortController} controller - Aborted when the lock is lost
+ * @returns {Function} Stops the watchdog
+ */
+const startWatchdog = (resource, lockId, renew, intervalMs, controller) => {
+  let renewing = false;
+  let stopped = false;
+  
+  const timer = setInterval(async () => {
+    if (renewing) {
+      return;
+    }
+    
+    renewing = true;
+    const result = await renew();
+    renewing = false;
+    
+    // The holder finished (and may have released) while we were renewing
+    if (stopped) {
+      return;
+    }
+    
+    if (result.success) {
+      updateLockMetrics('renewal');
+    } else if (result.lost && !controller.signal.aborted) {
+      clearInterval(timer);
+      updateLockMetrics('lost');
+      console.error(` Lock lost while held: ${resource} (ID: ${lockId})`);
+      controller.abort(new LockLostError(resource, lockId));
+    } else if (!result.lost) {
+      updateLockMetrics('renewal_error');
+    }
+  }, intervalMs);
+  
+  return () => {
+    stopped = true;
+    clearInterval(timer);
+  };
+};
+
+/**
+ * Run fn to the end under a watchdog's abort controller
+ *
+ * fn is awaited even after a lock is lost, so the caller does not release the
+ * locks it still holds while fn is writing. Once the signal is aborted the
+ * LockLostError is thrown, whatever fn resolved or threw.
+ * @param {Function} fn - The locked work, called with no arguments
+ * @param {AbortController} controller - Aborted by the watchdogs
+ * @returns {Promise<any>}
+ */
+const runUntilSettled = async (fn, controller) => {
+  let result;
+  try {
+    result = await fn();
+  } catch (error) {
+    if (!controller.signal.aborted) {
+      throw error;
+    }
+  }
+  
+  if (controller.signal.aborted) {
+    throw controller.signal.reason;
+  }
+  return result;
+};
+
+/**
+ * Execute a function while holding several distributed locks
+ *
+ * The locks are taken one by one in sorted resource order, so two callers that
+ * need overlapping sets always contend for the first shared lock instead of
+ * each holding what the other waits for. Either every lock is acquired or the
+ * ones already taken are released again and LockUnavailableError names the
+ * resource that could not be locked.
+ *
+ * With extendOnLongOperation (the default) a watchdog renews each lock every
+ * third of its TTL while fn runs. If one is lost anyway, signal is aborted and
+ * withLocks rejects with LockLostError once fn has settled; the other locks
+ * stay held and renewed until then. fn should check the signal before
+ * writing, and its writes are fenced in any case.
+ * @param {string[]} resources - The resources to lock (duplicates are ignored)
+ * @param {Function} fn - Called with { locks, fencingTokens, signal }; locks maps resource -> { lockId, fencingToken }
  * @param {Object} options - Lock options
+ * @param {number} options.ttlSeconds - Lock time-to-live in seconds (default: 30)
+ * @param {number} options.retryAttempts - Number of acquire attempts per lock (default: 3)
+ * @param {number} options.retryDelayMs - Delay between attempts in milliseconds (default: 100)
+ * @param {boolean} options.extendOnLongOperation - Renew the locks while fn runs (default: true)
+ * @param {number} options.renewIntervalMs - Time between renewals (default: a third of the TTL)
+ * @param {boolean} options.fair - Wait in line for each lock instead of retrying (default: LOCK_WAIT_MODE)
+ * @param {number} options.maxWaitMs - Longest fair wait per lock (default: LOCK_MAX_WAIT_MS)
+ * @param {string} options.operation - What the holder is doing, shown in the lock listing
  * @returns {Promise<any>}
  */
-const withLock = async (resource, fn, options = {}) => {
+const withLocks = async (resources, fn, options = {}) => {
   const {
     ttlSeconds = 30,
     retryAttempts = 3,
     retryDelayMs = 100,
-    extendOnLongOperation = true
+    extendOnLongOperation = true,
+    renewIntervalMs = Math.max(Math.floor((ttlSeconds * 1000) / 3), 100),
+    fair = lockWaitConfig.fair,
+    maxWaitMs = lockWaitConfig.maxWaitMs,
+    operation = null
   } = options;
   
-  const lockResult = await acquireLock(resource, ttlSeconds, retryAttempts, retryDelayMs);
+  const ordered = [...new Set(resources)].sort();
+  const held = [];
   
-  if (!lockResult.success) {
-    throw new Error(`Failed to acquire lock for ${resource}: ${lockResult.error}`);
+  // Release in reverse order of acquisition
+  const releaseHeld = async (skipResource = null) => {
+    for (const { resource, lockId } of [...held].reverse()) {
+      if (resource !== skipResource) {
+        await releaseLock(resource, lockId);
+      }
+    }
+  };
+  
+  for (const resource of ordered) {
+    const lockResult = await acquireLock(resource, ttlSeconds, retryAttempts, retryDelayMs, { fair, maxWaitMs, operation });
+    
+    if (!lockResult.success) {
+      await releaseHeld();
+      throw new LockUnavailableError(resource, lockResult.error);
+    }
+    
+    held.push(lockResult);
   }
   
-  const { lockId } = lockResult;
+  const controller = new AbortController();
+  const stopWatchdogs = extendOnLongOperation
+    ? held.map(({ resource, lockId }) => startWatchdog(
+      resource, lockId, () => extendLock(resource, lockId, ttlSeconds), renewIntervalMs, controller
+    ))
+    : [];
+  
+  const locks = {};
+  const fencingTokens = {};
+  for (const { resource, lockId, fencingToken } of held) {
+    locks[resource] = { lockId, fencingToken };
+    fencingTokens[resource] = fencingToken;
+  }
   
   try {
     // Execute the function
-    const result = await fn();
+    return await runUntilSettled(() => fn({ locks, fencingTokens, signal: controller.signal }), controller);
+    
+  } finally {
+    stopWatchdogs.forEach(stop => stop());
+    
+    // Always release the locks, except one that already belongs to someone else
+    await releaseHeld(controller.signal.aborted ? controller.signal.reason.resource : null);
+  }
+};
+
+/**
+ * Execute a function with a distributed lock
+ *
+ * Same as withLocks for a single resource.
+ * @param {string} resource - The resource to lock
+ * @param {Function} fn - The function to execute while holding the lock, called with { lockId, fencingToken, resource, signal }
+ * @param {Object} options - Lock options (see withLocks)
+ * @returns {Promise<any>}
+ */
+const withLock = async (resource, fn, options = {}) => {
+  return await withLocks([resource], ({ locks, signal }) => fn({ ...locks[resource], resource, signal }), options);
+};
+
+// Shared/exclusive locks and semaphores keep their holders in sorted sets
+// scored by expiry time, so a crashed holder drops out once its TTL passes.
+// They live on the first lock node only; Redlock covers mutexes.
+
+// Add a holder until nowMs + ttlMs and keep the set alive at least that long
+const addHolder = (redis, key, holder, nowMs, ttlMs) => {
+  redis.call('ZADD', key, nowMs + Number(ttlMs), holder);
+  if (redis.call('PTTL', key) < Number(ttlMs)) {
+    redis.call('PEXPIRE', key, ttlMs);
+  }
+};
+
+// Join the readers unless a writer holds the lock or is waiting for it;
+// KEYS: readers, writer, pending writer; ARGV: holder, ttlMs
+const READ_ACQUIRE_SCRIPT = `${NOW_MS_LUA}
+  redis.call("ZREMRANGEBYSCORE", KEYS[1], "-inf", nowMs)
+  if redis.call("EXISTS", KEYS[2], KEYS[3]) > 0 then
+    return 0
+  end
+  redis.call("ZADD", KEYS[1], nowMs + tonumber(ARGV[2]), ARGV[1])
+  if redis.call("PTTL", KEYS[1]) < tonumber(ARGV[2]) then
+    redis.call("PEXPIRE", KEYS[1], ARGV[2])
+  end
+  return 1
+`;
+registerScript(READ_ACQUIRE_SCRIPT, (redis, KEYS, ARGV) => {
+  const nowMs = redisNowMs(redis);
+  redis.call('ZREMRANGEBYSCORE', KEYS[0], '-inf', nowMs);
+  if (redis.call('EXISTS', KEYS[1], KEYS[2]) > 0) {
+    return 0;
+  }
+  addHolder(redis, KEYS[0], ARGV[0], nowMs, ARGV[1]);
+  return 1;
+});
+
+// Take the writer slot once no reader is left. A writer that has to wait
+// marks itself pending (for pendingMs, renewed on every attempt), which keeps
+// new readers and later writers out, so steady read traffic cannot starve it.
+// KEYS: readers, writer, pending writer; ARGV: holder, ttlMs, pendingMs
+const WRITE_ACQUIRE_SCRIPT = `${NOW_MS_LUA}
+  redis.call("ZREMRANGEBYSCORE", KEYS[1], "-inf", nowMs)
+  local pending = redis.call("GET", KEYS[3])
+  if pending and pending ~= ARGV[1] then
+    return 0
+  end
+  if redis.call("ZCARD", KEYS[1]) == 0 and redis.call("SET", KEYS[2], ARGV[1], "NX", "PX", ARGV[2]) then
+    redis.call("DEL", KEYS[3])
+    return 1
+  end
+  redis.call("SET", KEYS[3], ARGV[1], "PX", ARGV[3])
+  return 0
+`;
+registerScript(WRITE_ACQUIRE_SCRIPT, (redis, KEYS, ARGV) => {
+  redis.call('ZREMRANGEBYSCORE', KEYS[0], '-inf', redisNowMs(redis));
+  const pending = redis.call('GET', KEYS[2]);
+  if (pending !== null && pending !== ARGV[0]) {
+    return 0;
+  }
+  if (redis.call('ZCARD', KEYS[0]) === 0 && redis.call('SET', KEYS[1], ARGV[0], 'NX', 'PX', ARGV[1])) {
+    redis.call('DEL', KEYS[2]);
+    return 1;
+  }
+  redis.call('SET', KEYS[2], ARGV[0], 'PX', ARGV[2]);
+  return 0;
+});
+
+// Take a permit while fewer than the limit are held; KEYS: holders; ARGV: holder, ttlMs, limit
+const SEMAPHORE_ACQUIRE_SCRIPT = `${NOW_MS_LUA}
+  redis.call("ZREMRANGEBYSCORE", KEYS[1], "-inf", nowMs)
+  if redis.call("ZCARD", KEYS[1]) >= tonumber(ARGV[3]) then
+    return 0
+  end
+  redis.call("ZADD", KEYS[1], nowMs + tonumber(ARGV[2]), ARGV[1])
+  if redis.call("PTTL", KEYS[1]) < tonumber(ARGV[2]) then
+    redis.call("PEXPIRE", KEYS[1], ARGV[2])
+  end
+  return 1
+`;
+registerScript(SEMAPHORE_ACQUIRE_SCRIPT, (redis, KEYS, ARGV) => {
+  const nowMs = redisNowMs(redis);
+  redis.call('ZREMRANGEBYSCORE', KEYS[0], '-inf', nowMs);
+  if (redis.call('ZCARD', KEYS[0]) >= Number(ARGV[2])) {
+    return 0;
+  }
+  addHolder(redis, KEYS[0], ARGV[0], nowMs, ARGV[1]);
+  return 1;
+});
+
+// Push a holder's expiry out if it has not passed yet; KEYS: holders; ARGV: holder, ttlMs
+const HOLDER_EXTEND_SCRIPT = `${NOW_MS_LUA}
+  local expiresAt = redis.call("ZSCORE", KEYS[1], ARGV[1])
+  if not expiresAt or tonumber(expiresAt) <= nowMs then
+    redis.call("ZREM", KEYS[1], ARGV[1])
+    return 0
+  end
+  redis.call("ZADD", KEYS[1], nowMs + tonumber(ARGV[2]), ARGV[1])
+  if redis.call("PTTL", KEYS[1]) < tonumber(ARGV[2]) then
+    redis.call("PEXPIRE", KEYS[1], ARGV[2])
+  end
+  return 1
+`;
+registerScript(HOLDER_EXTEND_SCRIPT, (redis, KEYS, ARGV) => {
+  const nowMs = redisNowMs(redis);
+  const expiresAt = redis.call('ZSCORE', KEYS[0], ARGV[0]);
+  if (expiresAt === null || Number(expiresAt) <= nowMs) {
+    redis.call('ZREM', KEYS[0], ARGV[0]);
+    return 0;
+  }
+  addHolder(redis, KEYS[0], ARGV[0], nowMs, ARGV[1]);
+  return 1;
+});
+
+const readersKey = (resource) => `rwlock:${resource}:readers`;
+const writerKey = (resource) => `rwlock:${resource}:writer`;
+const pendingWriterKey = (resource) => `rwlock:${resource}:pending`;
+const semaphoreKey = (name) => `semaphore:${name}`;
+
+/**
+ * Run a single-node acquire script until it succeeds or attempts run out
+ * @param {string} label - What is being acquired, for logs
+ * @param {Function} attempt - (client, holderId) => Promise<number>, 1 when acquired
+ * @param {number} ttlSeconds - Time-to-live in seconds
+ * @param {number} retryAttempts - Number of attempts
+ * @param {number} retryDelayMs - Delay between attempts in milliseconds
+ * @returns {Promise<{success: boolean, lockId: string|null, error?: string}>}
+ */
+const acquireHeld = async (label, attempt, ttlSeconds, retryAttempts, retryDelayMs) => {
+  try {
+    const client = redisClient || await initializeRedis();
+    const lockId = generateLockId();
+    
+    for (let attempts = 1; attempts <= retryAttempts; attempts++) {
+      try {
+        if (await attempt(client, lockId) === 1) {
+          console.log(` ${label} acquired (ID: ${lockId})`);
+          return { success: true, lockId: lockId, ttl: ttlSeconds };
+        }
+      } catch (error) {
+        console.error(` Error acquiring ${label}:`, error);
+      }
+      
+      if (attempts < retryAttempts) {
+        await new Promise(resolve => setTimeout(resolve, retryDelayMs * attempts));
+      }
+    }
     
-    // Release the lock
-    await releaseLock(resource, lockId);
+    return {
+      success: false,
+      lockId: null,
+      error: `Failed to acquire ${label} after ${retryAttempts} attempts`
+    };
     
-    return result;
+  } catch (error) {
+    console.error(` Critical error acquiring ${label}:`, error);
+    return { success: false, lockId: null, error: error.message };
+  }
+};
+
+/**
+ * Run a single-node release or extend script for a holder
+ * @param {string} script - Lua script returning 1 on success
+ * @param {string} key - Holders key
+ * @param {string[]} args - Script arguments
+ * @param {string} failure - Error reported when the holder is gone
+ * @returns {Promise<{success: boolean, lost?: boolean, error?: string}>}
+ */
+const updateHeld = async (script, key, args, failure) => {
+  try {
+    const client = redisClient || await initializeRedis();
+    const result = await client.eval(script, { keys: [key], arguments: args });
+    
+    return result === 1
+      ? { success: true }
+      : { success: false, lost: true, error: failure };
     
   } catch (error) {
-    // Always release lock on error
-    await releaseLock(resource, lockId);
-    throw error;
+    console.error(' Error updating lock holder:', error);
+    return { success: false, error: error.message };
   }
 };
 
+/**
+ * Acquire a shared (read) lock; any number of readers may hold it while no writer does
+ * @param {string} resource - The resource to lock
+ * @param {number} ttlSeconds - Lock time-to-live in seconds (default: 30)
+ * @param {number} retryAttempts - Number of retry attempts (default: 3)
+ * @param {number} retryDelayMs - Delay between retries in milliseconds (default: 100)
+ * @returns {Promise<{success: boolean, lockId: string|null, error?: string}>}
+ */
+const acquireReadLock = async (resource, ttlSeconds = 30, retryAttempts = 3, retryDelayMs = 100) => {
+  return await acquireHeld(`read lock ${resource}`, (client, lockId) => client.eval(READ_ACQUIRE_SCRIPT, {
+    keys: [readersKey(resource), writerKey(resource), pendingWriterKey(resource)],
+    arguments: [lockId, (ttlSeconds * 1000).toString()]
+  }), ttlSeconds, retryAttempts, retryDelayMs);
+};
+
+/**
+ * Release a shared (read) lock
+ * @param {string} resource - The locked resource
+ * @param {string} lockId - The lock ID returned by acquireReadLock
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+const releaseReadLock = async (resource, lockId) => {
+  try {
+    const client = redisClient || await initializeRedis();
+    const removed = await client.zRem(readersKey(resource), lockId);
+    return removed === 1 ? { success: true } : { success: false, error: 'Read lock not found or already expired' };
+  } catch (error) {
+    console.error(' Error releasing read lock:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Extend a shared (read) lock's TTL
+ * @param {string} resource - The locked resource
+ * @param {string} lockId - The lock ID
+ * @param {number} additionalSeconds - New time-to-live in seconds
+ * @returns {Promise<{success: boolean, lost?: boolean, error?: string}>}
+ */
+const extendReadLock = async (resource, lockId, additionalSeconds = 30) => {
+  return await updateHeld(HOLDER_EXTEND_SCRIPT, readersKey(resource),
+    [lockId, (additionalSeconds * 1000).toString()], 'Read lock not found or already expired');
+};
+
+/**
+ * Acquire an exclusive (write) lock; waits for readers to finish and keeps new ones out
+ *
+ * While waiting the writer holds a pending marker that outlives the gap
+ * between its attempts; a writer that gives up leaves it to expire.
+ * @param {string} resource - The resource to lock
+ * @param {number} ttlSeconds - Lock time-to-live in seconds (default: 30)
+ * @param {number} retryAttempts - Number of retry attempts (default: 3)
+ * @param {number} retryDelayMs - Delay between retries in milliseconds (default: 100)
+ * @returns {Promise<{success: boolean, lockId: string|null, error?: string}>}
+ */
+const acquireWriteLock = async (resource, ttlSeconds = 30, retryAttempts = 3, retryDelayMs = 100) => {
+  const pendingMs = retryDelayMs * retryAttempts + 1000;
+  return await acquireHeld(`write lock ${resource}`, (client, lockId) => client.eval(WRITE_ACQUIRE_SCRIPT, {
+    keys: [readersKey(resource), writerKey(resource), pendingWriterKey(resource)],
+    arguments: [lockId, (ttlSeconds * 1000).toString(), pendingMs.toString()]
+  }), ttlSeconds, retryAttempts, retryDelayMs);
+};
+
+/**
+ * Release an exclusive (write) lock
+ * @param {string} resource - The locked resource
+ * @param {string} lockId - The lock ID returned by acquireWriteLock
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+const releaseWriteLock = async (resource, lockId) => {
+  return await updateHeld(RELEASE_SCRIPT, writerKey(resource), [lockId], 'Write lock not found or already released');
+};
+
+/**
+ * Extend an exclusive (write) lock's TTL
+ * @param {string} resource - The locked resource
+ * @param {string} lockId - The lock ID
+ * @param {number} additionalSeconds - New time-to-live in seconds
+ * @returns {Promise<{success: boolean, lost?: boolean, error?: string}>}
+ */
+const extendWriteLock = async (resource, lockId, additionalSeconds = 30) => {
+  return await updateHeld(EXTEND_SCRIPT, writerKey(resource),
+    [lockId, additionalSeconds.toString()], 'Write lock not found or not owned by this process');
+};
+
+/**
+ * Acquire a permit from a counting semaphore
+ * @param {string} name - Semaphore name (e.g., 'matching:london')
+ * @param {number} limit - Most permits that may be held at once
+ * @param {number} ttlSeconds - Permit time-to-live in seconds (default: 30)
+ * @param {number} retryAttempts - Number of retry attempts (default: 3)
+ * @param {number} retryDelayMs - Delay between retries in milliseconds (default: 100)
+ * @returns {Promise<{success: boolean, lockId: string|null, error?: string}>}
+ */
+const acquireSemaphore = async (name, limit, ttlSeconds = 30, retryAttempts = 3, retryDelayMs = 100) => {
+  return await acquireHeld(`semaphore ${name} permit`, (client, lockId) => client.eval(SEMAPHORE_ACQUIRE_SCRIPT, {
+    keys: [semaphoreKey(name)],
+    arguments: [lockId, (ttlSeconds * 1000).toString(), limit.toString()]
+  }), ttlSeconds, retryAttempts, retryDelayMs);
+};
+
+/**
+ * Return a semaphore permit
+ * @param {string} name - Semaphore name
+ * @param {string} lockId - The permit ID returned by acquireSemaphore
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+const releaseSemaphore = async (name, lockId) => {
+  try {
+    const client = redisClient || await initializeRedis();
+    const removed = await client.zRem(semaphoreKey(name), lockId);
+    return removed === 1 ? { success: true } : { success: false, error: 'Permit not found or already expired' };
+  } catch (error) {
+    console.error(' Error releasing semaphore permit:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Extend a semaphore permit's TTL
+ * @param {string} name - Semaphore name
+ * @param {string} lockId - The permit ID
+ * @param {number} additionalSeconds - New time-to-live in seconds
+ * @returns {Promise<{success: boolean, lost?: boolean, error?: string}>}
+ */
+const extendSemaphore = async (name, lockId, additionalSeconds = 30) => {
+  return await updateHeld(HOLDER_EXTEND_SCRIPT, semaphoreKey(name),
+    [lockId, (additionalSeconds * 1000).toString()], 'Permit not found or already expired');
+};
+
+/**
+ * Run fn while holding a read lock, write lock or semaphore permit
+ *
+ * Same renewal and abort behaviour as withLocks.
+ * @param {Object} primitive - { label, resource, acquire, extend, release }
+ * @param {Function} fn - Called with { lockId, resource, signal }
+ * @param {Object} options - Lock options (see withLocks)
+ * @returns {Promise<any>}
+ */
+const withHeld = async (primitive, fn, options = {}) => {
+  const {
+    ttlSeconds = 30,
+    retryAttempts = 3,
+    retryDelayMs = 100,
+    extendOnLongOperation = true,
+    renewIntervalMs = Math.max(Math.floor((ttlSeconds * 1000) / 3), 100)
+  } = options;
+  const { resource } = primitive;
+  
+  const held = await primitive.acquire(ttlSeconds, retryAttempts, retryDelayMs);
+  
+  if (!held.success) {
+    throw new LockUnavailableError(primitive.label, held.error);
+  }
+  
+  const { lockId } = held;
+  const controller = new AbortController();
+  const stopWatchdog = extendOnLongOperation
+    ? startWatchdog(primitive.label, lockId, () => primitive.extend(lockId, ttlSeconds), renewIntervalMs, controller)
+    : () => {};
+  
+  try {
+    return await runUntilSettled(() => fn({ lockId, resource, signal: controller.signal }), controller);
+  } finally {
+    stopWatchdog();
+    
+    if (!controller.signal.aborted) {
+      await primitive.release(lockId);
+    }
+  }
+};
+
+/**
+ * Execute a function holding a shared (read) lock
+ * @param {string} resource - The resource to lock
+ * @param {Function} fn - Called with { lockId, resource, signal }
+ * @param {Object} options - Lock options (see withLocks)
+ * @returns {Promise<any>}
+ */
+const withReadLock = async (resource, fn, options = {}) => {
+  return await withHeld({
+    label: `read:${resource}`,
+    resource: resource,
+    acquire: (ttl, attempts, delay) => acquireReadLock(resource, ttl, attempts, delay),
+    extend: (lockId, ttl) => extendReadLock(resource, lockId, ttl),
+    release: (lockId) => releaseReadLock(resource, lockId)
+  }, fn, options);
+};
+
+/**
+ * Execute a function holding read locks on several resources
+ *
+ * The locks are taken one by one in sorted resource order, like withLocks.
+ * Writers only ever hold one resource, so this cannot deadlock with them.
+ * @param {string[]} resources - The resources to lock (duplicates are ignored; may be empty)
+ * @param {Function} fn - Called with { signal }, aborted if any of the locks is lost
+ * @param {Object} options - Lock options (see withLocks)
+ * @returns {Promise<any>}
+ */
+const withReadLocks = async (resources, fn, options = {}) => {
+  const ordered = [...new Set(resources)].sort();
+  const controller = new AbortController();
+  
+  const lockFrom = async (index) => {
+    if (index === ordered.length) {
+      return await fn({ signal: controller.signal });
+    }
+    
+    return await withReadLock(ordered[index], async ({ signal }) => {
+      signal.addEventListener('abort', () => controller.abort(signal.reason), { once: true });
+      return await lockFrom(index + 1);
+    }, options);
+  };
+  
+  return await lockFrom(0);
+};
+
+/**
+ * Execute a function holding an exclusive (write) lock
+ * @param {string} resource - The resource to lock
+ * @param {Function} fn - Called with { lockId, resource, signal }
+ * @param {Object} options - Lock options (see withLocks)
+ * @returns {Promise<any>}
+ */
+const withWriteLock = async (resource, fn, options = {}) => {
+  return await withHeld({
+    label: `write:${resource}`,
+    resource: resource,
+    acquire: (ttl, attempts, delay) => acquireWriteLock(resource, ttl, attempts, delay),
+    extend: (lockId, ttl) => extendWriteLock(resource, lockId, ttl),
+    release: (lockId) => releaseWriteLock(resource, lockId)
+  }, fn, options);
+};
+
+/**
+ * Execute a function holding a semaphore permit
+ * @param {string} name - Semaphore name
+ * @param {number} limit - Most permits that may be held at once
+ * @param {Function} fn - Called with { lockId, resource, signal }
+ * @param {Object} options - Lock options (see withLocks)
+ * @returns {Promise<any>}
+ */
+const withSemaphore = async (name, limit, fn, options = {}) => {
+  return await withHeld({
+    label: `semaphore:${name}`,
+    resource: name,
+    acquire: (ttl, attempts, delay) => acquireSemaphore(name, limit, ttl, attempts, delay),
+    extend: (lockId, ttl) => extendSemaphore(name, lockId, ttl),
+    release: (lockId) => releaseSemaphore(name, lockId)
+  }, fn, options);
+};
+
+/**
+ * Collect every key matching a pattern with SCAN, without blocking Redis
+ * @param {Object} client - Redis client
+ * @param {string} pattern - MATCH pattern
+ * @returns {Promise<string[]>} Matching keys
+ */
+const scanKeys = async (client, pattern) => {
+  const keys = [];
+  let cursor = '0';
+  
+  do {
+    const page = await client.scan(cursor, { MATCH: pattern, COUNT: 100 });
+    cursor = page.cursor.toString();
+    keys.push(...page.keys);
+  } while (cursor !== '0');
+  
+  // SCAN may return a key more than once
+  return [...new Set(keys)];
+};
+
+/**
+ * Read the current value, TTL and owner of lock keys in one round of commands
+ * @param {Object} client - Redis client
+ * @param {string[]} keys - lock:<resource> keys
+ * @returns {Promise<Array<{resource: string, lockId: string, ttl: number, owner: Object|null}>>}
+ */
+const describeLocks = async (client, keys) => {
+  const locks = await Promise.all(keys.map(async (key) => {
+    const resource = key.slice('lock:'.length);
+    const [lockId, ttl, owner] = await Promise.all([
+      client.get(key),
+      client.ttl(key),
+      client.get(ownerKey(resource))
+    ]);
+    
+    return { resource, lockId, ttl, owner: owner ? JSON.parse(owner) : null };
+  }));
+  
+  // Locks released between SCAN and GET are gone
+  return locks.filter(lock => lock.lockId !== null);
+};
+
+/**
+ * List held locks one SCAN page at a time
+ * @param {Object} options - Listing options
+ * @param {string} options.cursor - Cursor from the previous page ('0' to start)
+ * @param {number} options.count - SCAN COUNT hint (default: 100)
+ * @param {string} options.prefix - Only resources starting with this (e.g. 'booking:'), matched literally
+ * @returns {Promise<{cursor: string, locks: Object[]}>} cursor is '0' after the last page
+ */
+const listLocks = async ({ cursor = '0', count = 100, prefix = '' } = {}) => {
+  const client = redisClient || await initializeRedis();
+  // Glob characters in the prefix must not widen the match
+  const escapedPrefix = prefix.replace(/[*?[\]\\]/g, '\\$&');
+  const page = await client.scan(cursor.toString(), { MATCH: `lock:${escapedPrefix}*`, COUNT: count });
+  
+  return {
+    cursor: page.cursor.toString(),
+    locks: await describeLocks(client, [...new Set(page.keys)])
+  };
+};
+
+/**
+ * Get contention counters per resource prefix
+ * @returns {Object} { since, byPrefix: { [prefix]: { attempts, acquired, waits, failures } } }
+ */
+const getContentionStats = () => {
+  const byPrefix = {};
+  for (const [prefix, counters] of contentionStats) {
+    byPrefix[prefix] = { ...counters };
+  }
+  return { since: contentionSince, byPrefix };
+};
+
 /**
  * Get lock statistics
  * @returns {Promise<Object>}
@@ -281,25 +1472,51 @@ const getLockStats = async () => {
   try {
     const client = redisClient || await initializeRedis();
     
-    // Get all lock keys
-    const lockKeys = await client.keys('lock:*');
+    const locks = await describeLocks(client, await scanKeys(client, 'lock:*'));
     
     const stats = {
-      totalLocks: lockKeys.length,
-      locks: []
+      totalLocks: locks.length,
+      locks: locks,
+      readWriteLocks: [],
+      semaphores: [],
+      contention: getContentionStats()
     };
     
-    for (const key of lockKeys) {
-      const lockId = await client.get(key);
-      const ttl = await client.ttl(key);
-      const resource = key.replace('lock:', '');
+    // Read/write locks: one entry per resource with a writer or live readers
+    const rwResources = new Set((await scanKeys(client, 'rwlock:*')).map(key => key.replace(/^rwlock:(.*):(readers|writer|pending)$/, '$1')));
+    const nowMs = Date.now();
+    
+    stats.readWriteLocks = await Promise.all([...rwResources].map(async (resource) => {
+      const [readers, writer, pendingWriter] = await Promise.all([
+        client.zRangeByScore(readersKey(resource), nowMs, '+inf'),
+        client.get(writerKey(resource)),
+        client.get(pendingWriterKey(resource))
+      ]);
       
-      stats.locks.push({
+      return {
         resource: resource,
-        lockId: lockId,
+        mode: writer ? 'write' : 'read',
+        writer: writer,
+        pendingWriter: pendingWriter,
+        readers: readers.length,
+        ttl: writer ? await client.ttl(writerKey(resource)) : await client.ttl(readersKey(resource))
+      };
+    }));
+    
+    // Semaphores: permits still within their TTL
+    stats.semaphores = await Promise.all((await scanKeys(client, 'semaphore:*')).map(async (key) => {
+      const [holders, ttl] = await Promise.all([
+        client.zRangeByScore(key, nowMs, '+inf'),
+        client.ttl(key)
+      ]);
+      
+      return {
+        name: key.replace('semaphore:', ''),
+        held: holders.length,
+        holders: holders,
         ttl: ttl
-      });
-    }
+      };
+    }));
     
     return stats;
     
@@ -308,29 +1525,79 @@ const getLockStats = async () => {
     return {
       totalLocks: 0,
       locks: [],
+      readWriteLocks: [],
+      semaphores: [],
+      contention: getContentionStats(),
       error: error.message
     };
   }
 };
 
 /**
- * Clean up expired locks (utility function)
+ * Release a lock regardless of its owner (admin use, for stuck locks)
+ *
+ * The holder is not told; its next extend finds the lock gone and aborts, and
+ * its writes are still fenced by the token it was given.
+ * @param {string} resource - The resource
+ * @returns {Promise<{success: boolean, released: boolean, lockId?: string, owner?: Object|null, error?: string}>}
+ */
+const forceReleaseLock = async (resource) => {
+  try {
+    const client = redisClient || await initializeRedis();
+    const owner = await client.get(ownerKey(resource));
+    
+    const results = await runOnNodes(node => node.eval(FORCE_RELEASE_SCRIPT, {
+      keys: [lockKey(resource), ownerKey(resource)]
+    }));
+    
+    const lockId = results.filter(result => result.ok).map(result => result.value).find(Boolean) || null;
+    
+    if (!lockId) {
+      const error = firstError(results);
+      return error
+        ? { success: false, released: false, error: error.message }
+        : { success: true, released: false };
+    }
+    
+    await client.publish(releaseChannel(resource), lockId);
+    console.warn(`  Lock force-released: ${resource} (${lockId})`);
+    
+    return {
+      success: true,
+      released: true,
+      lockId: lockId,
+      owner: owner ? JSON.parse(owner) : null
+    };
+    
+  } catch (error) {
+    console.error(` Error force-releasing lock ${resource}:`, error);
+    return { success: false, released: false, error: error.message };
+  }
+};
+
+/**
+ * Clean up lock keys left without a TTL (utility function)
+ *
+ * Locks are always set with EX, so a lock or owner key that never expires was
+ * left behind by a crash mid-write or a manual SET.
  * @returns {Promise<number>} Number of locks cleaned up
  */
 const cleanupExpiredLocks = async () => {
   try {
     const client = redisClient || await initializeRedis();
-    const lockKeys = await client.keys('lock:*');
+    const keys = [
+      ...await scanKeys(client, 'lock:*'),
+      ...await scanKeys(client, 'lockinfo:*')
+    ];
     
-    let cleanedCount = 0;
+    const ttls = await Promise.all(keys.map(key => client.ttl(key)));
+    const stale = keys.filter((key, index) => ttls[index] === -1);
     
-    for (const key of lockKeys) {
-      const ttl = await client.ttl(key);
-      if (ttl === -2) { // Key doesn't exist (expired)
-        cleanedCount++;
-      }
+    if (stale.length > 0) {
+      await client.del(stale);
     }
     
+    const cleanedCount = stale.length;
     console.log(`🧹 Cleaned up ${cleanedCount} expired locks`);
     return cleanedCount;
     
@@ -341,12 +1608,29 @@ const cleanupExpiredLocks = async () => {
 };
 
 module.exports = {
+  StaleLockError,
+  LockLostError,
+  LockUnavailableError,
   initializeRedis,
   acquireLock,
+  acquireLockFair,
   releaseLock,
   extendLock,
   isLocked,
   withLock,
+  withLocks,
+  acquireReadLock,
+  releaseReadLock,
+  acquireWriteLock,
+  releaseWriteLock,
+  withReadLock,
+  withReadLocks,
+  withWriteLock,
+  acquireSemaphore,
+  releaseSemaphore,
+  withSemaphore,
+  listLocks,
+  forceReleaseLock,
   getLockStats,
   cleanupExpiredLocks
 };
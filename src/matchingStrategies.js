@@ -0,0 +1,175 @@
+const { estimateTravelMinutes } = require('./pricingService');
+require('dotenv').config();
+
+/**
+ * Matching Strategies
+ *
+ * This module holds the registry of strategies that order driver candidates
+ * for a booking. bookingService fetches the eligible drivers (online, nearby,
+ * compatible vehicle class); a strategy only decides their order and explains
+ * each position with a reason that is stored with the offer.
+ *
+ * A strategy is { description, rank(booking, candidates) } where rank returns
+ * the candidates best first, each with a `reason` string attached.
+ */
+
+const strategies = new Map(); // name -> { name, description, rank }
+
+/**
+ * Register a matching strategy
+ * @param {string} name - Strategy name, used in config and on bookings
+ * @param {Object} strategy - Strategy definition
+ * @param {string} strategy.description - One-line description
+ * @param {Function} strategy.rank - (booking, candidates) => ranked candidates with reasons
+ */
+const registerStrategy = (name, strategy) => {
+  if (typeof strategy.rank !== 'function') {
+    throw new Error(`Strategy ${name} must define rank(booking, candidates)`);
+  }
+  strategies.set(name, { name, ...strategy });
+};
+
+/**
+ * Check whether a strategy is registered
+ * @param {string} name - Strategy name
+ * @returns {boolean}
+ */
+const isValidStrategy = (name) => {
+  return strategies.has(name);
+};
+
+/**
+ * Get a strategy by name
+ * @param {string} name - Strategy name (the default when empty)
+ * @returns {Object} Strategy
+ */
+const getStrategy = (name) => {
+  const strategyName = name || DEFAULT_STRATEGY;
+  if (!strategies.has(strategyName)) {
+    throw new Error(`Unknown matching strategy: ${strategyName}`);
+  }
+  return strategies.get(strategyName);
+};
+
+/**
+ * List registered strategies
+ * @returns {Array<{name: string, description: string, default: boolean}>}
+ */
+const listStrategies = () => {
+  return Array.from(strategies.values()).map(strategy => ({
+    name: strategy.name,
+    description: strategy.description,
+    default: strategy.name === DEFAULT_STRATEGY
+  }));
+};
+
+/**
+ * Rank candidates for a booking with the chosen strategy
+ * @param {string} name - Strategy name (the default when empty)
+ * @param {Object} booking - The booking row
+ * @param {Object[]} candidates - Eligible drivers with distance, rating, idle_seconds, upgrade
+ * @returns {Object[]} Ranked candidates, each with `strategy` and `reason`
+ */
+const rankCandidates = (name, booking, candidates) => {
+  const strategy = getStrategy(name);
+  return strategy.rank(booking, [...candidates]).map(candidate => ({
+    ...candidate,
+    strategy: strategy.name
+  }));
+};
+
+const formatKm = (driver) => `${parseFloat(driver.distance).toFixed(2)} km away`;
+const upgradeNote = (driver) => (driver.upgrade ? `, upgrade to ${driver.vehicle_class}` : '');
+
+// Same-class drivers always come before upgrades; sort is stable within each group
+const sameClassFirst = (candidates) => {
+  return candidates.sort((a, b) => Number(a.upgrade) - Number(b.upgrade));
+};
+
+// Batch pair cost weights: pickup distance, pickup ETA, rating below 5 stars, upgrades
+const BATCH_COST_WEIGHTS = {
+  distanceKm: 1,
+  etaMinutes: 0.5,
+  ratingGap: 2,
+  upgrade: 3
+};
+
+/**
+ * Cost of offering a booking to a driver; the batch dispatcher uses it as the
+ * assignment matrix entry
+ * @param {Object} booking - The booking row
+ * @param {Object} driver - Candidate driver
+ * @returns {number} Lower is better
+ */
+const batchPairCost = (booking, driver) => {
+  const distanceKm = parseFloat(driver.distance);
+  const etaMinutes = estimateTravelMinutes(booking.pickup_lat, booking.pickup_lng, distanceKm);
+  const ratingGap = 5 - (parseFloat(driver.rating) || 5);
+
+  return distanceKm * BATCH_COST_WEIGHTS.distanceKm +
+    etaMinutes * BATCH_COST_WEIGHTS.etaMinutes +
+    ratingGap * BATCH_COST_WEIGHTS.ratingGap +
+    (driver.upgrade ? BATCH_COST_WEIGHTS.upgrade : 0);
+};
+
+registerStrategy('nearest', {
+  description: 'Closest driver first',
+  rank: (booking, candidates) => {
+    candidates.sort((a, b) => parseFloat(a.distance) - parseFloat(b.distance));
+    return sameClassFirst(candidates).map(driver => ({
+      ...driver,
+      reason: `nearest: ${formatKm(driver)}${upgradeNote(driver)}`
+    }));
+  }
+});
+
+registerStrategy('best_rated', {
+  description: 'Highest rated driver first, closest breaks ties',
+  rank: (booking, candidates) => {
+    candidates.sort((a, b) =>
+      (parseFloat(b.rating) || 0) - (parseFloat(a.rating) || 0) ||
+      parseFloat(a.distance) - parseFloat(b.distance));
+    return sameClassFirst(candidates).map(driver => ({
+      ...driver,
+      reason: `best_rated: ${parseFloat(driver.rating).toFixed(2)} rating, ${formatKm(driver)}${upgradeNote(driver)}`
+    }));
+  }
+});
+
+registerStrategy('fair_idle', {
+  description: 'Driver who has waited longest for a ride first',
+  rank: (booking, candidates) => {
+    candidates.sort((a, b) => b.idle_seconds - a.idle_seconds);
+    return sameClassFirst(candidates).map(driver => ({
+      ...driver,
+      reason: `fair_idle: idle ${Math.round(driver.idle_seconds / 60)} min, ${formatKm(driver)}${upgradeNote(driver)}`
+    }));
+  }
+});
+
+registerStrategy('batch', {
+  description: 'Lowest combined distance, ETA, rating and upgrade cost (used by batch matching)',
+  rank: (booking, candidates) => {
+    return candidates
+      .map(driver => ({ ...driver, cost: batchPairCost(booking, driver) }))
+      .sort((a, b) => a.cost - b.cost)
+      .map(driver => ({
+        ...driver,
+        reason: `batch: cost ${driver.cost.toFixed(2)}, ${formatKm(driver)}${upgradeNote(driver)}`
+      }));
+  }
+});
+
+// Strategy used when neither the request nor the booking names one
+const DEFAULT_STRATEGY = isValidStrategy(process.env.MATCHING_STRATEGY)
+  ? process.env.MATCHING_STRATEGY
+  : 'nearest';
+
+module.exports = {
+  DEFAULT_STRATEGY,
+  registerStrategy,
+  isValidStrategy,
+  getStrategy,
+  listStrategies,
+  rankCandidates
+};
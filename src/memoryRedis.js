@@ -0,0 +1,1012 @@
+const { EventEmitter } = require('events');
+
+/**
+ * In-Memory Redis
+ *
+ * This module is an in-process stand-in for the Redis commands the services
+ * use, so the booking flow can run in one Node process for tests and demos
+ * (REDIS_BACKEND=memory, see redisBackend.js). Clients created for the same
+ * URL share one store, like connections to one server; different URLs get
+ * independent stores, so Redlock nodes stay separate.
+ *
+ * Commands follow Redis semantics (strings, hashes, lists, sorted sets, GEO,
+ * pub/sub, key expiry) and client methods return what node-redis v5 returns.
+ * Lua cannot run here: each script a service sends with EVAL needs a JS
+ * equivalent registered with registerScript, which gets the same redis.call
+ * interface. Expiry and TIME follow a controllable clock.
+ */
+
+/**
+ * Clock for key expiry and TIME; tests can freeze and advance it
+ */
+const clock = {
+  offsetMs: 0,
+  frozenAt: null,
+
+  now() {
+    return this.frozenAt !== null ? this.frozenAt : Date.now() + this.offsetMs;
+  },
+
+  /**
+   * Stop time at a moment (default: now)
+   * @param {number} atMs - Time to stop at (ms since epoch)
+   */
+  freeze(atMs = this.now()) {
+    this.frozenAt = atMs;
+  },
+
+  /**
+   * Move time forward, frozen or not
+   * @param {number} ms - Milliseconds to add
+   */
+  advance(ms) {
+    if (this.frozenAt !== null) {
+      this.frozenAt += ms;
+    } else {
+      this.offsetMs += ms;
+    }
+  },
+
+  /**
+   * Go back to real time
+   */
+  reset() {
+    this.offsetMs = 0;
+    this.frozenAt = null;
+  }
+};
+
+const scripts = new Map(); // Lua source -> (redis, KEYS, ARGV) => reply
+
+/**
+ * Register the JS equivalent of a Lua script
+ *
+ * KEYS and ARGV are 0-based arrays of strings; redis.call behaves as in Lua
+ * except that nil replies are null.
+ * @param {string} source - The Lua source sent with EVAL
+ * @param {Function} fn - (redis, KEYS, ARGV) => reply
+ */
+const registerScript = (source, fn) => {
+  scripts.set(source, fn);
+};
+
+const GEOHASH_ALPHABET = '0123456789bcdefghjkmnpqrstuvwxyz';
+const EARTH_RADIUS_M = 6372797.560856; // the radius Redis uses
+const GEO_UNITS = { m: 1, km: 1000, mi: 1609.34, ft: 0.3048 };
+
+/**
+ * Interleave longitude and latitude bits, as a geohash does
+ * @param {number} lng - Longitude
+ * @param {number} lat - Latitude
+ * @param {number} bitCount - Number of bits
+ * @returns {number[]} Bits, longitude first
+ */
+const geohashBits = (lng, lat, bitCount) => {
+  const lngRange = [-180, 180];
+  const latRange = [-90, 90];
+  const bits = [];
+
+  for (let i = 0; i < bitCount; i++) {
+    const range = i % 2 === 0 ? lngRange : latRange;
+    const value = i % 2 === 0 ? lng : lat;
+    const mid = (range[0] + range[1]) / 2;
+
+    if (value >= mid) {
+      bits.push(1);
+      range[0] = mid;
+    } else {
+      bits.push(0);
+      range[1] = mid;
+    }
+  }
+
+  return bits;
+};
+
+// 52-bit sorted set score, like GEOADD
+const geoScore = (lng, lat) => geohashBits(lng, lat, 52).reduce((score, bit) => score * 2 + bit, 0);
+
+// 11-character geohash, like GEOHASH
+const geohashString = (lng, lat) => {
+  const bits = geohashBits(lng, lat, 55);
+  let hash = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    hash += GEOHASH_ALPHABET[bits.slice(i, i + 5).reduce((index, bit) => index * 2 + bit, 0)];
+  }
+  return hash;
+};
+
+/**
+ * Great-circle distance
+ * @returns {number} Meters
+ */
+const haversineMeters = (lng1, lat1, lng2, lat2) => {
+  const toRad = (deg) => deg * Math.PI / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(a));
+};
+
+/**
+ * Compile a glob-style pattern (KEYS, SCAN MATCH) to a RegExp
+ * @param {string} pattern - Pattern with *, ? and [...]
+ * @returns {RegExp}
+ */
+const globToRegExp = (pattern) => {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*') {
+      source += '.*';
+    } else if (char === '?') {
+      source += '.';
+    } else if (char === '[') {
+      const end = pattern.indexOf(']', i + 1);
+      if (end === -1) {
+        source += '\\[';
+      } else {
+        source += `[${pattern.slice(i + 1, end)}]`;
+        i = end;
+      }
+    } else if (char === '\\' && i + 1 < pattern.length) {
+      source += pattern[++i].replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    } else {
+      source += char.replace(/[.+^${}()|\]\\/]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`, 's');
+};
+
+/**
+ * Parse a sorted set score bound (-inf, +inf, (exclusive)
+ * @param {string} bound - Bound as sent to ZRANGEBYSCORE
+ * @returns {{value: number, exclusive: boolean}}
+ */
+const parseScoreBound = (bound) => {
+  const text = String(bound);
+  const exclusive = text.startsWith('(');
+  const raw = exclusive ? text.slice(1) : text;
+  const value = /^[+-]?inf$/i.test(raw) ? (raw.startsWith('-') ? -Infinity : Infinity) : parseFloat(raw);
+
+  if (Number.isNaN(value)) {
+    throw new Error('ERR min or max is not a float');
+  }
+  return { value, exclusive };
+};
+
+const formatScore = (score) => (Number.isFinite(score) ? String(score) : (score > 0 ? 'inf' : '-inf'));
+
+const toInteger = (value) => {
+  const number = Number(value);
+  if (!Number.isInteger(number)) {
+    throw new Error('ERR value is not an integer or out of range');
+  }
+  return number;
+};
+
+// Resolve Redis list/range indexes (negative from the end) to [start, stop]
+const resolveRange = (start, stop, length) => {
+  let from = toInteger(start);
+  let to = toInteger(stop);
+  if (from < 0) from = Math.max(length + from, 0);
+  if (to < 0) to = length + to;
+  return [from, Math.min(to, length - 1)];
+};
+
+/**
+ * One in-memory keyspace with its pub/sub channels
+ */
+class MemoryStore {
+  constructor() {
+    this.entries = new Map(); // key -> { type, value, expiresAt, coords? }
+    this.channels = new EventEmitter();
+    this.channels.setMaxListeners(0);
+  }
+
+  /**
+   * Look up a live key
+   * @param {string} key - The key
+   * @param {string} type - Expected type; WRONGTYPE when it holds another
+   * @returns {Object|null} The entry
+   */
+  lookup(key, type = null) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return null;
+    }
+    if (entry.expiresAt !== null && entry.expiresAt <= clock.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    if (type && entry.type !== type) {
+      throw new Error('WRONGTYPE Operation against a key holding the wrong kind of value');
+    }
+    return entry;
+  }
+
+  /**
+   * Look up a key, creating an empty one of the given type if missing
+   */
+  lookupOrCreate(key, type) {
+    const existing = this.lookup(key, type);
+    if (existing) {
+      return existing;
+    }
+
+    const empty = { string: '', hash: new Map(), list: [], zset: new Map() }[type];
+    const entry = { type, value: empty, expiresAt: null };
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  // Redis removes collections once their last element is gone
+  dropIfEmpty(key, entry) {
+    const size = entry.type === 'list' ? entry.value.length : entry.value.size;
+    if (size === 0) {
+      this.entries.delete(key);
+    }
+  }
+
+  liveKeys() {
+    return Array.from(this.entries.keys()).filter(key => this.lookup(key));
+  }
+
+  // Sorted set members ordered by score, then member
+  sortedMembers(entry) {
+    return Array.from(entry.value.entries())
+      .sort(([memberA, scoreA], [memberB, scoreB]) => scoreA - scoreB || (memberA < memberB ? -1 : memberA > memberB ? 1 : 0));
+  }
+
+  /**
+   * Run a command with Redis arguments and replies
+   * @param {string} command - Command name
+   * @param {...any} args - Arguments
+   * @returns {any} Reply (nil is null)
+   */
+  call(command, ...args) {
+    const handler = COMMANDS[String(command).toUpperCase()];
+    if (!handler) {
+      throw new Error(`ERR unknown command '${command}' (not supported by the in-memory backend)`);
+    }
+    return handler(this, args.map(String));
+  }
+}
+
+/**
+ * Read the member/score pairs of a ZRANGEBYSCORE-style call with options
+ */
+const zRangeByScore = (store, key, min, max, options) => {
+  const entry = store.lookup(key, 'zset');
+  if (!entry) {
+    return [];
+  }
+
+  const low = parseScoreBound(min);
+  const high = parseScoreBound(max);
+  let members = store.sortedMembers(entry).filter(([, score]) =>
+    (low.exclusive ? score > low.value : score >= low.value) &&
+    (high.exclusive ? score < high.value : score <= high.value));
+
+  const limitIndex = options.findIndex(option => option.toUpperCase() === 'LIMIT');
+  if (limitIndex !== -1) {
+    const offset = toInteger(options[limitIndex + 1]);
+    const count = toInteger(options[limitIndex + 2]);
+    members = members.slice(offset, count < 0 ? undefined : offset + count);
+  }
+  return members;
+};
+
+const withScores = (members, options) => {
+  return options.some(option => option.toUpperCase() === 'WITHSCORES')
+    ? members.flatMap(([member, score]) => [member, formatScore(score)])
+    : members.map(([member]) => member);
+};
+
+const popMembers = (store, key, count, fromEnd) => {
+  const entry = store.lookup(key, 'zset');
+  if (!entry) {
+    return [];
+  }
+
+  let members = store.sortedMembers(entry);
+  members = fromEnd ? members.reverse().slice(0, count) : members.slice(0, count);
+  members.forEach(([member]) => {
+    entry.value.delete(member);
+    if (entry.coords) {
+      entry.coords.delete(member);
+    }
+  });
+  store.dropIfEmpty(key, entry);
+  return members.flatMap(([member, score]) => [member, formatScore(score)]);
+};
+
+const setExpiry = (store, key, ttlMs) => {
+  const entry = store.lookup(key);
+  if (!entry) {
+    return 0;
+  }
+  if (ttlMs <= 0) {
+    store.entries.delete(key);
+  } else {
+    entry.expiresAt = clock.now() + ttlMs;
+  }
+  return 1;
+};
+
+const remainingMs = (store, key) => {
+  const entry = store.lookup(key);
+  if (!entry) {
+    return -2;
+  }
+  return entry.expiresAt === null ? -1 : entry.expiresAt - clock.now();
+};
+
+// Command implementations: (store, args as strings) => reply
+const COMMANDS = {
+  PING: (store, [message]) => message || 'PONG',
+  TIME: () => {
+    const nowMs = clock.now();
+    return [String(Math.floor(nowMs / 1000)), String((nowMs % 1000) * 1000)];
+  },
+  INFO: (store) => `# Server\r\nredis_version:memory\r\nredis_mode:standalone\r\n# Keyspace\r\ndb0:keys=${store.liveKeys().length}\r\n`,
+  DBSIZE: (store) => store.liveKeys().length,
+  FLUSHALL: (store) => {
+    store.entries.clear();
+    return 'OK';
+  },
+
+  // Keys
+  DEL: (store, keys) => keys.filter(key => store.lookup(key) && store.entries.delete(key)).length,
+  EXISTS: (store, keys) => keys.filter(key => store.lookup(key)).length,
+  EXPIRE: (store, [key, seconds]) => setExpiry(store, key, toInteger(seconds) * 1000),
+  PEXPIRE: (store, [key, ms]) => setExpiry(store, key, toInteger(ms)),
+  PERSIST: (store, [key]) => {
+    const entry = store.lookup(key);
+    if (!entry || entry.expiresAt === null) {
+      return 0;
+    }
+    entry.expiresAt = null;
+    return 1;
+  },
+  TTL: (store, [key]) => {
+    const ms = remainingMs(store, key);
+    return ms < 0 ? ms : Math.round(ms / 1000);
+  },
+  PTTL: (store, [key]) => remainingMs(store, key),
+  TYPE: (store, [key]) => {
+    const entry = store.lookup(key);
+    return entry ? entry.type : 'none';
+  },
+  KEYS: (store, [pattern]) => {
+    const regex = globToRegExp(pattern);
+    return store.liveKeys().filter(key => regex.test(key));
+  },
+  SCAN: (store, [cursor, ...options]) => {
+    const upper = options.map(option => option.toUpperCase());
+    const matchIndex = upper.indexOf('MATCH');
+    const countIndex = upper.indexOf('COUNT');
+    const regex = matchIndex !== -1 ? globToRegExp(options[matchIndex + 1]) : null;
+    const count = countIndex !== -1 ? toInteger(options[countIndex + 1]) : 10;
+
+    // The cursor is an offset into the sorted keyspace
+    const keys = store.liveKeys().sort();
+    const start = toInteger(cursor);
+    const page = keys.slice(start, start + count);
+    const next = start + count >= keys.length ? '0' : String(start + count);
+    return [next, regex ? page.filter(key => regex.test(key)) : page];
+  },
+
+  // Strings
+  GET: (store, [key]) => {
+    const entry = store.lookup(key, 'string');
+    return entry ? entry.value : null;
+  },
+  SET: (store, [key, value, ...options]) => {
+    const upper = options.map(option => option.toUpperCase());
+    const existing = store.lookup(key);
+
+    if ((upper.includes('NX') && existing) || (upper.includes('XX') && !existing)) {
+      return null;
+    }
+
+    let expiresAt = null;
+    const exIndex = upper.indexOf('EX');
+    const pxIndex = upper.indexOf('PX');
+    if (exIndex !== -1) {
+      expiresAt = clock.now() + toInteger(options[exIndex + 1]) * 1000;
+    } else if (pxIndex !== -1) {
+      expiresAt = clock.now() + toInteger(options[pxIndex + 1]);
+    } else if (upper.includes('KEEPTTL') && existing) {
+      expiresAt = existing.expiresAt;
+    }
+
+    store.entries.set(key, { type: 'string', value: value, expiresAt: expiresAt });
+    return 'OK';
+  },
+  INCR: (store, [key]) => COMMANDS.INCRBY(store, [key, '1']),
+  INCRBY: (store, [key, increment]) => {
+    const entry = store.lookupOrCreate(key, 'string');
+    const value = toInteger(entry.value || '0') + toInteger(increment);
+    entry.value = String(value);
+    return value;
+  },
+
+  // Hashes
+  HSET: (store, [key, ...pairs]) => {
+    const entry = store.lookupOrCreate(key, 'hash');
+    let added = 0;
+    for (let i = 0; i < pairs.length; i += 2) {
+      if (!entry.value.has(pairs[i])) {
+        added++;
+      }
+      entry.value.set(pairs[i], pairs[i + 1]);
+    }
+    return added;
+  },
+  HGET: (store, [key, field]) => {
+    const entry = store.lookup(key, 'hash');
+    return entry && entry.value.has(field) ? entry.value.get(field) : null;
+  },
+  HGETALL: (store, [key]) => {
+    const entry = store.lookup(key, 'hash');
+    return entry ? Array.from(entry.value.entries()).flat() : [];
+  },
+  HINCRBY: (store, [key, field, increment]) => {
+    const entry = store.lookupOrCreate(key, 'hash');
+    const value = toInteger(entry.value.get(field) || '0') + toInteger(increment);
+    entry.value.set(field, String(value));
+    return value;
+  },
+  HDEL: (store, [key, ...fields]) => {
+    const entry = store.lookup(key, 'hash');
+    if (!entry) {
+      return 0;
+    }
+    const removed = fields.filter(field => entry.value.delete(field)).length;
+    store.dropIfEmpty(key, entry);
+    return removed;
+  },
+
+  // Lists
+  LPUSH: (store, [key, ...elements]) => {
+    const entry = store.lookupOrCreate(key, 'list');
+    elements.forEach(element => entry.value.unshift(element));
+    return entry.value.length;
+  },
+  RPUSH: (store, [key, ...elements]) => {
+    const entry = store.lookupOrCreate(key, 'list');
+    entry.value.push(...elements);
+    return entry.value.length;
+  },
+  LPOP: (store, [key]) => {
+    const entry = store.lookup(key, 'list');
+    if (!entry) {
+      return null;
+    }
+    const element = entry.value.shift();
+    store.dropIfEmpty(key, entry);
+    return element;
+  },
+  RPOP: (store, [key]) => {
+    const entry = store.lookup(key, 'list');
+    if (!entry) {
+      return null;
+    }
+    const element = entry.value.pop();
+    store.dropIfEmpty(key, entry);
+    return element;
+  },
+  LLEN: (store, [key]) => {
+    const entry = store.lookup(key, 'list');
+    return entry ? entry.value.length : 0;
+  },
+  LRANGE: (store, [key, start, stop]) => {
+    const entry = store.lookup(key, 'list');
+    if (!entry) {
+      return [];
+    }
+    const [from, to] = resolveRange(start, stop, entry.value.length);
+    return entry.value.slice(from, to + 1);
+  },
+  LTRIM: (store, [key, start, stop]) => {
+    const entry = store.lookup(key, 'list');
+    if (entry) {
+      const [from, to] = resolveRange(start, stop, entry.value.length);
+      entry.value = entry.value.slice(from, to + 1);
+      store.dropIfEmpty(key, entry);
+    }
+    return 'OK';
+  },
+  LREM: (store, [key, count, element]) => {
+    const entry = store.lookup(key, 'list');
+    if (!entry) {
+      return 0;
+    }
+
+    // count > 0 removes from the head, < 0 from the tail, 0 removes all
+    const limit = toInteger(count);
+    const indexes = entry.value.map((value, index) => (value === element ? index : -1)).filter(index => index !== -1);
+    const chosen = new Set(limit >= 0 ? indexes.slice(0, limit || undefined) : indexes.slice(limit));
+    entry.value = entry.value.filter((value, index) => !chosen.has(index));
+    store.dropIfEmpty(key, entry);
+    return chosen.size;
+  },
+
+  // Sorted sets
+  ZADD: (store, [key, ...args]) => {
+    const flags = [];
+    while (args.length > 0 && ['NX', 'XX', 'GT', 'LT', 'CH'].includes(args[0].toUpperCase())) {
+      flags.push(args.shift().toUpperCase());
+    }
+
+    const entry = store.lookupOrCreate(key, 'zset');
+    let changed = 0;
+    for (let i = 0; i < args.length; i += 2) {
+      const score = parseScoreBound(args[i]).value;
+      const member = args[i + 1];
+      const current = entry.value.get(member);
+      const exists = current !== undefined;
+
+      if ((flags.includes('NX') && exists) || (flags.includes('XX') && !exists) ||
+        (exists && flags.includes('GT') && score <= current) ||
+        (exists && flags.includes('LT') && score >= current)) {
+        continue;
+      }
+
+      if (!exists || (flags.includes('CH') && current !== score)) {
+        changed++;
+      }
+      entry.value.set(member, score);
+    }
+    store.dropIfEmpty(key, entry);
+    return changed;
+  },
+  ZREM: (store, [key, ...members]) => {
+    const entry = store.lookup(key, 'zset');
+    if (!entry) {
+      return 0;
+    }
+    const removed = members.filter(member => {
+      if (entry.coords) {
+        entry.coords.delete(member);
+      }
+      return entry.value.delete(member);
+    }).length;
+    store.dropIfEmpty(key, entry);
+    return removed;
+  },
+  ZCARD: (store, [key]) => {
+    const entry = store.lookup(key, 'zset');
+    return entry ? entry.value.size : 0;
+  },
+  ZSCORE: (store, [key, member]) => {
+    const entry = store.lookup(key, 'zset');
+    return entry && entry.value.has(member) ? formatScore(entry.value.get(member)) : null;
+  },
+  ZRANGE: (store, [key, start, stop, ...options]) => {
+    const entry = store.lookup(key, 'zset');
+    if (!entry) {
+      return [];
+    }
+    const members = store.sortedMembers(entry);
+    const [from, to] = resolveRange(start, stop, members.length);
+    return withScores(members.slice(from, to + 1), options);
+  },
+  ZRANGEBYSCORE: (store, [key, min, max, ...options]) => {
+    return withScores(zRangeByScore(store, key, min, max, options), options);
+  },
+  ZREMRANGEBYSCORE: (store, [key, min, max]) => {
+    const members = zRangeByScore(store, key, min, max, []);
+    return members.length > 0 ? COMMANDS.ZREM(store, [key, ...members.map(([member]) => member)]) : 0;
+  },
+  ZPOPMAX: (store, [key, count = '1']) => popMembers(store, key, toInteger(count), true),
+  ZPOPMIN: (store, [key, count = '1']) => popMembers(store, key, toInteger(count), false),
+
+  // GEO: a sorted set scored by geohash, with the exact coordinates kept aside
+  GEOADD: (store, [key, ...args]) => {
+    const entry = store.lookupOrCreate(key, 'zset');
+    entry.coords = entry.coords || new Map();
+    let added = 0;
+
+    for (let i = 0; i < args.length; i += 3) {
+      const lng = parseFloat(args[i]);
+      const lat = parseFloat(args[i + 1]);
+      const member = args[i + 2];
+
+      if (!(lng >= -180 && lng <= 180 && lat >= -85.05112878 && lat <= 85.05112878)) {
+        throw new Error(`ERR invalid longitude,latitude pair ${args[i]},${args[i + 1]}`);
+      }
+      if (!entry.value.has(member)) {
+        added++;
+      }
+      entry.value.set(member, geoScore(lng, lat));
+      entry.coords.set(member, { lng, lat });
+    }
+    return added;
+  },
+  GEOPOS: (store, [key, ...members]) => {
+    const entry = store.lookup(key, 'zset');
+    return members.map(member => {
+      const coords = entry && entry.coords && entry.coords.get(member);
+      return coords ? [String(coords.lng), String(coords.lat)] : null;
+    });
+  },
+  GEOHASH: (store, [key, ...members]) => {
+    const entry = store.lookup(key, 'zset');
+    return members.map(member => {
+      const coords = entry && entry.coords && entry.coords.get(member);
+      return coords ? geohashString(coords.lng, coords.lat) : null;
+    });
+  },
+  GEODIST: (store, [key, memberA, memberB, unit = 'm']) => {
+    const entry = store.lookup(key, 'zset');
+    const a = entry && entry.coords && entry.coords.get(memberA);
+    const b = entry && entry.coords && entry.coords.get(memberB);
+    if (!a || !b) {
+      return null;
+    }
+    return (haversineMeters(a.lng, a.lat, b.lng, b.lat) / GEO_UNITS[unit.toLowerCase()]).toFixed(4);
+  },
+  GEOSEARCH: (store, [key, ...args]) => {
+    const entry = store.lookup(key, 'zset');
+    const upper = args.map(arg => arg.toUpperCase());
+    let center = null;
+
+    if (upper.includes('FROMLONLAT')) {
+      const index = upper.indexOf('FROMLONLAT');
+      center = { lng: parseFloat(args[index + 1]), lat: parseFloat(args[index + 2]) };
+    } else if (upper.includes('FROMMEMBER')) {
+      center = entry && entry.coords && entry.coords.get(args[upper.indexOf('FROMMEMBER') + 1]);
+      if (!center) {
+        throw new Error('ERR could not decode requested zset member');
+      }
+    }
+
+    const radiusIndex = upper.indexOf('BYRADIUS');
+    if (!center || radiusIndex === -1) {
+      throw new Error('ERR GEOSEARCH needs FROMLONLAT or FROMMEMBER and BYRADIUS in the in-memory backend');
+    }
+
+    const unitMeters = GEO_UNITS[args[radiusIndex + 2].toLowerCase()];
+    const radiusMeters = parseFloat(args[radiusIndex + 1]) * unitMeters;
+    const countIndex = upper.indexOf('COUNT');
+    const count = countIndex !== -1 ? toInteger(args[countIndex + 1]) : Infinity;
+
+    let matches = entry && entry.coords
+      ? Array.from(entry.coords.entries())
+        .map(([member, coords]) => ({ member, coords, meters: haversineMeters(center.lng, center.lat, coords.lng, coords.lat) }))
+        .filter(match => match.meters <= radiusMeters)
+      : [];
+
+    // COUNT without ANY sorts nearest first, as Redis does
+    if (upper.includes('DESC')) {
+      matches.sort((a, b) => b.meters - a.meters);
+    } else if (upper.includes('ASC') || (countIndex !== -1 && !upper.includes('ANY'))) {
+      matches.sort((a, b) => a.meters - b.meters);
+    }
+    matches = matches.slice(0, count);
+
+    const withDist = upper.includes('WITHDIST');
+    const withHash = upper.includes('WITHHASH');
+    const withCoord = upper.includes('WITHCOORD');
+    if (!withDist && !withHash && !withCoord) {
+      return matches.map(match => match.member);
+    }
+
+    return matches.map(match => {
+      const item = [match.member];
+      if (withDist) item.push((match.meters / unitMeters).toFixed(4));
+      if (withHash) item.push(entry.value.get(match.member));
+      if (withCoord) item.push([String(match.coords.lng), String(match.coords.lat)]);
+      return item;
+    });
+  },
+
+  // Pub/sub
+  PUBLISH: (store, [channel, message]) => {
+    const receivers = store.channels.listenerCount(channel);
+    // Delivered after the reply, like a message arriving on another connection
+    setImmediate(() => store.channels.emit(channel, message));
+    return receivers;
+  }
+};
+
+const stores = new Map(); // url -> MemoryStore
+
+/**
+ * Get the shared store for a URL
+ * @param {string} url - Redis URL the client was created with
+ * @returns {MemoryStore}
+ */
+const getStore = (url = 'memory') => {
+  if (!stores.has(url)) {
+    stores.set(url, new MemoryStore());
+  }
+  return stores.get(url);
+};
+
+// Client methods that are plain commands; replies are returned as they are
+const PASSTHROUGH = {
+  get: 'GET',
+  incr: 'INCR',
+  incrBy: 'INCRBY',
+  expire: 'EXPIRE',
+  pExpire: 'PEXPIRE',
+  persist: 'PERSIST',
+  ttl: 'TTL',
+  pTTL: 'PTTL',
+  type: 'TYPE',
+  keys: 'KEYS',
+  hGet: 'HGET',
+  hIncrBy: 'HINCRBY',
+  lPop: 'LPOP',
+  rPop: 'RPOP',
+  lLen: 'LLEN',
+  lRange: 'LRANGE',
+  lTrim: 'LTRIM',
+  lRem: 'LREM',
+  zCard: 'ZCARD',
+  zRange: 'ZRANGE',
+  zRangeByScore: 'ZRANGEBYSCORE',
+  zRemRangeByScore: 'ZREMRANGEBYSCORE',
+  geoHash: 'GEOHASH',
+  publish: 'PUBLISH',
+  dbSize: 'DBSIZE',
+  flushAll: 'FLUSHALL'
+};
+
+// Client methods whose arguments or replies need node-redis shapes
+const ADAPTED = {
+  set: (store, key, value, options = {}) => {
+    const args = [key, value];
+    if (options.NX) args.push('NX');
+    if (options.XX) args.push('XX');
+    if (options.EX !== undefined) args.push('EX', options.EX);
+    if (options.PX !== undefined) args.push('PX', options.PX);
+    if (options.KEEPTTL) args.push('KEEPTTL');
+    return store.call('SET', ...args);
+  },
+  del: (store, keys) => store.call('DEL', ...[].concat(keys)),
+  exists: (store, keys) => store.call('EXISTS', ...[].concat(keys)),
+  scan: (store, cursor, options = {}) => {
+    const args = [cursor];
+    if (options.MATCH) args.push('MATCH', options.MATCH);
+    if (options.COUNT) args.push('COUNT', options.COUNT);
+    const [next, keys] = store.call('SCAN', ...args);
+    return { cursor: next, keys };
+  },
+  hSet: (store, key, field, value) => {
+    const pairs = typeof field === 'object'
+      ? Object.entries(field instanceof Map ? Object.fromEntries(field) : field).flat()
+      : [field, value];
+    return store.call('HSET', key, ...pairs);
+  },
+  hGetAll: (store, key) => {
+    const flat = store.call('HGETALL', key);
+    const hash = {};
+    for (let i = 0; i < flat.length; i += 2) {
+      hash[flat[i]] = flat[i + 1];
+    }
+    return hash;
+  },
+  hDel: (store, key, fields) => store.call('HDEL', key, ...[].concat(fields)),
+  lPush: (store, key, elements) => store.call('LPUSH', key, ...[].concat(elements)),
+  rPush: (store, key, elements) => store.call('RPUSH', key, ...[].concat(elements)),
+  zAdd: (store, key, members, options = {}) => {
+    const flags = ['NX', 'XX', 'GT', 'LT', 'CH'].filter(flag => options[flag]);
+    const pairs = [].concat(members).flatMap(member => [member.score, member.value]);
+    return store.call('ZADD', key, ...flags, ...pairs);
+  },
+  zRem: (store, key, members) => store.call('ZREM', key, ...[].concat(members)),
+  zScore: (store, key, member) => {
+    const score = store.call('ZSCORE', key, member);
+    return score === null ? null : parseScoreBound(score).value;
+  },
+  zRangeWithScores: (store, key, start, stop) => {
+    const flat = store.call('ZRANGE', key, start, stop, 'WITHSCORES');
+    const members = [];
+    for (let i = 0; i < flat.length; i += 2) {
+      members.push({ value: flat[i], score: parseScoreBound(flat[i + 1]).value });
+    }
+    return members;
+  },
+  zPopMax: (store, key) => {
+    const [value, score] = store.call('ZPOPMAX', key);
+    return value === undefined ? null : { value, score: parseScoreBound(score).value };
+  },
+  zPopMin: (store, key) => {
+    const [value, score] = store.call('ZPOPMIN', key);
+    return value === undefined ? null : { value, score: parseScoreBound(score).value };
+  },
+  geoAdd: (store, key, members) => {
+    const triples = [].concat(members).flatMap(member => [member.longitude, member.latitude, member.member]);
+    return store.call('GEOADD', key, ...triples);
+  },
+  geoPos: (store, key, members) => {
+    return store.call('GEOPOS', key, ...[].concat(members))
+      .map(position => (position ? { longitude: position[0], latitude: position[1] } : null));
+  },
+  ping: (store, message) => (message === undefined ? store.call('PING') : store.call('PING', message)),
+  info: (store) => store.call('INFO')
+};
+
+/**
+ * A connection to an in-memory store, with the node-redis v5 client API
+ * for the commands above
+ */
+class MemoryRedisClient extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.options = options;
+    this.store = getStore(options.url);
+    this.isOpen = false;
+    this.isReady = false;
+    this.subscriptions = new Map(); // channel -> Map of listener -> store handler
+  }
+
+  async connect() {
+    this.isOpen = true;
+    this.isReady = true;
+    this.emit('connect');
+    this.emit('ready');
+    return this;
+  }
+
+  async quit() {
+    this.assertOpen();
+    await this.unsubscribe();
+    this.isOpen = false;
+    this.isReady = false;
+    this.emit('end');
+    return 'OK';
+  }
+
+  async close() {
+    return this.quit();
+  }
+
+  destroy() {
+    if (this.isOpen) {
+      this.quit();
+    }
+  }
+
+  duplicate() {
+    return new MemoryRedisClient(this.options);
+  }
+
+  assertOpen() {
+    if (!this.isOpen) {
+      throw new Error('The client is closed');
+    }
+  }
+
+  /**
+   * Run a raw command, e.g. ['GEOSEARCH', key, ...]
+   * @param {string[]} args - Command and arguments
+   */
+  async sendCommand(args) {
+    this.assertOpen();
+    return this.store.call(...args);
+  }
+
+  /**
+   * Run the registered JS equivalent of a Lua script
+   * @param {string} script - Lua source
+   * @param {Object} options - { keys, arguments }
+   */
+  async eval(script, options = {}) {
+    this.assertOpen();
+    const fn = scripts.get(script);
+    if (!fn) {
+      throw new Error('NOSCRIPT This script has no in-memory implementation (see registerScript)');
+    }
+
+    const redis = { call: (command, ...args) => this.store.call(command, ...args) };
+    const reply = fn(redis, (options.keys || []).map(String), (options.arguments || []).map(String));
+    return reply === undefined ? null : reply;
+  }
+
+  /**
+   * Subscribe a listener to channels
+   * @param {string|string[]} channels - Channels
+   * @param {Function} listener - (message, channel) => void
+   */
+  async subscribe(channels, listener) {
+    this.assertOpen();
+    for (const channel of [].concat(channels)) {
+      const handler = (message) => listener(message, channel);
+      if (!this.subscriptions.has(channel)) {
+        this.subscriptions.set(channel, new Map());
+      }
+      this.subscriptions.get(channel).set(listener, handler);
+      this.store.channels.on(channel, handler);
+    }
+  }
+
+  /**
+   * Unsubscribe from channels (all when none given)
+   * @param {string|string[]} channels - Channels
+   * @param {Function} listener - Only this listener (default: all)
+   */
+  async unsubscribe(channels, listener) {
+    const targets = channels === undefined ? Array.from(this.subscriptions.keys()) : [].concat(channels);
+    for (const channel of targets) {
+      const handlers = this.subscriptions.get(channel);
+      if (!handlers) {
+        continue;
+      }
+      for (const [subscribed, handler] of handlers) {
+        if (!listener || subscribed === listener) {
+          this.store.channels.removeListener(channel, handler);
+          handlers.delete(subscribed);
+        }
+      }
+      if (handlers.size === 0) {
+        this.subscriptions.delete(channel);
+      }
+    }
+  }
+
+  /**
+   * Queue commands and run them together; exec() returns their replies
+   * @returns {Object} Chainable transaction
+   */
+  multi() {
+    const queued = [];
+    const transaction = {
+      exec: async () => {
+        this.assertOpen();
+        return queued.map(run => run());
+      }
+    };
+
+    for (const name of [...Object.keys(PASSTHROUGH), ...Object.keys(ADAPTED)]) {
+      transaction[name] = (...args) => {
+        queued.push(() => this.run(name, args));
+        return transaction;
+      };
+    }
+    return transaction;
+  }
+
+  run(name, args) {
+    return PASSTHROUGH[name]
+      ? this.store.call(PASSTHROUGH[name], ...args)
+      : ADAPTED[name](this.store, ...args);
+  }
+}
+
+for (const name of [...Object.keys(PASSTHROUGH), ...Object.keys(ADAPTED)]) {
+  MemoryRedisClient.prototype[name] = async function (...args) {
+    this.assertOpen();
+    return this.run(name, args);
+  };
+}
+
+/**
+ * Create an in-memory client (options as for node-redis createClient; only url is used)
+ * @param {Object} options - Client options
+ * @returns {MemoryRedisClient}
+ */
+const createMemoryClient = (options = {}) => {
+  return new MemoryRedisClient(options);
+};
+
+/**
+ * Empty every store and go back to real time (between tests)
+ */
+const resetMemoryRedis = () => {
+  for (const store of stores.values()) {
+    store.entries.clear();
+  }
+  clock.reset();
+};
+
+module.exports = {
+  clock,
+  registerScript,
+  createMemoryClient,
+  resetMemoryRedis
+};
@@ -60,6 +60,11 @@ let metrics = {
     processed: 0,
     failed: 0,
     retried: 0
+  },
+  locks: {
+    renewals: 0,
+    renewalErrors: 0,
+    lost: 0
   }
 };
 
@@ -212,6 +217,25 @@ const updateQueueMetrics = (type, count = 1) => {
   }
 };
 
+/**
+ * Update lock metrics
+ * @param {string} type - Metric type (renewal, renewal_error, lost)
+ * @param {number} count - Count to add (default: 1)
+ */
+const updateLockMetrics = (type, count = 1) => {
+  switch (type) {
+    case 'renewal':
+      metrics.locks.renewals += count;
+      break;
+    case 'renewal_error':
+      metrics.locks.renewalErrors += count;
+      break;
+    case 'lost':
+      metrics.locks.lost += count;
+      break;
+  }
+};
+
 /**
  * Set Redis connection status
  * @param {boolean} connected - Redis connection status
@@ -501,7 +525,8 @@ const getSystemMetrics = () => {
     redis: metrics.redis,
     websocket: metrics.websocket,
     events: metrics.events,
-    queues: metrics.queues
+    queues: metrics.queues,
+    locks: metrics.locks
   };
 };
 
@@ -589,6 +614,11 @@ const resetMetrics = () => {
       processed: 0,
       failed: 0,
       retried: 0
+    },
+    locks: {
+      renewals: 0,
+      renewalErrors: 0,
+      lost: 0
     }
   };
   
@@ -617,6 +647,7 @@ module.exports = {
   updateWebSocketMetrics,
   updateEventMetrics,
   updateQueueMetrics,
+  updateLockMetrics,
   setRedisConnectionStatus,
   performHealthCheck,
   getSystemMetrics,
@@ -0,0 +1,465 @@
+const { Pool } = require('pg');
+const { withLocks } = require('./lockService');
+const { isRedisConnected, findNearbyDrivers } = require('./redisClient');
+const { getPoolSeats } = require('./vehicleClasses');
+const { haversineKm } = require('./pricingService');
+const { transition } = require('./bookingStateMachine');
+require('dotenv').config();
+
+/**
+ * Pooling Service
+ *
+ * This module handles shared (pool) rides. The first pool booking a driver
+ * accepts opens a trip: an ordered list of pickup and dropoff stops kept in
+ * trip_stops, separate from the bookings themselves. Later pool bookings are
+ * inserted into a nearby driver's trip when a pickup/dropoff position exists
+ * that fits the seats and keeps every rider within the maximum detour.
+ */
+
+const pool = new Pool({
+  host: process.env.DB_HOST || 'localhost',
+  port: process.env.DB_PORT || 5432,
+  database: process.env.DB_NAME || 'uber_matching',
+  user: process.env.DB_USER || 'postgres',
+  password: process.env.DB_PASSWORD || 'password'
+});
+
+// Pooling configuration
+const poolConfig = {
+  maxDetourRatio: parseFloat(process.env.POOL_MAX_DETOUR_RATIO) || 0.5, // ride at most 50% longer than going direct
+  searchRadiusKm: parseFloat(process.env.POOL_SEARCH_RADIUS_KM) || 3,
+  maxPickupKm: parseFloat(process.env.POOL_MAX_PICKUP_KM) || 5, // route distance until the new rider is picked up
+  searchLimit: 20
+};
+
+// Floating point slack when comparing route lengths
+const DETOUR_EPSILON_KM = 1e-6;
+
+/**
+ * Open a trip for the first pool booking a driver accepted
+ * @param {Object} db - pg Pool or client
+ * @param {Object} booking - The accepted booking row
+ * @returns {Promise<Object>} The trip
+ */
+const createTrip = async (db, booking) => {
+  const driverResult = await db.query('SELECT vehicle_type FROM drivers WHERE id = $1', [booking.driver_id]);
+  const seats = getPoolSeats(driverResult.rows.length > 0 ? driverResult.rows[0].vehicle_type : null);
+
+  const tripResult = await db.query(`
+    INSERT INTO trips (driver_id, seats)
+    VALUES ($1, $2)
+    RETURNING *
+  `, [booking.driver_id, seats]);
+  const trip = tripResult.rows[0];
+
+  await db.query(`
+    INSERT INTO trip_stops (trip_id, booking_id, stop_type, lat, lng, sequence)
+    VALUES ($1, $2, 'pickup', $3, $4, 1), ($1, $2, 'dropoff', $5, $6, 2)
+  `, [trip.id, booking.id, booking.pickup_lat, booking.pickup_lng, booking.dropoff_lat, booking.dropoff_lng]);
+
+  await db.query('UPDATE bookings SET trip_id = $1 WHERE id = $2', [trip.id, booking.id]);
+
+  return trip;
+};
+
+/**
+ * Get the stops a trip still has to visit, in order
+ * @param {Object} db - pg Pool or client
+ * @param {number} tripId - The trip ID
+ * @returns {Promise<Object[]>} Stops with numeric lat/lng
+ */
+const getPendingStops = async (db, tripId) => {
+  const result = await db.query(`
+    SELECT * FROM trip_stops
+    WHERE trip_id = $1 AND status = 'pending'
+    ORDER BY sequence
+  `, [tripId]);
+
+  return result.rows.map(stop => ({
+    ...stop,
+    lat: parseFloat(stop.lat),
+    lng: parseFloat(stop.lng)
+  }));
+};
+
+/**
+ * Length of a route from the driver through the given stops
+ * @param {Object} origin - Driver position { lat, lng }
+ * @param {Object[]} stops - Stops in visiting order
+ * @returns {number[]} Cumulative distance (km) at each stop
+ */
+const cumulativeKm = (origin, stops) => {
+  const distances = [];
+  let previous = origin;
+  let total = 0;
+
+  for (const stop of stops) {
+    total += haversineKm(previous.lat, previous.lng, stop.lat, stop.lng);
+    distances.push(total);
+    previous = stop;
+  }
+
+  return distances;
+};
+
+/**
+ * Check that the vehicle never carries more riders than it has seats
+ * @param {Object[]} stops - Stops in visiting order
+ * @param {number} seats - Rider seats
+ * @returns {boolean}
+ */
+const fitsSeats = (stops, seats) => {
+  const pickedUp = new Set(stops.filter(stop => stop.stop_type === 'pickup').map(stop => stop.booking_id));
+
+  // Riders whose pickup is already behind us are on board
+  let load = stops.filter(stop => stop.stop_type === 'dropoff' && !pickedUp.has(stop.booking_id)).length;
+
+  for (const stop of stops) {
+    load += stop.stop_type === 'pickup' ? 1 : -1;
+    if (load > seats) {
+      return false;
+    }
+  }
+
+  return true;
+};
+
+/**
+ * Check that no rider rides more than maxDetourRatio longer than going direct
+ *
+ * Riders already on board are measured from the driver's current position.
+ * @param {Object} origin - Driver position { lat, lng }
+ * @param {Object[]} stops - Stops in visiting order
+ * @returns {boolean}
+ */
+const withinDetour = (origin, stops) => {
+  const distances = cumulativeKm(origin, stops);
+  const pickups = new Map();
+
+  for (let i = 0; i < stops.length; i++) {
+    const stop = stops[i];
+
+    if (stop.stop_type === 'pickup') {
+      pickups.set(stop.booking_id, i);
+      continue;
+    }
+
+    const pickupIndex = pickups.get(stop.booking_id);
+    const start = pickupIndex === undefined ? origin : stops[pickupIndex];
+    const rideKm = distances[i] - (pickupIndex === undefined ? 0 : distances[pickupIndex]);
+    const directKm = haversineKm(start.lat, start.lng, stop.lat, stop.lng);
+
+    if (rideKm > directKm * (1 + poolConfig.maxDetourRatio) + DETOUR_EPSILON_KM) {
+      return false;
+    }
+  }
+
+  return true;
+};
+
+/**
+ * Find the cheapest place to insert a booking's pickup and dropoff into a trip
+ *
+ * The new rider must be picked up within maxPickupKm of driving.
+ * @param {Object} origin - Driver position { lat, lng }
+ * @param {Object[]} stops - The trip's pending stops in order
+ * @param {Object} booking - The booking to insert
+ * @param {number} seats - Rider seats in the vehicle
+ * @returns {Object|null} { stops, addedKm } or null when no insertion fits
+ */
+const planInsertion = (origin, stops, booking, seats) => {
+  const pickup = {
+    booking_id: booking.id,
+    stop_type: 'pickup',
+    lat: parseFloat(booking.pickup_lat),
+    lng: parseFloat(booking.pickup_lng)
+  };
+  const dropoff = {
+    booking_id: booking.id,
+    stop_type: 'dropoff',
+    lat: parseFloat(booking.dropoff_lat),
+    lng: parseFloat(booking.dropoff_lng)
+  };
+
+  const baseKm = stops.length > 0 ? cumulativeKm(origin, stops)[stops.length - 1] : 0;
+  let best = null;
+
+  // Pickup goes before stop p, dropoff before original stop d (p <= d)
+  for (let p = 0; p <= stops.length; p++) {
+    for (let d = p; d <= stops.length; d++) {
+      const candidate = [
+        ...stops.slice(0, p),
+        pickup,
+        ...stops.slice(p, d),
+        dropoff,
+        ...stops.slice(d)
+      ];
+
+      if (!fitsSeats(candidate, seats) || !withinDetour(origin, candidate)) {
+        continue;
+      }
+
+      const distances = cumulativeKm(origin, candidate);
+      if (distances[p] > poolConfig.maxPickupKm) {
+        continue;
+      }
+
+      const addedKm = distances[candidate.length - 1] - baseKm;
+      if (!best || addedKm < best.addedKm) {
+        best = { stops: candidate, addedKm };
+      }
+    }
+  }
+
+  return best;
+};
+
+/**
+ * Search the active trips of nearby drivers for the best insertion
+ * @param {Object} booking - The pool booking
+ * @returns {Promise<Object|null>} { trip, plan } or null
+ */
+const findPoolInsertion = async (booking) => {
+  if (!isRedisConnected()) {
+    return null;
+  }
+
+  const nearby = await findNearbyDrivers(
+    parseFloat(booking.pickup_lat),
+    parseFloat(booking.pickup_lng),
+    poolConfig.searchRadiusKm,
+    poolConfig.searchLimit,
+    booking.vehicle_type
+  );
+
+  if (nearby.length === 0) {
+    return null;
+  }
+
+  const tripsResult = await pool.query(`
+    SELECT t.*, d.lat AS driver_lat, d.lng AS driver_lng
+    FROM trips t
+    JOIN drivers d ON d.id = t.driver_id
+    WHERE t.status = 'active' AND t.driver_id = ANY($1::int[])
+      AND d.lat IS NOT NULL AND d.lng IS NOT NULL
+  `, [nearby.map(driver => driver.id)]);
+
+  let best = null;
+
+  for (const trip of tripsResult.rows) {
+    const origin = { lat: parseFloat(trip.driver_lat), lng: parseFloat(trip.driver_lng) };
+    const stops = await getPendingStops(pool, trip.id);
+    const plan = planInsertion(origin, stops, booking, trip.seats);
+
+    if (plan && (!best || plan.addedKm < best.plan.addedKm)) {
+      best = { trip, plan };
+    }
+  }
+
+  return best;
+};
+
+/**
+ * Insert a pool booking into the best nearby trip (atomic operation with locking)
+ *
+ * The booking goes straight to 'accepted' with the trip's driver, the stops
+ * are re-sequenced, and the riders already on the trip are returned so they
+ * can be told about their co-rider.
+ * @param {number} bookingId - The booking ID
+ * @returns {Promise<Object>}
+ */
+const joinPoolTrip = async (bookingId) => {
+  try {
+    const bookingResult = await pool.query('SELECT * FROM bookings WHERE id = $1', [bookingId]);
+
+    if (bookingResult.rows.length === 0) {
+      throw new Error('Booking not found');
+    }
+
+    if (bookingResult.rows[0].ride_type !== 'pool') {
+      return { success: false, error: 'Booking is not a pool ride' };
+    }
+
+    const match = await findPoolInsertion(bookingResult.rows[0]);
+
+    if (!match) {
+      return { success: false, error: 'No shared trip nearby can take this booking' };
+    }
+
+    const tripId = match.trip.id;
+
+    return await withLocks([`trip:${tripId}`, `booking:${bookingId}`], async ({ fencingTokens }) => {
+      // Re-plan under the locks: the trip may have moved on since the search
+      const tripResult = await pool.query(`
+        SELECT t.*, d.lat AS driver_lat, d.lng AS driver_lng
+        FROM trips t
+        JOIN drivers d ON d.id = t.driver_id
+        WHERE t.id = $1 AND t.status = 'active'
+      `, [tripId]);
+      const current = await pool.query('SELECT * FROM bookings WHERE id = $1', [bookingId]);
+
+      if (tripResult.rows.length === 0) {
+        throw new Error('Trip is no longer active');
+      }
+
+      const trip = tripResult.rows[0];
+      const booking = current.rows[0];
+      const origin = { lat: parseFloat(trip.driver_lat), lng: parseFloat(trip.driver_lng) };
+      const plan = planInsertion(origin, await getPendingStops(pool, tripId), booking, trip.seats);
+
+      if (!plan) {
+        throw new Error('Trip can no longer take this booking');
+      }
+
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+
+        const joined = await transition(client, booking, 'join_pool', {
+          fencingToken: fencingTokens[`booking:${bookingId}`],
+          reason: `pooled into trip ${tripId}`,
+          set: { driver_id: trip.driver_id, trip_id: tripId }
+        });
+
+        // Pending stops follow the completed ones
+        const doneResult = await client.query(
+          "SELECT COALESCE(MAX(sequence), 0) AS last FROM trip_stops WHERE trip_id = $1 AND status <> 'pending'",
+          [tripId]
+        );
+        let sequence = parseInt(doneResult.rows[0].last);
+
+        for (const stop of plan.stops) {
+          sequence++;
+          if (stop.id) {
+            await client.query('UPDATE trip_stops SET sequence = $1 WHERE id = $2', [sequence, stop.id]);
+          } else {
+            await client.query(`
+              INSERT INTO trip_stops (trip_id, booking_id, stop_type, lat, lng, sequence)
+              VALUES ($1, $2, $3, $4, $5, $6)
+            `, [tripId, bookingId, stop.stop_type, stop.lat, stop.lng, sequence]);
+          }
+        }
+
+        await client.query('COMMIT');
+
+        const stops = await getPendingStops(pool, tripId);
+        const coRiders = await pool.query(`
+          SELECT DISTINCT b.id AS booking_id, b.rider_id
+          FROM trip_stops s
+          JOIN bookings b ON b.id = s.booking_id
+          WHERE s.trip_id = $1 AND s.status = 'pending' AND b.id <> $2
+        `, [tripId, bookingId]);
+
+        console.log(` Booking ${bookingId} pooled into trip ${tripId} (+${plan.addedKm.toFixed(2)} km)`);
+
+        return {
+          success: true,
+          pooled: true,
+          booking: joined,
+          trip: trip,
+          stops: stops,
+          coRiders: coRiders.rows,
+          addedKm: Math.round(plan.addedKm * 1000) / 1000,
+          message: 'Booking added to a shared trip'
+        };
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+    }, {
+      operation: 'joinPoolTrip',
+      ttlSeconds: 30,
+      retryAttempts: 3,
+      retryDelayMs: 100
+    });
+
+  } catch (error) {
+    console.error('Error joining pool trip:', error);
+    return {
+      success: false,
+      error: error.message,
+      code: error.code
+    };
+  }
+};
+
+/**
+ * Close a booking's stops and complete the trip once nothing is left
+ * @param {Object} db - pg Pool or client
+ * @param {Object} booking - The booking row (with trip_id)
+ * @param {string|null} stopType - 'pickup' or 'dropoff' to mark reached; null skips all remaining stops
+ */
+const closeBookingStops = async (db, booking, stopType) => {
+  if (!booking.trip_id) {
+    return;
+  }
+
+  if (stopType) {
+    await db.query(`
+      UPDATE trip_stops SET status = 'completed', completed_at = CURRENT_TIMESTAMP
+      WHERE booking_id = $1 AND stop_type = $2 AND status = 'pending'
+    `, [booking.id, stopType]);
+  } else {
+    await db.query(`
+      UPDATE trip_stops SET status = 'skipped', completed_at = CURRENT_TIMESTAMP
+      WHERE booking_id = $1 AND status = 'pending'
+    `, [booking.id]);
+  }
+
+  await db.query(`
+    UPDATE trips SET status = 'completed', completed_at = CURRENT_TIMESTAMP
+    WHERE id = $1 AND status = 'active'
+      AND NOT EXISTS (SELECT 1 FROM trip_stops WHERE trip_id = $1 AND status = 'pending')
+  `, [booking.trip_id]);
+};
+
+/**
+ * Get a trip with all its stops
+ * @param {number} tripId - The trip ID
+ * @returns {Promise<Object>}
+ */
+const getTrip = async (tripId) => {
+  try {
+    const tripResult = await pool.query('SELECT * FROM trips WHERE id = $1', [tripId]);
+
+    if (tripResult.rows.length === 0) {
+      return {
+        success: false,
+        error: 'Trip not found'
+      };
+    }
+
+    const stopsResult = await pool.query(`
+      SELECT s.*, b.rider_id, b.status AS booking_status
+      FROM trip_stops s
+      JOIN bookings b ON b.id = s.booking_id
+      WHERE s.trip_id = $1
+      ORDER BY s.sequence
+    `, [tripId]);
+
+    return {
+      success: true,
+      data: {
+        ...tripResult.rows[0],
+        stops: stopsResult.rows
+      }
+    };
+  } catch (error) {
+    console.error('Error getting trip:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+module.exports = {
+  poolConfig,
+  createTrip,
+  planInsertion,
+  joinPoolTrip,
+  closeBookingStops,
+  getTrip
+};
@@ -0,0 +1,236 @@
+const { DEFAULT_VEHICLE_CLASS, normalizeVehicleType, VEHICLE_CLASSES } = require('./vehicleClasses');
+require('dotenv').config();
+
+/**
+ * Pricing Service
+ *
+ * This module computes fares on the server from pickup/dropoff coordinates
+ * using a pricing table keyed by city and vehicle class. Clients never supply
+ * the fare; they only see what this module quotes.
+ */
+
+// Road distance is longer than the straight line between two points
+const ROUTE_FACTOR = 1.3;
+
+// Cities served, matched by distance from their center
+const CITIES = {
+  new_york: { name: 'New York', lat: 40.7128, lng: -74.0060, radiusKm: 60, avgSpeedKmh: 22, currency: 'USD' },
+  san_francisco: { name: 'San Francisco', lat: 37.7749, lng: -122.4194, radiusKm: 50, avgSpeedKmh: 28, currency: 'USD' },
+  default: { name: 'Default', avgSpeedKmh: 30, currency: 'USD' }
+};
+
+// Rates per city and vehicle class
+const DEFAULT_PRICING_TABLE = {
+  new_york: {
+    standard: { baseFare: 3.00, perKm: 1.45, perMinute: 0.35, minimumFare: 8.00, bookingFee: 2.75 },
+    xl: { baseFare: 4.50, perKm: 2.20, perMinute: 0.50, minimumFare: 12.00, bookingFee: 2.75 },
+    premium: { baseFare: 8.00, perKm: 3.10, perMinute: 0.70, minimumFare: 20.00, bookingFee: 3.50 }
+  },
+  san_francisco: {
+    standard: { baseFare: 2.50, perKm: 1.20, perMinute: 0.30, minimumFare: 7.50, bookingFee: 2.50 },
+    xl: { baseFare: 4.00, perKm: 1.95, perMinute: 0.45, minimumFare: 11.00, bookingFee: 2.50 },
+    premium: { baseFare: 7.00, perKm: 2.80, perMinute: 0.65, minimumFare: 18.00, bookingFee: 3.00 }
+  },
+  default: {
+    standard: { baseFare: 2.00, perKm: 1.00, perMinute: 0.25, minimumFare: 6.00, bookingFee: 2.00 },
+    xl: { baseFare: 3.50, perKm: 1.60, perMinute: 0.40, minimumFare: 9.00, bookingFee: 2.00 },
+    premium: { baseFare: 6.00, perKm: 2.40, perMinute: 0.55, minimumFare: 15.00, bookingFee: 2.50 }
+  }
+};
+
+/**
+ * Load the pricing table, allowing PRICING_TABLE (JSON) to override cities
+ * @returns {Object} Pricing table keyed by city then vehicle class
+ */
+const loadPricingTable = () => {
+  if (!process.env.PRICING_TABLE) {
+    return DEFAULT_PRICING_TABLE;
+  }
+
+  try {
+    return {
+      ...DEFAULT_PRICING_TABLE,
+      ...JSON.parse(process.env.PRICING_TABLE)
+    };
+  } catch (error) {
+    console.error(' Invalid PRICING_TABLE, using defaults:', error.message);
+    return DEFAULT_PRICING_TABLE;
+  }
+};
+
+const pricingTable = loadPricingTable();
+
+/**
+ * Great-circle distance between two points
+ * @param {number} lat1 - Latitude of the first point
+ * @param {number} lng1 - Longitude of the first point
+ * @param {number} lat2 - Latitude of the second point
+ * @param {number} lng2 - Longitude of the second point
+ * @returns {number} Distance in kilometers
+ */
+const haversineKm = (lat1, lng1, lat2, lng2) => {
+  const toRadians = (degrees) => degrees * Math.PI / 180;
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+
+  return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+/**
+ * Find the city a coordinate belongs to
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {string} City key ('default' when outside every served city)
+ */
+const resolveCity = (lat, lng) => {
+  for (const [cityKey, city] of Object.entries(CITIES)) {
+    if (cityKey !== 'default' && haversineKm(lat, lng, city.lat, city.lng) <= city.radiusKm) {
+      return cityKey;
+    }
+  }
+  return 'default';
+};
+
+/**
+ * Get the rates for a city and vehicle class
+ * @param {string} cityKey - City key
+ * @param {string} vehicleType - Vehicle class
+ * @returns {Object} Rates
+ */
+const getRates = (cityKey, vehicleType) => {
+  const cityRates = pricingTable[cityKey] || pricingTable.default;
+  const vehicleClass = normalizeVehicleType(vehicleType) || DEFAULT_VEHICLE_CLASS;
+  return cityRates[vehicleClass] || pricingTable.default[vehicleClass];
+};
+
+/**
+ * Estimate driving time for a straight-line distance inside a city
+ * @param {number} lat - Latitude used to pick the city
+ * @param {number} lng - Longitude used to pick the city
+ * @param {number} straightLineKm - Straight-line distance in kilometers
+ * @returns {number} Minutes
+ */
+const estimateTravelMinutes = (lat, lng, straightLineKm) => {
+  const city = CITIES[resolveCity(parseFloat(lat), parseFloat(lng))] || CITIES.default;
+  return straightLineKm * ROUTE_FACTOR / city.avgSpeedKmh * 60;
+};
+
+const roundTwoDecimals = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Compute a fare from distance and duration
+ * @param {Object} params - Fare parameters
+ * @param {string} params.city - City key
+ * @param {string} params.vehicleType - Vehicle class
+ * @param {number} params.distanceKm - Trip distance in kilometers
+ * @param {number} params.durationMin - Trip duration in minutes
+ * @param {number} params.surgeMultiplier - Multiplier applied to the metered part
+ * @returns {Object} Fare with a line-item breakdown
+ */
+const calculateFare = ({ city, vehicleType, distanceKm, durationMin, surgeMultiplier = 1 }) => {
+  const rates = getRates(city, vehicleType);
+  const distanceCharge = distanceKm * rates.perKm;
+  const timeCharge = durationMin * rates.perMinute;
+  const meteredFare = (rates.baseFare + distanceCharge + timeCharge) * surgeMultiplier;
+  const minimumApplied = meteredFare < rates.minimumFare;
+  const total = Math.max(meteredFare, rates.minimumFare) + rates.bookingFee;
+
+  return {
+    city,
+    vehicle_type: normalizeVehicleType(vehicleType) || DEFAULT_VEHICLE_CLASS,
+    currency: (CITIES[city] || CITIES.default).currency,
+    distance_km: roundTwoDecimals(distanceKm),
+    duration_min: roundTwoDecimals(durationMin),
+    surge_multiplier: surgeMultiplier,
+    breakdown: {
+      base_fare: rates.baseFare,
+      distance_charge: roundTwoDecimals(distanceCharge),
+      time_charge: roundTwoDecimals(timeCharge),
+      minimum_fare: rates.minimumFare,
+      minimum_applied: minimumApplied,
+      booking_fee: rates.bookingFee
+    },
+    total: roundTwoDecimals(total)
+  };
+};
+
+/**
+ * Cap a fare at a maximum total
+ *
+ * The difference is added to the breakdown as a negative pool_cap line, so the
+ * line items still add up to the total.
+ * @param {Object} fare - Fare from calculateFare
+ * @param {number} maxTotal - Highest total the rider can be charged
+ * @returns {Object} The fare, capped
+ */
+const capFare = (fare, maxTotal) => {
+  if (fare.total <= maxTotal) {
+    return fare;
+  }
+
+  return {
+    ...fare,
+    breakdown: { ...fare.breakdown, pool_cap: roundTwoDecimals(maxTotal - fare.total) },
+    total: roundTwoDecimals(maxTotal)
+  };
+};
+
+/**
+ * Estimate the fare for a trip before it starts
+ * @param {Object} trip - Trip coordinates and class
+ * @param {number} trip.pickup_lat - Pickup latitude
+ * @param {number} trip.pickup_lng - Pickup longitude
+ * @param {number} trip.dropoff_lat - Dropoff latitude
+ * @param {number} trip.dropoff_lng - Dropoff longitude
+ * @param {Object[]} trip.stops - Optional intermediate stops ({ lat, lng }) in order
+ * @param {string} trip.vehicle_type - Vehicle class
+ * @param {Object} options - Estimate options
+ * @param {number} options.surgeMultiplier - Multiplier applied to the metered part
+ * @returns {Object} Fare estimate
+ */
+const estimateFare = (trip, options = {}) => {
+  const pickupLat = parseFloat(trip.pickup_lat);
+  const pickupLng = parseFloat(trip.pickup_lng);
+  const city = resolveCity(pickupLat, pickupLng);
+  const route = [
+    { lat: pickupLat, lng: pickupLng },
+    ...(trip.stops || []).map(stop => ({ lat: parseFloat(stop.lat), lng: parseFloat(stop.lng) })),
+    { lat: parseFloat(trip.dropoff_lat), lng: parseFloat(trip.dropoff_lng) }
+  ];
+  let straightLineKm = 0;
+  for (let i = 1; i < route.length; i++) {
+    straightLineKm += haversineKm(route[i - 1].lat, route[i - 1].lng, route[i].lat, route[i].lng);
+  }
+  const distanceKm = straightLineKm * ROUTE_FACTOR;
+  const durationMin = distanceKm / (CITIES[city] || CITIES.default).avgSpeedKmh * 60;
+
+  return calculateFare({
+    city,
+    vehicleType: trip.vehicle_type,
+    distanceKm,
+    durationMin,
+    surgeMultiplier: options.surgeMultiplier || 1
+  });
+};
+
+/**
+ * Estimate the fare for every vehicle class
+ * @param {Object} trip - Trip coordinates (vehicle_type is ignored)
+ * @param {Object} options - Estimate options
+ * @returns {Object[]} One estimate per vehicle class
+ */
+const estimateAllClasses = (trip, options = {}) => {
+  return VEHICLE_CLASSES.map(vehicleType => estimateFare({ ...trip, vehicle_type: vehicleType }, options));
+};
+
+module.exports = {
+  haversineKm,
+  resolveCity,
+  estimateTravelMinutes,
+  calculateFare,
+  capFare,
+  estimateFare,
+  estimateAllClasses
+};
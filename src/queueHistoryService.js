@@ -0,0 +1,285 @@
+const { Pool } = require('pg');
+require('dotenv').config();
+
+/**
+ * Queue History Service
+ *
+ * This module mirrors the lifecycle of queue messages (pending, processing,
+ * retrying, processed, failed) into the queue_messages table, one row per
+ * message. queueService hands every transition to recordMessageEvent, which
+ * only buffers it; the buffer is written in batches in the background, so
+ * PostgreSQL never sits between a message and Redis. History is best effort:
+ * a batch that cannot be written is logged and dropped.
+ */
+
+const pool = new Pool({
+  host: process.env.DB_HOST || 'localhost',
+  port: process.env.DB_PORT || 5432,
+  database: process.env.DB_NAME || 'uber_matching',
+  user: process.env.DB_USER || 'postgres',
+  password: process.env.DB_PASSWORD || 'password'
+});
+
+// History configuration
+const historyConfig = {
+  flushIntervalMs: parseInt(process.env.QUEUE_HISTORY_FLUSH_MS) || 1000,
+  batchSize: parseInt(process.env.QUEUE_HISTORY_BATCH_SIZE) || 500, // rows per INSERT
+  maxBuffered: 10000, // oldest events are dropped beyond this while the database is down
+  errorLogIntervalMs: 60000 // write failures are logged at most this often
+};
+
+const QUEUE_MESSAGE_STATUSES = ['pending', 'processing', 'retrying', 'processed', 'failed'];
+
+const COLUMNS = [
+  'message_id', 'queue_name', 'message_data', 'priority', 'status', 'retry_count', 'max_retries',
+  'scheduled_at', 'processed_at', 'failed_at', 'error_message', 'metadata', 'created_at', 'updated_at'
+];
+
+const historyStats = {
+  recorded: 0,
+  written: 0,
+  dropped: 0,
+  lastFlushAt: null
+};
+
+const buffer = [];
+let flushTimer = null;
+let flushing = Promise.resolve();
+let lastErrorLogAt = 0;
+let unloggedDroppedRows = 0; // rows dropped since the last logged failure
+
+/**
+ * Record a message transition
+ *
+ * Only id, queue and status are required; the other queue message fields
+ * (data, priority, maxRetries, retryCount, createdAt, scheduledAt, metadata,
+ * processedAt, failedAt, error) are written when given and otherwise keep
+ * their stored value.
+ * @param {string} status - One of QUEUE_MESSAGE_STATUSES
+ * @param {Object} message - The queue message, or the part of it that is known
+ */
+const recordMessageEvent = (status, message) => {
+  if (buffer.length >= historyConfig.maxBuffered) {
+    buffer.shift();
+    historyStats.dropped++;
+  }
+
+  buffer.push({ ...message, status, updatedAt: Date.now() });
+  historyStats.recorded++;
+
+  if (buffer.length >= historyConfig.batchSize) {
+    flushQueueHistory();
+  } else if (!flushTimer) {
+    flushTimer = setTimeout(flushQueueHistory, historyConfig.flushIntervalMs);
+  }
+};
+
+/**
+ * Fold a message's buffered events into one row, later fields winning
+ * @param {Array<Object>} events - Events in the order they happened
+ * @returns {Array<Object>} One row per message
+ */
+const coalesceEvents = (events) => {
+  const rows = new Map();
+
+  for (const event of events) {
+    const row = rows.get(event.id) || {};
+    for (const [field, value] of Object.entries(event)) {
+      if (value !== undefined) {
+        row[field] = value;
+      }
+    }
+    rows.set(event.id, row);
+  }
+
+  return [...rows.values()];
+};
+
+const toTimestamp = (ms) => (ms ? new Date(ms) : null);
+
+/**
+ * Column values of a row, in COLUMNS order
+ * @param {Object} row - Coalesced row
+ * @returns {Array} Query parameters
+ */
+const rowValues = (row) => [
+  row.id,
+  row.queue,
+  JSON.stringify(row.data === undefined ? {} : row.data),
+  row.priority || 'medium',
+  row.status,
+  row.retryCount || 0,
+  row.maxRetries === undefined ? 3 : row.maxRetries,
+  toTimestamp(row.scheduledAt),
+  toTimestamp(row.processedAt),
+  toTimestamp(row.failedAt),
+  row.error || null,
+  row.metadata === undefined ? null : JSON.stringify(row.metadata),
+  new Date(row.createdAt || row.updatedAt),
+  new Date(row.updatedAt)
+];
+
+// The event being written is at least as new as the stored row
+const NEWER = 'queue_messages.updated_at IS NULL OR queue_messages.updated_at <= EXCLUDED.updated_at';
+
+// The stored row was created from a later transition and this event is the enqueue
+const FILLING = "queue_messages.message_data = '{}'::jsonb AND EXCLUDED.message_data <> '{}'::jsonb";
+
+// Newer events overwrite the column when they carry a value, older ones only fill it in
+const mergeColumn = (column) => `${column} = CASE WHEN ${NEWER}
+            THEN COALESCE(EXCLUDED.${column}, queue_messages.${column})
+            ELSE COALESCE(queue_messages.${column}, EXCLUDED.${column}) END`;
+
+/**
+ * Upsert rows into queue_messages
+ *
+ * A row first seen through a later transition (its enqueue was written by
+ * another process, or before history existed) is created with empty data and
+ * filled in when the enqueue arrives, however late. Status and retry count
+ * only move forward: an event older than the stored row, e.g. from another
+ * process flushing late, just fills in columns that are still empty.
+ * @param {Array<Object>} rows - Coalesced rows
+ */
+const writeRows = async (rows) => {
+  const values = rows.map((row, r) => {
+    const placeholders = COLUMNS.map((_, c) => `$${r * COLUMNS.length + c + 1}`);
+    return `(${placeholders.join(', ')})`;
+  });
+
+  await pool.query(`
+    INSERT INTO queue_messages (${COLUMNS.join(', ')})
+    VALUES ${values.join(',\n           ')}
+    ON CONFLICT (message_id) DO UPDATE
+      SET status = CASE WHEN ${NEWER} THEN EXCLUDED.status ELSE queue_messages.status END,
+          retry_count = CASE WHEN ${NEWER} THEN EXCLUDED.retry_count ELSE queue_messages.retry_count END,
+          message_data = CASE WHEN ${FILLING} THEN EXCLUDED.message_data ELSE queue_messages.message_data END,
+          priority = CASE WHEN ${FILLING} THEN EXCLUDED.priority ELSE queue_messages.priority END,
+          max_retries = CASE WHEN ${FILLING} THEN EXCLUDED.max_retries ELSE queue_messages.max_retries END,
+          ${['scheduled_at', 'processed_at', 'failed_at', 'error_message', 'metadata'].map(mergeColumn).join(',\n          ')},
+          created_at = LEAST(queue_messages.created_at, EXCLUDED.created_at),
+          updated_at = GREATEST(queue_messages.updated_at, EXCLUDED.updated_at)
+  `, rows.flatMap(rowValues));
+};
+
+/**
+ * Log a failed batch, at most once per errorLogIntervalMs
+ *
+ * While the database is down every flush fails; later failures are counted
+ * and reported with the next logged one.
+ * @param {Error} error - The write error
+ * @param {number} rowCount - Rows dropped with the batch
+ */
+const logWriteError = (error, rowCount) => {
+  unloggedDroppedRows += rowCount;
+
+  const now = Date.now();
+  if (now - lastErrorLogAt < historyConfig.errorLogIntervalMs) {
+    return;
+  }
+
+  console.error(` Error writing queue history, ${unloggedDroppedRows} rows dropped:`, error.message);
+  lastErrorLogAt = now;
+  unloggedDroppedRows = 0;
+};
+
+/**
+ * Write everything buffered so far
+ *
+ * Flushes run one after another, so a message's transitions reach the table
+ * in order.
+ * @returns {Promise<void>}
+ */
+const flushQueueHistory = () => {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+
+  flushing = flushing.then(async () => {
+    const rows = coalesceEvents(buffer.splice(0, buffer.length));
+
+    for (let start = 0; start < rows.length; start += historyConfig.batchSize) {
+      const batch = rows.slice(start, start + historyConfig.batchSize);
+      try {
+        await writeRows(batch);
+        historyStats.written += batch.length;
+      } catch (error) {
+        historyStats.dropped += batch.length;
+        logWriteError(error, batch.length);
+      }
+    }
+
+    historyStats.lastFlushAt = Date.now();
+  });
+
+  return flushing;
+};
+
+/**
+ * Search message history
+ * @param {Object} filters - Search filters
+ * @param {string} filters.queueName - Only this queue
+ * @param {string} filters.status - Only messages currently in this status
+ * @param {Date} filters.from - Enqueued at or after
+ * @param {Date} filters.to - Enqueued before
+ * @param {number} filters.limit - Rows to return (default: 50)
+ * @param {number} filters.offset - Rows to skip (default: 0)
+ * @returns {Promise<Array<Object>>} queue_messages rows, newest first
+ */
+const searchQueueMessages = async ({ queueName, status, from, to, limit = 50, offset = 0 } = {}) => {
+  const conditions = [];
+  const params = [];
+
+  const filters = [
+    ['queue_name =', queueName],
+    ['status =', status],
+    ['created_at >=', from],
+    ['created_at <', to]
+  ];
+  for (const [condition, value] of filters) {
+    if (value) {
+      params.push(value);
+      conditions.push(`${condition} $${params.length}`);
+    }
+  }
+
+  params.push(limit, offset);
+  const result = await pool.query(`
+    SELECT message_id, queue_name, message_data, priority, status, retry_count, max_retries,
+           scheduled_at, processed_at, failed_at, error_message, metadata, created_at, updated_at
+    FROM queue_messages
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY created_at DESC
+    LIMIT $${params.length - 1} OFFSET $${params.length}
+  `, params);
+
+  return result.rows;
+};
+
+/**
+ * Get history writer statistics
+ * @returns {Object} Events recorded, rows written and dropped, events still buffered
+ */
+const getQueueHistoryStats = () => ({
+  ...historyStats,
+  buffered: buffer.length
+});
+
+/**
+ * Close queue history, writing what is still buffered first
+ */
+const closeQueueHistory = async () => {
+  try {
+    await flushQueueHistory();
+    await pool.end();
+  } catch (error) {
+    console.error(' Error closing queue history:', error);
+  }
+};
+
+module.exports = {
+  QUEUE_MESSAGE_STATUSES,
+  recordMessageEvent,
+  flushQueueHistory,
+  searchQueueMessages,
+  getQueueHistoryStats,
+  closeQueueHistory
+};
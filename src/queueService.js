@@ -1,4 +1,5 @@
-const { createClient } = require('redis');
+const { createRedisClient, registerScript } = require('./redisBackend');
+const { recordMessageEvent, getQueueHistoryStats, closeQueueHistory } = require('./queueHistoryService');
 require('dotenv').config();
 
 /**
@@ -6,9 +7,30 @@ require('dotenv').config();
  * 
  * This module provides reliable message processing using Redis as a message queue
  * with support for different queue types, priority handling, and error recovery.
+ *
+ * Messages due later (scheduledAt, retry backoff) wait in queue:<name>:scheduled
+ * scored by due time and move to queue:<name>:pending when due. A dequeued
+ * message gets a deadline in queue:<name>:deadlines; if its worker crashes the
+ * reaper returns it to the queue once its processingTimeout has passed.
+ *
+ * Every move between these sets is one Lua script, so a crash at any point
+ * leaves each message in exactly one place and delivery is at-least-once
+ * across server processes.
+ *
+ * Each transition is also recorded in the queue_messages table through
+ * queueHistoryService, in the background.
  */
 
 let redisClient = null;
+let subscriber = null; // ready notifications (promise of the connected client)
+let reaperInterval = null;
+
+// How often expired in-flight messages are reclaimed
+const REAPER_INTERVAL_MS = 5000;
+
+// Longest an idle processor blocks before checking the queue again, in case a
+// ready notification was missed
+const IDLE_WAIT_MS = 5000;
 
 // Queue statistics
 const queueStats = {
@@ -16,6 +38,7 @@ const queueStats = {
   messagesProcessed: 0,
   messagesFailed: 0,
   messagesRetried: 0,
+  messagesReclaimed: 0,
   queues: new Map()
 };
 
@@ -35,6 +58,13 @@ const queueConfigs = {
     processingTimeout: 15000,
     maxConcurrency: 20
   },
+  scheduled_ride_queue: {
+    priority: 'high',
+    maxRetries: 3,
+    retryDelay: 5000,
+    processingTimeout: 30000,
+    maxConcurrency: 5
+  },
   analytics_queue: {
     priority: 'low',
     maxRetries: 1,
@@ -52,14 +82,179 @@ const queueConfigs = {
 };
 
 // Active processors
-const activeProcessors = new Map(); // queueName -> Set of processor IDs
+const activeProcessors = new Map(); // queueName -> Set of processor handles
+const inFlight = new Map(); // queueName -> messages being processed here
+const readyQueues = new Set(); // queues subscribed to their ready channel
+
+const keyPrefix = (queueName) => `queue:${queueName}:`;
+const readyChannel = (queueName) => `queue:${queueName}:ready`;
+
+// Each script is followed by its JS equivalent for the in-memory backend.
+// Message hashes are addressed through the key prefix (ARGV[1]) because their
+// IDs are only known inside the script.
+
+// Promote due scheduled messages, then pop the highest priority message and
+// start its processing deadline. Retries rank slightly below fresh messages.
+// KEYS: scheduled, pending, deadlines; ARGV: prefix, nowMs, processingTimeoutMs, processorId
+const DEQUEUE_SCRIPT = `
+  local prefix = ARGV[1]
+  local nowMs = tonumber(ARGV[2])
+  for _, id in ipairs(redis.call("ZRANGEBYSCORE", KEYS[1], "-inf", nowMs)) do
+    local messageKey = prefix .. "message:" .. id
+    local score = tonumber(redis.call("HGET", messageKey, "priorityScore") or "500") -
+      tonumber(redis.call("HGET", messageKey, "retryCount") or "0")
+    redis.call("ZREM", KEYS[1], id)
+    redis.call("ZADD", KEYS[2], score, id)
+  end
+  while true do
+    local popped = redis.call("ZPOPMAX", KEYS[2])
+    if #popped == 0 then
+      return false
+    end
+    local id = popped[1]
+    local message = redis.call("HGETALL", prefix .. "message:" .. id)
+    if #message > 0 then
+      redis.call("HSET", prefix .. "processing:" .. id, "startedAt", nowMs, "processorId", ARGV[4])
+      redis.call("ZADD", KEYS[3], nowMs + tonumber(ARGV[3]), id)
+      return message
+    end
+  end
+`;
+registerScript(DEQUEUE_SCRIPT, (redis, KEYS, ARGV) => {
+  const [prefix, nowMs, processingTimeoutMs, processorId] = ARGV;
+  for (const id of redis.call('ZRANGEBYSCORE', KEYS[0], '-inf', nowMs)) {
+    const messageKey = `${prefix}message:${id}`;
+    const score = Number(redis.call('HGET', messageKey, 'priorityScore') || '500') -
+      Number(redis.call('HGET', messageKey, 'retryCount') || '0');
+    redis.call('ZREM', KEYS[0], id);
+    redis.call('ZADD', KEYS[1], score, id);
+  }
+  for (;;) {
+    const popped = redis.call('ZPOPMAX', KEYS[1]);
+    if (popped.length === 0) {
+      return null;
+    }
+    const id = popped[0];
+    const message = redis.call('HGETALL', `${prefix}message:${id}`);
+    if (message.length > 0) {
+      redis.call('HSET', `${prefix}processing:${id}`, 'startedAt', nowMs, 'processorId', processorId);
+      redis.call('ZADD', KEYS[2], Number(nowMs) + Number(processingTimeoutMs), id);
+      return message;
+    }
+  }
+});
+
+// Finish a processed message; 0 (and nothing touched) when the reaper had
+// already reclaimed it, since the message may be queued for another attempt.
+// KEYS: deadlines, processed; ARGV: prefix, messageId
+const ACK_SCRIPT = `
+  if redis.call("ZREM", KEYS[1], ARGV[2]) == 0 then
+    return 0
+  end
+  redis.call("DEL", ARGV[1] .. "processing:" .. ARGV[2], ARGV[1] .. "message:" .. ARGV[2])
+  redis.call("LPUSH", KEYS[2], ARGV[2])
+  redis.call("LTRIM", KEYS[2], 0, 999)
+  return 1
+`;
+registerScript(ACK_SCRIPT, (redis, KEYS, ARGV) => {
+  if (redis.call('ZREM', KEYS[0], ARGV[1]) === 0) {
+    return 0;
+  }
+  redis.call('DEL', `${ARGV[0]}processing:${ARGV[1]}`, `${ARGV[0]}message:${ARGV[1]}`);
+  redis.call('LPUSH', KEYS[1], ARGV[1]);
+  redis.call('LTRIM', KEYS[1], 0, 999);
+  return 1;
+});
+
+// Take a failed message out of processing and schedule its retry after an
+// exponential backoff, or dead-letter it when no retries are left.
+// Returns {1, retryCount, scheduledAt} (retried), {2, retryCount} (dead-lettered)
+// or {0} (no longer in processing).
+// KEYS: deadlines, scheduled, deadletter; ARGV: prefix, messageId, nowMs, retryDelayMs, error, stack
+const FAIL_SCRIPT = `
+  if redis.call("ZREM", KEYS[1], ARGV[2]) == 0 then
+    return {0}
+  end
+  local messageKey = ARGV[1] .. "message:" .. ARGV[2]
+  redis.call("DEL", ARGV[1] .. "processing:" .. ARGV[2])
+  local fields = redis.call("HGETALL", messageKey)
+  if #fields == 0 then
+    return {0}
+  end
+  local message = {}
+  for i = 1, #fields, 2 do
+    message[fields[i]] = fields[i + 1]
+  end
+  local retryCount = tonumber(message.retryCount)
+  if retryCount < tonumber(message.maxRetries) then
+    local scheduledAt = math.floor(tonumber(ARGV[3]) + tonumber(ARGV[4]) * 2 ^ retryCount)
+    redis.call("HSET", messageKey, "retryCount", retryCount + 1, "scheduledAt", scheduledAt)
+    redis.call("ZADD", KEYS[2], scheduledAt, ARGV[2])
+    return {1, retryCount + 1, scheduledAt}
+  end
+  redis.call("LPUSH", KEYS[3], cjson.encode({
+    id = message.id,
+    queue = message.queue,
+    data = cjson.decode(message.data),
+    priority = message.priority,
+    maxRetries = tonumber(message.maxRetries),
+    retryCount = retryCount,
+    createdAt = tonumber(message.createdAt),
+    scheduledAt = tonumber(message.scheduledAt),
+    metadata = cjson.decode(message.metadata),
+    failedAt = tonumber(ARGV[3]),
+    error = ARGV[5],
+    stack = ARGV[6]
+  }))
+  redis.call("DEL", messageKey)
+  return {2, retryCount}
+`;
+registerScript(FAIL_SCRIPT, (redis, KEYS, ARGV) => {
+  const [prefix, messageId, nowMs, retryDelayMs, error, stack] = ARGV;
+  if (redis.call('ZREM', KEYS[0], messageId) === 0) {
+    return [0];
+  }
+  const messageKey = `${prefix}message:${messageId}`;
+  redis.call('DEL', `${prefix}processing:${messageId}`);
+  const fields = redis.call('HGETALL', messageKey);
+  if (fields.length === 0) {
+    return [0];
+  }
+  const message = {};
+  for (let i = 0; i < fields.length; i += 2) {
+    message[fields[i]] = fields[i + 1];
+  }
+  const retryCount = Number(message.retryCount);
+  if (retryCount < Number(message.maxRetries)) {
+    const scheduledAt = Math.floor(Number(nowMs) + Number(retryDelayMs) * 2 ** retryCount);
+    redis.call('HSET', messageKey, 'retryCount', retryCount + 1, 'scheduledAt', scheduledAt);
+    redis.call('ZADD', KEYS[1], scheduledAt, messageId);
+    return [1, retryCount + 1, scheduledAt];
+  }
+  redis.call('LPUSH', KEYS[2], JSON.stringify({
+    id: message.id,
+    queue: message.queue,
+    data: JSON.parse(message.data),
+    priority: message.priority,
+    maxRetries: Number(message.maxRetries),
+    retryCount: retryCount,
+    createdAt: Number(message.createdAt),
+    scheduledAt: Number(message.scheduledAt),
+    metadata: JSON.parse(message.metadata),
+    failedAt: Number(nowMs),
+    error: error,
+    stack: stack
+  }));
+  redis.call('DEL', messageKey);
+  return [2, retryCount];
+});
 
 /**
  * Initialize Redis client for message queue
  */
 const initializeRedis = async () => {
   try {
-    redisClient = createClient({
+    redisClient = createRedisClient({
       url: `redis://${(process.env && process.env.REDIS_HOST) || 'localhost'}:${(process.env && process.env.REDIS_PORT) || 6379}`,
       socket: {
         reconnectStrategy: (retries) => {
@@ -106,13 +301,15 @@ const enqueue = async (queueName, message, options = {}) => {
       metadata: options.metadata || {}
     };
 
-    // Store message in Redis
+    // Store the message and queue it in one transaction
     const messageKey = `queue:${queueName}:message:${queueMessage.id}`;
-    await redisClient.hSet(messageKey, {
+    const priorityScore = getPriorityScore(queueMessage.priority);
+    const transaction = redisClient.multi().hSet(messageKey, {
       id: queueMessage.id,
       queue: queueMessage.queue,
       data: JSON.stringify(queueMessage.data),
       priority: queueMessage.priority,
+      priorityScore: priorityScore,
       maxRetries: queueMessage.maxRetries,
       retryCount: queueMessage.retryCount,
       createdAt: queueMessage.createdAt,
@@ -120,18 +317,28 @@ const enqueue = async (queueName, message, options = {}) => {
       metadata: JSON.stringify(queueMessage.metadata)
     });
 
-    // Add to priority queue
-    const priorityScore = getPriorityScore(queueMessage.priority);
-    await redisClient.zAdd(`queue:${queueName}:pending`, {
-      score: priorityScore,
-      value: queueMessage.id
-    });
+    // Add to priority queue, or hold it until it is due
+    if (queueMessage.scheduledAt > Date.now()) {
+      transaction.zAdd(`queue:${queueName}:scheduled`, {
+        score: queueMessage.scheduledAt,
+        value: queueMessage.id
+      });
+    } else {
+      transaction.zAdd(`queue:${queueName}:pending`, {
+        score: priorityScore,
+        value: queueMessage.id
+      });
+    }
+    transaction.publish(readyChannel(queueName), queueMessage.id);
+
+    await transaction.exec();
 
     // Update statistics
     queueStats.messagesEnqueued++;
     const queueStat = queueStats.queues.get(queueName) || { enqueued: 0, processed: 0, failed: 0 };
     queueStat.enqueued++;
     queueStats.queues.set(queueName, queueStat);
+    recordMessageEvent('pending', queueMessage);
 
     console.log(`Message enqueued: ${queueName} (ID: ${queueMessage.id})`);
     return queueMessage;
@@ -144,26 +351,29 @@ const enqueue = async (queueName, message, options = {}) => {
 
 /**
  * Dequeue a message
+ *
+ * Due scheduled messages are promoted, and the popped message enters
+ * processing with its deadline, in the same script.
  * @param {string} queueName - Queue name
+ * @param {string} processorId - Processor taking the message
  * @returns {Object|null} Message data
  */
-const dequeue = async (queueName) => {
+const dequeue = async (queueName, processorId = generateProcessorId()) => {
   try {
-    // Get highest priority message
-    const result = await redisClient.zPopMax(`queue:${queueName}:pending`);
+    const config = queueConfigs[queueName] || queueConfigs.booking_queue;
     
-    if (!result || result.length === 0) {
+    const fields = await redisClient.eval(DEQUEUE_SCRIPT, {
+      keys: [`queue:${queueName}:scheduled`, `queue:${queueName}:pending`, `queue:${queueName}:deadlines`],
+      arguments: [keyPrefix(queueName), Date.now().toString(), config.processingTimeout.toString(), processorId]
+    });
+    
+    if (!fields) {
       return null;
     }
 
-    const messageId = result[0].value;
-    const messageKey = `queue:${queueName}:message:${messageId}`;
-    
-    // Get message data
-    const messageData = await redisClient.hGetAll(messageKey);
-    
-    if (Object.keys(messageData).length === 0) {
-      return null;
+    const messageData = {};
+    for (let i = 0; i < fields.length; i += 2) {
+      messageData[fields[i]] = fields[i + 1];
     }
 
     const message = {
@@ -177,12 +387,7 @@ const dequeue = async (queueName) => {
       scheduledAt: parseInt(messageData.scheduledAt),
       metadata: JSON.parse(messageData.metadata)
     };
-
-    // Move to processing queue
-    await redisClient.hSet(`queue:${queueName}:processing:${messageId}`, {
-      startedAt: Date.now(),
-      processorId: generateProcessorId()
-    });
+    recordMessageEvent('processing', message);
 
     console.log(`📤 Message dequeued: ${queueName} (ID: ${message.id})`);
     return message;
@@ -194,207 +399,585 @@ const dequeue = async (queueName) => {
 };
 
 /**
- * Process a message
+ * Fail a message in processing: retry it after its backoff, or dead-letter
+ * it when no retries are left
  * @param {string} queueName - Queue name
- * @param {Function} processor - Message processor function
- * @param {Object} options - Processing options
+ * @param {string} messageId - Message ID
+ * @param {Error} error - Why it failed
+ * @returns {Promise<string>} 'retried', 'deadlettered' or 'skipped' (already taken out of processing)
  */
-const process = async (queueName, processor, options = {}) => {
+const failMessage = async (queueName, messageId, error) => {
   const config = queueConfigs[queueName] || queueConfigs.booking_queue;
-  const processorId = generateProcessorId();
   
-  try {
-    // Register processor
-    if (!activeProcessors.has(queueName)) {
-      activeProcessors.set(queueName, new Set());
-    }
-    activeProcessors.get(queueName).add(processorId);
+  const now = Date.now();
+  const [outcome, retryCount, scheduledAt] = await redisClient.eval(FAIL_SCRIPT, {
+    keys: [`queue:${queueName}:deadlines`, `queue:${queueName}:scheduled`, `queue:${queueName}:deadletter`],
+    arguments: [
+      keyPrefix(queueName),
+      messageId,
+      now.toString(),
+      config.retryDelay.toString(),
+      error.message,
+      error.stack || ''
+    ]
+  });
+  
+  if (outcome === 1) {
+    queueStats.messagesRetried++;
+    recordMessageEvent('retrying', {
+      id: messageId,
+      queue: queueName,
+      retryCount: retryCount,
+      scheduledAt: scheduledAt,
+      failedAt: now,
+      error: error.message
+    });
+    await redisClient.publish(readyChannel(queueName), messageId);
+    console.log(` Message retried: ${queueName} (ID: ${messageId})`);
+    return 'retried';
+  }
+  
+  if (outcome === 2) {
+    queueStats.messagesFailed++;
+    const queueStat = queueStats.queues.get(queueName) || { enqueued: 0, processed: 0, failed: 0 };
+    queueStat.failed++;
+    queueStats.queues.set(queueName, queueStat);
+    recordMessageEvent('failed', {
+      id: messageId,
+      queue: queueName,
+      retryCount: retryCount,
+      failedAt: now,
+      error: error.message
+    });
+    console.log(`💀 Message moved to dead letter queue: ${queueName} (ID: ${messageId})`);
+    return 'deadlettered';
+  }
+  
+  console.warn(`  Message ${messageId} on ${queueName} was already reclaimed, leaving it`);
+  return 'skipped';
+};
 
-    console.log(` Starting processor for ${queueName} (ID: ${processorId})`);
+/**
+ * Return messages whose processingTimeout passed (crashed or stuck worker) to
+ * the queue with their retry count incremented, or dead-letter them when no
+ * retries are left
+ * @param {string} queueName - Queue name
+ * @returns {Promise<number>} Number of messages reclaimed
+ */
+const reclaimExpiredMessages = async (queueName) => {
+  const expired = await redisClient.zRangeByScore(`queue:${queueName}:deadlines`, 0, Date.now());
+  let reclaimed = 0;
+  
+  for (const messageId of expired) {
+    const outcome = await failMessage(queueName, messageId, new Error('Processing timeout (reclaimed)'));
+    
+    if (outcome !== 'skipped') {
+      console.warn(`  Message ${messageId} on ${queueName} exceeded its processing timeout, reclaimed`);
+      queueStats.messagesReclaimed++;
+      reclaimed++;
+    }
+  }
+  
+  return reclaimed;
+};
 
-    while (true) {
-      try {
-        // Check concurrency limit
-        const currentProcessors = activeProcessors.get(queueName).size;
-        if (currentProcessors > config.maxConcurrency) {
-          console.log(`⏳ Concurrency limit reached for ${queueName}, waiting...`);
-          await new Promise(resolve => setTimeout(resolve, 1000));
-          continue;
-        }
+// Put a dead-lettered message back on the pending queue with a fresh retry
+// count; 0 when the entry is no longer in the dead letter list.
+// KEYS: deadletter, pending, message, deadletter stats;
+// ARGV: raw entry, priorityScore, messageId, field, value, ...
+const REPLAY_SCRIPT = `
+  if redis.call("LREM", KEYS[1], 1, ARGV[1]) == 0 then
+    return 0
+  end
+  redis.call("HSET", KEYS[3], unpack(ARGV, 4))
+  redis.call("ZADD", KEYS[2], ARGV[2], ARGV[3])
+  redis.call("HINCRBY", KEYS[4], "replayed", 1)
+  return 1
+`;
+registerScript(REPLAY_SCRIPT, (redis, KEYS, ARGV) => {
+  if (redis.call('LREM', KEYS[0], 1, ARGV[0]) === 0) {
+    return 0;
+  }
+  redis.call('HSET', KEYS[2], ...ARGV.slice(3));
+  redis.call('ZADD', KEYS[1], ARGV[1], ARGV[2]);
+  redis.call('HINCRBY', KEYS[3], 'replayed', 1);
+  return 1;
+});
 
-        // Dequeue message
-        const message = await dequeue(queueName);
-        
-        if (!message) {
-          // No messages available, wait a bit
-          await new Promise(resolve => setTimeout(resolve, 1000));
-          continue;
-        }
+const DEAD_LETTER_PAGE_SIZE = 100;
 
-        // Process message
-        await processMessage(queueName, message, processor, processorId);
+const parseDeadLetter = (raw) => ({ raw, message: JSON.parse(raw) });
 
-      } catch (error) {
-        console.error(` Error in processor loop for ${queueName}:`, error);
-        await new Promise(resolve => setTimeout(resolve, 5000));
+/**
+ * Walk a queue's dead letter list, newest first, one LRANGE page at a time
+ * @param {string} queueName - Queue name
+ * @param {Function} visit - Called with each { raw, message }; return false to stop early
+ */
+const scanDeadLetters = async (queueName, visit) => {
+  const key = `queue:${queueName}:deadletter`;
+  
+  for (let start = 0; ; start += DEAD_LETTER_PAGE_SIZE) {
+    const page = await redisClient.lRange(key, start, start + DEAD_LETTER_PAGE_SIZE - 1);
+    for (const raw of page) {
+      if (visit(parseDeadLetter(raw)) === false) {
+        return;
       }
     }
+    if (page.length < DEAD_LETTER_PAGE_SIZE) {
+      return;
+    }
+  }
+};
 
-  } catch (error) {
-    console.error(` Critical error in processor for ${queueName}:`, error);
-  } finally {
-    // Unregister processor
-    if (activeProcessors.has(queueName)) {
-      activeProcessors.get(queueName).delete(processorId);
+/**
+ * Pick dead letter entries by message ID, or all of them
+ * @param {string} queueName - Queue name
+ * @param {Object} selection - { ids: string[] } or { all: true }
+ * @returns {Promise<Array<{raw: string, message: Object}>>} Entries with their stored JSON
+ */
+const selectDeadLetters = async (queueName, { ids = [], all = false } = {}) => {
+  const wanted = new Set(ids);
+  const entries = [];
+  
+  if (!all && wanted.size === 0) {
+    return entries;
+  }
+  
+  await scanDeadLetters(queueName, (entry) => {
+    if (all || wanted.has(entry.message.id)) {
+      entries.push(entry);
     }
-    console.log(` Processor stopped for ${queueName} (ID: ${processorId})`);
+    return all || entries.length < wanted.size;
+  });
+  
+  return entries;
+};
+
+/**
+ * List dead-lettered messages
+ *
+ * Without an error filter only the requested window is read; filtering by
+ * error text has to scan the whole list.
+ * @param {string} queueName - Queue name
+ * @param {Object} options - Listing options
+ * @param {number} options.offset - Entries to skip (default: 0)
+ * @param {number} options.limit - Entries to return (default: 50)
+ * @param {string} options.error - Only entries whose error contains this text (case-insensitive)
+ * @returns {Promise<{total: number, matched: number, offset: number, limit: number, messages: Object[]}>}
+ */
+const listDeadLetters = async (queueName, { offset = 0, limit = 50, error = '' } = {}) => {
+  const key = `queue:${queueName}:deadletter`;
+  const total = await redisClient.lLen(key);
+  const needle = error.toLowerCase();
+  let matched = total;
+  let messages = [];
+  
+  if (!needle) {
+    const page = limit > 0 ? await redisClient.lRange(key, offset, offset + limit - 1) : [];
+    messages = page.map(raw => parseDeadLetter(raw).message);
+  } else {
+    matched = 0;
+    await scanDeadLetters(queueName, ({ message }) => {
+      if ((message.error || '').toLowerCase().includes(needle)) {
+        if (matched >= offset && matched < offset + limit) {
+          messages.push(message);
+        }
+        matched++;
+      }
+    });
   }
+  
+  return {
+    total: total,
+    matched: matched,
+    offset: offset,
+    limit: limit,
+    messages: messages
+  };
 };
 
 /**
- * Process a single message
+ * Move dead-lettered messages back to the pending queue with retryCount reset
  * @param {string} queueName - Queue name
- * @param {Object} message - Message to process
- * @param {Function} processor - Processor function
- * @param {string} processorId - Processor ID
+ * @param {Object} selection - { ids: string[] } or { all: true }
+ * @returns {Promise<{requested: number, replayed: string[]}>} IDs put back on the queue
  */
-const processMessage = async (queueName, message, processor, processorId) => {
-  const config = queueConfigs[queueName] || queueConfigs.booking_queue;
+const replayDeadLetters = async (queueName, selection) => {
+  const entries = await selectDeadLetters(queueName, selection);
+  const replayed = [];
   
-  try {
-    console.log(` Processing message: ${queueName} (ID: ${message.id})`);
+  for (const { raw, message } of entries) {
+    const priorityScore = getPriorityScore(message.priority);
+    const fields = {
+      id: message.id,
+      queue: message.queue,
+      data: JSON.stringify(message.data),
+      priority: message.priority,
+      priorityScore: priorityScore,
+      maxRetries: message.maxRetries,
+      retryCount: 0,
+      createdAt: message.createdAt,
+      scheduledAt: Date.now(),
+      metadata: JSON.stringify(message.metadata || {})
+    };
     
-    // Set processing timeout
-    const timeoutPromise = new Promise((_, reject) => {
-      setTimeout(() => reject(new Error('Processing timeout')), config.processingTimeout);
+    const moved = await redisClient.eval(REPLAY_SCRIPT, {
+      keys: [
+        `queue:${queueName}:deadletter`,
+        `queue:${queueName}:pending`,
+        `queue:${queueName}:message:${message.id}`,
+        `queue:${queueName}:deadletter:stats`
+      ],
+      arguments: [raw, priorityScore.toString(), message.id, ...Object.entries(fields).flat().map(String)]
     });
-
-    // Process message with timeout
-    await Promise.race([
-      processor(message),
-      timeoutPromise
-    ]);
-
-    // Mark as processed
-    await markAsProcessed(queueName, message.id);
     
-    // Update statistics
-    queueStats.messagesProcessed++;
-    const queueStat = queueStats.queues.get(queueName) || { enqueued: 0, processed: 0, failed: 0 };
-    queueStat.processed++;
-    queueStats.queues.set(queueName, queueStat);
+    if (moved === 1) {
+      replayed.push(message.id);
+      recordMessageEvent('pending', { id: message.id, queue: queueName, retryCount: 0, scheduledAt: fields.scheduledAt });
+    }
+  }
+  
+  if (replayed.length > 0) {
+    await redisClient.hSet(`queue:${queueName}:deadletter:stats`, 'lastReplayedAt', Date.now());
+    await redisClient.publish(readyChannel(queueName), replayed[replayed.length - 1]);
+    console.log(` Replayed ${replayed.length} dead-lettered messages on ${queueName}`);
+  }
+  
+  return { requested: entries.length, replayed };
+};
 
-    console.log(` Message processed: ${queueName} (ID: ${message.id})`);
+/**
+ * Delete dead-lettered messages
+ * @param {string} queueName - Queue name
+ * @param {Object} selection - { ids: string[] } or { all: true }
+ * @returns {Promise<{purged: number}>}
+ */
+const purgeDeadLetters = async (queueName, selection = {}) => {
+  const key = `queue:${queueName}:deadletter`;
+  let purged = 0;
+  
+  if (selection.all) {
+    const [length] = await redisClient.multi().lLen(key).del(key).exec();
+    purged = length;
+  } else {
+    for (const { raw } of await selectDeadLetters(queueName, selection)) {
+      purged += await redisClient.lRem(key, 1, raw);
+    }
+  }
+  
+  if (purged > 0) {
+    await redisClient.hIncrBy(`queue:${queueName}:deadletter:stats`, 'purged', purged);
+    await redisClient.hSet(`queue:${queueName}:deadletter:stats`, 'lastPurgedAt', Date.now());
+    console.log(`🧹 Purged ${purged} dead-lettered messages on ${queueName}`);
+  }
+  
+  return { purged };
+};
 
-  } catch (error) {
-    console.error(` Error processing message ${message.id}:`, error);
-    
-    // Handle retry logic
-    if (message.retryCount < message.maxRetries) {
-      await retryMessage(queueName, message);
-    } else {
-      await moveToDeadLetterQueue(queueName, message, error);
+/**
+ * Start reclaiming expired messages of every queue with a processor here
+ */
+const startReaper = () => {
+  if (reaperInterval) {
+    return;
+  }
+  
+  reaperInterval = setInterval(async () => {
+    for (const queueName of activeProcessors.keys()) {
+      try {
+        await reclaimExpiredMessages(queueName);
+      } catch (error) {
+        console.error(` Error reclaiming messages for ${queueName}:`, error);
+      }
     }
+  }, REAPER_INTERVAL_MS);
+};
+
+// Wake-ups per queue: a message may be ready, a slot freed up or a processor stopped
+const wakeups = new Map(); // queueName -> Set of resolve functions
+
+/**
+ * Wake every processor of a queue waiting in waitForWakeup
+ * @param {string} queueName - Queue name
+ */
+const wakeProcessors = (queueName) => {
+  const waiting = wakeups.get(queueName);
+  if (waiting) {
+    wakeups.delete(queueName);
+    waiting.forEach(resolve => resolve());
   }
 };
 
 /**
- * Mark message as processed
+ * Block until the queue is woken up or the timeout passes
  * @param {string} queueName - Queue name
- * @param {string} messageId - Message ID
+ * @param {number} timeoutMs - Longest wait
  */
-const markAsProcessed = async (queueName, messageId) => {
-  try {
-    // Remove from processing queue
-    await redisClient.del(`queue:${queueName}:processing:${messageId}`);
-    
-    // Remove message data
-    await redisClient.del(`queue:${queueName}:message:${messageId}`);
-    
-    // Add to processed queue for audit
-    await redisClient.lPush(`queue:${queueName}:processed`, messageId);
-    
-    // Keep only last 1000 processed messages
-    await redisClient.lTrim(`queue:${queueName}:processed`, 0, 999);
+const waitForWakeup = (queueName, timeoutMs) => {
+  return new Promise(resolve => {
+    const waiting = wakeups.get(queueName) || new Set();
+    wakeups.set(queueName, waiting);
     
+    let timer = null;
+    const done = () => {
+      clearTimeout(timer);
+      waiting.delete(done);
+      resolve();
+    };
+    timer = setTimeout(done, timeoutMs);
+    waiting.add(done);
+  });
+};
+
+/**
+ * Subscribe to a queue's ready channel (once per queue), so processors here
+ * wake up when a message is enqueued or retried by any server process
+ * @param {string} queueName - Queue name
+ */
+const listenForReady = async (queueName) => {
+  if (readyQueues.has(queueName)) {
+    return;
+  }
+  readyQueues.add(queueName);
+  
+  try {
+    // A failed connection attempt is dropped so the next processor tries again
+    if (!subscriber) {
+      const client = redisClient.duplicate();
+      client.on('error', (err) => {
+        console.error(' Redis Queue Subscriber Error:', err);
+      });
+      subscriber = client.connect().then(() => client);
+      subscriber.catch(() => {
+        subscriber = null;
+      });
+    }
+    const client = await subscriber;
+    await client.subscribe(readyChannel(queueName), () => wakeProcessors(queueName));
   } catch (error) {
-    console.error(` Error marking message as processed:`, error);
+    readyQueues.delete(queueName);
+    throw error;
   }
 };
 
 /**
- * Retry a failed message
+ * How long an idle processor may block: until the next scheduled message is
+ * due, at most IDLE_WAIT_MS
  * @param {string} queueName - Queue name
- * @param {Object} message - Message to retry
+ * @returns {Promise<number>} Milliseconds
  */
-const retryMessage = async (queueName, message) => {
-  try {
-    const config = queueConfigs[queueName] || queueConfigs.booking_queue;
-    
-    // Increment retry count
-    message.retryCount++;
-    
-    // Update message data
-    const messageKey = `queue:${queueName}:message:${message.id}`;
-    await redisClient.hSet(messageKey, 'retryCount', message.retryCount);
-    
-    // Remove from processing queue
-    await redisClient.del(`queue:${queueName}:processing:${message.id}`);
-    
-    // Schedule retry
-    const retryDelay = config.retryDelay * Math.pow(2, message.retryCount - 1); // Exponential backoff
-    const scheduledAt = Date.now() + retryDelay;
-    
-    await redisClient.hSet(messageKey, 'scheduledAt', scheduledAt);
-    
-    // Add back to pending queue with lower priority
-    const priorityScore = getPriorityScore(message.priority) - message.retryCount;
-    await redisClient.zAdd(`queue:${queueName}:pending`, {
-      score: priorityScore,
-      value: message.id
+const idleWaitMs = async (queueName) => {
+  const [next] = await redisClient.zRangeWithScores(`queue:${queueName}:scheduled`, 0, 0);
+  return next ? Math.max(0, Math.min(next.score - Date.now(), IDLE_WAIT_MS)) : IDLE_WAIT_MS;
+};
+
+/**
+ * Run one message and give its concurrency slot back when it settles
+ * @param {Object} worker - Processor handle
+ * @param {Object} message - Dequeued message
+ */
+const startMessage = (worker, message) => {
+  const task = processMessage(worker.queueName, message, worker.processor, worker.id)
+    .finally(() => {
+      inFlight.set(worker.queueName, inFlight.get(worker.queueName) - 1);
+      worker.tasks.delete(task);
+      wakeProcessors(worker.queueName);
     });
+  worker.tasks.add(task);
+};
 
-    queueStats.messagesRetried++;
-    console.log(` Message retried: ${queueName} (ID: ${message.id}, attempt ${message.retryCount})`);
+/**
+ * Dispatch loop of a processor: take a concurrency slot, dequeue into it and
+ * start the handler without waiting for it; block while the queue is full or
+ * empty
+ * @param {Object} worker - Processor handle
+ */
+const runProcessor = async (worker) => {
+  const { queueName, config } = worker;
+  
+  while (worker.running) {
+    try {
+      if ((inFlight.get(queueName) || 0) >= config.maxConcurrency) {
+        await waitForWakeup(queueName, IDLE_WAIT_MS);
+        continue;
+      }
+      
+      // Hold the slot while dequeuing, so processors sharing the queue never overshoot
+      inFlight.set(queueName, (inFlight.get(queueName) || 0) + 1);
+      const message = await dequeue(queueName, worker.id);
+      
+      if (!message) {
+        inFlight.set(queueName, inFlight.get(queueName) - 1);
+        if (worker.running) {
+          await waitForWakeup(queueName, await idleWaitMs(queueName));
+        }
+        continue;
+      }
+      
+      // Started even when stop() came in during dequeue; it is drained with the rest
+      startMessage(worker, message);
+      
+    } catch (error) {
+      console.error(` Error in processor loop for ${queueName}:`, error);
+      await waitForWakeup(queueName, 5000);
+    }
+  }
+};
 
-  } catch (error) {
-    console.error(` Error retrying message:`, error);
+/**
+ * Process a queue
+ *
+ * Up to the queue's maxConcurrency messages run at once, counted across every
+ * processor of the queue in this server process. Idle processors block until
+ * a message is ready instead of polling.
+ * @param {string} queueName - Queue name
+ * @param {Function} processor - Message processor function, called with (message, { signal })
+ * @param {Object} options - Processing options
+ * @returns {Object} Processor handle; stop() resolves once in-flight handlers have returned
+ */
+const process = (queueName, processor, options = {}) => {
+  const config = queueConfigs[queueName] || queueConfigs.booking_queue;
+  
+  const worker = {
+    id: generateProcessorId(),
+    queueName: queueName,
+    processor: processor,
+    config: { ...config, maxConcurrency: options.maxConcurrency || config.maxConcurrency },
+    running: true,
+    tasks: new Set()
+  };
+  
+  // Register processor
+  if (!activeProcessors.has(queueName)) {
+    activeProcessors.set(queueName, new Set());
   }
+  activeProcessors.get(queueName).add(worker);
+  startReaper();
+  
+  console.log(` Starting processor for ${queueName} (ID: ${worker.id}, concurrency: ${worker.config.maxConcurrency})`);
+  
+  const loop = listenForReady(queueName)
+    .catch((error) => {
+      console.error(` Ready notifications unavailable for ${queueName}, falling back to polling:`, error.message);
+    })
+    .then(() => runProcessor(worker));
+  
+  worker.stop = async () => {
+    worker.running = false;
+    wakeProcessors(queueName);
+    
+    await loop;
+    await Promise.all(worker.tasks);
+    
+    // Unregister processor
+    const processors = activeProcessors.get(queueName);
+    if (processors) {
+      processors.delete(worker);
+      if (processors.size === 0) {
+        activeProcessors.delete(queueName);
+      }
+    }
+    console.log(` Processor stopped for ${queueName} (ID: ${worker.id})`);
+  };
+  
+  return worker;
 };
 
 /**
- * Move message to dead letter queue
+ * Stop every processor, waiting for their in-flight messages
+ */
+const stopProcessors = async () => {
+  const workers = Array.from(activeProcessors.values()).flatMap(processors => Array.from(processors));
+  await Promise.all(workers.map(worker => worker.stop()));
+};
+
+/**
+ * Process a single message
+ *
+ * The handler gets an AbortSignal that is aborted once processingTimeout
+ * passes. The message is only settled (acked, retried or dead-lettered) when
+ * the handler has actually returned, so its concurrency slot stays taken and
+ * stop() keeps waiting for it until then; a handler that ignores the signal
+ * still cannot overlap with a retry of its own message started here.
  * @param {string} queueName - Queue name
- * @param {Object} message - Message to move
- * @param {Error} error - Error that caused failure
+ * @param {Object} message - Message to process
+ * @param {Function} processor - Processor function, called with (message, { signal })
+ * @param {string} processorId - Processor ID
  */
-const moveToDeadLetterQueue = async (queueName, message, error) => {
+const processMessage = async (queueName, message, processor, processorId) => {
+  const config = queueConfigs[queueName] || queueConfigs.booking_queue;
+  const controller = new AbortController();
+  const timeoutTimer = setTimeout(() => {
+    console.warn(`⏳ Message ${message.id} on ${queueName} passed its processing timeout, aborting`);
+    controller.abort(new Error('Processing timeout'));
+  }, config.processingTimeout);
+  
   try {
-    const deadLetterMessage = {
-      ...message,
-      failedAt: Date.now(),
-      error: error.message,
-      stack: error.stack
-    };
-
-    // Store in dead letter queue
-    await redisClient.lPush(`queue:${queueName}:deadletter`, JSON.stringify(deadLetterMessage));
-    
-    // Remove from processing queue
-    await redisClient.del(`queue:${queueName}:processing:${message.id}`);
+    console.log(` Processing message: ${queueName} (ID: ${message.id})`);
     
-    // Remove message data
-    await redisClient.del(`queue:${queueName}:message:${message.id}`);
+    try {
+      await processor(message, { signal: controller.signal });
+    } catch (error) {
+      // A handler that gave up on the abort reports the timeout, not its own error
+      throw controller.signal.aborted ? controller.signal.reason : error;
+    } finally {
+      clearTimeout(timeoutTimer);
+    }
 
-    queueStats.messagesFailed++;
+    // Mark as processed; a message the reaper already reclaimed is not counted
+    const acked = await markAsProcessed(queueName, message);
+    if (!acked) {
+      console.warn(` Message ${message.id} was no longer in processing, not acknowledged: ${queueName}`);
+      return;
+    }
+    
+    // Update statistics
+    queueStats.messagesProcessed++;
     const queueStat = queueStats.queues.get(queueName) || { enqueued: 0, processed: 0, failed: 0 };
-    queueStat.failed++;
+    queueStat.processed++;
     queueStats.queues.set(queueName, queueStat);
 
-    console.log(`💀 Message moved to dead letter queue: ${queueName} (ID: ${message.id})`);
+    console.log(` Message processed: ${queueName} (ID: ${message.id})`);
+
+  } catch (error) {
+    console.error(` Error processing message ${message.id}:`, error);
+    
+    // Retry or dead-letter, depending on the retries left
+    try {
+      await failMessage(queueName, message.id, error);
+    } catch (failError) {
+      console.error(` Error failing message ${message.id}, the reaper will reclaim it:`, failError);
+    }
+  }
+};
 
+/**
+ * Mark message as processed
+ * @param {string} queueName - Queue name
+ * @param {Object} message - The processed message
+ * @returns {boolean} False when the message was no longer in processing
+ */
+const markAsProcessed = async (queueName, message) => {
+  try {
+    // Remove from processing, drop its data and keep the ID in the processed list (last 1000)
+    const removed = await redisClient.eval(ACK_SCRIPT, {
+      keys: [`queue:${queueName}:deadlines`, `queue:${queueName}:processed`],
+      arguments: [keyPrefix(queueName), message.id]
+    });
+    if (removed !== 1) {
+      return false;
+    }
+    recordMessageEvent('processed', {
+      id: message.id,
+      queue: queueName,
+      retryCount: message.retryCount,
+      processedAt: Date.now()
+    });
+    return true;
+    
   } catch (error) {
-    console.error(` Error moving message to dead letter queue:`, error);
+    console.error(` Error marking message as processed:`, error);
+    return false;
   }
 };
 
@@ -436,12 +1019,14 @@ const getQueueStats = () => {
   return {
     ...queueStats,
     queues: Object.fromEntries(queueStats.queues),
+    history: getQueueHistoryStats(),
     activeProcessors: Object.fromEntries(
       Array.from(activeProcessors.entries()).map(([queue, processors]) => [
         queue, 
         processors.size
       ])
-    )
+    ),
+    inFlight: Object.fromEntries(inFlight)
   };
 };
 
@@ -453,15 +1038,24 @@ const getQueueStats = () => {
 const getQueueHealth = async (queueName) => {
   try {
     const pendingCount = await redisClient.zCard(`queue:${queueName}:pending`);
-    const processingCount = await redisClient.keys(`queue:${queueName}:processing:*`).then(keys => keys.length);
+    const scheduledCount = await redisClient.zCard(`queue:${queueName}:scheduled`);
+    const processingCount = await redisClient.zCard(`queue:${queueName}:deadlines`);
+    const overdueCount = (await redisClient.zRangeByScore(`queue:${queueName}:deadlines`, 0, Date.now())).length;
     const deadLetterCount = await redisClient.lLen(`queue:${queueName}:deadletter`);
     const processedCount = await redisClient.lLen(`queue:${queueName}:processed`);
+    const deadLetterStats = await redisClient.hGetAll(`queue:${queueName}:deadletter:stats`);
 
     return {
       queueName,
       pending: pendingCount,
+      scheduled: scheduledCount,
       processing: processingCount,
+      overdue: overdueCount,
       deadLetter: deadLetterCount,
+      deadLetterReplayed: parseInt(deadLetterStats.replayed) || 0,
+      deadLetterPurged: parseInt(deadLetterStats.purged) || 0,
+      lastDeadLetterReplayAt: parseInt(deadLetterStats.lastReplayedAt) || null,
+      lastDeadLetterPurgeAt: parseInt(deadLetterStats.lastPurgedAt) || null,
       processed: processedCount,
       healthy: deadLetterCount < 100 // Consider unhealthy if too many dead letters
     };
@@ -470,8 +1064,14 @@ const getQueueHealth = async (queueName) => {
     return {
       queueName,
       pending: 0,
+      scheduled: 0,
       processing: 0,
+      overdue: 0,
       deadLetter: 0,
+      deadLetterReplayed: 0,
+      deadLetterPurged: 0,
+      lastDeadLetterReplayAt: null,
+      lastDeadLetterPurgeAt: null,
       processed: 0,
       healthy: false,
       error: error.message
@@ -482,7 +1082,7 @@ const getQueueHealth = async (queueName) => {
 /**
  * Clear queue
  * @param {string} queueName - Queue name
- * @param {string} type - Queue type (pending, processing, deadletter, processed)
+ * @param {string} type - Queue type (pending, scheduled, processing, deadletter, processed)
  */
 const clearQueue = async (queueName, type = 'pending') => {
   try {
@@ -490,11 +1090,15 @@ const clearQueue = async (queueName, type = 'pending') => {
       case 'pending':
         await redisClient.del(`queue:${queueName}:pending`);
         break;
+      case 'scheduled':
+        await redisClient.del(`queue:${queueName}:scheduled`);
+        break;
       case 'processing':
         const processingKeys = await redisClient.keys(`queue:${queueName}:processing:*`);
         if (processingKeys.length > 0) {
           await redisClient.del(processingKeys);
         }
+        await redisClient.del(`queue:${queueName}:deadlines`);
         break;
       case 'deadletter':
         await redisClient.del(`queue:${queueName}:deadletter`);
@@ -504,10 +1108,12 @@ const clearQueue = async (queueName, type = 'pending') => {
         break;
       case 'all':
         await redisClient.del(`queue:${queueName}:pending`);
+        await redisClient.del(`queue:${queueName}:scheduled`);
         const allProcessingKeys = await redisClient.keys(`queue:${queueName}:processing:*`);
         if (allProcessingKeys.length > 0) {
           await redisClient.del(allProcessingKeys);
         }
+        await redisClient.del(`queue:${queueName}:deadlines`);
         await redisClient.del(`queue:${queueName}:deadletter`);
         await redisClient.del(`queue:${queueName}:processed`);
         break;
@@ -520,24 +1126,46 @@ const clearQueue = async (queueName, type = 'pending') => {
 };
 
 /**
- * Close queue service
+ * Close queue service, after every processor has drained
  */
 const closeQueueService = async () => {
   try {
+    // Let in-flight messages finish while Redis is still connected
+    await stopProcessors();
+    
+    if (reaperInterval) {
+      clearInterval(reaperInterval);
+      reaperInterval = null;
+    }
+    
+    if (subscriber) {
+      const client = await subscriber;
+      subscriber = null;
+      await client.quit();
+      readyQueues.clear();
+    }
+    
     if (redisClient) {
       await redisClient.quit();
       console.log(' Queue Redis client closed');
     }
+    
+    await closeQueueHistory();
   } catch (error) {
     console.error(' Error closing queue service:', error);
   }
 };
 
 module.exports = {
+  queueConfigs,
   initializeRedis,
   enqueue,
   dequeue,
   process,
+  reclaimExpiredMessages,
+  listDeadLetters,
+  replayDeadLetters,
+  purgeDeadLetters,
   getQueueStats,
   getQueueHealth,
   clearQueue,
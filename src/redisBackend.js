@@ -0,0 +1,55 @@
+const { createClient } = require('redis');
+const { clock, registerScript, createMemoryClient, resetMemoryRedis } = require('./memoryRedis');
+require('dotenv').config();
+
+/**
+ * Redis Backend
+ *
+ * Every service creates its Redis clients through createRedisClient, so the
+ * backend can be switched in one place: 'redis' (default) connects to a real
+ * server, 'memory' runs everything in-process on memoryRedis. Choose it with
+ * REDIS_BACKEND or setRedisBackend() before the services initialize.
+ */
+
+const BACKENDS = ['redis', 'memory'];
+
+let backend = process.env.REDIS_BACKEND || 'redis';
+
+if (!BACKENDS.includes(backend)) {
+  throw new Error(`Unknown REDIS_BACKEND: ${backend} (expected ${BACKENDS.join(' or ')})`);
+}
+
+/**
+ * Choose the backend for clients created from now on
+ * @param {string} name - 'redis' or 'memory'
+ */
+const setRedisBackend = (name) => {
+  if (!BACKENDS.includes(name)) {
+    throw new Error(`Unknown Redis backend: ${name} (expected ${BACKENDS.join(' or ')})`);
+  }
+  backend = name;
+};
+
+/**
+ * Get the current backend
+ * @returns {string} 'redis' or 'memory'
+ */
+const getRedisBackend = () => backend;
+
+/**
+ * Create a Redis client on the current backend
+ * @param {Object} options - node-redis createClient options
+ * @returns {Object} Client (call connect() before use)
+ */
+const createRedisClient = (options = {}) => {
+  return backend === 'memory' ? createMemoryClient(options) : createClient(options);
+};
+
+module.exports = {
+  createRedisClient,
+  setRedisBackend,
+  getRedisBackend,
+  registerScript,
+  clock,
+  resetMemoryRedis
+};
@@ -1,4 +1,5 @@
-const { createClient } = require('redis');
+const { createRedisClient } = require('./redisBackend');
+const { VEHICLE_CLASSES, normalizeVehicleType, getGeoKey } = require('./vehicleClasses');
 require('dotenv').config();
 
 /**
@@ -6,6 +7,10 @@ require('dotenv').config();
  * 
  * This module provides Redis GEO operations for fast proximity search.
  * It implements geospatial indexing using Redis GEO commands.
+ *
+ * Every driver lives in the combined 'drivers' set and in the set of their
+ * vehicle class ('drivers:standard', 'drivers:xl', ...) so class-filtered
+ * searches only scan drivers that can be matched.
  */
 
 let redisClient = null;
@@ -13,7 +18,7 @@ let redisClient = null;
 // Create Redis client
 const initializeRedis = async () => {
   try {
-    redisClient = createClient({
+    redisClient = createRedisClient({
       url: `redis://${process.env.REDIS_HOST || 'localhost'}:${process.env.REDIS_PORT || 6379}`,
       socket: {
         reconnectStrategy: (retries) => {
@@ -64,18 +69,33 @@ const isRedisConnected = () => {
 };
 
 // Add driver location to Redis GEO
-const addDriverLocation = async (driverId, lat, lng) => {
+const addDriverLocation = async (driverId, lat, lng, vehicleType = null) => {
   try {
     const client = getRedisClient();
     const key = 'drivers';
     const member = `driver:${driverId}`;
-    
-    // GEOADD: Add geospatial data to Redis
-    const added = await client.geoAdd(key, {
+    const location = {
       longitude: parseFloat(lng),
       latitude: parseFloat(lat),
       member: member
-    });
+    };
+    
+    // GEOADD: Add geospatial data to Redis
+    const added = await client.geoAdd(key, location);
+    
+    // Keep the per-class index in sync (a driver belongs to exactly one class)
+    const vehicleClass = normalizeVehicleType(vehicleType);
+    if (vehicleClass) {
+      const classKey = getGeoKey(vehicleClass);
+      const multi = client.multi().geoAdd(classKey, location);
+      
+      VEHICLE_CLASSES
+        .map(getGeoKey)
+        .filter(otherKey => otherKey !== classKey)
+        .forEach(otherKey => multi.zRem(otherKey, member));
+      
+      await multi.exec();
+    }
     
     return added > 0;
   } catch (error) {
@@ -84,11 +104,11 @@ const addDriverLocation = async (driverId, lat, lng) => {
   }
 };
 
-// Find nearby drivers using Redis GEOSEARCH
-const findNearbyDrivers = async (lat, lng, radiusKm = 5, limit = 10) => {
+// Find nearby drivers using Redis GEOSEARCH (optionally within one vehicle class)
+const findNearbyDrivers = async (lat, lng, radiusKm = 5, limit = 10, vehicleType = null) => {
   try {
     const client = getRedisClient();
-    const key = 'drivers';
+    const key = vehicleType ? getGeoKey(vehicleType) : 'drivers';
     
     // GEOSEARCH: Find nearby drivers using Redis GEOSEARCH command
     // Format: GEOSEARCH key FROMLONLAT longitude latitude BYRADIUS radius unit COUNT count WITHCOORD WITHDIST
@@ -108,19 +128,20 @@ const findNearbyDrivers = async (lat, lng, radiusKm = 5, limit = 10) => {
     ]);
     
     // Parse results into a more usable format
-    // Redis returns: [member1, distance1, lng1, lat1, member2, distance2, lng2, lat2, ...]
+    // Redis returns: [[member1, distance1, [lng1, lat1]], [member2, distance2, [lng2, lat2]], ...]
     const drivers = [];
-    for (let i = 0; i < results.length; i += 4) {
-      const driverId = String(results[i]);
-      const distance = parseFloat(results[i + 1]);
-      const lng = parseFloat(results[i + 2]);
-      const lat = parseFloat(results[i + 3]);
+    for (const [member, rawDistance, [rawLng, rawLat]] of results) {
+      const driverId = String(member);
+      const distance = parseFloat(rawDistance);
+      const lng = parseFloat(rawLng);
+      const lat = parseFloat(rawLat);
       
       const actualId = driverId.replace('driver:', '');
       
       drivers.push({
         id: parseInt(actualId),
         driverId: driverId,
+        vehicleType: vehicleType ? normalizeVehicleType(vehicleType) : null,
         distance: parseFloat(distance.toFixed(2)),
         coordinates: {
           lng: lng,
@@ -136,14 +157,16 @@ const findNearbyDrivers = async (lat, lng, radiusKm = 5, limit = 10) => {
   }
 };
 
-// Remove driver location from Redis
+// Remove driver location from Redis (combined and per-class sets)
 const removeDriverLocation = async (driverId) => {
   try {
     const client = getRedisClient();
     const key = 'drivers';
     const member = `driver:${driverId}`;
     
-    await client.zRem(key, member);
+    const multi = client.multi().zRem(key, member);
+    VEHICLE_CLASSES.forEach(vehicleClass => multi.zRem(getGeoKey(vehicleClass), member));
+    await multi.exec();
     return true;
   } catch (error) {
     console.error('Error removing driver location from Redis:', error);
@@ -164,10 +187,10 @@ const getDriverLocation = async (driverId) => {
       return null;
     }
     
-    const [lng, lat] = coordinates[0];
+    const { longitude, latitude } = coordinates[0];
     return {
-      lat: parseFloat(lat.toFixed(8)),
-      lng: parseFloat(lng.toFixed(8))
+      lat: parseFloat(parseFloat(latitude).toFixed(8)),
+      lng: parseFloat(parseFloat(longitude).toFixed(8))
     };
   } catch (error) {
     console.error('Error getting driver location from Redis:', error);
@@ -175,11 +198,11 @@ const getDriverLocation = async (driverId) => {
   }
 };
 
-// Get count of drivers in Redis
-const getDriverCount = async () => {
+// Get count of drivers in Redis (optionally for one vehicle class)
+const getDriverCount = async (vehicleType = null) => {
   try {
     const client = getRedisClient();
-    const key = 'drivers';
+    const key = vehicleType ? getGeoKey(vehicleType) : 'drivers';
     
     return await client.zCard(key);
   } catch (error) {
@@ -192,9 +215,9 @@ const getDriverCount = async () => {
 const clearAllDrivers = async () => {
   try {
     const client = getRedisClient();
-    const key = 'drivers';
+    const keys = ['drivers', ...VEHICLE_CLASSES.map(getGeoKey)];
     
-    await client.del(key);
+    await client.del(keys);
     return true;
   } catch (error) {
     console.error('Error clearing drivers from Redis:', error);
@@ -0,0 +1,251 @@
+const { getBooking, activateScheduledBooking } = require('./bookingService');
+const { startDispatch } = require('./dispatchService');
+const { enqueue, process: processQueue, getQueueHealth } = require('./queueService');
+require('dotenv').config();
+
+/**
+ * Scheduling Service
+ *
+ * This module wakes scheduled rides up ahead of their pickup time. Every
+ * scheduled booking gets a reminder for the rider, a dispatch job that
+ * activates the booking and starts matching, and an escalation check at the
+ * pickup time in case no driver was found.
+ *
+ * Jobs are enqueued on the scheduled_ride_queue straight away with their due
+ * time as scheduledAt; the queue holds them until then and runs them with its
+ * retries, backoff and dead-lettering.
+ */
+
+let jobProcessor = null; // scheduled_ride_queue processor
+
+// Scheduler configuration
+const schedulerConfig = {
+  dispatchLeadMinutes: parseInt(process.env.SCHEDULE_DISPATCH_LEAD_MINUTES) || 15,
+  reminderLeadMinutes: parseInt(process.env.SCHEDULE_REMINDER_LEAD_MINUTES) || 60,
+  retryIntervalMs: 60000 // between matching attempts until the pickup time
+};
+
+const SCHEDULE_QUEUE = 'scheduled_ride_queue';
+
+// Statuses in which a booking still has no driver on the way
+const UNMATCHED_STATUSES = ['scheduled', 'pending', 'assigned'];
+
+// Scheduler statistics
+const schedulerStats = {
+  ridesScheduled: 0,
+  remindersSent: 0,
+  ridesActivated: 0,
+  dispatchAttempts: 0,
+  escalations: 0
+};
+
+// Notification hooks, set by the server that owns the transport
+const notifiers = {
+  onReminder: async () => {},
+  onDispatching: async () => {},
+  onEscalated: async () => {}
+};
+
+/**
+ * Register notification hooks for scheduler events
+ * @param {Object} hooks - Any of onReminder, onDispatching, onEscalated
+ */
+const setSchedulerNotifiers = (hooks = {}) => {
+  Object.assign(notifiers, hooks);
+};
+
+/**
+ * Call a notification hook without letting it fail the job
+ * @param {string} name - Hook name
+ * @param {...any} args - Hook arguments
+ */
+const notify = async (name, ...args) => {
+  try {
+    await notifiers[name](...args);
+  } catch (error) {
+    console.error(` Scheduler notifier ${name} failed:`, error);
+  }
+};
+
+/**
+ * Add a job to the schedule
+ * @param {string} type - Job type (reminder, dispatch, escalate)
+ * @param {number} bookingId - The booking ID
+ * @param {number} dueAt - When the job should run (ms since epoch)
+ * @returns {Promise<Object>} The job
+ */
+const addJob = async (type, bookingId, dueAt) => {
+  const job = { type, booking_id: bookingId, due_at: dueAt };
+  await enqueue(SCHEDULE_QUEUE, job, { scheduledAt: dueAt });
+  return job;
+};
+
+/**
+ * Schedule the reminder, dispatch and escalation jobs for a scheduled booking
+ * @param {Object} booking - The booking row (status 'scheduled')
+ * @returns {Promise<Object>} The jobs that were added
+ */
+const scheduleRide = async (booking) => {
+  const pickupAt = new Date(booking.scheduled_for).getTime();
+  const now = Date.now();
+  const jobs = [];
+
+  const reminderAt = pickupAt - schedulerConfig.reminderLeadMinutes * 60000;
+  if (reminderAt > now) {
+    jobs.push(await addJob('reminder', booking.id, reminderAt));
+  }
+
+  const dispatchAt = Math.max(pickupAt - schedulerConfig.dispatchLeadMinutes * 60000, now);
+  jobs.push(await addJob('dispatch', booking.id, dispatchAt));
+  jobs.push(await addJob('escalate', booking.id, pickupAt));
+
+  schedulerStats.ridesScheduled++;
+  console.log(` Booking ${booking.id} scheduled for ${new Date(pickupAt).toISOString()}`);
+
+  return {
+    bookingId: booking.id,
+    pickupAt: pickupAt,
+    jobs: jobs
+  };
+};
+
+/**
+ * Remind the rider of an upcoming scheduled ride
+ * @param {Object} booking - The booking row
+ */
+const runReminder = async (booking) => {
+  if (booking.status !== 'scheduled') {
+    return;
+  }
+
+  const minutesUntilPickup = Math.round((new Date(booking.scheduled_for).getTime() - Date.now()) / 60000);
+  schedulerStats.remindersSent++;
+  await notify('onReminder', booking, minutesUntilPickup);
+};
+
+/**
+ * Activate a scheduled booking and try to match it
+ *
+ * While no driver accepts, matching is retried every retryIntervalMs until the
+ * pickup time; the escalation job takes over from there.
+ * @param {Object} booking - The booking row
+ */
+const runDispatch = async (booking) => {
+  let current = booking;
+
+  if (current.status === 'scheduled') {
+    const activated = await activateScheduledBooking(current.id);
+    if (!activated.success) {
+      return;
+    }
+    current = activated.booking;
+    schedulerStats.ridesActivated++;
+  }
+
+  // Already offered, accepted or cancelled
+  if (current.status !== 'pending') {
+    return;
+  }
+
+  schedulerStats.dispatchAttempts++;
+  await notify('onDispatching', current);
+
+  const result = await startDispatch(current.id);
+  const nextAttemptAt = Date.now() + schedulerConfig.retryIntervalMs;
+
+  // A throttled dispatch retries by itself
+  if (!result.success && !result.retrying && nextAttemptAt < new Date(current.scheduled_for).getTime()) {
+    await addJob('dispatch', current.id, nextAttemptAt);
+  }
+};
+
+/**
+ * Escalate a scheduled booking that still has no driver at its pickup time
+ * @param {Object} booking - The booking row
+ */
+const runEscalation = async (booking) => {
+  if (!UNMATCHED_STATUSES.includes(booking.status)) {
+    return;
+  }
+
+  schedulerStats.escalations++;
+  console.warn(`  Scheduled booking ${booking.id} has no driver at its pickup time`);
+  await notify('onEscalated', booking, 'No driver accepted before the scheduled pickup time');
+};
+
+/**
+ * Run a scheduler job taken off the queue
+ * @param {Object} message - Queue message with { type, booking_id, due_at } data
+ */
+const handleJob = async (message) => {
+  const { type, booking_id: bookingId } = message.data;
+  const bookingResult = await getBooking(bookingId);
+
+  if (!bookingResult.success) {
+    console.warn(`  Scheduled job ${type} skipped: ${bookingResult.error}`);
+    return;
+  }
+
+  const booking = bookingResult.data;
+
+  switch (type) {
+    case 'reminder':
+      await runReminder(booking);
+      break;
+    case 'dispatch':
+      await runDispatch(booking);
+      break;
+    case 'escalate':
+      await runEscalation(booking);
+      break;
+    default:
+      throw new Error(`Unknown scheduler job type: ${type}`);
+  }
+};
+
+/**
+ * Start processing scheduler jobs as they fall due
+ */
+const startScheduler = () => {
+  if (jobProcessor) {
+    return;
+  }
+
+  jobProcessor = processQueue(SCHEDULE_QUEUE, handleJob);
+  console.log(` Ride scheduler processing ${SCHEDULE_QUEUE}`);
+};
+
+/**
+ * Get scheduler statistics
+ * @returns {Promise<Object>} Scheduler statistics
+ */
+const getSchedulerStats = async () => {
+  const queueHealth = await getQueueHealth(SCHEDULE_QUEUE);
+  return {
+    ...schedulerStats,
+    pendingJobs: queueHealth.scheduled + queueHealth.pending,
+    config: schedulerConfig
+  };
+};
+
+/**
+ * Close scheduling service
+ */
+const closeSchedulingService = async () => {
+  try {
+    if (jobProcessor) {
+      await jobProcessor.stop();
+      jobProcessor = null;
+    }
+  } catch (error) {
+    console.error(' Error closing scheduling service:', error);
+  }
+};
+
+module.exports = {
+  setSchedulerNotifiers,
+  scheduleRide,
+  startScheduler,
+  getSchedulerStats,
+  closeSchedulingService
+};
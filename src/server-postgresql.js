@@ -12,6 +12,14 @@ const {
   closeRedis
 } = require('./redisClient');
 
+const {
+  VEHICLE_CLASSES,
+  DEFAULT_VEHICLE_CLASS,
+  normalizeVehicleType,
+  isValidVehicleType,
+  getVehicleTypeNames
+} = require('./vehicleClasses');
+
 /**
  * PostgreSQL Implementation with Redis Geo Optimization
  * 
@@ -40,7 +48,7 @@ app.use(express.json());
 
 // Basic validation middleware
 const validateDriver = (req, res, next) => {
-  const { name, phone } = req.body;
+  const { name, phone, vehicle_type } = req.body;
   
   if (!name || name.length < 2) {
     return res.status(400).json({
@@ -56,6 +64,13 @@ const validateDriver = (req, res, next) => {
     });
   }
   
+  if (vehicle_type && !isValidVehicleType(vehicle_type)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid vehicle_type. Must be one of: ' + VEHICLE_CLASSES.join(', ')
+    });
+  }
+  
   next();
 };
 
@@ -119,7 +134,7 @@ app.get('/api/drivers', async (req, res) => {
 // Find nearby drivers (Optimized with Redis Geo)
 app.get('/api/drivers/nearby', async (req, res) => {
   try {
-    const { lat, lng, radius = 5 } = req.query;
+    const { lat, lng, radius = 5, vehicle_type } = req.query;
     
     if (!lat || !lng) {
       return res.status(400).json({
@@ -128,12 +143,21 @@ app.get('/api/drivers/nearby', async (req, res) => {
       });
     }
     
+    if (vehicle_type && !isValidVehicleType(vehicle_type)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid vehicle_type. Must be one of: ' + VEHICLE_CLASSES.join(', ')
+      });
+    }
+    
+    const vehicleClass = vehicle_type ? normalizeVehicleType(vehicle_type) : null;
+    
     const startTime = Date.now();
     
     // Try Redis first (fast path)
     if (isRedisConnected()) {
       try {
-        const nearbyDrivers = await findNearbyDrivers(lat, lng, parseFloat(radius));
+        const nearbyDrivers = await findNearbyDrivers(lat, lng, parseFloat(radius), 10, vehicleClass);
         
         // Fetch full driver details from PostgreSQL for the nearby drivers
         if (nearbyDrivers.length > 0) {
@@ -171,7 +195,8 @@ app.get('/api/drivers/nearby', async (req, res) => {
             searchParams: {
               lat: parseFloat(lat),
               lng: parseFloat(lng),
-              radius: parseFloat(radius)
+              radius: parseFloat(radius),
+              vehicle_type: vehicleClass
             }
           });
         } else {
@@ -189,7 +214,8 @@ app.get('/api/drivers/nearby', async (req, res) => {
             searchParams: {
               lat: parseFloat(lat),
               lng: parseFloat(lng),
-              radius: parseFloat(radius)
+              radius: parseFloat(radius),
+              vehicle_type: vehicleClass
             }
           });
         }
@@ -212,9 +238,10 @@ app.get('/api/drivers/nearby', async (req, res) => {
         AND (6371 * acos(cos(radians($1)) * cos(radians(lat)) * 
              cos(radians(lng) - radians($2)) + sin(radians($1)) * 
              sin(radians(lat)))) <= $3
+        AND ($4::text[] IS NULL OR COALESCE(vehicle_type, $5) = ANY($4::text[]))
       ORDER BY distance
       LIMIT 10
-    `, [lat, lng, radius]);
+    `, [lat, lng, radius, vehicleClass ? getVehicleTypeNames(vehicleClass) : null, DEFAULT_VEHICLE_CLASS]);
     
     const endTime = Date.now();
     const queryTime = endTime - startTime;
@@ -231,7 +258,8 @@ app.get('/api/drivers/nearby', async (req, res) => {
       searchParams: {
         lat: parseFloat(lat),
         lng: parseFloat(lng),
-        radius: parseFloat(radius)
+        radius: parseFloat(radius),
+        vehicle_type: vehicleClass
       }
     });
   } catch (error) {
@@ -278,7 +306,7 @@ app.post('/api/drivers', validateDriver, async (req, res) => {
     
     const result = await pool.query(
       'INSERT INTO drivers (name, phone, email, vehicle_type) VALUES ($1, $2, $3, $4) RETURNING *',
-      [name, phone, email, vehicle_type]
+      [name, phone, email, normalizeVehicleType(vehicle_type)]
     );
     
     res.status(201).json({
@@ -328,7 +356,7 @@ app.post('/api/drivers/:id/location', validateLocation, async (req, res) => {
     // If driver is online, update Redis
     if (driver.status === 'online' && isRedisConnected()) {
       try {
-        await addDriverLocation(id, lat, lng);
+        await addDriverLocation(id, lat, lng, driver.vehicle_type);
       } catch (redisError) {
         console.error('Failed to update Redis:', redisError);
         // Don't fail the request, Redis is not critical
@@ -445,7 +473,7 @@ API Endpoints:
   • GET /api/drivers/:id - Get driver by ID
   • POST /api/drivers - Create driver
   • POST /api/drivers/:id/location - Update location (with Redis sync)
-  • GET /api/drivers/nearby - Find nearby drivers (FAST with Redis!)
+  • GET /api/drivers/nearby - Find nearby drivers, optional ?vehicle_type= (FAST with Redis!)
   • PATCH /api/drivers/:id/status - Update status
 
 Service Status:
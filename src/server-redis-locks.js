@@ -12,19 +12,82 @@ const {
   closeRedis
 } = require('./redisClient');
 
+const {
+  VEHICLE_CLASSES,
+  DEFAULT_VEHICLE_CLASS,
+  normalizeVehicleType,
+  isValidVehicleType,
+  getVehicleTypeNames
+} = require('./vehicleClasses');
+
+const { estimateFare, estimateAllClasses } = require('./pricingService');
+const { isValidStrategy, listStrategies } = require('./matchingStrategies');
+const {
+  setSchedulerNotifiers,
+  scheduleRide,
+  startScheduler,
+  getSchedulerStats,
+  closeSchedulingService
+} = require('./schedulingService');
+const { getTrip } = require('./poolingService');
+const {
+  initializeRedis: initIdempotencyRedis,
+  idempotencyMiddleware,
+  closeIdempotencyService
+} = require('./idempotencyService');
+const {
+  initializeRedis: initSurgeRedis,
+  getSurge,
+  startSurgeUpdates,
+  getSurgeStats,
+  closeSurgeService
+} = require('./surgeService');
+
 // Import booking service and lock service
 const {
   createBooking,
-  assignDriver,
-  acceptBooking,
   cancelBooking,
+  markDriverArrived,
+  startTrip,
+  markNoShow,
   completeRide,
+  recordTripProgress,
   getBooking,
+  getBookingHistory,
+  addBookingStop,
+  removeBookingStop,
+  markStopReached,
+  getBookingStops,
+  RIDE_TYPES,
+  MAX_BOOKING_STOPS,
   getUserBookings,
+  getBookingOffers,
   getLockStatistics
 } = require('./bookingService');
 
-const { initializeRedis: initLockRedis } = require('./lockService');
+const {
+  DISPATCH_MODE,
+  startDispatch,
+  startOfferSweeper,
+  queueBatchDispatch,
+  runBatchDispatch,
+  acceptOffer,
+  declineOffer,
+  stopDispatch,
+  getDispatchStats,
+  closeDispatchService
+} = require('./dispatchService');
+
+const {
+  initializeRedis: initLockRedis,
+  isLocked,
+  listLocks,
+  forceReleaseLock,
+  withReadLocks,
+  withWriteLock
+} = require('./lockService');
+const { recordAdminAction, closeAuditService } = require('./auditService');
+const { initializeRedis: initQueueRedis, closeQueueService } = require('./queueService');
 
 /**
  * Distributed Locking & Concurrency Control Implementation
@@ -54,7 +117,7 @@ app.use(express.json());
 
 // Basic validation middleware
 const validateDriver = (req, res, next) => {
-  const { name, phone } = req.body;
+  const { name, phone, vehicle_type } = req.body;
   
   if (!name || name.length < 2) {
     return res.status(400).json({
@@ -70,6 +133,13 @@ const validateDriver = (req, res, next) => {
     });
   }
   
+  if (vehicle_type && !isValidVehicleType(vehicle_type)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid vehicle_type. Must be one of: ' + VEHICLE_CLASSES.join(', ')
+    });
+  }
+  
   next();
 };
 
@@ -94,12 +164,12 @@ const validateLocation = (req, res, next) => {
 };
 
 const validateBooking = (req, res, next) => {
-  const { rider_id, pickup_lat, pickup_lng, dropoff_lat, dropoff_lng, estimated_fare } = req.body;
+  const { rider_id, pickup_lat, pickup_lng, dropoff_lat, dropoff_lng, vehicle_type, surge_multiplier, strategy, scheduled_for, ride_type, stops } = req.body;
   
-  if (!rider_id || !pickup_lat || !pickup_lng || !dropoff_lat || !dropoff_lng || !estimated_fare) {
+  if (!rider_id || !pickup_lat || !pickup_lng || !dropoff_lat || !dropoff_lng) {
     return res.status(400).json({
       success: false,
-      message: 'Missing required fields: rider_id, pickup_lat, pickup_lng, dropoff_lat, dropoff_lng, estimated_fare'
+      message: 'Missing required fields: rider_id, pickup_lat, pickup_lng, dropoff_lat, dropoff_lng'
     });
   }
   
@@ -117,13 +187,93 @@ const validateBooking = (req, res, next) => {
     });
   }
   
-  if (estimated_fare <= 0) {
+  if (vehicle_type && !isValidVehicleType(vehicle_type)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid vehicle_type. Must be one of: ' + VEHICLE_CLASSES.join(', ')
+    });
+  }
+  
+  if (surge_multiplier !== undefined && !(parseFloat(surge_multiplier) >= 1)) {
+    return res.status(400).json({
+      success: false,
+      message: 'surge_multiplier must be a number of at least 1'
+    });
+  }
+  
+  if (strategy && !isValidStrategy(strategy)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid strategy. Must be one of: ' + listStrategies().map(item => item.name).join(', ')
+    });
+  }
+  
+  if (scheduled_for !== undefined && Number.isNaN(new Date(scheduled_for).getTime())) {
+    return res.status(400).json({
+      success: false,
+      message: 'scheduled_for must be an ISO 8601 date'
+    });
+  }
+  
+  if (ride_type && !RIDE_TYPES.includes(ride_type)) {
     return res.status(400).json({
       success: false,
-      message: 'Estimated fare must be greater than 0'
+      message: 'Invalid ride_type. Must be one of: ' + RIDE_TYPES.join(', ')
+    });
+  }
+  
+  if (stops !== undefined) {
+    if (!Array.isArray(stops) || stops.length > MAX_BOOKING_STOPS) {
+      return res.status(400).json({
+        success: false,
+        message: `stops must be an array of at most ${MAX_BOOKING_STOPS} { lat, lng } objects`
+      });
+    }
+    
+    const invalidStop = stops.find(stop => !stop || stop.lat === undefined || stop.lng === undefined ||
+      stop.lat < -90 || stop.lat > 90 || stop.lng < -180 || stop.lng > 180);
+    if (invalidStop !== undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Every stop needs lat between -90 and 90 and lng between -180 and 180'
+      });
+    }
+  }
+  
+  next();
+};
+
+// Illegal booking status transitions and writes from expired or lost locks are
+// conflicts; other failures are bad requests
+const CONFLICT_CODES = ['INVALID_TRANSITION', 'STALE_LOCK', 'LOCK_LOST'];
+const failureStatus = (result) => (CONFLICT_CODES.includes(result.code) ? 409 : 400);
+
+// Nearby search reads the status of the drivers it found under shared
+// per-driver locks and a status change takes its driver's lock exclusively,
+// so a search never sees a status change half-applied and only waits on
+// (or holds up) the drivers it actually returns
+const driverStateLock = (driverId) => `drivers:state:${driverId}`;
+
+// Admin routes need X-Admin-Token to match ADMIN_API_TOKEN; without one set they are off.
+// X-Admin-User names the operator in the audit log.
+const requireAdmin = (req, res, next) => {
+  const adminToken = process.env.ADMIN_API_TOKEN;
+  
+  if (!adminToken) {
+    return res.status(403).json({
+      success: false,
+      message: 'Admin API is disabled (ADMIN_API_TOKEN is not set)'
+    });
+  }
+  
+  if (req.get('X-Admin-Token') !== adminToken) {
+    return res.status(401).json({
+      success: false,
+      message: 'Valid X-Admin-Token header required'
     });
   }
   
+  req.adminUser = req.get('X-Admin-User') || 'admin';
   next();
 };
 
@@ -169,7 +319,7 @@ app.get('/api/drivers', async (req, res) => {
 // Find nearby drivers (Optimized with Redis Geo)
 app.get('/api/drivers/nearby', async (req, res) => {
   try {
-    const { lat, lng, radius = 5 } = req.query;
+    const { lat, lng, radius = 5, vehicle_type } = req.query;
     
     if (!lat || !lng) {
       return res.status(400).json({
@@ -178,73 +328,95 @@ app.get('/api/drivers/nearby', async (req, res) => {
       });
     }
     
+    if (vehicle_type && !isValidVehicleType(vehicle_type)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid vehicle_type. Must be one of: ' + VEHICLE_CLASSES.join(', ')
+      });
+    }
+    
+    const vehicleClass = vehicle_type ? normalizeVehicleType(vehicle_type) : null;
+    
     const startTime = Date.now();
     
+    let fallbackNote = 'Redis not available, using SQL fallback';
+    
     // Try Redis first (fast path)
     if (isRedisConnected()) {
       try {
-        const nearbyDrivers = await findNearbyDrivers(lat, lng, parseFloat(radius));
+        const nearbyDrivers = await findNearbyDrivers(lat, lng, parseFloat(radius), 10, vehicleClass);
         
-        // Fetch full driver details from PostgreSQL for the nearby drivers
-        if (nearbyDrivers.length > 0) {
-          const driverIds = nearbyDrivers.map(d => d.id);
-          const placeholders = driverIds.map((_, i) => `$${i + 1}`).join(',');
-          
-          const driverResult = await pool.query(
-            `SELECT id, name, phone, lat, lng, status, vehicle_type, rating 
-             FROM drivers 
-             WHERE id IN (${placeholders}) AND status = 'online'`,
-            driverIds
-          );
-          
-          // Merge Redis results with driver details
-          const driversWithDistance = driverResult.rows.map(driver => {
-            const redisData = nearbyDrivers.find(r => r.id === driver.id);
-            return {
-              ...driver,
-              distance: redisData ? redisData.distance : null
-            };
-          });
-          
-          const endTime = Date.now();
-          const queryTime = endTime - startTime;
-          
-          return res.json({
-            success: true,
-            data: driversWithDistance,
-            performance: {
-              queryTime: queryTime + 'ms',
-              driversFound: driversWithDistance.length,
-              method: 'Redis Geo (Optimized)',
-              note: 'Using Redis GEO for fast proximity search!'
-            },
-            searchParams: {
-              lat: parseFloat(lat),
-              lng: parseFloat(lng),
-              radius: parseFloat(radius)
-            }
-          });
+        // Shared with other searches; a status change of one of these drivers waits for it
+        return await withReadLocks(nearbyDrivers.map(d => driverStateLock(d.id)), async () => {
+          // Fetch full driver details from PostgreSQL for the nearby drivers
+          if (nearbyDrivers.length > 0) {
+            const driverIds = nearbyDrivers.map(d => d.id);
+            const placeholders = driverIds.map((_, i) => `$${i + 1}`).join(',');
+            
+            const driverResult = await pool.query(
+              `SELECT id, name, phone, lat, lng, status, vehicle_type, rating 
+               FROM drivers 
+               WHERE id IN (${placeholders}) AND status = 'online'`,
+              driverIds
+            );
+            
+            // Merge Redis results with driver details
+            const driversWithDistance = driverResult.rows.map(driver => {
+              const redisData = nearbyDrivers.find(r => r.id === driver.id);
+              return {
+                ...driver,
+                distance: redisData ? redisData.distance : null
+              };
+            });
+            
+            const endTime = Date.now();
+            const queryTime = endTime - startTime;
+            
+            return res.json({
+              success: true,
+              data: driversWithDistance,
+              performance: {
+                queryTime: queryTime + 'ms',
+                driversFound: driversWithDistance.length,
+                method: 'Redis Geo (Optimized)',
+                note: 'Using Redis GEO for fast proximity search!'
+              },
+              searchParams: {
+                lat: parseFloat(lat),
+                lng: parseFloat(lng),
+                radius: parseFloat(radius),
+                vehicle_type: vehicleClass
+              }
+            });
+          } else {
+            const endTime = Date.now();
+            const queryTime = endTime - startTime;
+            
+            return res.json({
+              success: true,
+              data: [],
+              performance: {
+                queryTime: queryTime + 'ms',
+                driversFound: 0,
+                method: 'Redis Geo (Optimized)'
+              },
+              searchParams: {
+                lat: parseFloat(lat),
+                lng: parseFloat(lng),
+                radius: parseFloat(radius),
+                vehicle_type: vehicleClass
+              }
+            });
+          }
+        }, { operation: 'findNearbyDrivers', ttlSeconds: 10, retryAttempts: 5, retryDelayMs: 20 });
+      } catch (redisError) {
+        if (redisError.code === 'LOCK_UNAVAILABLE') {
+          // Not a Redis failure: one of the drivers found is changing status right now
+          fallbackNote = 'Driver status changing, using SQL fallback';
+          console.warn(`Driver state locked (${redisError.resource}), falling back to SQL`);
         } else {
-          const endTime = Date.now();
-          const queryTime = endTime - startTime;
-          
-          return res.json({
-            success: true,
-            data: [],
-            performance: {
-              queryTime: queryTime + 'ms',
-              driversFound: 0,
-              method: 'Redis Geo (Optimized)'
-            },
-            searchParams: {
-              lat: parseFloat(lat),
-              lng: parseFloat(lng),
-              radius: parseFloat(radius)
-            }
-          });
+          console.error('Redis error, falling back to SQL:', redisError);
         }
-      } catch (redisError) {
-        console.error('Redis error, falling back to SQL:', redisError);
         // Fall through to SQL fallback
       }
     }
@@ -262,9 +434,10 @@ app.get('/api/drivers/nearby', async (req, res) => {
         AND (6371 * acos(cos(radians($1)) * cos(radians(lat)) * 
              cos(radians(lng) - radians($2)) + sin(radians($1)) * 
              sin(radians(lat)))) <= $3
+        AND ($4::text[] IS NULL OR COALESCE(vehicle_type, $5) = ANY($4::text[]))
       ORDER BY distance
       LIMIT 10
-    `, [lat, lng, radius]);
+    `, [lat, lng, radius, vehicleClass ? getVehicleTypeNames(vehicleClass) : null, DEFAULT_VEHICLE_CLASS]);
     
     const endTime = Date.now();
     const queryTime = endTime - startTime;
@@ -276,12 +449,13 @@ app.get('/api/drivers/nearby', async (req, res) => {
         queryTime: queryTime + 'ms',
         driversFound: result.rows.length,
         method: 'SQL (Fallback)',
-        note: 'Redis not available, using SQL fallback'
+        note: fallbackNote
       },
       searchParams: {
         lat: parseFloat(lat),
         lng: parseFloat(lng),
-        radius: parseFloat(radius)
+        radius: parseFloat(radius),
+        vehicle_type: vehicleClass
       }
     });
   } catch (error) {
@@ -328,7 +502,7 @@ app.post('/api/drivers', validateDriver, async (req, res) => {
     
     const result = await pool.query(
       'INSERT INTO drivers (name, phone, email, vehicle_type) VALUES ($1, $2, $3, $4) RETURNING *',
-      [name, phone, email, vehicle_type]
+      [name, phone, email, normalizeVehicleType(vehicle_type)]
     );
     
     res.status(201).json({
@@ -378,13 +552,19 @@ app.post('/api/drivers/:id/location', validateLocation, async (req, res) => {
     // If driver is online, update Redis
     if (driver.status === 'online' && isRedisConnected()) {
       try {
-        await addDriverLocation(id, lat, lng);
+        await addDriverLocation(id, lat, lng, driver.vehicle_type);
       } catch (redisError) {
         console.error('Failed to update Redis:', redisError);
         // Don't fail the request, Redis is not critical
       }
     }
     
+    // Busy drivers are on a trip: the first ping after accepting puts them en
+    // route, and pings during the trip make up the distance that is billed
+    if (driver.status === 'busy') {
+      await recordTripProgress(driver.id, lat, lng);
+    }
+    
     res.json({
       success: true,
       message: 'Driver location updated successfully',
@@ -414,10 +594,11 @@ app.patch('/api/drivers/:id/status', async (req, res) => {
       });
     }
     
-    const result = await pool.query(
+    // Exclusive against nearby searches reading this driver's state
+    const result = await withWriteLock(driverStateLock(id), () => pool.query(
       'UPDATE drivers SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *',
       [status, id]
-    );
+    ), { operation: 'updateDriverStatus', ttlSeconds: 10, retryAttempts: 10, retryDelayMs: 20 });
     
     if (result.rows.length === 0) {
       return res.status(404).json({
@@ -432,6 +613,12 @@ app.patch('/api/drivers/:id/status', async (req, res) => {
       data: result.rows[0]
     });
   } catch (error) {
+    if (error.code === 'LOCK_UNAVAILABLE') {
+      return res.status(503).json({
+        success: false,
+        message: 'Driver state is busy, retry shortly'
+      });
+    }
     console.error('Error updating status:', error);
     res.status(500).json({
       success: false,
@@ -443,22 +630,133 @@ app.patch('/api/drivers/:id/status', async (req, res) => {
 
 // Booking System with Distributed Locking
 
+// Estimate the fare for a trip (all vehicle classes unless vehicle_type is given)
+app.get('/api/fares/estimate', async (req, res) => {
+  try {
+    const { pickup_lat, pickup_lng, dropoff_lat, dropoff_lng, vehicle_type } = req.query;
+    
+    if (!pickup_lat || !pickup_lng || !dropoff_lat || !dropoff_lng) {
+      return res.status(400).json({
+        success: false,
+        message: 'pickup_lat, pickup_lng, dropoff_lat and dropoff_lng are required'
+      });
+    }
+    
+    if ([pickup_lat, dropoff_lat].some(lat => lat < -90 || lat > 90) ||
+        [pickup_lng, dropoff_lng].some(lng => lng < -180 || lng > 180)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Coordinates are out of range'
+      });
+    }
+    
+    if (vehicle_type && !isValidVehicleType(vehicle_type)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid vehicle_type. Must be one of: ' + VEHICLE_CLASSES.join(', ')
+      });
+    }
+    
+    const trip = { pickup_lat, pickup_lng, dropoff_lat, dropoff_lng, vehicle_type };
+    const surge = await getSurge(pickup_lat, pickup_lng);
+    const options = { surgeMultiplier: surge.multiplier };
+    
+    res.json({
+      success: true,
+      data: vehicle_type ? estimateFare(trip, options) : estimateAllClasses(trip, options),
+      surge: surge
+    });
+  } catch (error) {
+    console.error('Error estimating fare:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to estimate fare',
+      error: error.message
+    });
+  }
+});
+
+// Current surge multiplier for a location
+app.get('/api/surge', async (req, res) => {
+  try {
+    const { lat, lng } = req.query;
+    
+    if (!lat || !lng) {
+      return res.status(400).json({
+        success: false,
+        message: 'Latitude and longitude are required'
+      });
+    }
+    
+    if (lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+      return res.status(400).json({
+        success: false,
+        message: 'Coordinates are out of range'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: await getSurge(lat, lng)
+    });
+  } catch (error) {
+    console.error('Error getting surge:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get surge',
+      error: error.message
+    });
+  }
+});
+
+// Surge pricing statistics
+app.get('/api/surge/stats', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await getSurgeStats()
+    });
+  } catch (error) {
+    console.error('Error getting surge stats:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get surge stats',
+      error: error.message
+    });
+  }
+});
+
+// Driver matching strategies available to bookings and dispatch
+app.get('/api/matching/strategies', (req, res) => {
+  res.json({
+    success: true,
+    data: listStrategies()
+  });
+});
+
 // Create a new booking request
-app.post('/api/bookings', validateBooking, async (req, res) => {
+app.post('/api/bookings', validateBooking, idempotencyMiddleware, async (req, res) => {
   try {
     const result = await createBooking(req.body);
     
     if (result.success) {
+      // Scheduled rides are matched by the scheduler shortly before pickup
+      if (result.data.status === 'scheduled') {
+        await scheduleRide(result.data);
+      }
+      
       res.status(201).json({
         success: true,
         message: 'Booking request created successfully',
-        data: result.data
+        data: result.data,
+        fare: result.fare
       });
     } else {
       res.status(400).json({
         success: false,
         message: 'Failed to create booking',
-        error: result.error
+        error: result.error,
+        surge_multiplier: result.surge_multiplier
       });
     }
   } catch (error) {
@@ -471,23 +769,59 @@ app.post('/api/bookings', validateBooking, async (req, res) => {
   }
 });
 
-// Assign a driver to a booking (atomic operation with locking)
-app.post('/api/bookings/:id/assign', async (req, res) => {
+// Offer a booking to the nearest available driver (starts the offer cascade)
+app.post('/api/bookings/:id/assign', idempotencyMiddleware, async (req, res) => {
   try {
     const { id } = req.params;
-    const result = await assignDriver(parseInt(id));
+    const mode = req.body.mode || req.query.mode || DISPATCH_MODE;
+    const strategy = req.body.strategy || req.query.strategy;
+    
+    if (strategy && !isValidStrategy(strategy)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid strategy. Must be one of: ' + listStrategies().map(item => item.name).join(', ')
+      });
+    }
+    
+    // In batch mode the offer is made once the window closes
+    if (mode === 'batch') {
+      const queued = queueBatchDispatch(parseInt(id));
+      return res.status(202).json({
+        success: true,
+        message: queued.message,
+        data: queued
+      });
+    }
+    
+    const result = await startDispatch(parseInt(id), { strategy });
+    
+    // The city is busy; matching continues in the background
+    if (result.retrying) {
+      return res.status(202).json({
+        success: true,
+        message: result.error,
+        data: { bookingId: parseInt(id), retryInMs: result.retryInMs }
+      });
+    }
     
     if (result.success) {
       res.json({
         success: true,
         message: result.message,
-        data: {
-          booking: result.booking,
-          driver: result.driver
-        }
+        data: result.pooled
+          ? {
+            booking: result.booking,
+            trip: result.trip,
+            stops: result.stops
+          }
+          : {
+            booking: result.booking,
+            driver: result.driver,
+            offer: result.offer
+          }
       });
     } else {
-      res.status(400).json({
+      res.status(failureStatus(result)).json({
         success: false,
         message: 'Failed to assign driver',
         error: result.error
@@ -503,8 +837,8 @@ app.post('/api/bookings/:id/assign', async (req, res) => {
   }
 });
 
-// Driver accepts a booking (atomic operation)
-app.post('/api/bookings/:id/accept', async (req, res) => {
+// Driver accepts a booking offer (atomic operation)
+app.post('/api/bookings/:id/accept', idempotencyMiddleware, async (req, res) => {
   try {
     const { id } = req.params;
     const { driver_id } = req.body;
@@ -516,7 +850,7 @@ app.post('/api/bookings/:id/accept', async (req, res) => {
       });
     }
     
-    const result = await acceptBooking(parseInt(id), parseInt(driver_id));
+    const result = await acceptOffer(parseInt(id), parseInt(driver_id));
     
     if (result.success) {
       res.json({
@@ -525,7 +859,7 @@ app.post('/api/bookings/:id/accept', async (req, res) => {
         data: result.booking
       });
     } else {
-      res.status(400).json({
+      res.status(failureStatus(result)).json({
         success: false,
         message: 'Failed to accept booking',
         error: result.error
@@ -541,8 +875,78 @@ app.post('/api/bookings/:id/accept', async (req, res) => {
   }
 });
 
+// Driver declines a booking offer (advances the cascade to the next driver)
+app.post('/api/bookings/:id/decline', idempotencyMiddleware, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { driver_id, reason } = req.body;
+    
+    if (!driver_id) {
+      return res.status(400).json({
+        success: false,
+        message: 'Driver ID is required'
+      });
+    }
+    
+    const result = await declineOffer(parseInt(id), parseInt(driver_id), reason);
+    
+    if (result.success) {
+      res.json({
+        success: true,
+        message: result.message,
+        data: {
+          offer: result.offer,
+          next_offer: result.next.success ? result.next.offer : null,
+          dispatch_error: result.next.success ? null : result.next.error
+        }
+      });
+    } else {
+      res.status(failureStatus(result)).json({
+        success: false,
+        message: 'Failed to decline booking',
+        error: result.error
+      });
+    }
+  } catch (error) {
+    console.error('Error declining booking:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to decline booking',
+      error: error.message
+    });
+  }
+});
+
+// Get the offer history of a booking
+app.get('/api/bookings/:id/offers', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await getBookingOffers(parseInt(id));
+    
+    if (result.success) {
+      res.json({
+        success: true,
+        data: result.data,
+        count: result.count
+      });
+    } else {
+      res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+  } catch (error) {
+    console.error('Error getting booking offers:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get booking offers',
+      error: error.message
+    });
+  }
+});
+
 // Cancel a booking (atomic operation)
-app.post('/api/bookings/:id/cancel', async (req, res) => {
+app.post('/api/bookings/:id/cancel', idempotencyMiddleware, async (req, res) => {
   try {
     const { id } = req.params;
     const { reason, user_id, user_type } = req.body;
@@ -564,13 +968,14 @@ app.post('/api/bookings/:id/cancel', async (req, res) => {
     const result = await cancelBooking(parseInt(id), reason, parseInt(user_id), user_type);
     
     if (result.success) {
+      stopDispatch(parseInt(id));
       res.json({
         success: true,
         message: result.message,
         data: result.booking
       });
     } else {
-      res.status(400).json({
+      res.status(failureStatus(result)).json({
         success: false,
         message: 'Failed to cancel booking',
         error: result.error
@@ -586,20 +991,20 @@ app.post('/api/bookings/:id/cancel', async (req, res) => {
   }
 });
 
-// Complete a ride (atomic operation)
-app.post('/api/bookings/:id/complete', async (req, res) => {
+// Driver arrived at the pickup
+app.post('/api/bookings/:id/arrive', idempotencyMiddleware, async (req, res) => {
   try {
     const { id } = req.params;
-    const { driver_id, actual_fare } = req.body;
+    const { driver_id } = req.body;
     
-    if (!driver_id || !actual_fare) {
+    if (!driver_id) {
       return res.status(400).json({
         success: false,
-        message: 'Driver ID and actual fare are required'
+        message: 'Driver ID is required'
       });
     }
     
-    const result = await completeRide(parseInt(id), parseInt(driver_id), parseFloat(actual_fare));
+    const result = await markDriverArrived(parseInt(id), parseInt(driver_id));
     
     if (result.success) {
       res.json({
@@ -608,54 +1013,387 @@ app.post('/api/bookings/:id/complete', async (req, res) => {
         data: result.booking
       });
     } else {
-      res.status(400).json({
+      res.status(failureStatus(result)).json({
         success: false,
-        message: 'Failed to complete ride',
+        message: 'Failed to mark driver arrived',
         error: result.error
       });
     }
   } catch (error) {
-    console.error('Error completing ride:', error);
+    console.error('Error marking driver arrived:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to complete ride',
+      message: 'Failed to mark driver arrived',
       error: error.message
     });
   }
 });
 
-// Get booking by ID
-app.get('/api/bookings/:id', async (req, res) => {
+// Rider is in the car, trip starts
+app.post('/api/bookings/:id/start', idempotencyMiddleware, async (req, res) => {
   try {
     const { id } = req.params;
-    const result = await getBooking(parseInt(id));
+    const { driver_id } = req.body;
+    
+    if (!driver_id) {
+      return res.status(400).json({
+        success: false,
+        message: 'Driver ID is required'
+      });
+    }
+    
+    const result = await startTrip(parseInt(id), parseInt(driver_id));
     
     if (result.success) {
       res.json({
         success: true,
-        data: result.data
+        message: result.message,
+        data: result.booking
       });
     } else {
-      res.status(404).json({
+      res.status(failureStatus(result)).json({
         success: false,
-        message: result.error
+        message: 'Failed to start trip',
+        error: result.error
       });
     }
   } catch (error) {
-    console.error('Error getting booking:', error);
+    console.error('Error starting trip:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to get booking',
+      message: 'Failed to start trip',
       error: error.message
     });
   }
 });
 
-// Get bookings for a user
-app.get('/api/users/:user_id/bookings', async (req, res) => {
+// Rider did not show up at the pickup
+app.post('/api/bookings/:id/no-show', idempotencyMiddleware, async (req, res) => {
   try {
-    const { user_id } = req.params;
-    const { user_type, status } = req.query;
+    const { id } = req.params;
+    const { driver_id } = req.body;
+    
+    if (!driver_id) {
+      return res.status(400).json({
+        success: false,
+        message: 'Driver ID is required'
+      });
+    }
+    
+    const result = await markNoShow(parseInt(id), parseInt(driver_id));
+    
+    if (result.success) {
+      res.json({
+        success: true,
+        message: result.message,
+        data: result.booking
+      });
+    } else {
+      res.status(failureStatus(result)).json({
+        success: false,
+        message: 'Failed to mark no-show',
+        error: result.error
+      });
+    }
+  } catch (error) {
+    console.error('Error marking no-show:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mark no-show',
+      error: error.message
+    });
+  }
+});
+
+// Complete a ride (atomic operation)
+app.post('/api/bookings/:id/complete', idempotencyMiddleware, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { driver_id } = req.body;
+    
+    if (!driver_id) {
+      return res.status(400).json({
+        success: false,
+        message: 'Driver ID is required'
+      });
+    }
+    
+    // The fare is computed from the recorded trip, not taken from the driver
+    const result = await completeRide(parseInt(id), parseInt(driver_id));
+    
+    if (result.success) {
+      res.json({
+        success: true,
+        message: result.message,
+        data: result.booking,
+        fare: result.fare
+      });
+    } else {
+      res.status(failureStatus(result)).json({
+        success: false,
+        message: 'Failed to complete ride',
+        error: result.error
+      });
+    }
+  } catch (error) {
+    console.error('Error completing ride:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to complete ride',
+      error: error.message
+    });
+  }
+});
+
+// Get booking status history
+app.get('/api/bookings/:id/history', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await getBookingHistory(parseInt(id));
+    
+    if (result.success) {
+      res.json({
+        success: true,
+        data: result.data,
+        count: result.count
+      });
+    } else {
+      res.status(400).json({
+        success: false,
+        message: 'Failed to get booking history',
+        error: result.error
+      });
+    }
+  } catch (error) {
+    console.error('Error getting booking history:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get booking history',
+      error: error.message
+    });
+  }
+});
+
+// Get the intermediate stops of a booking
+app.get('/api/bookings/:id/stops', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await getBookingStops(parseInt(id));
+    
+    if (result.success) {
+      res.json({
+        success: true,
+        data: result.data,
+        count: result.count
+      });
+    } else {
+      res.status(400).json({
+        success: false,
+        message: 'Failed to get booking stops',
+        error: result.error
+      });
+    }
+  } catch (error) {
+    console.error('Error getting booking stops:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get booking stops',
+      error: error.message
+    });
+  }
+});
+
+// Rider adds an intermediate stop; the fare estimate is recomputed
+app.post('/api/bookings/:id/stops', idempotencyMiddleware, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { rider_id, lat, lng, position } = req.body;
+    
+    if (!rider_id || lat === undefined || lng === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required fields: rider_id, lat, lng'
+      });
+    }
+    
+    if (lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+      return res.status(400).json({
+        success: false,
+        message: 'Coordinates are out of range'
+      });
+    }
+    
+    const result = await addBookingStop(parseInt(id), parseInt(rider_id), { lat, lng, position });
+    
+    if (result.success) {
+      res.status(201).json({
+        success: true,
+        message: result.message,
+        data: {
+          stop: result.stop,
+          stops: result.stops,
+          booking: result.booking
+        },
+        fare: result.fare
+      });
+    } else {
+      res.status(failureStatus(result)).json({
+        success: false,
+        message: 'Failed to add stop',
+        error: result.error
+      });
+    }
+  } catch (error) {
+    console.error('Error adding booking stop:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add stop',
+      error: error.message
+    });
+  }
+});
+
+// Rider removes a stop that was not reached yet; the fare estimate is recomputed
+app.delete('/api/bookings/:id/stops/:stopId', idempotencyMiddleware, async (req, res) => {
+  try {
+    const { id, stopId } = req.params;
+    const riderId = req.body.rider_id || req.query.rider_id;
+    
+    if (!riderId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Rider ID is required'
+      });
+    }
+    
+    const result = await removeBookingStop(parseInt(id), parseInt(stopId), parseInt(riderId));
+    
+    if (result.success) {
+      res.json({
+        success: true,
+        message: result.message,
+        data: {
+          stop: result.stop,
+          stops: result.stops,
+          booking: result.booking
+        },
+        fare: result.fare
+      });
+    } else {
+      res.status(failureStatus(result)).json({
+        success: false,
+        message: 'Failed to remove stop',
+        error: result.error
+      });
+    }
+  } catch (error) {
+    console.error('Error removing booking stop:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove stop',
+      error: error.message
+    });
+  }
+});
+
+// Driver reached the next intermediate stop
+app.post('/api/bookings/:id/stops/:stopId/reached', idempotencyMiddleware, async (req, res) => {
+  try {
+    const { id, stopId } = req.params;
+    const { driver_id } = req.body;
+    
+    if (!driver_id) {
+      return res.status(400).json({
+        success: false,
+        message: 'Driver ID is required'
+      });
+    }
+    
+    const result = await markStopReached(parseInt(id), parseInt(stopId), parseInt(driver_id));
+    
+    if (result.success) {
+      res.json({
+        success: true,
+        message: result.message,
+        data: result.stop
+      });
+    } else {
+      res.status(failureStatus(result)).json({
+        success: false,
+        message: 'Failed to mark stop reached',
+        error: result.error
+      });
+    }
+  } catch (error) {
+    console.error('Error marking stop reached:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mark stop reached',
+      error: error.message
+    });
+  }
+});
+
+// Get a shared trip with its stops in visiting order
+app.get('/api/trips/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await getTrip(parseInt(id));
+    
+    if (result.success) {
+      res.json({
+        success: true,
+        data: result.data
+      });
+    } else {
+      res.status(404).json({
+        success: false,
+        message: 'Trip not found',
+        error: result.error
+      });
+    }
+  } catch (error) {
+    console.error('Error getting trip:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get trip',
+      error: error.message
+    });
+  }
+});
+
+// Get booking by ID
+app.get('/api/bookings/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await getBooking(parseInt(id));
+    
+    if (result.success) {
+      res.json({
+        success: true,
+        data: result.data
+      });
+    } else {
+      res.status(404).json({
+        success: false,
+        message: result.error
+      });
+    }
+  } catch (error) {
+    console.error('Error getting booking:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get booking',
+      error: error.message
+    });
+  }
+});
+
+// Get bookings for a user
+app.get('/api/users/:user_id/bookings', async (req, res) => {
+  try {
+    const { user_id } = req.params;
+    const { user_type, status } = req.query;
     
     if (!user_type || !['rider', 'driver'].includes(user_type)) {
       return res.status(400).json({
@@ -688,6 +1426,97 @@ app.get('/api/users/:user_id/bookings', async (req, res) => {
   }
 });
 
+// List held locks with their owners, one SCAN page at a time (admin)
+app.get('/api/locks', requireAdmin, async (req, res) => {
+  try {
+    const { cursor = '0', count, prefix = '' } = req.query;
+    const result = await listLocks({
+      cursor: cursor,
+      count: Math.min(parseInt(count) || 100, 1000),
+      prefix: prefix
+    });
+    
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error listing locks:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list locks',
+      error: error.message
+    });
+  }
+});
+
+// Force-release a stuck lock (admin, audited)
+app.delete('/api/locks/:resource', requireAdmin, async (req, res) => {
+  try {
+    const { resource } = req.params;
+    const reason = (req.body && req.body.reason) || null;
+    const status = await isLocked(resource);
+    
+    if (status.error) {
+      return res.status(500).json({
+        success: false,
+        message: status.error
+      });
+    }
+    
+    if (!status.locked) {
+      return res.status(404).json({
+        success: false,
+        message: `No lock held on ${resource}`
+      });
+    }
+    
+    // Audit before releasing, so a release never happens without its entry
+    await recordAdminAction({
+      action: 'lock.force_release',
+      target: resource,
+      actor: req.adminUser,
+      reason: reason,
+      details: { lockId: status.lockId }
+    });
+    
+    const result = await forceReleaseLock(resource);
+    
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        message: result.error
+      });
+    }
+    
+    if (!result.released) {
+      return res.status(404).json({
+        success: false,
+        message: `No lock held on ${resource}`
+      });
+    }
+    
+    console.warn(`  ${req.adminUser} force-released lock ${resource}${reason ? `: ${reason}` : ''}`);
+    
+    res.json({
+      success: true,
+      message: `Lock on ${resource} released`,
+      data: {
+        resource: resource,
+        lockId: result.lockId,
+        owner: result.owner
+      }
+    });
+  } catch (error) {
+    console.error('Error force-releasing lock:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to release lock',
+      error: error.message
+    });
+  }
+});
+
 // Get lock statistics (for monitoring)
 app.get('/api/locks/stats', async (req, res) => {
   try {
@@ -714,6 +1543,59 @@ app.get('/api/locks/stats', async (req, res) => {
   }
 });
 
+// Get dispatch statistics (offer cascade)
+app.get('/api/dispatch/stats', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: getDispatchStats()
+    });
+  } catch (error) {
+    console.error('Error getting dispatch statistics:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get dispatch statistics',
+      error: error.message
+    });
+  }
+});
+
+// Run batch matching now instead of waiting for the window to close
+app.post('/api/dispatch/batch', async (req, res) => {
+  try {
+    const result = await runBatchDispatch();
+    
+    res.json({
+      success: result.success,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error running batch dispatch:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to run batch dispatch',
+      error: error.message
+    });
+  }
+});
+
+// Get scheduled ride statistics
+app.get('/api/scheduler/stats', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await getSchedulerStats()
+    });
+  } catch (error) {
+    console.error('Error getting scheduler statistics:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get scheduler statistics',
+      error: error.message
+    });
+  }
+});
+
 // Error handling middleware
 app.use((err, req, res, next) => {
   console.error('Unhandled error:', err);
@@ -755,6 +1637,37 @@ const startServer = async () => {
       console.warn('  Redis locking connection failed:', lockRedisError.message);
     }
     
+    // Replay stored responses for retried requests (PostgreSQL fallback without Redis)
+    try {
+      await initIdempotencyRedis();
+    } catch (idempotencyError) {
+      console.warn('  Idempotency Redis failed, using PostgreSQL:', idempotencyError.message);
+    }
+    
+    // Expire offers whose timer was lost with a restarted server
+    startOfferSweeper();
+    
+    // Recompute surge per cell from live supply and demand
+    try {
+      await initSurgeRedis();
+      startSurgeUpdates();
+    } catch (surgeError) {
+      console.warn('  Surge pricing failed:', surgeError.message);
+    }
+    
+    // Wake scheduled rides up before pickup (jobs run on the message queue)
+    try {
+      await initQueueRedis();
+      setSchedulerNotifiers({
+        onEscalated: async (booking, reason) => {
+          console.warn(`  Escalating scheduled booking ${booking.id}: ${reason}`);
+        }
+      });
+      startScheduler();
+    } catch (schedulerError) {
+      console.warn('  Ride scheduler failed:', schedulerError.message);
+    }
+    
     app.listen(PORT, () => {
       const redisInfo = isRedisConnected() ? ' Connected' : ' Not connected (fallback to SQL)';
       
@@ -776,18 +1689,38 @@ Features:
     - GET /api/drivers/:id - Get driver by ID
     - POST /api/drivers - Create driver
     - POST /api/drivers/:id/location - Update location (with Redis sync)
-    - GET /api/drivers/nearby - Find nearby drivers (FAST with Redis!)
+    - GET /api/drivers/nearby - Find nearby drivers, optional ?vehicle_type= (FAST with Redis!)
     - PATCH /api/drivers/:id/status - Update status
 
   • Booking System:
-    - POST /api/bookings - Create booking request
-    - POST /api/bookings/:id/assign - Assign driver (atomic)
-    - POST /api/bookings/:id/accept - Driver accepts booking (atomic)
+    - GET /api/fares/estimate - Estimate fare per vehicle class (includes current surge)
+    - GET /api/surge - Current surge multiplier for ?lat=&lng=
+    - GET /api/surge/stats - Surge pricing statistics
+    - GET /api/matching/strategies - Driver matching strategies
+    - POST /api/bookings - Create booking request, a scheduled ride with scheduled_for, or a ride_type=pool ride (fare quoted by server)
+    - POST /api/bookings/:id/assign - Offer booking to the best driver for ?strategy=, or queue it with mode=batch (atomic)
+    - POST /api/bookings/:id/accept - Driver accepts offer (atomic)
+    - POST /api/bookings/:id/decline - Driver declines offer, next driver is offered
     - POST /api/bookings/:id/cancel - Cancel booking (atomic)
-    - POST /api/bookings/:id/complete - Complete ride (atomic)
+    - POST /api/bookings/:id/arrive - Driver arrived at pickup
+    - POST /api/bookings/:id/start - Rider picked up, trip in progress
+    - POST /api/bookings/:id/no-show - Rider did not show up
+    - POST /api/bookings/:id/complete - Complete ride, fare from recorded trip (atomic)
     - GET /api/bookings/:id - Get booking details
+    - GET /api/bookings/:id/offers - Get offer history
+    - GET /api/bookings/:id/history - Get status transition history
+    - GET /api/bookings/:id/stops - Get intermediate stops
+    - POST /api/bookings/:id/stops - Rider adds a stop (fare re-estimated)
+    - DELETE /api/bookings/:id/stops/:stopId - Rider removes a stop (fare re-estimated)
+    - POST /api/bookings/:id/stops/:stopId/reached - Driver reached the next stop
+    - GET /api/trips/:id - Get a shared (pool) trip and its stops
     - GET /api/users/:user_id/bookings - Get user bookings
-    - GET /api/locks/stats - Get lock statistics
+    - GET /api/locks - List held locks and their owners (admin, ?cursor=&count=&prefix=)
+    - DELETE /api/locks/:resource - Force-release a stuck lock (admin, audited)
+    - GET /api/locks/stats - Get lock statistics and contention counters
+    - GET /api/dispatch/stats - Get dispatch statistics
+    - POST /api/dispatch/batch - Run batch matching now
+    - GET /api/scheduler/stats - Get scheduled ride statistics
 
  Service Status:
   • PostgreSQL:  Connected
@@ -798,7 +1731,7 @@ Features:
   curl "http://localhost:${PORT}/api/drivers/nearby?lat=40.7128&lng=-74.0060&radius=5"
   curl -X POST http://localhost:${PORT}/api/bookings \\
     -H "Content-Type: application/json" \\
-    -d '{"rider_id": 1, "pickup_lat": 40.7128, "pickup_lng": -74.0060, "dropoff_lat": 40.7589, "dropoff_lng": -73.9851, "estimated_fare": 15.50}'
+    -d '{"rider_id": 1, "pickup_lat": 40.7128, "pickup_lng": -74.0060, "dropoff_lat": 40.7589, "dropoff_lng": -73.9851, "vehicle_type": "standard"}'
       `);
     });
   } catch (error) {
@@ -811,6 +1744,13 @@ Features:
 // Graceful shutdown
 process.on('SIGINT', async () => {
   console.log('\n Shutting down server...');
+  closeDispatchService();
+  // Drain queue processors first, their handlers use the services below
+  await closeSchedulingService();
+  await closeQueueService();
+  await closeIdempotencyService();
+  await closeSurgeService();
+  await closeAuditService();
   await closeRedis();
   await pool.end();
   process.exit(0);
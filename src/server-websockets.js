@@ -15,18 +15,81 @@ const {
   closeRedis
 } = require('./redisClient');
 
+const {
+  VEHICLE_CLASSES,
+  DEFAULT_VEHICLE_CLASS,
+  normalizeVehicleType,
+  isValidVehicleType,
+  getVehicleTypeNames
+} = require('./vehicleClasses');
+
+const { estimateFare, estimateAllClasses } = require('./pricingService');
+const { isValidStrategy, listStrategies } = require('./matchingStrategies');
+const {
+  setSchedulerNotifiers,
+  scheduleRide,
+  startScheduler,
+  getSchedulerStats,
+  closeSchedulingService
+} = require('./schedulingService');
+const { getTrip } = require('./poolingService');
+const {
+  initializeRedis: initIdempotencyRedis,
+  idempotencyMiddleware,
+  closeIdempotencyService
+} = require('./idempotencyService');
+const {
+  initializeRedis: initSurgeRedis,
+  getSurge,
+  startSurgeUpdates,
+  getSurgeStats,
+  closeSurgeService
+} = require('./surgeService');
+
 const {
   createBooking,
-  assignDriver,
-  acceptBooking,
   cancelBooking,
+  markDriverArrived,
+  startTrip,
+  markNoShow,
   completeRide,
+  recordTripProgress,
   getBooking,
+  getBookingHistory,
+  addBookingStop,
+  removeBookingStop,
+  markStopReached,
+  getBookingStops,
+  RIDE_TYPES,
+  MAX_BOOKING_STOPS,
   getUserBookings,
+  getBookingOffers,
   getLockStatistics
 } = require('./bookingService');
 
-const { initializeRedis: initLockRedis } = require('./lockService');
+const {
+  setDispatchNotifiers,
+  DISPATCH_MODE,
+  startDispatch,
+  startOfferSweeper,
+  queueBatchDispatch,
+  runBatchDispatch,
+  acceptOffer,
+  declineOffer,
+  stopDispatch,
+  getDispatchStats,
+  closeDispatchService
+} = require('./dispatchService');
+
+const {
+  initializeRedis: initLockRedis,
+  isLocked,
+  listLocks,
+  forceReleaseLock,
+  withReadLocks,
+  withWriteLock
+} = require('./lockService');
+const { recordAdminAction, closeAuditService } = require('./auditService');
 
 // New services
 const {
@@ -35,7 +98,9 @@ const {
   broadcastToRoom,
   broadcastToUser,
   broadcastToUserType,
+  broadcastToTopic,
   broadcastSystemEvent,
+  registerMessageHandler,
   getConnectionStats,
   getActiveConnections,
   closeWebSocketServer
@@ -56,11 +121,17 @@ const {
   initializeRedis: initQueueRedis,
   enqueue,
   process: processQueue,
+  listDeadLetters,
+  replayDeadLetters,
+  purgeDeadLetters,
   getQueueStats,
   getQueueHealth,
+  queueConfigs,
   closeQueueService
 } = require('./queueService');
 
+const { QUEUE_MESSAGE_STATUSES, searchQueueMessages } = require('./queueHistoryService');
+
 const {
   initializeMonitoring,
   recordRequest,
@@ -118,7 +189,7 @@ app.use((req, res, next) => {
 
 // Basic validation middleware
 const validateDriver = (req, res, next) => {
-  const { name, phone } = req.body;
+  const { name, phone, vehicle_type } = req.body;
   
   if (!name || name.length < 2) {
     return res.status(400).json({
@@ -134,6 +205,13 @@ const validateDriver = (req, res, next) => {
     });
   }
   
+  if (vehicle_type && !isValidVehicleType(vehicle_type)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid vehicle_type. Must be one of: ' + VEHICLE_CLASSES.join(', ')
+    });
+  }
+  
   next();
 };
 
@@ -158,12 +236,12 @@ const validateLocation = (req, res, next) => {
 };
 
 const validateBooking = (req, res, next) => {
-  const { rider_id, pickup_lat, pickup_lng, dropoff_lat, dropoff_lng, estimated_fare } = req.body;
+  const { rider_id, pickup_lat, pickup_lng, dropoff_lat, dropoff_lng, vehicle_type, surge_multiplier, strategy, scheduled_for, ride_type, stops } = req.body;
   
-  if (!rider_id || !pickup_lat || !pickup_lng || !dropoff_lat || !dropoff_lng || !estimated_fare) {
+  if (!rider_id || !pickup_lat || !pickup_lng || !dropoff_lat || !dropoff_lng) {
     return res.status(400).json({
       success: false,
-      message: 'Missing required fields: rider_id, pickup_lat, pickup_lng, dropoff_lat, dropoff_lng, estimated_fare'
+      message: 'Missing required fields: rider_id, pickup_lat, pickup_lng, dropoff_lat, dropoff_lng'
     });
   }
   
@@ -181,13 +259,93 @@ const validateBooking = (req, res, next) => {
     });
   }
   
-  if (estimated_fare <= 0) {
+  if (vehicle_type && !isValidVehicleType(vehicle_type)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid vehicle_type. Must be one of: ' + VEHICLE_CLASSES.join(', ')
+    });
+  }
+  
+  if (surge_multiplier !== undefined && !(parseFloat(surge_multiplier) >= 1)) {
+    return res.status(400).json({
+      success: false,
+      message: 'surge_multiplier must be a number of at least 1'
+    });
+  }
+  
+  if (strategy && !isValidStrategy(strategy)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid strategy. Must be one of: ' + listStrategies().map(item => item.name).join(', ')
+    });
+  }
+  
+  if (scheduled_for !== undefined && Number.isNaN(new Date(scheduled_for).getTime())) {
+    return res.status(400).json({
+      success: false,
+      message: 'scheduled_for must be an ISO 8601 date'
+    });
+  }
+  
+  if (ride_type && !RIDE_TYPES.includes(ride_type)) {
     return res.status(400).json({
       success: false,
-      message: 'Estimated fare must be greater than 0'
+      message: 'Invalid ride_type. Must be one of: ' + RIDE_TYPES.join(', ')
+    });
+  }
+  
+  if (stops !== undefined) {
+    if (!Array.isArray(stops) || stops.length > MAX_BOOKING_STOPS) {
+      return res.status(400).json({
+        success: false,
+        message: `stops must be an array of at most ${MAX_BOOKING_STOPS} { lat, lng } objects`
+      });
+    }
+    
+    const invalidStop = stops.find(stop => !stop || stop.lat === undefined || stop.lng === undefined ||
+      stop.lat < -90 || stop.lat > 90 || stop.lng < -180 || stop.lng > 180);
+    if (invalidStop !== undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Every stop needs lat between -90 and 90 and lng between -180 and 180'
+      });
+    }
+  }
+  
+  next();
+};
+
+// Illegal booking status transitions and writes from expired or lost locks are
+// conflicts; other failures are bad requests
+const CONFLICT_CODES = ['INVALID_TRANSITION', 'STALE_LOCK', 'LOCK_LOST'];
+const failureStatus = (result) => (CONFLICT_CODES.includes(result.code) ? 409 : 400);
+
+// Nearby search reads the status of the drivers it found under shared
+// per-driver locks and a status change takes its driver's lock exclusively,
+// so a search never sees a status change half-applied and only waits on
+// (or holds up) the drivers it actually returns
+const driverStateLock = (driverId) => `drivers:state:${driverId}`;
+
+// Admin routes need X-Admin-Token to match ADMIN_API_TOKEN; without one set they are off.
+// X-Admin-User names the operator in the audit log.
+const requireAdmin = (req, res, next) => {
+  const adminToken = process.env.ADMIN_API_TOKEN;
+  
+  if (!adminToken) {
+    return res.status(403).json({
+      success: false,
+      message: 'Admin API is disabled (ADMIN_API_TOKEN is not set)'
     });
   }
   
+  if (req.get('X-Admin-Token') !== adminToken) {
+    return res.status(401).json({
+      success: false,
+      message: 'Valid X-Admin-Token header required'
+    });
+  }
+  
+  req.adminUser = req.get('X-Admin-User') || 'admin';
   next();
 };
 
@@ -365,6 +523,175 @@ app.get('/api/queue/health', async (req, res) => {
   }
 });
 
+// Search queue message history (admin): ?queueName=&status=&from=&to=&limit=&offset=
+app.get('/api/queue/messages', requireAdmin, async (req, res) => {
+  const startTime = Date.now();
+  try {
+    const { queueName, status, from, to, limit, offset } = req.query;
+    
+    if (status && !QUEUE_MESSAGE_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of: ${QUEUE_MESSAGE_STATUSES.join(', ')}`
+      });
+    }
+    
+    const range = { from: from ? new Date(from) : null, to: to ? new Date(to) : null };
+    if ((range.from && isNaN(range.from)) || (range.to && isNaN(range.to))) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be ISO 8601 timestamps'
+      });
+    }
+    
+    const messages = await searchQueueMessages({
+      queueName: queueName,
+      status: status,
+      from: range.from,
+      to: range.to,
+      limit: Math.min(parseInt(limit) || 50, 500),
+      offset: Math.max(parseInt(offset) || 0, 0)
+    });
+    recordDatabaseQuery(Date.now() - startTime);
+    
+    res.json({
+      success: true,
+      data: messages,
+      count: messages.length
+    });
+  } catch (error) {
+    recordDatabaseQuery(Date.now() - startTime, true);
+    console.error('Error searching queue messages:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to search queue messages',
+      error: error.message
+    });
+  }
+});
+
+// Dead letter routes take { ids: [...] } or { all: true } to pick entries
+const deadLetterSelection = (body = {}) => {
+  if (body.all === true) {
+    return { all: true };
+  }
+  if (Array.isArray(body.ids) && body.ids.length > 0) {
+    return { ids: body.ids.map(String) };
+  }
+  return null;
+};
+
+const requireKnownQueue = (req, res, next) => {
+  if (!queueConfigs[req.params.queueName]) {
+    return res.status(404).json({
+      success: false,
+      message: `Unknown queue: ${req.params.queueName}`
+    });
+  }
+  next();
+};
+
+// List dead-lettered messages (admin), newest first
+app.get('/api/queue/:queueName/deadletter', requireAdmin, requireKnownQueue, async (req, res) => {
+  try {
+    const { offset, limit, error = '' } = req.query;
+    const result = await listDeadLetters(req.params.queueName, {
+      offset: Math.max(parseInt(offset) || 0, 0),
+      limit: Math.min(parseInt(limit) || 50, 500),
+      error: error
+    });
+    
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error listing dead letters:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list dead letters',
+      error: error.message
+    });
+  }
+});
+
+// Put dead-lettered messages back on the queue (admin, audited)
+app.post('/api/queue/:queueName/deadletter/replay', requireAdmin, requireKnownQueue, async (req, res) => {
+  try {
+    const { queueName } = req.params;
+    const selection = deadLetterSelection(req.body);
+    
+    if (!selection) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide ids (non-empty array) or all: true'
+      });
+    }
+    
+    const result = await replayDeadLetters(queueName, selection);
+    
+    await recordAdminAction({
+      action: 'queue.deadletter_replay',
+      target: queueName,
+      actor: req.adminUser,
+      reason: req.body.reason || null,
+      details: { ...selection, replayed: result.replayed }
+    });
+    
+    res.json({
+      success: true,
+      message: `Replayed ${result.replayed.length} of ${result.requested} dead-lettered messages`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error replaying dead letters:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to replay dead letters',
+      error: error.message
+    });
+  }
+});
+
+// Delete dead-lettered messages (admin, audited)
+app.delete('/api/queue/:queueName/deadletter', requireAdmin, requireKnownQueue, async (req, res) => {
+  try {
+    const { queueName } = req.params;
+    const selection = deadLetterSelection(req.body);
+    
+    if (!selection) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide ids (non-empty array) or all: true'
+      });
+    }
+    
+    const result = await purgeDeadLetters(queueName, selection);
+    
+    await recordAdminAction({
+      action: 'queue.deadletter_purge',
+      target: queueName,
+      actor: req.adminUser,
+      reason: req.body.reason || null,
+      details: { ...selection, purged: result.purged }
+    });
+    console.warn(`  ${req.adminUser} purged ${result.purged} dead-lettered messages from ${queueName}`);
+    
+    res.json({
+      success: true,
+      message: `Purged ${result.purged} dead-lettered messages`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error purging dead letters:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to purge dead letters',
+      error: error.message
+    });
+  }
+});
+
 // Driver management routes with monitoring
 
 // Get all drivers
@@ -394,7 +721,7 @@ app.get('/api/drivers', async (req, res) => {
 app.get('/api/drivers/nearby', async (req, res) => {
   const startTime = Date.now();
   try {
-    const { lat, lng, radius = 5 } = req.query;
+    const { lat, lng, radius = 5, vehicle_type } = req.query;
     
     if (!lat || !lng) {
       return res.status(400).json({
@@ -403,76 +730,98 @@ app.get('/api/drivers/nearby', async (req, res) => {
       });
     }
     
+    if (vehicle_type && !isValidVehicleType(vehicle_type)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid vehicle_type. Must be one of: ' + VEHICLE_CLASSES.join(', ')
+      });
+    }
+    
+    const vehicleClass = vehicle_type ? normalizeVehicleType(vehicle_type) : null;
+    
     const queryStartTime = Date.now();
     
+    let fallbackNote = 'Redis not available, using SQL fallback';
+    
     // Try Redis first (fast path)
     if (isRedisConnected()) {
       try {
-        const nearbyDrivers = await findNearbyDrivers(lat, lng, parseFloat(radius));
+        const nearbyDrivers = await findNearbyDrivers(lat, lng, parseFloat(radius), 10, vehicleClass);
         recordRedisOperation(Date.now() - queryStartTime);
         
-        // Fetch full driver details from PostgreSQL for the nearby drivers
-        if (nearbyDrivers.length > 0) {
-          const driverIds = nearbyDrivers.map(d => d.id);
-          const placeholders = driverIds.map((_, i) => `$${i + 1}`).join(',');
-          
-          const driverResult = await pool.query(
-            `SELECT id, name, phone, lat, lng, status, vehicle_type, rating 
-             FROM drivers 
-             WHERE id IN (${placeholders}) AND status = 'online'`,
-            driverIds
-          );
-          recordDatabaseQuery(Date.now() - queryStartTime);
-          
-          // Merge Redis results with driver details
-          const driversWithDistance = driverResult.rows.map(driver => {
-            const redisData = nearbyDrivers.find(r => r.id === driver.id);
-            return {
-              ...driver,
-              distance: redisData ? redisData.distance : null
-            };
-          });
-          
-          const endTime = Date.now();
-          const queryTime = endTime - startTime;
-          
-          return res.json({
-            success: true,
-            data: driversWithDistance,
-            performance: {
-              queryTime: queryTime + 'ms',
-              driversFound: driversWithDistance.length,
-              method: 'Redis Geo (Optimized)',
-              note: 'Using Redis GEO for fast proximity search!'
-            },
-            searchParams: {
-              lat: parseFloat(lat),
-              lng: parseFloat(lng),
-              radius: parseFloat(radius)
-            }
-          });
+        // Shared with other searches; a status change of one of these drivers waits for it
+        return await withReadLocks(nearbyDrivers.map(d => driverStateLock(d.id)), async () => {
+          // Fetch full driver details from PostgreSQL for the nearby drivers
+          if (nearbyDrivers.length > 0) {
+            const driverIds = nearbyDrivers.map(d => d.id);
+            const placeholders = driverIds.map((_, i) => `$${i + 1}`).join(',');
+            
+            const driverResult = await pool.query(
+              `SELECT id, name, phone, lat, lng, status, vehicle_type, rating 
+               FROM drivers 
+               WHERE id IN (${placeholders}) AND status = 'online'`,
+              driverIds
+            );
+            recordDatabaseQuery(Date.now() - queryStartTime);
+            
+            // Merge Redis results with driver details
+            const driversWithDistance = driverResult.rows.map(driver => {
+              const redisData = nearbyDrivers.find(r => r.id === driver.id);
+              return {
+                ...driver,
+                distance: redisData ? redisData.distance : null
+              };
+            });
+            
+            const endTime = Date.now();
+            const queryTime = endTime - startTime;
+            
+            return res.json({
+              success: true,
+              data: driversWithDistance,
+              performance: {
+                queryTime: queryTime + 'ms',
+                driversFound: driversWithDistance.length,
+                method: 'Redis Geo (Optimized)',
+                note: 'Using Redis GEO for fast proximity search!'
+              },
+              searchParams: {
+                lat: parseFloat(lat),
+                lng: parseFloat(lng),
+                radius: parseFloat(radius),
+                vehicle_type: vehicleClass
+              }
+            });
+          } else {
+            const endTime = Date.now();
+            const queryTime = endTime - startTime;
+            
+            return res.json({
+              success: true,
+              data: [],
+              performance: {
+                queryTime: queryTime + 'ms',
+                driversFound: 0,
+                method: 'Redis Geo (Optimized)'
+              },
+              searchParams: {
+                lat: parseFloat(lat),
+                lng: parseFloat(lng),
+                radius: parseFloat(radius),
+                vehicle_type: vehicleClass
+              }
+            });
+          }
+        }, { operation: 'findNearbyDrivers', ttlSeconds: 10, retryAttempts: 5, retryDelayMs: 20 });
+      } catch (redisError) {
+        if (redisError.code === 'LOCK_UNAVAILABLE') {
+          // Not a Redis failure: one of the drivers found is changing status right now
+          fallbackNote = 'Driver status changing, using SQL fallback';
+          console.warn(`Driver state locked (${redisError.resource}), falling back to SQL`);
         } else {
-          const endTime = Date.now();
-          const queryTime = endTime - startTime;
-          
-          return res.json({
-            success: true,
-            data: [],
-            performance: {
-              queryTime: queryTime + 'ms',
-              driversFound: 0,
-              method: 'Redis Geo (Optimized)'
-            },
-            searchParams: {
-              lat: parseFloat(lat),
-              lng: parseFloat(lng),
-              radius: parseFloat(radius)
-            }
-          });
+          recordRedisOperation(Date.now() - queryStartTime, true);
+          console.error('Redis error, falling back to SQL:', redisError);
         }
-      } catch (redisError) {
-        recordRedisOperation(Date.now() - queryStartTime, true);
-        console.error('Redis error, falling back to SQL:', redisError);
         // Fall through to SQL fallback
       }
     }
@@ -490,9 +839,10 @@ app.get('/api/drivers/nearby', async (req, res) => {
         AND (6371 * acos(cos(radians($1)) * cos(radians(lat)) * 
              cos(radians(lng) - radians($2)) + sin(radians($1)) * 
              sin(radians(lat)))) <= $3
+        AND ($4::text[] IS NULL OR COALESCE(vehicle_type, $5) = ANY($4::text[]))
       ORDER BY distance
       LIMIT 10
-    `, [lat, lng, radius]);
+    `, [lat, lng, radius, vehicleClass ? getVehicleTypeNames(vehicleClass) : null, DEFAULT_VEHICLE_CLASS]);
     
     recordDatabaseQuery(Date.now() - queryStartTime);
     const endTime = Date.now();
@@ -505,12 +855,13 @@ app.get('/api/drivers/nearby', async (req, res) => {
         queryTime: queryTime + 'ms',
         driversFound: result.rows.length,
         method: 'SQL (Fallback)',
-        note: 'Redis not available, using SQL fallback'
+        note: fallbackNote
       },
       searchParams: {
         lat: parseFloat(lat),
         lng: parseFloat(lng),
-        radius: parseFloat(radius)
+        radius: parseFloat(radius),
+        vehicle_type: vehicleClass
       }
     });
   } catch (error) {
@@ -562,7 +913,7 @@ app.post('/api/drivers', validateDriver, async (req, res) => {
     
     const result = await pool.query(
       'INSERT INTO drivers (name, phone, email, vehicle_type) VALUES ($1, $2, $3, $4) RETURNING *',
-      [name, phone, email, vehicle_type]
+      [name, phone, email, normalizeVehicleType(vehicle_type)]
     );
     recordDatabaseQuery(Date.now() - startTime);
     
@@ -619,7 +970,7 @@ app.post('/api/drivers/:id/location', validateLocation, async (req, res) => {
     // If driver is online, update Redis
     if (driver.status === 'online' && isRedisConnected()) {
       try {
-        await addDriverLocation(id, lat, lng);
+        await addDriverLocation(id, lat, lng, driver.vehicle_type);
         recordRedisOperation(Date.now() - startTime);
       } catch (redisError) {
         recordRedisOperation(Date.now() - startTime, true);
@@ -628,6 +979,27 @@ app.post('/api/drivers/:id/location', validateLocation, async (req, res) => {
       }
     }
     
+    // Busy drivers are on a trip: the first ping after accepting puts them en
+    // route, and pings during the trip make up the distance that is billed
+    if (driver.status === 'busy') {
+      const progress = await recordTripProgress(driver.id, lat, lng);
+      
+      for (const booking of progress.departed || []) {
+        await publishBookingEvent('driver_en_route', booking);
+        
+        broadcastToUser('rider', booking.rider_id, {
+          type: 'driver_en_route',
+          data: {
+            booking_id: booking.id,
+            driver_id: booking.driver_id,
+            lat: parseFloat(lat),
+            lng: parseFloat(lng),
+            timestamp: Date.now()
+          }
+        });
+      }
+    }
+    
     // Publish location update event
     await publishDriverEvent('location_updated', {
       ...driver,
@@ -677,10 +1049,11 @@ app.patch('/api/drivers/:id/status', async (req, res) => {
       });
     }
     
-    const result = await pool.query(
+    // Exclusive against nearby searches reading this driver's state
+    const result = await withWriteLock(driverStateLock(id), () => pool.query(
       'UPDATE drivers SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *',
       [status, id]
-    );
+    ), { operation: 'updateDriverStatus', ttlSeconds: 10, retryAttempts: 10, retryDelayMs: 20 });
     recordDatabaseQuery(Date.now() - startTime);
     
     if (result.rows.length === 0) {
@@ -710,6 +1083,12 @@ app.patch('/api/drivers/:id/status', async (req, res) => {
     });
   } catch (error) {
     recordDatabaseQuery(Date.now() - startTime, true);
+    if (error.code === 'LOCK_UNAVAILABLE') {
+      return res.status(503).json({
+        success: false,
+        message: 'Driver state is busy, retry shortly'
+      });
+    }
     console.error('Error updating status:', error);
     res.status(500).json({
       success: false,
@@ -721,105 +1100,227 @@ app.patch('/api/drivers/:id/status', async (req, res) => {
 
 // Booking System with Distributed Locking (Enhanced with real-time features)
 
-// Create a new booking request
-app.post('/api/bookings', validateBooking, async (req, res) => {
-  const startTime = Date.now();
+// Estimate the fare for a trip (all vehicle classes unless vehicle_type is given)
+app.get('/api/fares/estimate', async (req, res) => {
   try {
-    const result = await createBooking(req.body);
-    recordDatabaseQuery(Date.now() - startTime);
+    const { pickup_lat, pickup_lng, dropoff_lat, dropoff_lng, vehicle_type } = req.query;
     
-    if (result.success) {
-      // Publish booking creation event
-      await publishBookingEvent('created', result.data);
-      
-      // Broadcast to rider
-      broadcastToUser('rider', req.body.rider_id, {
-        type: 'booking_created',
-        data: {
-          booking_id: result.data.id,
-          status: result.data.status,
-          estimated_fare: result.data.estimated_fare,
-          timestamp: Date.now()
-        }
-      });
-      
-      // Enqueue booking processing task
-      await enqueue('booking_queue', {
-        type: 'process_new_booking',
-        booking_id: result.data.id,
-        rider_id: req.body.rider_id
+    if (!pickup_lat || !pickup_lng || !dropoff_lat || !dropoff_lng) {
+      return res.status(400).json({
+        success: false,
+        message: 'pickup_lat, pickup_lng, dropoff_lat and dropoff_lng are required'
       });
-      
-      res.status(201).json({
-        success: true,
-        message: 'Booking request created successfully',
-        data: result.data
+    }
+    
+    if ([pickup_lat, dropoff_lat].some(lat => lat < -90 || lat > 90) ||
+        [pickup_lng, dropoff_lng].some(lng => lng < -180 || lng > 180)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Coordinates are out of range'
       });
-    } else {
-      res.status(400).json({
+    }
+    
+    if (vehicle_type && !isValidVehicleType(vehicle_type)) {
+      return res.status(400).json({
         success: false,
-        message: 'Failed to create booking',
-        error: result.error
+        message: 'Invalid vehicle_type. Must be one of: ' + VEHICLE_CLASSES.join(', ')
       });
     }
+    
+    const trip = { pickup_lat, pickup_lng, dropoff_lat, dropoff_lng, vehicle_type };
+    const surge = await getSurge(pickup_lat, pickup_lng);
+    const options = { surgeMultiplier: surge.multiplier };
+    
+    res.json({
+      success: true,
+      data: vehicle_type ? estimateFare(trip, options) : estimateAllClasses(trip, options),
+      surge: surge
+    });
   } catch (error) {
-    recordDatabaseQuery(Date.now() - startTime, true);
-    console.error('Error creating booking:', error);
+    console.error('Error estimating fare:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to create booking',
+      message: 'Failed to estimate fare',
       error: error.message
     });
   }
 });
 
-// Assign a driver to a booking (atomic operation with locking)
-app.post('/api/bookings/:id/assign', async (req, res) => {
-  const startTime = Date.now();
+// Current surge multiplier for a location
+app.get('/api/surge', async (req, res) => {
   try {
-    const { id } = req.params;
-    const result = await assignDriver(parseInt(id));
-    recordDatabaseQuery(Date.now() - startTime);
+    const { lat, lng } = req.query;
     
-    if (result.success) {
-      // Publish booking assignment event
-      await publishBookingEvent('assigned', result.booking);
-      
-      // Broadcast to both rider and driver
-      broadcastToUser('rider', result.booking.rider_id, {
-        type: 'booking_assigned',
-        data: {
-          booking_id: parseInt(id),
-          driver: result.driver,
-          eta: '5 minutes', // This would be calculated
-          timestamp: Date.now()
-        }
+    if (!lat || !lng) {
+      return res.status(400).json({
+        success: false,
+        message: 'Latitude and longitude are required'
       });
-      
-      broadcastToUser('driver', result.driver.id, {
-        type: 'booking_assigned',
-        data: {
-          booking_id: parseInt(id),
-          rider_id: result.booking.rider_id,
-          pickup_location: {
-            lat: result.booking.pickup_lat,
-            lng: result.booking.pickup_lng
-          },
-          estimated_fare: result.booking.estimated_fare,
+    }
+    
+    if (lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+      return res.status(400).json({
+        success: false,
+        message: 'Coordinates are out of range'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: await getSurge(lat, lng)
+    });
+  } catch (error) {
+    console.error('Error getting surge:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get surge',
+      error: error.message
+    });
+  }
+});
+
+// Surge pricing statistics
+app.get('/api/surge/stats', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await getSurgeStats()
+    });
+  } catch (error) {
+    console.error('Error getting surge stats:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get surge stats',
+      error: error.message
+    });
+  }
+});
+
+// Driver matching strategies available to bookings and dispatch
+app.get('/api/matching/strategies', (req, res) => {
+  res.json({
+    success: true,
+    data: listStrategies()
+  });
+});
+
+// Create a new booking request
+app.post('/api/bookings', validateBooking, idempotencyMiddleware, async (req, res) => {
+  const startTime = Date.now();
+  try {
+    const result = await createBooking(req.body);
+    recordDatabaseQuery(Date.now() - startTime);
+    
+    if (result.success) {
+      // Publish booking creation event
+      await publishBookingEvent('created', result.data);
+      
+      // Broadcast to rider
+      broadcastToUser('rider', req.body.rider_id, {
+        type: 'booking_created',
+        data: {
+          booking_id: result.data.id,
+          status: result.data.status,
+          estimated_fare: result.data.estimated_fare,
           timestamp: Date.now()
         }
       });
       
+      // Scheduled rides are matched by the scheduler shortly before pickup
+      if (result.data.status === 'scheduled') {
+        await scheduleRide(result.data);
+        await publishBookingEvent('scheduled', result.data, {
+          additionalData: { scheduled_for: result.data.scheduled_for }
+        });
+      }
+      
+      // Enqueue booking processing task
+      await enqueue('booking_queue', {
+        type: 'process_new_booking',
+        booking_id: result.data.id,
+        rider_id: req.body.rider_id
+      });
+      
+      res.status(201).json({
+        success: true,
+        message: 'Booking request created successfully',
+        data: result.data,
+        fare: result.fare
+      });
+    } else {
+      res.status(400).json({
+        success: false,
+        message: 'Failed to create booking',
+        error: result.error,
+        surge_multiplier: result.surge_multiplier
+      });
+    }
+  } catch (error) {
+    recordDatabaseQuery(Date.now() - startTime, true);
+    console.error('Error creating booking:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create booking',
+      error: error.message
+    });
+  }
+});
+
+// Offer a booking to the nearest available driver (starts the offer cascade)
+app.post('/api/bookings/:id/assign', idempotencyMiddleware, async (req, res) => {
+  const startTime = Date.now();
+  try {
+    const { id } = req.params;
+    const mode = req.body.mode || req.query.mode || DISPATCH_MODE;
+    const strategy = req.body.strategy || req.query.strategy;
+    
+    if (strategy && !isValidStrategy(strategy)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid strategy. Must be one of: ' + listStrategies().map(item => item.name).join(', ')
+      });
+    }
+    
+    // In batch mode the offer is pushed to the driver once the window closes
+    if (mode === 'batch') {
+      const queued = queueBatchDispatch(parseInt(id));
+      return res.status(202).json({
+        success: true,
+        message: queued.message,
+        data: queued
+      });
+    }
+    
+    const result = await startDispatch(parseInt(id), { strategy });
+    recordDatabaseQuery(Date.now() - startTime);
+    
+    // The city is busy; matching continues in the background
+    if (result.retrying) {
+      return res.status(202).json({
+        success: true,
+        message: result.error,
+        data: { bookingId: parseInt(id), retryInMs: result.retryInMs }
+      });
+    }
+    
+    if (result.success) {
       res.json({
         success: true,
         message: result.message,
-        data: {
-          booking: result.booking,
-          driver: result.driver
-        }
+        data: result.pooled
+          ? {
+            booking: result.booking,
+            trip: result.trip,
+            stops: result.stops
+          }
+          : {
+            booking: result.booking,
+            driver: result.driver,
+            offer: result.offer
+          }
       });
     } else {
-      res.status(400).json({
+      res.status(failureStatus(result)).json({
         success: false,
         message: 'Failed to assign driver',
         error: result.error
@@ -836,8 +1337,8 @@ app.post('/api/bookings/:id/assign', async (req, res) => {
   }
 });
 
-// Driver accepts a booking (atomic operation)
-app.post('/api/bookings/:id/accept', async (req, res) => {
+// Driver accepts a booking offer (atomic operation)
+app.post('/api/bookings/:id/accept', idempotencyMiddleware, async (req, res) => {
   const startTime = Date.now();
   try {
     const { id } = req.params;
@@ -850,180 +1351,690 @@ app.post('/api/bookings/:id/accept', async (req, res) => {
       });
     }
     
-    const result = await acceptBooking(parseInt(id), parseInt(driver_id));
+    const result = await acceptOffer(parseInt(id), parseInt(driver_id));
+    recordDatabaseQuery(Date.now() - startTime);
+    
+    if (result.success) {
+      res.json({
+        success: true,
+        message: result.message,
+        data: result.booking
+      });
+    } else {
+      res.status(failureStatus(result)).json({
+        success: false,
+        message: 'Failed to accept booking',
+        error: result.error
+      });
+    }
+  } catch (error) {
+    recordDatabaseQuery(Date.now() - startTime, true);
+    console.error('Error accepting booking:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to accept booking',
+      error: error.message
+    });
+  }
+});
+
+// Driver declines a booking offer (advances the cascade to the next driver)
+app.post('/api/bookings/:id/decline', idempotencyMiddleware, async (req, res) => {
+  const startTime = Date.now();
+  try {
+    const { id } = req.params;
+    const { driver_id, reason } = req.body;
+    
+    if (!driver_id) {
+      return res.status(400).json({
+        success: false,
+        message: 'Driver ID is required'
+      });
+    }
+    
+    const result = await declineOffer(parseInt(id), parseInt(driver_id), reason);
+    recordDatabaseQuery(Date.now() - startTime);
+    
+    if (result.success) {
+      res.json({
+        success: true,
+        message: result.message,
+        data: {
+          offer: result.offer,
+          next_offer: result.next.success ? result.next.offer : null,
+          dispatch_error: result.next.success ? null : result.next.error
+        }
+      });
+    } else {
+      res.status(failureStatus(result)).json({
+        success: false,
+        message: 'Failed to decline booking',
+        error: result.error
+      });
+    }
+  } catch (error) {
+    recordDatabaseQuery(Date.now() - startTime, true);
+    console.error('Error declining booking:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to decline booking',
+      error: error.message
+    });
+  }
+});
+
+// Get the offer history of a booking
+app.get('/api/bookings/:id/offers', async (req, res) => {
+  const startTime = Date.now();
+  try {
+    const { id } = req.params;
+    const result = await getBookingOffers(parseInt(id));
+    recordDatabaseQuery(Date.now() - startTime);
+    
+    if (result.success) {
+      res.json({
+        success: true,
+        data: result.data,
+        count: result.count
+      });
+    } else {
+      res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+  } catch (error) {
+    recordDatabaseQuery(Date.now() - startTime, true);
+    console.error('Error getting booking offers:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get booking offers',
+      error: error.message
+    });
+  }
+});
+
+// Cancel a booking (atomic operation)
+app.post('/api/bookings/:id/cancel', idempotencyMiddleware, async (req, res) => {
+  const startTime = Date.now();
+  try {
+    const { id } = req.params;
+    const { reason, user_id, user_type } = req.body;
+    
+    if (!reason || !user_id || !user_type) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reason, user_id, and user_type are required'
+      });
+    }
+    
+    if (!['rider', 'driver'].includes(user_type)) {
+      return res.status(400).json({
+        success: false,
+        message: 'user_type must be either "rider" or "driver"'
+      });
+    }
+    
+    const result = await cancelBooking(parseInt(id), reason, parseInt(user_id), user_type);
     recordDatabaseQuery(Date.now() - startTime);
     
     if (result.success) {
-      // Publish booking acceptance event
-      await publishBookingEvent('accepted', result.booking);
+      stopDispatch(parseInt(id));
       
-      // Broadcast to rider
+      // Publish booking cancellation event
+      await publishBookingEvent('cancelled', result.booking);
+      
+      // Broadcast cancellation
       broadcastToUser('rider', result.booking.rider_id, {
-        type: 'booking_accepted',
+        type: 'booking_cancelled',
         data: {
           booking_id: parseInt(id),
-          driver_id: parseInt(driver_id),
-          status: result.booking.status,
+          reason: reason,
+          cancelled_by: user_type,
           timestamp: Date.now()
         }
       });
       
+      if (result.booking.driver_id) {
+        broadcastToUser('driver', result.booking.driver_id, {
+          type: 'booking_cancelled',
+          data: {
+            booking_id: parseInt(id),
+            reason: reason,
+            cancelled_by: user_type,
+            timestamp: Date.now()
+          }
+        });
+      }
+      
+      res.json({
+        success: true,
+        message: result.message,
+        data: result.booking
+      });
+    } else {
+      res.status(failureStatus(result)).json({
+        success: false,
+        message: 'Failed to cancel booking',
+        error: result.error
+      });
+    }
+  } catch (error) {
+    recordDatabaseQuery(Date.now() - startTime, true);
+    console.error('Error cancelling booking:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel booking',
+      error: error.message
+    });
+  }
+});
+
+// Driver arrived at the pickup
+app.post('/api/bookings/:id/arrive', idempotencyMiddleware, async (req, res) => {
+  const startTime = Date.now();
+  try {
+    const { id } = req.params;
+    const { driver_id } = req.body;
+    
+    if (!driver_id) {
+      return res.status(400).json({
+        success: false,
+        message: 'Driver ID is required'
+      });
+    }
+    
+    const result = await markDriverArrived(parseInt(id), parseInt(driver_id));
+    recordDatabaseQuery(Date.now() - startTime);
+    
+    if (result.success) {
+      await publishBookingEvent('arrived', result.booking);
+      
+      broadcastToUser('rider', result.booking.rider_id, {
+        type: 'driver_arrived',
+        data: {
+          booking_id: result.booking.id,
+          driver_id: result.booking.driver_id,
+          status: result.booking.status,
+          timestamp: Date.now()
+        }
+      });
+      
+      res.json({
+        success: true,
+        message: result.message,
+        data: result.booking
+      });
+    } else {
+      res.status(failureStatus(result)).json({
+        success: false,
+        message: 'Failed to mark driver arrived',
+        error: result.error
+      });
+    }
+  } catch (error) {
+    recordDatabaseQuery(Date.now() - startTime, true);
+    console.error('Error marking driver arrived:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mark driver arrived',
+      error: error.message
+    });
+  }
+});
+
+// Rider is in the car, trip starts
+app.post('/api/bookings/:id/start', idempotencyMiddleware, async (req, res) => {
+  const startTime = Date.now();
+  try {
+    const { id } = req.params;
+    const { driver_id } = req.body;
+    
+    if (!driver_id) {
+      return res.status(400).json({
+        success: false,
+        message: 'Driver ID is required'
+      });
+    }
+    
+    const result = await startTrip(parseInt(id), parseInt(driver_id));
+    recordDatabaseQuery(Date.now() - startTime);
+    
+    if (result.success) {
+      await publishBookingEvent('started', result.booking);
+      
+      broadcastToUser('rider', result.booking.rider_id, {
+        type: 'trip_started',
+        data: {
+          booking_id: result.booking.id,
+          driver_id: result.booking.driver_id,
+          status: result.booking.status,
+          timestamp: Date.now()
+        }
+      });
+      
+      res.json({
+        success: true,
+        message: result.message,
+        data: result.booking
+      });
+    } else {
+      res.status(failureStatus(result)).json({
+        success: false,
+        message: 'Failed to start trip',
+        error: result.error
+      });
+    }
+  } catch (error) {
+    recordDatabaseQuery(Date.now() - startTime, true);
+    console.error('Error starting trip:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start trip',
+      error: error.message
+    });
+  }
+});
+
+// Rider did not show up at the pickup
+app.post('/api/bookings/:id/no-show', idempotencyMiddleware, async (req, res) => {
+  const startTime = Date.now();
+  try {
+    const { id } = req.params;
+    const { driver_id } = req.body;
+    
+    if (!driver_id) {
+      return res.status(400).json({
+        success: false,
+        message: 'Driver ID is required'
+      });
+    }
+    
+    const result = await markNoShow(parseInt(id), parseInt(driver_id));
+    recordDatabaseQuery(Date.now() - startTime);
+    
+    if (result.success) {
+      await publishBookingEvent('no_show', result.booking);
+      
+      broadcastToUser('rider', result.booking.rider_id, {
+        type: 'rider_no_show',
+        data: {
+          booking_id: result.booking.id,
+          driver_id: result.booking.driver_id,
+          status: result.booking.status,
+          timestamp: Date.now()
+        }
+      });
+      
+      res.json({
+        success: true,
+        message: result.message,
+        data: result.booking
+      });
+    } else {
+      res.status(failureStatus(result)).json({
+        success: false,
+        message: 'Failed to mark no-show',
+        error: result.error
+      });
+    }
+  } catch (error) {
+    recordDatabaseQuery(Date.now() - startTime, true);
+    console.error('Error marking no-show:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mark no-show',
+      error: error.message
+    });
+  }
+});
+
+// Complete a ride (atomic operation)
+app.post('/api/bookings/:id/complete', idempotencyMiddleware, async (req, res) => {
+  const startTime = Date.now();
+  try {
+    const { id } = req.params;
+    const { driver_id } = req.body;
+    
+    if (!driver_id) {
+      return res.status(400).json({
+        success: false,
+        message: 'Driver ID is required'
+      });
+    }
+    
+    // The fare is computed from the recorded trip, not taken from the driver
+    const result = await completeRide(parseInt(id), parseInt(driver_id));
+    recordDatabaseQuery(Date.now() - startTime);
+    
+    if (result.success) {
+      // Publish ride completion event
+      await publishBookingEvent('completed', result.booking);
+      
+      // Broadcast completion to both parties
+      broadcastToUser('rider', result.booking.rider_id, {
+        type: 'ride_completed',
+        data: {
+          booking_id: parseInt(id),
+          actual_fare: result.booking.actual_fare,
+          estimated_fare: result.booking.estimated_fare,
+          fare: result.fare,
+          timestamp: Date.now()
+        }
+      });
+      
+      broadcastToUser('driver', parseInt(driver_id), {
+        type: 'ride_completed',
+        data: {
+          booking_id: parseInt(id),
+          actual_fare: result.booking.actual_fare,
+          timestamp: Date.now()
+        }
+      });
+      
+      res.json({
+        success: true,
+        message: result.message,
+        data: result.booking,
+        fare: result.fare
+      });
+    } else {
+      res.status(failureStatus(result)).json({
+        success: false,
+        message: 'Failed to complete ride',
+        error: result.error
+      });
+    }
+  } catch (error) {
+    recordDatabaseQuery(Date.now() - startTime, true);
+    console.error('Error completing ride:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to complete ride',
+      error: error.message
+    });
+  }
+});
+
+// Get booking status history
+app.get('/api/bookings/:id/history', async (req, res) => {
+  const startTime = Date.now();
+  try {
+    const { id } = req.params;
+    const result = await getBookingHistory(parseInt(id));
+    recordDatabaseQuery(Date.now() - startTime);
+    
+    if (result.success) {
+      res.json({
+        success: true,
+        data: result.data,
+        count: result.count
+      });
+    } else {
+      res.status(400).json({
+        success: false,
+        message: 'Failed to get booking history',
+        error: result.error
+      });
+    }
+  } catch (error) {
+    recordDatabaseQuery(Date.now() - startTime, true);
+    console.error('Error getting booking history:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get booking history',
+      error: error.message
+    });
+  }
+});
+
+// Get the intermediate stops of a booking
+app.get('/api/bookings/:id/stops', async (req, res) => {
+  const startTime = Date.now();
+  try {
+    const { id } = req.params;
+    const result = await getBookingStops(parseInt(id));
+    recordDatabaseQuery(Date.now() - startTime);
+    
+    if (result.success) {
+      res.json({
+        success: true,
+        data: result.data,
+        count: result.count
+      });
+    } else {
+      res.status(400).json({
+        success: false,
+        message: 'Failed to get booking stops',
+        error: result.error
+      });
+    }
+  } catch (error) {
+    recordDatabaseQuery(Date.now() - startTime, true);
+    console.error('Error getting booking stops:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get booking stops',
+      error: error.message
+    });
+  }
+});
+
+// Rider adds an intermediate stop; the fare estimate is recomputed
+app.post('/api/bookings/:id/stops', idempotencyMiddleware, async (req, res) => {
+  const startTime = Date.now();
+  try {
+    const { id } = req.params;
+    const { rider_id, lat, lng, position } = req.body;
+    
+    if (!rider_id || lat === undefined || lng === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required fields: rider_id, lat, lng'
+      });
+    }
+    
+    if (lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+      return res.status(400).json({
+        success: false,
+        message: 'Coordinates are out of range'
+      });
+    }
+    
+    const result = await addBookingStop(parseInt(id), parseInt(rider_id), { lat, lng, position });
+    recordDatabaseQuery(Date.now() - startTime);
+    
+    if (result.success) {
+      await publishBookingEvent('stop_added', result.booking, {
+        additionalData: { stop_id: result.stop.id, estimated_fare: result.fare.total }
+      });
+      
+      // The driver follows the new route
+      if (result.booking.driver_id) {
+        broadcastToUser('driver', result.booking.driver_id, {
+          type: 'booking_stops_updated',
+          data: {
+            booking_id: result.booking.id,
+            stops: result.stops,
+            estimated_fare: result.booking.estimated_fare,
+            timestamp: Date.now()
+          }
+        });
+      }
+      
+      res.status(201).json({
+        success: true,
+        message: result.message,
+        data: {
+          stop: result.stop,
+          stops: result.stops,
+          booking: result.booking
+        },
+        fare: result.fare
+      });
+    } else {
+      res.status(failureStatus(result)).json({
+        success: false,
+        message: 'Failed to add stop',
+        error: result.error
+      });
+    }
+  } catch (error) {
+    recordDatabaseQuery(Date.now() - startTime, true);
+    console.error('Error adding booking stop:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add stop',
+      error: error.message
+    });
+  }
+});
+
+// Rider removes a stop that was not reached yet; the fare estimate is recomputed
+app.delete('/api/bookings/:id/stops/:stopId', idempotencyMiddleware, async (req, res) => {
+  const startTime = Date.now();
+  try {
+    const { id, stopId } = req.params;
+    const riderId = req.body.rider_id || req.query.rider_id;
+    
+    if (!riderId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Rider ID is required'
+      });
+    }
+    
+    const result = await removeBookingStop(parseInt(id), parseInt(stopId), parseInt(riderId));
+    recordDatabaseQuery(Date.now() - startTime);
+    
+    if (result.success) {
+      await publishBookingEvent('stop_removed', result.booking, {
+        additionalData: { stop_id: result.stop.id, estimated_fare: result.fare.total }
+      });
+      
+      // The driver follows the new route
+      if (result.booking.driver_id) {
+        broadcastToUser('driver', result.booking.driver_id, {
+          type: 'booking_stops_updated',
+          data: {
+            booking_id: result.booking.id,
+            stops: result.stops,
+            estimated_fare: result.booking.estimated_fare,
+            timestamp: Date.now()
+          }
+        });
+      }
+      
       res.json({
         success: true,
         message: result.message,
-        data: result.booking
+        data: {
+          stop: result.stop,
+          stops: result.stops,
+          booking: result.booking
+        },
+        fare: result.fare
       });
     } else {
-      res.status(400).json({
+      res.status(failureStatus(result)).json({
         success: false,
-        message: 'Failed to accept booking',
+        message: 'Failed to remove stop',
         error: result.error
       });
     }
   } catch (error) {
     recordDatabaseQuery(Date.now() - startTime, true);
-    console.error('Error accepting booking:', error);
+    console.error('Error removing booking stop:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to accept booking',
+      message: 'Failed to remove stop',
       error: error.message
     });
   }
 });
 
-// Cancel a booking (atomic operation)
-app.post('/api/bookings/:id/cancel', async (req, res) => {
+// Driver reached the next intermediate stop
+app.post('/api/bookings/:id/stops/:stopId/reached', idempotencyMiddleware, async (req, res) => {
   const startTime = Date.now();
   try {
-    const { id } = req.params;
-    const { reason, user_id, user_type } = req.body;
-    
-    if (!reason || !user_id || !user_type) {
-      return res.status(400).json({
-        success: false,
-        message: 'Reason, user_id, and user_type are required'
-      });
-    }
+    const { id, stopId } = req.params;
+    const { driver_id } = req.body;
     
-    if (!['rider', 'driver'].includes(user_type)) {
+    if (!driver_id) {
       return res.status(400).json({
         success: false,
-        message: 'user_type must be either "rider" or "driver"'
+        message: 'Driver ID is required'
       });
     }
     
-    const result = await cancelBooking(parseInt(id), reason, parseInt(user_id), user_type);
+    const result = await markStopReached(parseInt(id), parseInt(stopId), parseInt(driver_id));
     recordDatabaseQuery(Date.now() - startTime);
     
     if (result.success) {
-      // Publish booking cancellation event
-      await publishBookingEvent('cancelled', result.booking);
+      await publishBookingEvent('stop_reached', result.booking, {
+        additionalData: { stop_id: result.stop.id, sequence: result.stop.sequence }
+      });
       
-      // Broadcast cancellation
       broadcastToUser('rider', result.booking.rider_id, {
-        type: 'booking_cancelled',
+        type: 'stop_reached',
         data: {
-          booking_id: parseInt(id),
-          reason: reason,
-          cancelled_by: user_type,
+          booking_id: result.booking.id,
+          stop_id: result.stop.id,
+          lat: result.stop.lat,
+          lng: result.stop.lng,
           timestamp: Date.now()
         }
       });
       
-      if (result.booking.driver_id) {
-        broadcastToUser('driver', result.booking.driver_id, {
-          type: 'booking_cancelled',
-          data: {
-            booking_id: parseInt(id),
-            reason: reason,
-            cancelled_by: user_type,
-            timestamp: Date.now()
-          }
-        });
-      }
-      
       res.json({
         success: true,
         message: result.message,
-        data: result.booking
+        data: result.stop
       });
     } else {
-      res.status(400).json({
+      res.status(failureStatus(result)).json({
         success: false,
-        message: 'Failed to cancel booking',
+        message: 'Failed to mark stop reached',
         error: result.error
       });
     }
   } catch (error) {
     recordDatabaseQuery(Date.now() - startTime, true);
-    console.error('Error cancelling booking:', error);
+    console.error('Error marking stop reached:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to cancel booking',
+      message: 'Failed to mark stop reached',
       error: error.message
     });
   }
 });
 
-// Complete a ride (atomic operation)
-app.post('/api/bookings/:id/complete', async (req, res) => {
+// Get a shared trip with its stops in visiting order
+app.get('/api/trips/:id', async (req, res) => {
   const startTime = Date.now();
   try {
     const { id } = req.params;
-    const { driver_id, actual_fare } = req.body;
-    
-    if (!driver_id || !actual_fare) {
-      return res.status(400).json({
-        success: false,
-        message: 'Driver ID and actual fare are required'
-      });
-    }
-    
-    const result = await completeRide(parseInt(id), parseInt(driver_id), parseFloat(actual_fare));
+    const result = await getTrip(parseInt(id));
     recordDatabaseQuery(Date.now() - startTime);
     
     if (result.success) {
-      // Publish ride completion event
-      await publishBookingEvent('completed', result.booking);
-      
-      // Broadcast completion to both parties
-      broadcastToUser('rider', result.booking.rider_id, {
-        type: 'ride_completed',
-        data: {
-          booking_id: parseInt(id),
-          actual_fare: parseFloat(actual_fare),
-          estimated_fare: result.booking.estimated_fare,
-          timestamp: Date.now()
-        }
-      });
-      
-      broadcastToUser('driver', parseInt(driver_id), {
-        type: 'ride_completed',
-        data: {
-          booking_id: parseInt(id),
-          actual_fare: parseFloat(actual_fare),
-          timestamp: Date.now()
-        }
-      });
-      
       res.json({
         success: true,
-        message: result.message,
-        data: result.booking
+        data: result.data
       });
     } else {
-      res.status(400).json({
+      res.status(404).json({
         success: false,
-        message: 'Failed to complete ride',
+        message: 'Trip not found',
         error: result.error
       });
     }
   } catch (error) {
     recordDatabaseQuery(Date.now() - startTime, true);
-    console.error('Error completing ride:', error);
+    console.error('Error getting trip:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to complete ride',
+      message: 'Failed to get trip',
       error: error.message
     });
   }
@@ -1099,6 +2110,97 @@ app.get('/api/users/:user_id/bookings', async (req, res) => {
   }
 });
 
+// List held locks with their owners, one SCAN page at a time (admin)
+app.get('/api/locks', requireAdmin, async (req, res) => {
+  try {
+    const { cursor = '0', count, prefix = '' } = req.query;
+    const result = await listLocks({
+      cursor: cursor,
+      count: Math.min(parseInt(count) || 100, 1000),
+      prefix: prefix
+    });
+    
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error listing locks:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list locks',
+      error: error.message
+    });
+  }
+});
+
+// Force-release a stuck lock (admin, audited)
+app.delete('/api/locks/:resource', requireAdmin, async (req, res) => {
+  try {
+    const { resource } = req.params;
+    const reason = (req.body && req.body.reason) || null;
+    const status = await isLocked(resource);
+    
+    if (status.error) {
+      return res.status(500).json({
+        success: false,
+        message: status.error
+      });
+    }
+    
+    if (!status.locked) {
+      return res.status(404).json({
+        success: false,
+        message: `No lock held on ${resource}`
+      });
+    }
+    
+    // Audit before releasing, so a release never happens without its entry
+    await recordAdminAction({
+      action: 'lock.force_release',
+      target: resource,
+      actor: req.adminUser,
+      reason: reason,
+      details: { lockId: status.lockId }
+    });
+    
+    const result = await forceReleaseLock(resource);
+    
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        message: result.error
+      });
+    }
+    
+    if (!result.released) {
+      return res.status(404).json({
+        success: false,
+        message: `No lock held on ${resource}`
+      });
+    }
+    
+    console.warn(`  ${req.adminUser} force-released lock ${resource}${reason ? `: ${reason}` : ''}`);
+    
+    res.json({
+      success: true,
+      message: `Lock on ${resource} released`,
+      data: {
+        resource: resource,
+        lockId: result.lockId,
+        owner: result.owner
+      }
+    });
+  } catch (error) {
+    console.error('Error force-releasing lock:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to release lock',
+      error: error.message
+    });
+  }
+});
+
 // Get lock statistics (for monitoring)
 app.get('/api/locks/stats', async (req, res) => {
   try {
@@ -1125,6 +2227,59 @@ app.get('/api/locks/stats', async (req, res) => {
   }
 });
 
+// Get dispatch statistics (offer cascade)
+app.get('/api/dispatch/stats', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: getDispatchStats()
+    });
+  } catch (error) {
+    console.error('Error getting dispatch statistics:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get dispatch statistics',
+      error: error.message
+    });
+  }
+});
+
+// Run batch matching now instead of waiting for the window to close
+app.post('/api/dispatch/batch', async (req, res) => {
+  try {
+    const result = await runBatchDispatch();
+    
+    res.json({
+      success: result.success,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error running batch dispatch:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to run batch dispatch',
+      error: error.message
+    });
+  }
+});
+
+// Get scheduled ride statistics
+app.get('/api/scheduler/stats', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await getSchedulerStats()
+    });
+  } catch (error) {
+    console.error('Error getting scheduler statistics:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get scheduler statistics',
+      error: error.message
+    });
+  }
+});
+
 // Error handling middleware
 app.use((err, req, res, next) => {
   console.error('Unhandled error:', err);
@@ -1172,6 +2327,13 @@ const startServer = async () => {
       console.warn('  Redis locking connection failed:', lockRedisError.message);
     }
     
+    // Replay stored responses for retried requests (PostgreSQL fallback without Redis)
+    try {
+      await initIdempotencyRedis();
+    } catch (idempotencyError) {
+      console.warn('  Idempotency Redis failed, using PostgreSQL:', idempotencyError.message);
+    }
+    
     // Initialize WebSocket service
     try {
       // Pass the existing Redis client to WebSocket service to avoid conflicts
@@ -1179,6 +2341,29 @@ const startServer = async () => {
       await initWebSocketRedis(existingRedisClient);
       initializeWebSocketServer(server);
       console.log(' WebSocket server initialized');
+      
+      // Drivers answer offers over their socket as well as over HTTP
+      registerMessageHandler('offer_accept', async (socketInfo, data) => {
+        if (socketInfo.userType !== 'driver') {
+          throw new Error('Only drivers can accept offers');
+        }
+        const result = await acceptOffer(parseInt(data.booking_id), parseInt(socketInfo.userId));
+        if (!result.success) {
+          throw new Error(result.error);
+        }
+        return { booking_id: result.booking.id, status: result.booking.status };
+      });
+      
+      registerMessageHandler('offer_decline', async (socketInfo, data) => {
+        if (socketInfo.userType !== 'driver') {
+          throw new Error('Only drivers can decline offers');
+        }
+        const result = await declineOffer(parseInt(data.booking_id), parseInt(socketInfo.userId), data.reason);
+        if (!result.success) {
+          throw new Error(result.error);
+        }
+        return { booking_id: result.offer.booking_id, offer_id: result.offer.id, status: result.offer.status };
+      });
     } catch (wsError) {
       console.warn('  WebSocket service failed:', wsError.message);
     }
@@ -1217,10 +2402,152 @@ const startServer = async () => {
         }
       });
       
+      // Only one server recomputes surge each interval, so every server
+      // learns of changes through the event and pushes them to subscribers
+      // of the 'surge' topic (every cell) or 'surge:<cell>' (a single cell)
+      await subscribeToEvent('surge:updated', async (event) => {
+        for (const cell of event.data.cells) {
+          const message = {
+            type: 'surge_update',
+            data: cell
+          };
+          broadcastToTopic('surge', message);
+          broadcastToTopic(`surge:${cell.cell}`, message);
+        }
+      });
+      
     } catch (eventError) {
       console.warn('  Event service failed:', eventError.message);
     }
     
+    // Push offer cascade updates to drivers and riders
+    setDispatchNotifiers({
+      onOffer: async (booking, driver, offer) => {
+        await publishBookingEvent('offered', booking, {
+          additionalData: { offer_id: offer.id, offer_rank: offer.rank, expires_at: offer.expires_at }
+        });
+        
+        broadcastToUser('driver', driver.id, {
+          type: 'booking_offer',
+          data: {
+            booking_id: booking.id,
+            offer_id: offer.id,
+            rider_id: booking.rider_id,
+            pickup_location: {
+              lat: booking.pickup_lat,
+              lng: booking.pickup_lng
+            },
+            dropoff_location: {
+              lat: booking.dropoff_lat,
+              lng: booking.dropoff_lng
+            },
+            estimated_fare: booking.estimated_fare,
+            distance: driver.distance,
+            expires_at: offer.expires_at,
+            timestamp: Date.now()
+          }
+        });
+      },
+      onAccepted: async (booking, offer) => {
+        await publishBookingEvent('accepted', booking);
+        
+        broadcastToUser('rider', booking.rider_id, {
+          type: 'booking_accepted',
+          data: {
+            booking_id: booking.id,
+            driver_id: booking.driver_id,
+            status: booking.status,
+            timestamp: Date.now()
+          }
+        });
+      },
+      onOfferClosed: async (offer) => {
+        broadcastToUser('driver', offer.driver_id, {
+          type: 'booking_offer_closed',
+          data: {
+            booking_id: offer.booking_id,
+            offer_id: offer.id,
+            status: offer.status,
+            timestamp: Date.now()
+          }
+        });
+      },
+      onExhausted: async (bookingId, reason) => {
+        const booking = await getBooking(bookingId);
+        if (!booking.success || booking.data.status !== 'pending') {
+          return;
+        }
+        
+        await publishBookingEvent('unmatched', booking.data, {
+          additionalData: { reason }
+        });
+        
+        broadcastToUser('rider', booking.data.rider_id, {
+          type: 'booking_unmatched',
+          data: {
+            booking_id: bookingId,
+            reason: reason,
+            timestamp: Date.now()
+          }
+        });
+      },
+      onPooled: async ({ booking, trip, stops, coRiders, addedKm }) => {
+        await publishBookingEvent('pooled', booking, {
+          additionalData: { trip_id: trip.id, added_km: addedKm }
+        });
+        
+        broadcastToUser('rider', booking.rider_id, {
+          type: 'booking_accepted',
+          data: {
+            booking_id: booking.id,
+            driver_id: booking.driver_id,
+            status: booking.status,
+            trip_id: trip.id,
+            co_riders: coRiders.length,
+            timestamp: Date.now()
+          }
+        });
+        
+        // Riders already on the trip learn they are sharing the car
+        for (const coRider of coRiders) {
+          broadcastToUser('rider', coRider.rider_id, {
+            type: 'co_rider_added',
+            data: {
+              booking_id: coRider.booking_id,
+              trip_id: trip.id,
+              added_km: addedKm,
+              timestamp: Date.now()
+            }
+          });
+        }
+        
+        broadcastToUser('driver', trip.driver_id, {
+          type: 'trip_stops_updated',
+          data: {
+            trip_id: trip.id,
+            booking_id: booking.id,
+            stops: stops,
+            timestamp: Date.now()
+          }
+        });
+      }
+    });
+    
+    // Expire offers whose timer was lost with a restarted server
+    startOfferSweeper();
+    
+    // Recompute surge per cell and announce changes to every server
+    try {
+      await initSurgeRedis();
+      startSurgeUpdates({
+        onUpdate: async (cells) => {
+          await publishEvent('surge:updated', { cells });
+        }
+      });
+    } catch (surgeError) {
+      console.warn('  Surge pricing failed:', surgeError.message);
+    }
+    
     // Initialize Queue service
     try {
       await initQueueRedis();
@@ -1242,6 +2569,50 @@ const startServer = async () => {
         // Process analytics data here
       });
       
+      // Scheduled rides: remind the rider, match ahead of pickup and
+      // escalate when nobody accepted in time
+      setSchedulerNotifiers({
+        onReminder: async (booking, minutesUntilPickup) => {
+          broadcastToUser('rider', booking.rider_id, {
+            type: 'scheduled_ride_reminder',
+            data: {
+              booking_id: booking.id,
+              scheduled_for: booking.scheduled_for,
+              minutes_until_pickup: minutesUntilPickup,
+              timestamp: Date.now()
+            }
+          });
+        },
+        onDispatching: async (booking) => {
+          await publishBookingEvent('matching', booking);
+          
+          broadcastToUser('rider', booking.rider_id, {
+            type: 'scheduled_ride_matching',
+            data: {
+              booking_id: booking.id,
+              scheduled_for: booking.scheduled_for,
+              timestamp: Date.now()
+            }
+          });
+        },
+        onEscalated: async (booking, reason) => {
+          await publishBookingEvent('escalated', booking, {
+            additionalData: { reason, scheduled_for: booking.scheduled_for }
+          });
+          
+          broadcastToUser('rider', booking.rider_id, {
+            type: 'scheduled_ride_unmatched',
+            data: {
+              booking_id: booking.id,
+              scheduled_for: booking.scheduled_for,
+              reason: reason,
+              timestamp: Date.now()
+            }
+          });
+        }
+      });
+      startScheduler();
+      
     } catch (queueError) {
       console.warn('  Queue service failed:', queueError.message);
     }
@@ -1269,18 +2640,38 @@ Features:
     - GET /api/drivers/:id - Get driver by ID
     - POST /api/drivers - Create driver
     - POST /api/drivers/:id/location - Update location (with Redis sync)
-    - GET /api/drivers/nearby - Find nearby drivers (FAST with Redis!)
+    - GET /api/drivers/nearby - Find nearby drivers, optional ?vehicle_type= (FAST with Redis!)
     - PATCH /api/drivers/:id/status - Update status
 
   • Booking System:
-    - POST /api/bookings - Create booking request
-    - POST /api/bookings/:id/assign - Assign driver (atomic)
-    - POST /api/bookings/:id/accept - Driver accepts booking (atomic)
+    - GET /api/fares/estimate - Estimate fare per vehicle class (includes current surge)
+    - GET /api/surge - Current surge multiplier for ?lat=&lng=
+    - GET /api/surge/stats - Surge pricing statistics
+    - GET /api/matching/strategies - Driver matching strategies
+    - POST /api/bookings - Create booking request, a scheduled ride with scheduled_for, or a ride_type=pool ride (fare quoted by server)
+    - POST /api/bookings/:id/assign - Offer booking to the best driver for ?strategy=, or queue it with mode=batch (atomic)
+    - POST /api/bookings/:id/accept - Driver accepts offer (atomic)
+    - POST /api/bookings/:id/decline - Driver declines offer, next driver is offered
     - POST /api/bookings/:id/cancel - Cancel booking (atomic)
-    - POST /api/bookings/:id/complete - Complete ride (atomic)
+    - POST /api/bookings/:id/arrive - Driver arrived at pickup
+    - POST /api/bookings/:id/start - Rider picked up, trip in progress
+    - POST /api/bookings/:id/no-show - Rider did not show up
+    - POST /api/bookings/:id/complete - Complete ride, fare from recorded trip (atomic)
     - GET /api/bookings/:id - Get booking details
+    - GET /api/bookings/:id/offers - Get offer history
+    - GET /api/bookings/:id/history - Get status transition history
+    - GET /api/bookings/:id/stops - Get intermediate stops
+    - POST /api/bookings/:id/stops - Rider adds a stop (fare re-estimated)
+    - DELETE /api/bookings/:id/stops/:stopId - Rider removes a stop (fare re-estimated)
+    - POST /api/bookings/:id/stops/:stopId/reached - Driver reached the next stop
+    - GET /api/trips/:id - Get a shared (pool) trip and its stops
     - GET /api/users/:user_id/bookings - Get user bookings
-    - GET /api/locks/stats - Get lock statistics
+    - GET /api/locks - List held locks and their owners (admin, ?cursor=&count=&prefix=)
+    - DELETE /api/locks/:resource - Force-release a stuck lock (admin, audited)
+    - GET /api/locks/stats - Get lock statistics and contention counters
+    - GET /api/dispatch/stats - Get dispatch statistics
+    - POST /api/dispatch/batch - Run batch matching now
+    - GET /api/scheduler/stats - Get scheduled ride statistics
 
   • Real-time & Monitoring:
     - GET /api/metrics - System metrics
@@ -1290,6 +2681,10 @@ Features:
     - GET /api/events/stats - Event system statistics
     - GET /api/queue/stats - Queue statistics
     - GET /api/queue/health - Queue health status
+    - GET /api/queue/messages - Search message history (admin, ?queueName=&status=&from=&to=)
+    - GET /api/queue/:queueName/deadletter - List dead letters (admin, ?offset=&limit=&error=)
+    - POST /api/queue/:queueName/deadletter/replay - Replay dead letters (admin, audited)
+    - DELETE /api/queue/:queueName/deadletter - Purge dead letters (admin, audited)
 
  Service Status:
   • PostgreSQL: Connected
@@ -1320,10 +2715,16 @@ process.on('SIGINT', async () => {
   console.log('\n Shutting down server...');
   
   try {
+    closeDispatchService();
+    // Drain queue processors first, their handlers use the services below
+    await closeSchedulingService();
+    await closeQueueService();
+    await closeIdempotencyService();
+    await closeSurgeService();
+    await closeAuditService();
     await closeRedis();
     await closeWebSocketServer();
     await closeEventService();
-    await closeQueueService();
     await closeMonitoring();
     await pool.end();
     console.log(' All services closed gracefully');
@@ -0,0 +1,370 @@
+const { createRedisClient } = require('./redisBackend');
+const { withLock, LockUnavailableError } = require('./lockService');
+const { Pool } = require('pg');
+require('dotenv').config();
+
+/**
+ * Surge Pricing Service
+ *
+ * This module computes a surge multiplier per geohash cell from live supply
+ * (online drivers in the Redis 'drivers' GEO set) and demand (pending bookings).
+ * Multipliers are smoothed between runs, capped, and kept in one Redis hash.
+ * Every server runs the update loop, but each interval only the server holding
+ * the surge:update lock recomputes; all servers quote from the shared hash.
+ */
+
+let redisClient = null;
+let surgeInterval = null;
+
+const pool = new Pool({
+  host: process.env.DB_HOST || 'localhost',
+  port: process.env.DB_PORT || 5432,
+  database: process.env.DB_NAME || 'uber_matching',
+  user: process.env.DB_USER || 'postgres',
+  password: process.env.DB_PASSWORD || 'password'
+});
+
+// Surge configuration
+const surgeConfig = {
+  cellPrecision: parseInt(process.env.SURGE_CELL_PRECISION) || 5, // ~4.9km x 4.9km cells
+  intervalMs: parseInt(process.env.SURGE_INTERVAL_MS) || 30000,
+  demandWindowMinutes: 15, // pending bookings older than this no longer count
+  sensitivity: 0.5, // multiplier added per unit of demand above supply
+  smoothing: 0.3, // weight of the newest reading in the moving average
+  maxMultiplier: parseFloat(process.env.SURGE_MAX_MULTIPLIER) || 3.0,
+  ttlSeconds: 300
+};
+
+const SURGE_KEY = 'surge:cells'; // cell -> JSON { cell, multiplier, supply, demand, updatedAt }
+const SURGE_UPDATED_AT_KEY = 'surge:updatedAt';
+const SURGE_LOCK = 'surge:update';
+const GEOHASH_ALPHABET = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+/**
+ * Initialize Redis client for surge pricing
+ */
+const initializeRedis = async () => {
+  try {
+    redisClient = createRedisClient({
+      url: `redis://${process.env.REDIS_HOST || 'localhost'}:${process.env.REDIS_PORT || 6379}`,
+      socket: {
+        reconnectStrategy: (retries) => {
+          if (retries > 10) {
+            console.error(' Redis Surge connection failed after 10 attempts');
+            return false;
+          }
+          return retries * 100;
+        }
+      }
+    });
+
+    redisClient.on('error', (err) => {
+      console.error(' Redis Surge Error:', err);
+    });
+
+    await redisClient.connect();
+    console.log(' Surge Pricing Redis client initialized');
+  } catch (error) {
+    console.error(' Failed to initialize Surge Pricing Redis:', error);
+    throw error;
+  }
+};
+
+/**
+ * Encode a coordinate as a geohash
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {number} precision - Number of characters
+ * @returns {string} Geohash
+ */
+const encodeGeohash = (lat, lng, precision = surgeConfig.cellPrecision) => {
+  const latRange = [-90, 90];
+  const lngRange = [-180, 180];
+  let hash = '';
+  let bits = 0;
+  let bitCount = 0;
+  let evenBit = true;
+
+  while (hash.length < precision) {
+    const range = evenBit ? lngRange : latRange;
+    const value = evenBit ? lng : lat;
+    const mid = (range[0] + range[1]) / 2;
+
+    if (value >= mid) {
+      bits = (bits << 1) | 1;
+      range[0] = mid;
+    } else {
+      bits = bits << 1;
+      range[1] = mid;
+    }
+
+    evenBit = !evenBit;
+    if (++bitCount === 5) {
+      hash += GEOHASH_ALPHABET[bits];
+      bits = 0;
+      bitCount = 0;
+    }
+  }
+
+  return hash;
+};
+
+/**
+ * Get the surge cell for a coordinate
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {string} Cell ID
+ */
+const getCellId = (lat, lng) => {
+  return encodeGeohash(parseFloat(lat), parseFloat(lng));
+};
+
+/**
+ * Count online drivers per cell from the Redis GEO set
+ * @returns {Promise<Map<string, number>>} cell -> driver count
+ */
+const countSupply = async () => {
+  const supply = new Map();
+  const members = await redisClient.zRange('drivers', 0, -1);
+
+  if (members.length === 0) {
+    return supply;
+  }
+
+  // The GEO set keeps drivers that went busy or offline, so filter on status
+  const onlineResult = await pool.query("SELECT id FROM drivers WHERE status = 'online'");
+  const onlineIds = new Set(onlineResult.rows.map(row => `driver:${row.id}`));
+  const onlineMembers = members.filter(member => onlineIds.has(member));
+
+  if (onlineMembers.length === 0) {
+    return supply;
+  }
+
+  // GEOHASH returns 11-character standard geohashes; a prefix is the cell
+  const hashes = await redisClient.geoHash('drivers', onlineMembers);
+  for (const hash of hashes) {
+    if (hash) {
+      const cell = hash.slice(0, surgeConfig.cellPrecision);
+      supply.set(cell, (supply.get(cell) || 0) + 1);
+    }
+  }
+
+  return supply;
+};
+
+/**
+ * Count recent pending bookings per cell
+ * @returns {Promise<Map<string, number>>} cell -> booking count
+ */
+const countDemand = async () => {
+  const demand = new Map();
+  const result = await pool.query(`
+    SELECT pickup_lat, pickup_lng
+    FROM bookings
+    WHERE status = 'pending'
+      AND created_at >= CURRENT_TIMESTAMP - $1::int * INTERVAL '1 minute'
+  `, [surgeConfig.demandWindowMinutes]);
+
+  for (const booking of result.rows) {
+    const cell = getCellId(booking.pickup_lat, booking.pickup_lng);
+    demand.set(cell, (demand.get(cell) || 0) + 1);
+  }
+
+  return demand;
+};
+
+/**
+ * Turn a demand/supply reading into a target multiplier
+ * @param {number} demand - Pending bookings in the cell
+ * @param {number} supply - Online drivers in the cell
+ * @returns {number} Unsmoothed multiplier
+ */
+const rawMultiplier = (demand, supply) => {
+  const ratio = demand / Math.max(supply, 1);
+  const multiplier = 1 + Math.max(ratio - 1, 0) * surgeConfig.sensitivity;
+  return Math.min(multiplier, surgeConfig.maxMultiplier);
+};
+
+/**
+ * Read every cell from the shared hash
+ * @returns {Promise<Map<string, Object>>} cell -> { cell, multiplier, supply, demand, updatedAt }
+ */
+const readCells = async () => {
+  const stored = await redisClient.hGetAll(SURGE_KEY);
+  return new Map(Object.entries(stored).map(([cell, state]) => [cell, JSON.parse(state)]));
+};
+
+/**
+ * Recompute surge multipliers for every active cell
+ *
+ * Runs under the surge:update lock and is skipped when another server holds
+ * it or already recomputed within the last half interval, so readings are
+ * smoothed once per interval however many servers are up.
+ * @returns {Promise<Object[]>} Cells whose multiplier changed
+ */
+const updateSurge = async () => {
+  try {
+    return await withLock(SURGE_LOCK, async () => {
+      const lastUpdate = parseInt(await redisClient.get(SURGE_UPDATED_AT_KEY)) || 0;
+      if (Date.now() - lastUpdate < surgeConfig.intervalMs / 2) {
+        return [];
+      }
+
+      const [supply, demand, cellState] = await Promise.all([countSupply(), countDemand(), readCells()]);
+      const cells = new Set([...supply.keys(), ...demand.keys(), ...cellState.keys()]);
+      const changed = [];
+      const now = Date.now();
+
+      for (const cell of cells) {
+        const cellSupply = supply.get(cell) || 0;
+        const cellDemand = demand.get(cell) || 0;
+        const previous = cellState.get(cell);
+        const target = rawMultiplier(cellDemand, cellSupply);
+
+        // Exponential moving average keeps prices from jumping on a single reading
+        const smoothed = previous
+          ? previous.multiplier + (target - previous.multiplier) * surgeConfig.smoothing
+          : target;
+        const multiplier = Math.min(Math.round(smoothed * 10) / 10, surgeConfig.maxMultiplier);
+
+        // Forget cells that have settled back to no surge with nothing going on
+        if (multiplier <= 1 && cellSupply === 0 && cellDemand === 0) {
+          cellState.delete(cell);
+          if (previous && previous.multiplier > 1) {
+            changed.push({ cell, multiplier: 1, supply: 0, demand: 0, updatedAt: now });
+          }
+          continue;
+        }
+
+        const state = { cell, multiplier, supply: cellSupply, demand: cellDemand, updatedAt: now };
+        cellState.set(cell, state);
+
+        if (!previous || previous.multiplier !== multiplier) {
+          changed.push(state);
+        }
+      }
+
+      const multi = redisClient.multi().del(SURGE_KEY);
+      for (const [cell, state] of cellState) {
+        multi.hSet(SURGE_KEY, cell, JSON.stringify(state));
+      }
+      multi.expire(SURGE_KEY, surgeConfig.ttlSeconds);
+      multi.set(SURGE_UPDATED_AT_KEY, String(now), { EX: surgeConfig.ttlSeconds });
+      await multi.exec();
+
+      return changed;
+    }, { operation: 'updateSurge', retryAttempts: 1, fair: false });
+  } catch (error) {
+    if (error instanceof LockUnavailableError) {
+      // Another server is recomputing this interval
+      return [];
+    }
+    throw error;
+  }
+};
+
+/**
+ * Get the current surge for a location
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {Promise<Object>} { cell, multiplier, supply, demand, updatedAt }
+ */
+const getSurge = async (lat, lng) => {
+  const cell = getCellId(lat, lng);
+  const noSurge = { cell, multiplier: 1, supply: null, demand: null, updatedAt: null };
+
+  if (redisClient && redisClient.isReady) {
+    try {
+      const stored = await redisClient.hGet(SURGE_KEY, cell);
+      if (stored) {
+        return JSON.parse(stored);
+      }
+    } catch (error) {
+      console.error(' Error reading surge from Redis:', error);
+    }
+  }
+
+  return noSurge;
+};
+
+/**
+ * Get the current surge multiplier for a location
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {Promise<number>} Multiplier (1 when there is no surge)
+ */
+const getSurgeMultiplier = async (lat, lng) => {
+  const surge = await getSurge(lat, lng);
+  return surge.multiplier;
+};
+
+/**
+ * Start recomputing surge on an interval
+ * @param {Object} options - Options
+ * @param {Function} options.onUpdate - Called with the cells whose multiplier changed
+ */
+const startSurgeUpdates = ({ onUpdate = async () => {} } = {}) => {
+  if (surgeInterval) {
+    return;
+  }
+
+  const run = async () => {
+    try {
+      const changed = await updateSurge();
+      if (changed.length > 0) {
+        await onUpdate(changed);
+      }
+    } catch (error) {
+      console.error(' Error updating surge pricing:', error);
+    }
+  };
+
+  run();
+  surgeInterval = setInterval(run, surgeConfig.intervalMs);
+  console.log(` Surge pricing updates every ${surgeConfig.intervalMs}ms`);
+};
+
+/**
+ * Get surge statistics
+ * @returns {Promise<Object>} Surge statistics
+ */
+const getSurgeStats = async () => {
+  const cells = Array.from((await readCells()).values());
+  return {
+    activeCells: cells.length,
+    surgingCells: cells.filter(cell => cell.multiplier > 1).length,
+    maxMultiplier: cells.reduce((max, cell) => Math.max(max, cell.multiplier), 1),
+    config: surgeConfig
+  };
+};
+
+/**
+ * Close surge service
+ */
+const closeSurgeService = async () => {
+  try {
+    if (surgeInterval) {
+      clearInterval(surgeInterval);
+      surgeInterval = null;
+    }
+
+    if (redisClient) {
+      await redisClient.quit();
+      console.log(' Surge Redis client closed');
+    }
+
+    await pool.end();
+  } catch (error) {
+    console.error(' Error closing surge service:', error);
+  }
+};
+
+module.exports = {
+  initializeRedis,
+  getCellId,
+  getSurge,
+  getSurgeMultiplier,
+  startSurgeUpdates,
+  getSurgeStats,
+  closeSurgeService
+};
@@ -0,0 +1,151 @@
+require('dotenv').config();
+
+/**
+ * Vehicle Classes
+ *
+ * This module defines the vehicle classes a booking can request, which driver
+ * classes are allowed to serve them, and the Redis GEO key used per class.
+ */
+
+// Supported vehicle classes
+const VEHICLE_CLASSES = ['standard', 'xl', 'premium'];
+
+// Default class for bookings and drivers without one
+const DEFAULT_VEHICLE_CLASS = 'standard';
+
+// Rider seats per class available to pool rides
+const POOL_SEATS = {
+  standard: 3,
+  xl: 5,
+  premium: 3
+};
+
+// Legacy driver vehicle types mapped onto classes
+const VEHICLE_TYPE_ALIASES = {
+  economy: 'standard',
+  sedan: 'standard',
+  suv: 'xl',
+  luxury: 'premium'
+};
+
+// Upgrade rules: which higher classes may serve a booking class, and how long
+// (in seconds) the driver must have been without a ride before being offered one
+const DEFAULT_UPGRADE_RULES = {
+  standard: [
+    { vehicleType: 'xl', minIdleSeconds: 300 },
+    { vehicleType: 'premium', minIdleSeconds: 600 }
+  ],
+  xl: [],
+  premium: []
+};
+
+/**
+ * Load upgrade rules, allowing VEHICLE_UPGRADE_RULES (JSON) to override defaults
+ * @returns {Object} Upgrade rules keyed by booking class
+ */
+const loadUpgradeRules = () => {
+  if (!process.env.VEHICLE_UPGRADE_RULES) {
+    return DEFAULT_UPGRADE_RULES;
+  }
+
+  try {
+    return {
+      ...DEFAULT_UPGRADE_RULES,
+      ...JSON.parse(process.env.VEHICLE_UPGRADE_RULES)
+    };
+  } catch (error) {
+    console.error(' Invalid VEHICLE_UPGRADE_RULES, using defaults:', error.message);
+    return DEFAULT_UPGRADE_RULES;
+  }
+};
+
+const upgradeRules = loadUpgradeRules();
+
+/**
+ * Map a vehicle type (including legacy names) to a supported class
+ * @param {string} vehicleType - Vehicle type as stored or requested
+ * @returns {string|null} Vehicle class, or null if unknown
+ */
+const normalizeVehicleType = (vehicleType) => {
+  if (!vehicleType) {
+    return DEFAULT_VEHICLE_CLASS;
+  }
+
+  const type = String(vehicleType).toLowerCase();
+
+  if (VEHICLE_CLASSES.includes(type)) {
+    return type;
+  }
+
+  return VEHICLE_TYPE_ALIASES[type] || null;
+};
+
+/**
+ * Check whether a vehicle type maps to a supported class
+ * @param {string} vehicleType - Vehicle type
+ * @returns {boolean}
+ */
+const isValidVehicleType = (vehicleType) => {
+  return normalizeVehicleType(vehicleType) !== null;
+};
+
+/**
+ * Get every stored vehicle_type value that maps to a class (for SQL filters)
+ * @param {string} vehicleClass - Vehicle class
+ * @returns {string[]} The class name and its legacy aliases
+ */
+const getVehicleTypeNames = (vehicleClass) => {
+  const normalized = normalizeVehicleType(vehicleClass);
+
+  return [
+    normalized,
+    ...Object.keys(VEHICLE_TYPE_ALIASES).filter(alias => VEHICLE_TYPE_ALIASES[alias] === normalized)
+  ];
+};
+
+/**
+ * Get the driver classes that may serve a booking class
+ * @param {string} bookingClass - Requested vehicle class
+ * @returns {Array<{vehicleType: string, upgrade: boolean, minIdleSeconds: number}>}
+ */
+const getCompatibleClasses = (bookingClass) => {
+  const vehicleType = normalizeVehicleType(bookingClass) || DEFAULT_VEHICLE_CLASS;
+
+  return [
+    { vehicleType, upgrade: false, minIdleSeconds: 0 },
+    ...(upgradeRules[vehicleType] || []).map(rule => ({
+      vehicleType: rule.vehicleType,
+      upgrade: true,
+      minIdleSeconds: rule.minIdleSeconds || 0
+    }))
+  ];
+};
+
+/**
+ * Get how many pool riders a vehicle can carry at once
+ * @param {string} vehicleType - Vehicle class
+ * @returns {number} Seats
+ */
+const getPoolSeats = (vehicleType) => {
+  return POOL_SEATS[normalizeVehicleType(vehicleType) || DEFAULT_VEHICLE_CLASS];
+};
+
+/**
+ * Get the Redis GEO key holding drivers of a class
+ * @param {string} vehicleType - Vehicle class
+ * @returns {string} Redis key
+ */
+const getGeoKey = (vehicleType) => {
+  return `drivers:${normalizeVehicleType(vehicleType) || DEFAULT_VEHICLE_CLASS}`;
+};
+
+module.exports = {
+  VEHICLE_CLASSES,
+  DEFAULT_VEHICLE_CLASS,
+  normalizeVehicleType,
+  isValidVehicleType,
+  getVehicleTypeNames,
+  getCompatibleClasses,
+  getPoolSeats,
+  getGeoKey
+};
@@ -1,4 +1,4 @@
-const { createClient } = require('redis');
+const { createRedisClient } = require('./redisBackend');
 const WebSocket = require('ws');
 const jwt = require('jsonwebtoken');
 require('dotenv').config();
@@ -23,7 +23,7 @@ const initializeRedis = async (existingClient = null) => {
     }
     
     if (!redisClient) {
-      redisClient = createClient({
+      redisClient = createRedisClient({
         url: `redis://${(process.env && process.env.REDIS_HOST) || 'localhost'}:${(process.env && process.env.REDIS_PORT) || 6379}`,
         socket: {
           reconnectStrategy: (retries) => {
@@ -68,6 +68,9 @@ const rooms = new Map(); // roomName -> Set of socket IDs
 const socketRooms = new Map(); // socketId -> Set of room names
 const socketData = new Map(); // socketId -> { userType, userId, socket }
 
+// Message handlers registered by other services
+const messageHandlers = new Map(); // messageType -> handler(socketInfo, data)
+
 /**
  * Parse WebSocket connection query parameters
  * @param {string} url - WebSocket connection URL
@@ -273,6 +276,11 @@ const handleMessage = async (socket, message) => {
         break;
         
       default:
+        if (messageHandlers.has(data.type)) {
+          await handleRegisteredMessage(socket, data);
+          break;
+        }
+        
         console.log(` Unknown message type: ${data.type}`);
         sendToSocket(socket.id, { 
           type: 'error', 
@@ -289,6 +297,44 @@ const handleMessage = async (socket, message) => {
   }
 };
 
+/**
+ * Register a handler for a client message type
+ * @param {string} messageType - Message type (e.g. 'offer_decline')
+ * @param {Function} handler - async (socketInfo, data) => reply data
+ */
+const registerMessageHandler = (messageType, handler) => {
+  messageHandlers.set(messageType, handler);
+};
+
+/**
+ * Dispatch a message to its registered handler and reply with the result
+ * @param {WebSocket} socket - WebSocket connection
+ * @param {Object} message - Parsed message
+ */
+const handleRegisteredMessage = async (socket, message) => {
+  const socketInfo = getSocketData(socket.id);
+  if (!socketInfo) {
+    return;
+  }
+  
+  try {
+    const handler = messageHandlers.get(message.type);
+    const result = await handler(socketInfo, message.data || {});
+    
+    sendToSocket(socket.id, {
+      type: `${message.type}_result`,
+      data: result
+    });
+  } catch (error) {
+    console.error(` Error handling ${message.type} message:`, error);
+    connectionStats.errors++;
+    sendToSocket(socket.id, {
+      type: 'error',
+      message: error.message
+    });
+  }
+};
+
 /**
  * Handle subscription request
  * @param {WebSocket} socket - WebSocket connection
@@ -538,6 +584,20 @@ const broadcastToUserType = (userType, event) => {
   }
 };
 
+/**
+ * Broadcast event to every socket subscribed to a topic
+ * @param {string} topic - Topic name, as sent in a 'subscribe' message
+ * @param {Object} event - Event data
+ */
+const broadcastToTopic = (topic, event) => {
+  // Topic rooms are named userType:userId:topic
+  for (const [roomName, sockets] of rooms) {
+    if (roomName.split(':').slice(2).join(':') === topic) {
+      broadcastToRoom(roomName, event);
+    }
+  }
+};
+
 /**
  * Broadcast system-wide event
  * @param {Object} event - Event data
@@ -601,8 +661,10 @@ module.exports = {
   broadcastToRoom,
   broadcastToUser,
   broadcastToUserType,
+  broadcastToTopic,
   broadcastSystemEvent,
   sendToSocket,
+  registerMessageHandler,
   getConnectionStats,
   getActiveConnections,
   closeWebSocketServer